@@ -0,0 +1,20 @@
+// src/config/invoice.js
+// Invoicing defaults. Clients invoice their own users under the GSTIN on their
+// User record; payments taken by the platform itself use the seller below.
+const InvoiceConfig = {
+    PREFIX: process.env.INVOICE_PREFIX || 'INV',
+    GST_RATE: Number.parseFloat(process.env.INVOICE_GST_RATE || '18'),
+    // SAC for online text-based information such as e-books
+    SAC_CODE: process.env.INVOICE_SAC_CODE || '998431',
+    PLATFORM_SELLER: {
+      name: process.env.INVOICE_SELLER_NAME || null,
+      gstin: process.env.INVOICE_SELLER_GSTIN || null,
+      pan: process.env.INVOICE_SELLER_PAN || null,
+      address: process.env.INVOICE_SELLER_ADDRESS || null,
+      city: process.env.INVOICE_SELLER_CITY || null,
+      pinCode: process.env.INVOICE_SELLER_PINCODE || null,
+      email: process.env.INVOICE_SELLER_EMAIL || null
+    }
+  };
+  
+  module.exports = InvoiceConfig;
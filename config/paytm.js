@@ -1,4 +1,11 @@
 // src/config/paytm.js
+const ENVIRONMENT = process.env.PAYTM_ENV || (process.env.NODE_ENV === 'production' ? 'production' : 'staging');
+
+const GATEWAY_HOSTS = {
+    production: 'https://securegw.paytm.in',
+    staging: 'https://securegw-stage.paytm.in'
+  };
+
 const PaytmConfig = {
     MID: process.env.PAYTM_MID,
     WEBSITE: process.env.PAYTM_WEBSITE,
@@ -7,7 +14,19 @@ const PaytmConfig = {
     MERCHANT_KEY: process.env.PAYTM_KEY,
     CALLBACK_URL: process.env.PAYTM_CALLBACK_URL,
     PAYTM_URL: process.env.PAYTM_URL,
-    STATUS_URL: process.env.PAYTM_STATUS_URL
+    ENVIRONMENT,
+    GATEWAY_HOSTS,
+    // Order status API (v3) used to confirm every payment server-to-server.
+    // Point PAYTM_STATUS_URL at scripts/mockPaytmGateway.js for local testing.
+    STATUS_URL: process.env.PAYTM_STATUS_URL || `${GATEWAY_HOSTS[ENVIRONMENT] || GATEWAY_HOSTS.staging}/v3/order/status`,
+    REFUND_URL: process.env.PAYTM_REFUND_URL || `${GATEWAY_HOSTS[ENVIRONMENT] || GATEWAY_HOSTS.staging}/refund/apply`,
+    // Unsigned or badly signed callbacks are rejected. Only a non-production
+    // environment may opt out, for gateways that do not sign test callbacks.
+    ENFORCE_CHECKSUM: ENVIRONMENT === 'production' || process.env.PAYTM_ALLOW_UNSIGNED_CALLBACKS !== 'true',
+    // PENDING payments older than this are checked against the status API
+    PENDING_RECHECK_MINUTES: Number.parseInt(process.env.PAYTM_PENDING_RECHECK_MINUTES) || 15,
+    // ...and marked FAILED if Paytm still has no final status after this
+    PENDING_EXPIRY_HOURS: Number.parseInt(process.env.PAYTM_PENDING_EXPIRY_HOURS) || 72
   };
   
-  module.exports = PaytmConfig;
\ No newline at end of file
+  module.exports = PaytmConfig;
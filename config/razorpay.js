@@ -0,0 +1,12 @@
+// src/config/razorpay.js
+// Platform Razorpay account, used when a client has no gateway of its own
+// configured and PAYMENT_GATEWAY=razorpay
+const RazorpayConfig = {
+    KEY_ID: process.env.RAZORPAY_KEY_ID,
+    KEY_SECRET: process.env.RAZORPAY_KEY_SECRET,
+    WEBHOOK_SECRET: process.env.RAZORPAY_WEBHOOK_SECRET,
+    CALLBACK_URL: process.env.RAZORPAY_CALLBACK_URL,
+    API_URL: process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1'
+  };
+  
+  module.exports = RazorpayConfig;
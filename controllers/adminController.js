@@ -1,14 +1,29 @@
 // controllers/adminController.js - Admin controller functions
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const Admin = require('../models/Admin');
 const User = require('../models/User');
 const CreditPlan = require('../models/CreditPlan');
-const MobileUser = require('../models/MobileUser');
 const CreditAccount = require('../models/CreditAccount');
 const CreditTransaction = require('../models/CreditTransaction');
 const Client = require('../models/Client');
 const CreditRechargePlan = require('../models/CreditRechargePlan');
-const Payment = require('../models/Payment');
+const creditLedger = require('../services/creditLedger');
+const creditAdjustments = require('../services/creditAdjustments');
+const creditMetering = require('../services/creditMetering');
+const CreditPrice = require('../models/CreditPrice');
+const PaymentGatewayConfig = require('../models/PaymentGatewayConfig');
+const paymentGateways = require('../services/paymentGateways');
+const ReviewRequest = require('../models/ReviewRequest');
+const ReviewSlaPolicy = require('../models/ReviewSlaPolicy');
+const reviewSla = require('../services/reviewSla');
+const EvaluatorRateCard = require('../models/EvaluatorRateCard');
+const PayoutStatement = require('../models/PayoutStatement');
+const evaluatorPayouts = require('../services/evaluatorPayouts');
+const Evaluator = require('../models/Evaluator');
+const ModerationPolicy = require('../models/ModerationPolicy');
+const ModerationCase = require('../models/ModerationCase');
+const moderation = require('../services/moderation');
 
 // Generate JWT Token for admin
 const generateAdminToken = (id) => {
@@ -301,7 +316,8 @@ exports.createCreditPlan = async (req, res) => {
       currency,
       discount,
       isPopular,
-      features
+      features,
+      validityDays
     } = req.body;
 
     const plan = new CreditPlan({
@@ -312,7 +328,8 @@ exports.createCreditPlan = async (req, res) => {
       currency,
       discount,
       isPopular,
-      features
+      features,
+      validityDays: validityDays || null
     });
 
     await plan.save();
@@ -399,65 +416,1027 @@ exports.getCreditAccount = async (req,res) => {
   }
 }
 
-exports.addCredit = async (req,res) => {
+const adminRequired = (req, res) => {
+  if (req.admin) return false;
+  res.status(403).json({
+    success: false,
+    message: 'Admin access required'
+  });
+  return true;
+};
+
+// Idempotency-Key of an adjustment request, scoped to the action
+const adjustmentRequestKey = (req, action) => {
+  const clientKey = req.get('Idempotency-Key') || req.body?.idempotencyKey;
+  return clientKey ? `${action}:${req.admin._id}:${clientKey}` : null;
+};
+
+// Adjustments over the approval threshold are accepted but not yet applied
+const sendAdjustment = (res, adjustment, doneMessage) => {
+  const pending = adjustment.status === 'pending_approval';
+  res.status(pending ? 202 : 200).json({
+    success: true,
+    message: pending ? 'Adjustment is awaiting approval by another admin' : doneMessage,
+    data: adjustment
+  });
+};
+
+// defaultReason: recorded when the request gives none (kept for endpoints
+// that did not require a reason before adjustments were audited)
+const requestAdjustment = (action, doneMessage, defaultReason = null) => async (req, res) => {
+  try {
+    if (adminRequired(req, res)) return;
+
+    const { userId, credits, amount, reasonCode, reason, adminMessage } = req.body;
+    const adjustment = await creditAdjustments.requestAdjustment({
+      action,
+      userId,
+      credits,
+      amount,
+      transactionId: req.params.transactionId,
+      orderId: req.params.orderId,
+      reasonCode: reasonCode || 'other',
+      reason: reason || adminMessage || defaultReason,
+      adminId: req.admin._id,
+      requestKey: adjustmentRequestKey(req, action)
+    });
+    if (adjustment.status === 'failed') {
+      throw new creditLedger.CreditLedgerError(adjustment.error, 'INVALID_STATE');
+    }
+
+    sendAdjustment(res, adjustment, doneMessage);
+  }
+  catch (error) {
+    creditLedger.sendLedgerError(res, error);
+  }
+};
+
+exports.addCredit = requestAdjustment('credit', 'Credit added successfully', 'Admin added credits');
+
+exports.debitCredit = requestAdjustment('debit', 'Credit removed successfully');
+
+exports.reverseCreditTransaction = requestAdjustment('reversal', 'Transaction reversed');
+
+// Refund (part of) a payment through its gateway and claw back its credits
+exports.refundPayment = requestAdjustment('payment_refund', 'Refund issued');
+
+exports.getCreditAdjustments = async (req, res) => {
+  try {
+    if (adminRequired(req, res)) return;
+
+    const { userId, status, action, orderId, page, limit } = req.query;
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid userId'
+      });
+    }
+
+    const { adjustments, pagination } = await creditAdjustments.listAdjustments({ userId, status, action, orderId, page, limit });
+    res.json({
+      success: true,
+      data: adjustments,
+      pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+const reviewCreditAdjustment = (approve) => async (req, res) => {
+  try {
+    if (adminRequired(req, res)) return;
+
+    const adjustment = await creditAdjustments.reviewAdjustment(req.params.id, {
+      adminId: req.admin._id,
+      approve,
+      note: req.body?.note || null
+    });
+
+    res.json({
+      success: true,
+      message: approve ? 'Adjustment approved' : 'Adjustment rejected',
+      data: adjustment
+    });
+  } catch (error) {
+    creditLedger.sendLedgerError(res, error);
+  }
+};
+
+exports.approveCreditAdjustment = reviewCreditAdjustment(true);
+
+exports.rejectCreditAdjustment = reviewCreditAdjustment(false);
+
+// Accounts whose balance disagreed with their transaction history at the
+// last reconciliation run
+exports.getCreditReconciliation = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const accounts = await CreditAccount.find({ 'reconciliation.status': 'drift' })
+      .select('userId name mobile clientId balance status reconciliation')
+      .sort({ 'reconciliation.checkedAt': -1 });
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Run a reconciliation now, for every account or just req.body.userId
+exports.runCreditReconciliation = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const { userId } = req.body;
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid userId'
+      });
+    }
+
+    const result = await creditLedger.reconcile({ userId: userId || null });
+    res.json({
+      success: true,
+      message: result.driftCount > 0 ? `${result.driftCount} account(s) drifted` : 'All balances match their transactions',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Metered service prices: the rows stored for a client (or the platform
+// defaults when clientId is omitted) and the effective price per service
+exports.getCreditPrices = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const clientId = req.query.clientId || null;
+    const [prices, effective] = await Promise.all([
+      CreditPrice.find({ clientId }).sort({ service: 1 }),
+      creditMetering.getPriceList(clientId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        clientId,
+        prices,
+        effective
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Create or update the price of a service for a client (clientId null sets
+// the platform default)
+exports.setCreditPrice = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const { clientId = null, service, creditsPerUnit, isActive = true } = req.body;
+    if (!creditMetering.SERVICES.includes(service)) {
+      return res.status(400).json({
+        success: false,
+        message: `service must be one of: ${creditMetering.SERVICES.join(', ')}`
+      });
+    }
+    const credits = Number(creditsPerUnit);
+    if (!Number.isFinite(credits) || credits < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'creditsPerUnit must be a number of 0 or more'
+      });
+    }
+
+    const price = await CreditPrice.findOneAndUpdate(
+      { clientId: clientId || null, service },
+      {
+        $set: {
+          unit: req.body.unit || creditMetering.DEFAULT_PRICES[service].unit,
+          creditsPerUnit: credits,
+          isActive: Boolean(isActive),
+          updatedBy: req.admin._id
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Credit price saved',
+      data: price
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.deleteCreditPrice = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const price = await CreditPrice.findByIdAndDelete(req.params.id);
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit price not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Credit price removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Payment gateway of every client that has its own, plus the platform one
+exports.getPaymentGateways = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const filter = {};
+    if (req.query.clientId !== undefined) filter.clientId = req.query.clientId || null;
+    const configs = await PaymentGatewayConfig.find(filter).sort({ clientId: 1 });
+
+    res.json({
+      success: true,
+      data: configs.map(paymentGateways.maskConfig)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Set the gateway and merchant credentials for a client (clientId null: platform)
+exports.setPaymentGateway = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const config = await paymentGateways.saveGatewayConfig(req.body.clientId || null, req.body, req.admin._id);
+
+    res.json({
+      success: true,
+      message: 'Payment gateway saved',
+      data: paymentGateways.maskConfig(config)
+    });
+  } catch (error) {
+    const invalid = error.code === 'INVALID_CONFIG' || error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.deletePaymentGateway = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    // Kept for its payments' refunds and status checks; only stops new orders
+    const config = await PaymentGatewayConfig.findByIdAndUpdate(req.params.id, { $set: { isActive: false } }, { new: true });
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment gateway not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment gateway disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Review SLA policies of the platform (no clientId) or of one client, with
+// the policy in effect for each priority
+exports.getReviewSlaPolicies = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const clientId = req.query.clientId || null;
+    const [policies, effective] = await Promise.all([
+      ReviewSlaPolicy.find({ clientId }).sort({ priority: 1 }),
+      reviewSla.getPolicyList(clientId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        clientId,
+        policies,
+        effective
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.setReviewSlaPolicy = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const { policy, error } = await reviewSla.savePolicy(req.body.clientId || null, req.body, req.admin._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review SLA policy saved',
+      data: policy
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.deleteReviewSlaPolicy = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const policy = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ReviewSlaPolicy.findByIdAndDelete(req.params.id)
+      : null;
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review SLA policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review SLA policy removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Turnaround of review requests raised in a period, grouped by evaluator
+// (default), client or priority
+exports.getReviewTurnaround = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const { groupBy = 'evaluator', clientId, priority, evaluatorId } = req.query;
+    if (!['evaluator', 'client', 'priority'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be evaluator, client or priority'
+      });
+    }
+    if (evaluatorId && !mongoose.Types.ObjectId.isValid(evaluatorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid evaluatorId'
+      });
+    }
+    const range = reviewSla.reportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const report = await reviewSla.turnaroundReport({ ...range, groupBy, clientId, priority, evaluatorId });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Requests that missed an SLA deadline, newest first; open=true for those
+// still not completed
+exports.getReviewSlaBreaches = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const filter = { 'sla.breached': true };
+    if (req.query.clientId) filter.clientId = req.query.clientId;
+    if (req.query.open === 'true') filter.requestStatus = { $in: ['pending', 'assigned', 'in_progress'] };
+
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const [requests, total] = await Promise.all([
+      ReviewRequest.find(filter)
+        .select('clientId userId answerId priority requestStatus assignedEvaluator requestedAt acceptedAt completedAt sla escalations')
+        .populate('assignedEvaluator', 'name email')
+        .sort({ requestedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReviewRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Evaluator rate cards of the platform (no clientId) or of one client, with
+// the rate in effect for each question type and grade
+exports.getEvaluatorRateCards = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const clientId = req.query.clientId || null;
+    const [rateCards, effective] = await Promise.all([
+      EvaluatorRateCard.find({ clientId }).sort({ questionType: 1, grade: 1 }),
+      evaluatorPayouts.getRateList(clientId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        clientId,
+        rateCards,
+        effective
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.setEvaluatorRateCard = async (req, res) => {
   try {
-    if(!req.admin){
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const { rateCard, error } = await evaluatorPayouts.saveRateCard(req.body.clientId || null, req.body, req.admin._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate card saved',
+      data: rateCard
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.deleteEvaluatorRateCard = async (req, res) => {
+  try {
+    if (!req.admin) {
       return res.status(403).json({
         success: false,
         message: 'Admin access required'
       });
     }
-    const {userId, credits, adminMessage} = req.body;
-    const user = await MobileUser.findById(userId);
-    if(!user){
+
+    const rateCard = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await EvaluatorRateCard.findByIdAndDelete(req.params.id)
+      : null;
+    if (!rateCard) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Rate card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rate card removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Payout statements, filtered by month, status or evaluator
+exports.getPayoutStatements = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const filter = {};
+    if (req.query.month) filter.month = req.query.month;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.evaluatorId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.evaluatorId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid evaluatorId'
+        });
+      }
+      filter.evaluator = req.query.evaluatorId;
+    }
+
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const [statements, total, totals] = await Promise.all([
+      PayoutStatement.find(filter)
+        .populate('evaluator', 'name email phoneNumber')
+        .sort({ month: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PayoutStatement.countDocuments(filter),
+      PayoutStatement.aggregate([
+        { $match: filter.evaluator ? { ...filter, evaluator: new mongoose.Types.ObjectId(filter.evaluator) } : filter },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: statements,
+      totalsByStatus: totals.map((row) => ({ status: row._id, count: row.count, amount: Math.round(row.amount * 100) / 100 })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// One statement with its entries; format=csv to download it
+exports.getPayoutStatement = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
       });
     }
-    const creditAccount = await CreditAccount.findOne({userId: user._id});
-    if(!creditAccount){
+
+    const statement = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PayoutStatement.findById(req.params.id).populate('evaluator', 'name email phoneNumber')
+      : null;
+    if (!statement) {
       return res.status(404).json({
         success: false,
-        message: 'Credit account not found'
+        message: 'Payout statement not found'
       });
     }
-    
-    if(Payment.status === "SUCCESS")
-    {
-      const transaction = new CreditTransaction({
-        userId,
-        type: 'credit',
-        amount: credits,
-        balanceBefore: creditAccount.balance,
-        balanceAfter: creditAccount.balance + credits,
-        category: 'admin_adjustment',
-        description: 'Admin added credits',
-        addedBy: req.admin._id,
-        adminMessage: adminMessage || null,
+
+    const detailed = await evaluatorPayouts.statementWithEntries(statement);
+    if (req.query.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="payout-${statement.month}-${statement._id}.csv"`
       });
-  
-      await transaction.save();
-  
-      creditAccount.balance += credits;
-      await creditAccount.save();
-  
-      res.json({
-        success: true,
-        message: 'Credit added successfully',
-        data: creditAccount
+      return res.send(evaluatorPayouts.statementCsv(detailed));
+    }
+
+    res.json({
+      success: true,
+      data: detailed
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Generate (or top up) statements for a month now instead of waiting for
+// the scheduled run
+exports.generatePayoutStatements = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
       });
     }
-    else
-    {
-      res.status(400).json({
+
+    const { month } = req.body;
+    if (!evaluatorPayouts.isMonth(month)) {
+      return res.status(400).json({
         success: false,
-        message: 'Payment failed'
+        message: 'month must be in YYYY-MM format'
       });
     }
-    
-  } 
-  catch (error) {
+    if (month >= evaluatorPayouts.monthOf(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statements can only be generated for months that have ended'
+      });
+    }
+
+    const result = await evaluatorPayouts.generateStatements(month);
+
+    res.json({
+      success: true,
+      message: 'Payout statements generated',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Admin action on a payout statement; the service resolves to
+// { statement } or { status, error }
+const payoutAction = (action, message) => async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const { statement, status, error } = await action(req);
+    if (!statement) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: statement
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.approvePayoutStatement = payoutAction(
+  (req) => evaluatorPayouts.approveStatement(req.params.id, req.admin._id, req.body.note || null),
+  'Payout statement approved'
+);
+
+exports.markPayoutStatementPaid = payoutAction(
+  (req) => evaluatorPayouts.markPaid(req.params.id, req.admin._id, { paymentReference: req.body.paymentReference, note: req.body.note || null }),
+  'Payout marked as paid'
+);
+
+exports.resolvePayoutDispute = payoutAction(
+  (req) => evaluatorPayouts.resolveDispute(req.params.id, req.admin._id, {
+    accept: req.body.accept === true || req.body.accept === 'true',
+    adjustmentAmount: req.body.adjustmentAmount,
+    note: req.body.note || null
+  }),
+  'Payout dispute resolved'
+);
+
+// Moderation policy of the platform (no clientId) or of one client, and the
+// policy in effect
+exports.getModerationPolicy = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const clientId = req.query.clientId || null;
+    const [policy, effective] = await Promise.all([
+      ModerationPolicy.findOne({ clientId }),
+      moderation.getPolicy(clientId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        clientId,
+        policy,
+        effective
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.setModerationPolicy = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const { policy, error } = await moderation.savePolicy(req.body.clientId || null, req.body, req.admin._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Moderation policy saved',
+      data: policy
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.getModerationCases = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const filter = {};
+    if (req.query.clientId) filter.clientId = req.query.clientId;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.source) filter.source = req.query.source;
+    if (req.query.evaluatorId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.evaluatorId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid evaluatorId'
+        });
+      }
+      filter.$or = [{ 'primary.evaluator': req.query.evaluatorId }, { 'moderator.evaluator': req.query.evaluatorId }];
+    }
+
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const [cases, total] = await Promise.all([
+      ModerationCase.find(filter)
+        .populate('primary.evaluator moderator.evaluator override.by', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ModerationCase.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: cases,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Inter-rater agreement and drift per evaluator (?from, ?to, ?clientId,
+// ?evaluatorId)
+exports.getEvaluatorAgreement = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const range = reviewSla.reportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+    const { clientId = null, evaluatorId = null } = req.query;
+    if (evaluatorId && !mongoose.Types.ObjectId.isValid(evaluatorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid evaluatorId'
+      });
+    }
+
+    const metrics = await moderation.agreementMetrics({ ...range, clientId, evaluatorId });
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.setHeadExaminer = async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const evaluator = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Evaluator.findByIdAndUpdate(
+        req.params.id,
+        { $set: { isHeadExaminer: req.body.isHeadExaminer === true || req.body.isHeadExaminer === 'true' } },
+        { new: true }
+      ).select('name email isHeadExaminer clientAccess')
+      : null;
+    if (!evaluator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evaluator not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: evaluator.isHeadExaminer ? 'Evaluator made a head examiner' : 'Head examiner role removed',
+      data: evaluator
+    });
+  } catch (error) {
     res.status(500).json({
       success: false,
       message: error.message
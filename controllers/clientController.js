@@ -1,7 +1,14 @@
 // controllers/clientController.js - Updated Client controller with enhanced user ID handling
+const mongoose = require('mongoose');
 const CreditRechargePlan = require('../models/CreditRechargePlan');
 const User = require('../models/User');
 const UserProfile = require('../models/UserProfile');
+const PaymentGatewayConfig = require('../models/PaymentGatewayConfig');
+const paymentGateways = require('../services/paymentGateways');
+const Invoice = require('../models/Invoice');
+const invoices = require('../services/invoices');
+const ReviewSlaPolicy = require('../models/ReviewSlaPolicy');
+const reviewSla = require('../services/reviewSla');
 
 // Get client dashboard data
 exports.getDashboard = async (req, res) => {
@@ -352,7 +359,8 @@ exports.createCreditRechargePlan = async (req, res) => {
       credits,
       MRP,
       offerPrice,
-      status
+      status,
+      validityDays
     } = req.body;
 
     const plan = new CreditRechargePlan({
@@ -362,7 +370,8 @@ exports.createCreditRechargePlan = async (req, res) => {
       credits,
       MRP,
       offerPrice,
-      status
+      status,
+      validityDays: validityDays || null
     });
 
     await plan.save();
@@ -398,6 +407,260 @@ exports.getCreditRechargePlans = async (req,res) => {
   }
 }
 
+// The gateway this client's users pay through. Without a config of its own
+// the client uses the platform's account.
+exports.getPaymentGateway = async (req, res) => {
+  try {
+    const config = await PaymentGatewayConfig.findOne({ clientId: req.user.userId });
+
+    res.json({
+      success: true,
+      data: config ? paymentGateways.maskConfig(config) : null,
+      usingPlatformGateway: !config || !config.isActive
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Collect payments into the client's own merchant account
+exports.setPaymentGateway = async (req, res) => {
+  try {
+    // Only an admin can point a client at the staging gateway: staging
+    // payments would otherwise be credited as real purchases
+    const { environment, ...gatewayConfig } = req.body;
+    if (environment !== undefined) {
+      const existing = await PaymentGatewayConfig.findOne({ clientId: req.user.userId });
+      if (environment !== (existing?.environment || 'production')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only an administrator can change the payment gateway environment'
+        });
+      }
+    }
+
+    const config = await paymentGateways.saveGatewayConfig(req.user.userId, gatewayConfig, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Payment gateway saved',
+      data: paymentGateways.maskConfig(config)
+    });
+  } catch (error) {
+    const invalid = error.code === 'INVALID_CONFIG' || error.name === 'ValidationError';
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Go back to the platform account for new orders
+exports.disablePaymentGateway = async (req, res) => {
+  try {
+    const config = await PaymentGatewayConfig.findOneAndUpdate(
+      { clientId: req.user.userId },
+      { $set: { isActive: false, updatedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'No payment gateway configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment gateway disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Invoices issued to this client's users, optionally for one month ('2026-09')
+exports.getInvoices = async (req, res) => {
+  try {
+    const filter = { clientId: req.user.userId };
+    if (req.query.month) {
+      const range = invoices.monthRange(req.query.month);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          message: 'month must be in YYYY-MM format'
+        });
+      }
+      filter.issuedAt = { $gte: range.start, $lt: range.end };
+    }
+
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const [list, total] = await Promise.all([
+      Invoice.find(filter).sort({ issuedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: list,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Invoice.findOne({ _id: req.params.id, clientId: req.user.userId })
+      : null;
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const pdf = await invoices.renderInvoicePdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoices.invoiceFileName(invoice)}"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Monthly statement for the client's finance team: CSV (default) or JSON
+exports.getInvoiceStatement = async (req, res) => {
+  try {
+    const statement = await invoices.monthlyStatement(req.user.userId, req.query.month);
+    if (!statement) {
+      return res.status(400).json({
+        success: false,
+        message: 'month must be in YYYY-MM format'
+      });
+    }
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        data: statement
+      });
+    }
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="statement-${statement.month}.csv"`
+    });
+    res.send(invoices.statementCsv(statement));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Review SLA in effect for each priority: the client's own policy, else the
+// platform's
+exports.getReviewSlaPolicies = async (req, res) => {
+  try {
+    const [policies, effective] = await Promise.all([
+      ReviewSlaPolicy.find({ clientId: req.user.userId }).sort({ priority: 1 }),
+      reviewSla.getPolicyList(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        effective
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+exports.setReviewSlaPolicy = async (req, res) => {
+  try {
+    const { policy, error } = await reviewSla.savePolicy(req.user.userId, req.body, req.user._id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review SLA policy saved',
+      data: policy
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Turnaround of this client's review requests by evaluator (default) or priority
+exports.getReviewTurnaround = async (req, res) => {
+  try {
+    const { groupBy = 'evaluator', priority } = req.query;
+    if (!['evaluator', 'priority'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be evaluator or priority'
+      });
+    }
+    const range = reviewSla.reportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const report = await reviewSla.turnaroundReport({ ...range, groupBy, priority, clientId: req.user.userId });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
 exports.deleteCreditRechargePlans = async (req,res) => {
   try {
     const clientId = req.clientId;
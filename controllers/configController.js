@@ -1,25 +1,28 @@
 const Config = require('../models/Config');
+const aiServiceManager = require('../services/aiServiceManager');
 
 // Add a new model to a sourcetype (create if not exists)
 exports.addModel = async (req, res) => {
   try {
-    const { sourcetype, key, sourcename, modelname, description, status } = req.body;
+    const { sourcetype, key, sourcename, modelname, description, status, apiKey, apiUrl, tasks } = req.body;
     const { id: clientId } = req.params;
+    const modelData = { key, sourcename, modelname, description, status, apiKey, apiUrl, tasks };
     let config = await Config.findOne({ clientId, sourcetype });
     if (!config) {
       config = new Config({
         clientId,
         sourcetype,
-        models: [{ key, sourcename, modelname, description, status }]
+        models: [modelData]
       });
     } else {
       // Prevent duplicate key
       if (config.models.some(m => m.key === key)) {
         return res.status(400).json({ message: 'Model key already exists.' });
       }
-      config.models.push({ key, sourcename, modelname, description, status });
+      config.models.push(modelData);
     }
     await config.save();
+    aiServiceManager.refreshClientConfig(clientId);
     res.status(201).json(config);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -48,13 +51,16 @@ exports.updateModel = async (req, res) => {
   try {
     const { sourcetype, key } = req.params;
     const { id: clientId } = req.params;
-    const update = req.body;
+    const update = { ...req.body };
+    // The masked key from a previous GET means "leave the key unchanged"
+    if (update.apiKey === '***HIDDEN***') delete update.apiKey;
     const config = await Config.findOne({ clientId, sourcetype });
     if (!config) return res.status(404).json({ message: 'Config not found' });
     const model = config.models.find(m => m.key === key);
     if (!model) return res.status(404).json({ message: 'Model not found' });
     Object.assign(model, update);
     await config.save();
+    aiServiceManager.refreshClientConfig(clientId);
     res.json(config);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -74,6 +80,7 @@ exports.deleteModel = async (req, res) => {
       return res.status(404).json({ message: 'Model not found' });
     }
     await config.save();
+    aiServiceManager.refreshClientConfig(clientId);
     res.json({ message: 'Model deleted', config });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -105,6 +112,7 @@ exports.setIsExpired = async (req, res) => {
     if (!model) return res.status(404).json({ message: 'Model not found' });
     model.isExpired = !!isExpired;
     await config.save();
+    aiServiceManager.refreshClientConfig(clientId);
     res.json(config);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -2,6 +2,15 @@ const CreditAccount = require("../models/CreditAccount");
 const CreditPlan = require("../models/CreditPlan");
 const CreditRechargePlan = require("../models/CreditRechargePlan");
 const CreditTransaction = require("../models/CreditTransaction");
+const Payment = require("../models/Payment");
+const UserProfile = require("../models/UserProfile");
+const creditLedger = require("../services/creditLedger");
+const creditMetering = require("../services/creditMetering");
+const creditExpiry = require("../services/creditExpiry");
+const payments = require("../services/payments");
+const invoices = require("../services/invoices");
+const Invoice = require("../models/Invoice");
+const { PaymentGatewayError } = require("../services/paymentGateways");
 
 exports.getCreditAccount = async (req, res) => {
   try {
@@ -41,77 +50,175 @@ exports.getCreditPlans = async (req, res) => {
   }
 }
 
-// Add this new function
+// Start a credit purchase: an order priced from the plan on the server, with
+// the gateway the user's client collects payments through. Credits are
+// granted by the verified callback or webhook, not here.
 exports.buyCredits = async (req, res) => {
   try {
     const { planId } = req.body;
     
-    // Get the plan details
-    const plan = await CreditPlan.findById(planId);
+    const resolved = await payments.resolvePlan(planId, req.user.clientId || null);
     
-    if (!plan || !plan.isActive) {
+    if (!resolved) {
       return res.status(400).json({
         success: false,
         message: 'Invalid plan selected'
       });
     }
 
-    // Get or create user's credit account
-    let creditAccount = await CreditAccount.findOne({ userId: req.user.id });
-    
-    if (!creditAccount) {
-      creditAccount = new CreditAccount({
-        userId: req.user.id,
-        balance: 0,
-        totalEarned: 0,
-        totalSpent: 0
+    if (!(resolved.price > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This plan cannot be purchased'
+      });
+    }
+
+    // Anything the app sends about price or credits must agree with the plan
+    const { amount, credits } = req.body;
+    if ((amount !== undefined && Math.abs(Number(amount) - resolved.price) > 0.005) ||
+        (credits !== undefined && Number(credits) !== resolved.credits)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Plan price has changed, please refresh and try again',
+        data: { price: resolved.price, credits: resolved.credits }
       });
     }
 
-    // Simulate payment success (replace with real payment gateway)
-    const paymentSuccess = true;
+    const profile = await UserProfile.findOne({ userId: req.user.id }).select('name');
+    const { payment, gateway, checkout } = await payments.createOrder({
+      amount: resolved.price,
+      credits: resolved.credits,
+      planId: resolved.plan._id,
+      planModel: resolved.planModel,
+      userId: req.user.id,
+      clientId: req.user.clientId || null,
+      customerEmail: req.body.email || null,
+      customerPhone: req.user.mobile,
+      customerName: profile?.name || req.user.mobile,
+      projectId: req.user.clientId || 'default'
+    });
 
-    if (paymentSuccess) {
-      const balanceBefore = creditAccount.balance;
-      const balanceAfter = balanceBefore + plan.credits;
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created',
+      data: {
+        orderId: payment.orderId,
+        amount: payment.amount,
+        currency: resolved.currency,
+        credits: resolved.credits,
+        plan: { id: resolved.plan._id, name: resolved.name, type: resolved.planModel },
+        gateway,
+        checkout,
+        // Kept for app versions that only know Paytm
+        ...(gateway === 'paytm' ? checkout : {})
+      }
+    });
+  } catch (error) {
+    console.error('Error creating credit purchase:', error);
+    // The gateway refused or could not be reached
+    res.status(error instanceof PaymentGatewayError ? 502 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
 
-      // Update credit account
-      creditAccount.balance = balanceAfter;
-      creditAccount.totalEarned += plan.credits;
-      creditAccount.lastTransactionDate = new Date();
-      await creditAccount.save();
+// Status of one of the user's purchases. A payment still PENDING is checked
+// with its gateway, so the app does not have to wait for the callback.
+exports.getPurchaseStatus = async (req, res) => {
+  try {
+    let payment = await Payment.findOne({ orderId: req.params.orderId, userId: req.user.id });
 
-      // Create transaction record
-      const transaction = new CreditTransaction({
-        userId: req.user.id,
-        type: 'credit',
-        amount: plan.credits,
-        balanceBefore,
-        balanceAfter,
-        category: 'purchase',
-        description: `Purchased ${plan.credits} credits via ${plan.name}`,
-        planId: planId,
-        paymentAmount: plan.price,
-        paymentCurrency: plan.currency
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
       });
+    }
 
-      await transaction.save();
+    if (payment.status === 'PENDING') {
+      try {
+        ({ payment } = await payments.refreshPaymentStatus(payment, 'inquiry'));
+      } catch (error) {
+        console.error(`Payment status check failed for ${payment.orderId}:`, error.message);
+      }
+    }
 
-      res.json({
-        success: true,
-        message: 'Credits purchased successfully',
-        data: {
-          creditsAdded: plan.credits,
-          newBalance: creditAccount.balance,
-          plan: plan
-        }
+    const account = payment.creditTransactionId ? await CreditAccount.findOne({ userId: req.user.id }).select('balance') : null;
+    res.json({
+      success: true,
+      data: {
+        orderId: payment.orderId,
+        status: payment.status,
+        amount: payment.amount,
+        credits: payment.creditsPurchased,
+        credited: Boolean(payment.creditTransactionId),
+        creditedAt: payment.creditedAt || null,
+        newBalance: account ? account.balance : null,
+        responseMsg: payment.responseMsg || null,
+        createdAt: payment.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// Invoices for the user's successful purchases, newest first
+exports.getInvoices = async (req, res) => {
+  try {
+    const list = await Invoice.find({ userId: req.user.id })
+      .select('invoiceNumber orderId issuedAt items taxableValue cgst sgst igst total currency')
+      .sort({ issuedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// PDF receipt for a purchase. Invoices are issued in the background once the
+// payment is confirmed, so a just-confirmed purchase may not have one yet.
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ orderId: req.params.orderId, userId: req.user.id });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
+    }
+    if (payment.status !== 'SUCCESS') {
+      return res.status(409).json({
+        success: false,
+        message: `No invoice for a ${payment.status.toLowerCase()} payment`
       });
-    } else {
-      res.status(400).json({
+    }
+
+    const invoice = await Invoice.findOne({ payment: payment._id });
+    if (!invoice) {
+      return res.status(409).json({
         success: false,
-        message: 'Payment failed'
+        message: 'The invoice for this purchase is still being issued; try again shortly'
       });
     }
+
+    const pdf = await invoices.renderInvoicePdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoices.invoiceFileName(invoice)}"`
+    });
+    res.send(pdf);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -170,6 +277,7 @@ exports.getCreditBalance = async (req, res) => {
 exports.useCreditsForService = async (req, res) => {
     try {
         const { amount, serviceName, planId } = req.body;
+        const idempotencyKey = creditLedger.idempotencyKeyFromRequest(req, 'usage', req.user.id);
         
         // Get the plan to check features
         const plan = await CreditPlan.findById(planId);
@@ -191,54 +299,22 @@ exports.useCreditsForService = async (req, res) => {
             });
         }
 
-        // Get user's credit account
-        let creditAccount = await CreditAccount.findOne({ userId: req.user.id });
-        
-        if (!creditAccount) {
-            return res.status(400).json({
-                success: false,
-                message: 'Credit account not found'
-            });
-        }
-
-        // Check if user has sufficient credits
-        if (creditAccount.balance < amount) {
-            return res.status(400).json({
-                success: false,
-                message: 'Insufficient credits'
-            });
-        }
-
-        // Calculate new balance
-        const balanceBefore = creditAccount.balance;
-        const balanceAfter = balanceBefore - amount;
-
-        // Update CreditAccount
-        creditAccount.balance = balanceAfter;
-        creditAccount.totalSpent += amount;
-        creditAccount.lastTransactionDate = new Date();
-        await creditAccount.save();
-
-        // Create CreditTransaction record
-        const transaction = await CreditTransaction.create({
+        // Conditional debit: fails with 402 instead of overdrawing under concurrent use
+        const { transaction, account, replayed } = await creditLedger.debit({
             userId: req.user.id,
-            type: 'debit',
-            amount: amount,
-            balanceBefore: balanceBefore,
-            balanceAfter: balanceAfter,
+            amount: Number(amount),
             category: 'service_usage',
             description: `Used credits for ${serviceName}`,
-            planId: planId,
-            status: 'completed',
-            createdAt: new Date()
+            idempotencyKey,
+            planId: planId
         });
 
         res.json({
             success: true,
-            message: 'Credits used successfully',
+            message: replayed ? 'Credits already used for this request' : 'Credits used successfully',
             data: {
                 creditsUsed: amount,
-                newBalance: balanceAfter,
+                newBalance: account.balance,
                 serviceName: serviceName,
                 planName: plan.name,
                 transactionId: transaction._id,
@@ -248,10 +324,7 @@ exports.useCreditsForService = async (req, res) => {
 
     } catch (error) {
         console.error('Error using credits:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        creditLedger.sendLedgerError(res, error);
     }
 };
 
@@ -272,4 +345,39 @@ exports.getCreditRechargePlans = async (req,res) => {
       message : error.message
     })
   }
-}
\ No newline at end of file
+}
+
+// Credits charged per unit for each metered AI service for the user's client
+exports.getServicePrices = async (req, res) => {
+  try {
+    const prices = await creditMetering.getPriceList(req.user.clientId || null);
+    res.json({
+      success: true,
+      data: prices.map(({ service, unit, creditsPerUnit }) => ({ service, unit, creditsPerUnit }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+// How many of the user's credits expire, and when
+exports.getCreditExpiry = async (req, res) => {
+  try {
+    const summary = await creditExpiry.getExpirySummary(req.user.id);
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        noticeDays: creditExpiry.NOTICE_DAYS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
@@ -3,6 +3,8 @@ const ObjectiveTestQuestion = require("../models/ObjectiveTestQuestion");
 const TestResult = require("../models/TestResult");
 const User = require("../models/User");
 const UserProfile = require("../models/UserProfile");
+const objectiveScoring = require("../services/objectiveScoring");
+const objectiveAttempts = require("../services/objectiveAttempts");
 const path = require("path");
 const {
   generatePresignedUrl,
@@ -12,17 +14,29 @@ const {
 const { Client } = require("twilio/lib/base/BaseTwilio");
 const { default: mongoose } = require("mongoose");
 
-// Utility function to format completion time
-const formatCompletionTime = (milliseconds) => {
-  const totalSeconds = Math.floor(milliseconds / 1000);
-  const minutes = Math.floor(totalSeconds / 60);
-  const seconds = totalSeconds % 60;
-
-  if (minutes > 0) {
-    return `${minutes}m ${seconds}s`;
-  } else {
-    return `${seconds}s`;
+// Duration, sections and overall cut-off from a create/update request; only
+// the fields that were sent are returned, so updates leave the others alone
+const parseTestSettings = ({ durationMinutes, sections, cutoff }) => {
+  const fields = {};
+  if (durationMinutes !== undefined) {
+    const untimed = durationMinutes === null || durationMinutes === "";
+    if (!untimed && !(Number.isFinite(Number(durationMinutes)) && Number(durationMinutes) >= 1)) {
+      return { error: "durationMinutes must be at least 1" };
+    }
+    fields.durationMinutes = untimed ? null : Number(durationMinutes);
   }
+  if (sections !== undefined) {
+    const normalized = objectiveScoring.normalizeSections(sections || []);
+    if (normalized.error) return { error: normalized.error };
+    fields.sections = normalized.sections;
+  }
+  if (cutoff !== undefined) {
+    if (cutoff !== null && cutoff !== "" && !Number.isFinite(Number(cutoff))) {
+      return { error: "cutoff must be a number" };
+    }
+    fields.cutoff = cutoff === null || cutoff === "" ? null : Number(cutoff);
+  }
+  return { fields };
 };
 
 exports.uploadImage = async (req, res) => {
@@ -76,6 +90,9 @@ exports.createTest = async (req, res) => {
       isHighlighted,
       isActive,
       instructions,
+      durationMinutes,
+      sections,
+      cutoff,
     } = req.body;
     console.log(req.user.userId);
     const clientId = req.user.userId;
@@ -95,6 +112,14 @@ exports.createTest = async (req, res) => {
       });
     }
 
+    const settings = parseTestSettings({ durationMinutes, sections, cutoff });
+    if (settings.error) {
+      return res.status(400).json({
+        success: false,
+        message: settings.error,
+      });
+    }
+
     // Generate presigned URL for the image if imageKey is provided
     let imageUrl = "";
     if (imageKey) {
@@ -119,6 +144,7 @@ exports.createTest = async (req, res) => {
       isHighlighted,
       isActive,
       instructions,
+      ...settings.fields,
     });
 
     res.status(201).json({
@@ -305,6 +331,7 @@ exports.getAllTestsForMobile = async (req, res) => {
       image: test.imageKey || "",
       image_url: test.imageUrl || "",
       estimated_time: test.Estimated_time,
+      duration_minutes: test.durationMinutes ?? null,
       instructions: test.instructions,
       is_trending: test.isTrending,
       is_highlighted: test.isHighlighted,
@@ -415,6 +442,9 @@ exports.updateTest = async (req, res) => {
       isHighlighted,
       isActive,
       instructions,
+      durationMinutes,
+      sections,
+      cutoff,
     } = req.body;
 
     if (!id) {
@@ -432,6 +462,14 @@ exports.updateTest = async (req, res) => {
       });
     }
 
+    const settings = parseTestSettings({ durationMinutes, sections, cutoff });
+    if (settings.error) {
+      return res.status(400).json({
+        success: false,
+        message: settings.error,
+      });
+    }
+
     // Handle image update
     let imageUrl = test.imageUrl;
     if (imageKey && imageKey !== test.imageKey) {
@@ -469,8 +507,9 @@ exports.updateTest = async (req, res) => {
         isHighlighted,
         isActive,
         instructions,
+        ...settings.fields,
       },
-      { new: true }
+      { new: true, runValidators: true }
     );
 
     res.status(200).json({
@@ -543,10 +582,8 @@ exports.deleteTest = async (req, res) => {
 exports.submitTest = async (req, res) => {
   try {
     const { testId } = req.params;
-    const { answers, totalQuestions, answeredQuestions } = req.body;
+    const { answers } = req.body;
     const userId = req.user.id;
-    const clientId = req.clientId;
-    console.log(testId, userId, clientId);
 
     // Validate test exists
     const test = await ObjectiveTest.findById(testId);
@@ -556,12 +593,9 @@ exports.submitTest = async (req, res) => {
         message: "Test not found",
       });
     }
-    console.log(test);
 
-    // Get all questions for this test
-    const questions = await ObjectiveTestQuestion.find({ test: testId });
-    console.log(questions);
-    if (questions.length === 0) {
+    const questionCount = await ObjectiveTestQuestion.countDocuments({ test: testId, isActive: true });
+    if (questionCount === 0) {
       return res.status(400).json({
         success: false,
         message: "No questions found for this test",
@@ -582,90 +616,52 @@ exports.submitTest = async (req, res) => {
       });
     }
 
-    // Calculate completion time
-    const endTime = new Date();
-    const completionTimeMs =
-      endTime.getTime() - existingResult.startTime.getTime();
-    const completionTimeSeconds = formatCompletionTime(completionTimeMs);
-
-    // Calculate results
-    let correctAnswers = 0;
-    let levelResults = {
-      L1: { total: 0, correct: 0, score: 0 },
-      L2: { total: 0, correct: 0, score: 0 },
-      L3: { total: 0, correct: 0, score: 0 },
-    };
-
-    // Process each question
-    questions.forEach((question) => {
-      const userAnswer = answers[question._id];
-      const isCorrect = userAnswer === question.correctAnswer;
-      console.log(userAnswer, question.correctAnswer);
-      if (isCorrect) {
-        correctAnswers++;
-      }
-
-      // Update level breakdown
-      const level = question.difficulty || "L1";
-      levelResults[level].total++;
-      if (isCorrect) {
-        levelResults[level].correct++;
-      }
-    });
-
-    // Calculate scores
-    const overallScore = (correctAnswers / totalQuestions) * 100;
-
-    // Calculate level-specific scores
-    Object.keys(levelResults).forEach((level) => {
-      if (levelResults[level].total > 0) {
-        levelResults[level].score =
-          (levelResults[level].correct / levelResults[level].total) * 100;
-      }
-    });
-
-    // Add current attempt to history
-    existingResult.attemptHistory.push({
-      attemptNumber: existingResult.attemptNumber,
-      score: Math.round(overallScore * 100) / 100,
-      completionTime: completionTimeSeconds,
-      answers: answers, // Save answers in attempt history
-      submittedAt: new Date(),
-      correctAnswers: correctAnswers,
-      totalQuestions: totalQuestions,
-      levelBreakdown: levelResults
+    // Past the deadline the answers sent now are ignored: the attempt is
+    // scored from what was autosaved in time
+    const late = objectiveAttempts.isExpired(existingResult);
+    const { testResult, scoring } = await objectiveAttempts.finalizeAttempt(existingResult, {
+      test,
+      answers: late || !answers || typeof answers !== "object" ? null : answers,
+      autoSubmitted: late,
     });
 
-    // Update the existing test result with completion data
-    existingResult.answers = answers;
-    existingResult.score = Math.round(overallScore * 100) / 100; // Round to 2 decimal places
-    existingResult.totalQuestions = totalQuestions;
-    existingResult.answeredQuestions = answeredQuestions;
-    existingResult.correctAnswers = correctAnswers;
-    existingResult.levelBreakdown = levelResults;
-    existingResult.completionTime = completionTimeSeconds; // Store in milliseconds
-    existingResult.status = "completed";
-    existingResult.submittedAt = new Date();
-
-    await existingResult.save();
-
+    if (!scoring) {
+      return res.status(409).json({
+        success: false,
+        message: "This attempt has already been submitted",
+        data: { testResultId: testResult._id, attemptNumber: testResult.attemptNumber },
+      });
+    }
 
     res.json({
       success: true,
-      message: `Test submitted successfully (Attempt ${existingResult.attemptNumber}/${existingResult.maxAttempts})`,
+      message: late
+        ? "Time was up: your answers saved before the deadline have been submitted"
+        : `Test submitted successfully (Attempt ${testResult.attemptNumber}/${testResult.maxAttempts})`,
       data: {
-        testResultId: existingResult._id,
-        attemptNumber: existingResult.attemptNumber,
-        maxAttempts: existingResult.maxAttempts,
-        score: existingResult.score,
-        correctAnswers,
-        totalQuestions,
-        answeredQuestions,
-        levelBreakdown: levelResults,
-        startTime: existingResult.startTime,
-        completionTime: existingResult.completionTime, // Raw milliseconds
-        submittedAt: existingResult.submittedAt,
-        remainingAttempts: existingResult.maxAttempts - existingResult.attemptNumber
+        testResultId: testResult._id,
+        attemptNumber: testResult.attemptNumber,
+        maxAttempts: testResult.maxAttempts,
+        score: testResult.score,
+        marks: testResult.marks,
+        maxMarks: testResult.maxMarks,
+        correctAnswers: testResult.correctAnswers,
+        wrongAnswers: testResult.wrongAnswers,
+        unattempted: testResult.unattempted,
+        totalQuestions: testResult.totalQuestions,
+        answeredQuestions: testResult.answeredQuestions,
+        levelBreakdown: scoring.levelBreakdown,
+        sectionBreakdown: scoring.sectionBreakdown,
+        cutoff: scoring.cutoff,
+        qualified: scoring.qualified,
+        questionResults: scoring.questionResults,
+        autoSubmitted: testResult.autoSubmitted,
+        lateSubmission: late,
+        startTime: testResult.startTime,
+        deadline: testResult.deadline,
+        completionTime: testResult.completionTime,
+        submittedAt: testResult.submittedAt,
+        remainingAttempts: testResult.maxAttempts - testResult.attemptNumber
       },
     });
   } catch (error) {
@@ -678,7 +674,9 @@ exports.submitTest = async (req, res) => {
   }
 };
 
-// Start test - track when user begins the test
+// Start test - track when user begins the test. An attempt still in
+// progress is resumed with its saved answers and remaining time; one whose
+// deadline has passed is submitted first.
 exports.startTest = async (req, res) => {
   try {
     const { testId } = req.params;
@@ -700,8 +698,32 @@ exports.startTest = async (req, res) => {
       testId
     });
 
+    if (existingResult && existingResult.status === "in_progress") {
+      if (!objectiveAttempts.isExpired(existingResult)) {
+        return res.json({
+          success: true,
+          message: `Test resumed (Attempt ${existingResult.attemptNumber}/${existingResult.maxAttempts})`,
+          data: {
+            resumed: true,
+            testResultId: existingResult._id,
+            attemptNumber: existingResult.attemptNumber,
+            maxAttempts: existingResult.maxAttempts,
+            startTime: existingResult.startTime,
+            durationMinutes: test.durationMinutes,
+            deadline: existingResult.deadline,
+            remainingSeconds: objectiveAttempts.remainingSeconds(existingResult),
+            serverTime: new Date(),
+            savedAnswers: objectiveAttempts.savedAnswersOf(existingResult),
+            remainingAttempts: existingResult.maxAttempts - existingResult.attemptNumber
+          }
+        });
+      }
+      ({ testResult: existingResult } = await objectiveAttempts.finalizeAttempt(existingResult, { test, autoSubmitted: true }));
+    }
+
     const maxAttempts = 5;
     let currentAttempt;
+    const startTime = new Date();
 
     if (!existingResult) {
       // First time taking this test
@@ -714,7 +736,8 @@ exports.startTest = async (req, res) => {
         clientId,
         attemptNumber: currentAttempt,
         maxAttempts: maxAttempts,
-        startTime: new Date(),
+        startTime,
+        deadline: objectiveAttempts.deadlineFor(test, startTime),
         status: "in_progress"
       });
     } else {
@@ -729,21 +752,12 @@ exports.startTest = async (req, res) => {
         });
       }
 
-      // Check if there's an in_progress attempt
-      if (existingResult.status === "in_progress") {
-        return res.status(400).json({
-          success: false,
-          message: "You have an ongoing test. Please complete it first.",
-          data: {
-            testResultId: existingResult._id,
-            attemptNumber: existingResult.attemptNumber
-          }
-        });
-      }
-
       // Update existing result for new attempt
       existingResult.attemptNumber = currentAttempt;
-      existingResult.startTime = new Date();
+      existingResult.startTime = startTime;
+      existingResult.deadline = objectiveAttempts.deadlineFor(test, startTime);
+      existingResult.lastSavedAt = null;
+      existingResult.autoSubmitted = false;
       existingResult.status = "in_progress";
       existingResult.answers = new Map(); // Clear previous answers
       existingResult.score = null;
@@ -753,6 +767,12 @@ exports.startTest = async (req, res) => {
       existingResult.totalQuestions = null;
       existingResult.answeredQuestions = null;
       existingResult.levelBreakdown = null;
+      existingResult.marks = null;
+      existingResult.maxMarks = null;
+      existingResult.wrongAnswers = null;
+      existingResult.unattempted = null;
+      existingResult.sectionBreakdown = [];
+      existingResult.qualified = null;
     }
 
     await existingResult.save();
@@ -761,10 +781,15 @@ exports.startTest = async (req, res) => {
       success: true,
       message: `Test started (Attempt ${currentAttempt}/${maxAttempts})`,
       data: {
+        resumed: false,
         testResultId: existingResult._id,
         attemptNumber: currentAttempt,
         maxAttempts: maxAttempts,
         startTime: existingResult.startTime,
+        durationMinutes: test.durationMinutes,
+        deadline: existingResult.deadline,
+        remainingSeconds: objectiveAttempts.remainingSeconds(existingResult),
+        serverTime: new Date(),
         remainingAttempts: maxAttempts - currentAttempt
       }
     });
@@ -791,7 +816,7 @@ exports.getUserTestResults = async (req, res) => {
       userId: userId,
       testId: testId,
     })
-      .populate("testId", "name category subcategory description Estimated_time")
+      .populate("testId", "name category subcategory description Estimated_time sections cutoff")
       .sort({ submittedAt: -1 });
     
     if (!result) {
@@ -810,7 +835,13 @@ exports.getUserTestResults = async (req, res) => {
       submittedAt: attempt.submittedAt,
       correctAnswers: attempt.correctAnswers,
       totalQuestions: attempt.totalQuestions,
-      levelBreakdown: attempt.levelBreakdown
+      levelBreakdown: attempt.levelBreakdown,
+      marks: attempt.marks,
+      maxMarks: attempt.maxMarks,
+      wrongAnswers: attempt.wrongAnswers,
+      unattempted: attempt.unattempted,
+      sectionBreakdown: attempt.sectionBreakdown,
+      qualified: attempt.qualified
     }));
 
     // Get all unique question IDs from all attempts
@@ -824,7 +855,7 @@ exports.getUserTestResults = async (req, res) => {
     // Get questions based on test type (objective test)
     const questions = await ObjectiveTestQuestion.find({
       _id: { $in: Array.from(allQuestionIds) }
-    }).select("question options correctAnswer difficulty");
+    }).select("question options correctAnswer difficulty positiveMarks negativeMarks section");
 
     // Calculate overall statistics
     const totalAttempts = result.attemptHistory.length;
@@ -839,6 +870,9 @@ exports.getUserTestResults = async (req, res) => {
       options: question.options,
       correctAnswer: question.correctAnswer,
       difficulty: question.difficulty,
+      positiveMarks: question.positiveMarks,
+      negativeMarks: question.negativeMarks,
+      section: question.section,
       type: 'objective'
     }));
 
@@ -853,6 +887,8 @@ exports.getUserTestResults = async (req, res) => {
           subcategory: result.testId.subcategory,
           description: result.testId.description,
           estimatedTime: result.testId.Estimated_time,
+          sections: result.testId.sections,
+          cutoff: result.testId.cutoff,
           type: 'objective'
         },
         // Attempt Statistics
@@ -914,7 +950,13 @@ exports.getUserTestHistory = async (req, res) => {
       submittedAt: attempt.submittedAt,
       correctAnswers: attempt.correctAnswers,
       totalQuestions: attempt.totalQuestions,
-      levelBreakdown: attempt.levelBreakdown
+      levelBreakdown: attempt.levelBreakdown,
+      marks: attempt.marks,
+      maxMarks: attempt.maxMarks,
+      wrongAnswers: attempt.wrongAnswers,
+      unattempted: attempt.unattempted,
+      sectionBreakdown: attempt.sectionBreakdown,
+      qualified: attempt.qualified
     }));
 
     // Get all unique question IDs from all attempts
@@ -966,11 +1008,16 @@ exports.getCurrentAttemptStatus = async (req, res) => {
     const userId = req.user.id;
 
     // Find the single result document for this user and test
-    const result = await TestResult.findOne({
+    let result = await TestResult.findOne({
       userId,
       testId
     });
 
+    // An attempt whose time ran out is submitted before reporting on it
+    if (result && result.status === "in_progress" && objectiveAttempts.isExpired(result)) {
+      ({ testResult: result } = await objectiveAttempts.finalizeAttempt(result, { autoSubmitted: true }));
+    }
+
     if (!result) {
       return res.json({
         success: true,
@@ -988,7 +1035,11 @@ exports.getCurrentAttemptStatus = async (req, res) => {
     const completedAttempts = result.attemptHistory ? result.attemptHistory.length : 0;
     const inProgressAttempt = result.status === "in_progress" ? {
       attemptNumber: result.attemptNumber,
-      startTime: result.startTime
+      startTime: result.startTime,
+      deadline: result.deadline,
+      remainingSeconds: objectiveAttempts.remainingSeconds(result),
+      savedAnswers: result.answers ? result.answers.size : 0,
+      lastSavedAt: result.lastSavedAt
     } : null;
 
     // Calculate best score from attempt history
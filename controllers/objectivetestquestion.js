@@ -1,6 +1,12 @@
 const ObjectiveTestQuestion = require('../models/ObjectiveTestQuestion');
 const ObjectiveTest = require('../models/ObjectiveTest');
 const User = require('../models/User');
+const objectiveAttempts = require('../services/objectiveAttempts');
+
+// Whether sectionId is one of the test's sections
+const hasSection = (test, sectionId) => {
+    return Boolean(test?.sections?.some(section => String(section._id) === String(sectionId)));
+};
 
 exports.createQuestion = async (req, res) => {
     try {
@@ -13,6 +19,7 @@ exports.createQuestion = async (req, res) => {
             positiveMarks,
             negativeMarks,
             solution,
+            section,
         } = req.body;
         const testId = req.params.testId;
 
@@ -57,6 +64,13 @@ exports.createQuestion = async (req, res) => {
             });
         }
 
+        if (section && !hasSection(test, section)) {
+            return res.status(400).json({
+                success: false,
+                message: "Section not found in this test"
+            });
+        }
+
         // Create question data
         const questionData = {
             question: question.trim(),
@@ -66,6 +80,7 @@ exports.createQuestion = async (req, res) => {
             estimatedTime: estimatedTime || 1,
             positiveMarks: positiveMarks || 1,
             negativeMarks: negativeMarks || 0,
+            section: section || null,
             test: testId,
             createdBy: req.user.id
         };
@@ -287,7 +302,8 @@ exports.updateQuestion = async (req, res) => {
             estimatedTime,
             positiveMarks,
             negativeMarks,
-            solution
+            solution,
+            section
         } = req.body;
 
         // Find the question
@@ -314,6 +330,16 @@ exports.updateQuestion = async (req, res) => {
             });
         }
 
+        if (section) {
+            const test = await ObjectiveTest.findById(existingQuestion.test).select('sections');
+            if (!hasSection(test, section)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Section not found in this test"
+                });
+            }
+        }
+
         // Prepare update data
         const updateData = {};
         if (question) updateData.question = question.trim();
@@ -323,6 +349,7 @@ exports.updateQuestion = async (req, res) => {
         if (estimatedTime !== undefined) updateData.estimatedTime = estimatedTime;
         if (positiveMarks !== undefined) updateData.positiveMarks = positiveMarks;
         if (negativeMarks !== undefined) updateData.negativeMarks = negativeMarks;
+        if (section !== undefined) updateData.section = section || null;
 
         // Handle solution update
         if (solution) {
@@ -402,7 +429,9 @@ exports.deleteQuestion = async (req, res) => {
     }
 };
 
-// Record answer attempt
+// Record answer attempt. A mobile user with an attempt in progress at the
+// question's test has the answer autosaved to it instead, without being told
+// whether it is correct.
 exports.recordAnswer = async (req, res) => {
     try {
         const { questionId } = req.params;
@@ -438,4 +467,66 @@ exports.recordAnswer = async (req, res) => {
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
+};
+
+// Autosave a mobile user's answer to their attempt in progress. Never
+// reveals the correct answer or touches the question's stats.
+exports.saveMobileAnswer = async (req, res) => {
+    try {
+        const { questionId } = req.params;
+        const { selectedAnswer } = req.body;
+
+        const question = await ObjectiveTestQuestion.findById(questionId);
+        if (!question) {
+            return res.status(404).json({
+                success: false,
+                message: "Question not found"
+            });
+        }
+
+        const { status, testResult } = await objectiveAttempts.saveAnswer({
+            userId: req.user.id,
+            question,
+            selectedAnswer
+        });
+
+        if (status === 'none') {
+            return res.status(409).json({
+                success: false,
+                message: "No attempt of this test is in progress: start the test first"
+            });
+        }
+        if (status === 'invalid') {
+            return res.status(400).json({
+                success: false,
+                message: "selectedAnswer must be one of the question's option indexes, or null to clear it"
+            });
+        }
+        if (status === 'expired') {
+            return res.status(409).json({
+                success: false,
+                message: "Time is up: the test has been submitted with your saved answers",
+                data: { testResultId: testResult._id, status: testResult.status }
+            });
+        }
+
+        res.json({
+            success: true,
+            saved: true,
+            questionId: question._id,
+            selectedAnswer: testResult.answers.get(String(question._id)) ?? null,
+            savedAnswers: testResult.answers.size,
+            lastSavedAt: testResult.lastSavedAt,
+            deadline: testResult.deadline,
+            remainingSeconds: objectiveAttempts.remainingSeconds(testResult)
+        });
+
+    } catch (error) {
+        console.error('Error saving answer:', error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
 };
\ No newline at end of file
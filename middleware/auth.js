@@ -33,6 +33,21 @@ exports.verifyTokenforevaluator = async (req, res, next) => {
   }
 };
 
+// Set req.evaluator when the request carries a valid evaluator token, for
+// routes that evaluators share with others; never rejects the request
+exports.identifyEvaluator = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+      req.evaluator = await Evaluator.findById(decoded.id).select('-password');
+    } catch (error) {
+      req.evaluator = null;
+    }
+  }
+  next();
+};
+
 // Verify user token
 exports.verifyToken = async (req, res, next) => {
   try {
@@ -0,0 +1,77 @@
+// middleware/creditMetering.js - Charge mobile users credits for AI services
+const creditMetering = require('../services/creditMetering');
+const { sendLedgerError } = require('../services/creditLedger');
+
+// Holds settled by the response hook; the sweep refunds any it missed
+const RESPONSE_HOLD = 15 * 60 * 1000;
+// Manually settled holds not yet linked to their resource
+const UNLINKED_HOLD = 30 * 60 * 1000;
+
+// Tell meterCredits the request did no billable work even though it
+// responded successfully (e.g. an SSE stream that ended in an error event)
+const markCreditsUnused = (res) => {
+  res.locals.creditsUnused = true;
+};
+
+/**
+ * Reserve credits for a metered service before the route handler runs.
+ * Must come after authenticateMobileUser.
+ *
+ * options:
+ *   units(req)  - units to charge (default 1); 0 skips metering
+ *   settle      - 'response' (default): capture when the response succeeds,
+ *                 refund on an error status or a dropped connection.
+ *                 'manual': the handler links req.creditReservation to the
+ *                 record it creates and the hold is settled when that
+ *                 record's work finishes; error responses still refund.
+ *   onRejected(req) - cleanup when the request is turned away (402)
+ */
+const meterCredits = (service, options = {}) => {
+  const { units = 1, settle = 'response', onRejected } = options;
+
+  return async (req, res, next) => {
+    let reservation;
+    try {
+      const count = typeof units === 'function' ? await units(req) : units;
+      if (!count) return next();
+
+      reservation = await creditMetering.reserve({
+        userId: req.user.id,
+        clientId: req.user.clientId || null,
+        service,
+        units: count,
+        holdFor: settle === 'manual' ? UNLINKED_HOLD : RESPONSE_HOLD
+      });
+    } catch (error) {
+      if (typeof onRejected === 'function') {
+        try {
+          await onRejected(req);
+        } catch (cleanupError) {
+          console.error('Credit metering cleanup failed:', cleanupError);
+        }
+      }
+      return sendLedgerError(res, error);
+    }
+
+    if (!reservation) return next();
+    req.creditReservation = reservation;
+
+    res.once('close', () => {
+      const succeeded = res.writableFinished && res.statusCode < 400 && !res.locals.creditsUnused;
+      if (succeeded && settle === 'manual') return;
+
+      const settlement = succeeded
+        ? creditMetering.capture(reservation._id)
+        : creditMetering.refund(reservation._id, res.writableFinished ? `request failed (${res.statusCode})` : 'request aborted');
+      settlement.catch((error) => {
+        console.error(`Failed to settle credit reservation ${reservation._id}:`, error.message);
+      });
+    });
+    next();
+  };
+};
+
+module.exports = {
+  meterCredits,
+  markCreditsUnused
+};
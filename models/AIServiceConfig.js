@@ -4,7 +4,8 @@ const aiServiceConfigSchema = new mongoose.Schema({
   serviceName: {
     type: String,
     required: true,
-    enum: ["openai", "gemini", "agentic"], // Added agentic service
+    // custom = any OpenAI-compatible endpoint (self-hosted or stand-in model server)
+    enum: ["openai", "gemini", "agentic", "custom"],
     unique: true,
   },
   displayName: {
@@ -13,7 +14,10 @@ const aiServiceConfigSchema = new mongoose.Schema({
   },
   apiKey: {
     type: String,
-    required: true,
+    // Self-hosted endpoints often run without authentication
+    required: function () {
+      return this.serviceName !== "custom"
+    },
   },
   apiUrl: {
     type: String,
@@ -26,7 +30,7 @@ const aiServiceConfigSchema = new mongoose.Schema({
   supportedTasks: [
     {
       type: String,
-      enum: ["text_extraction", "analysis", "evaluation"],
+      enum: ["text_extraction", "analysis", "evaluation", "chat", "embedding"],
       required: true,
     },
   ],
@@ -43,8 +47,16 @@ const aiServiceConfigSchema = new mongoose.Schema({
       type: Boolean,
       default: false,
     },
+    chat: {
+      type: Boolean,
+      default: false,
+    },
+    embedding: {
+      type: Boolean,
+      default: false,
+    },
   },
-  // Additional configuration for agentic service
+  // Additional per-service configuration (agentic options, model overrides)
   serviceConfig: {
     timeout: {
       type: Number,
@@ -62,6 +74,24 @@ const aiServiceConfigSchema = new mongoose.Schema({
       type: String,
       default: null, // e.g., "0,1,2" for first 3 pages
     },
+    // Model overrides; required for the custom service, optional elsewhere
+    textModel: {
+      type: String,
+      default: null,
+    },
+    visionModel: {
+      type: String,
+      default: null,
+    },
+    embeddingModel: {
+      type: String,
+      default: null,
+    },
+    // Set to false for OpenAI-compatible servers that reject response_format
+    jsonMode: {
+      type: Boolean,
+      default: true,
+    },
   },
   createdAt: {
     type: Date,
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// An evaluator's markup on the page images of an answer, kept as vector
+// items rather than flattened images so it can be edited, searched and
+// aggregated. Positions are fractions (0-1) of the page image's width and
+// height, so they hold at any resolution the image is shown or rendered at.
+const annotationItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['tick', 'cross', 'highlight', 'comment', 'mark'],
+    required: true
+  },
+  // Index into UserAnswer.answerImages
+  page: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  x: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  y: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  // Size of the region for highlights and marks
+  width: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  height: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  // Margin comment, or the note on a mark
+  text: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Marks awarded for the region (mark items)
+  marks: {
+    type: Number,
+    default: null
+  },
+  maxMarks: {
+    type: Number,
+    default: null
+  },
+  color: {
+    type: String,
+    default: null
+  }
+});
+
+const AnswerAnnotationSchema = new mongoose.Schema({
+  answerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserAnswer',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MobileUser',
+    required: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  evaluator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluator',
+    required: true
+  },
+  items: [annotationItemSchema],
+  // Sum of the marks items; null without any
+  totalMarks: {
+    type: Number,
+    default: null
+  },
+  // Bumped on every save; an edit based on an older version is rejected
+  version: {
+    type: Number,
+    default: 1
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+AnswerAnnotationSchema.index({ answerId: 1 }, { unique: true });
+AnswerAnnotationSchema.index({ evaluator: 1, updatedAt: -1 });
+AnswerAnnotationSchema.index({ clientId: 1, questionId: 1 });
+AnswerAnnotationSchema.index({ 'items.text': 'text' });
+
+module.exports = mongoose.model('AnswerAnnotation', AnswerAnnotationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const citationSchema = new mongoose.Schema({
+  index: Number,
+  fileName: String,
+  page: Number,
+  chapter: String,
+  section: String,
+  chunkIndex: Number,
+  similarity: Number,
+  text: String,
+  cited: Boolean
+}, { _id: false });
+
+// One turn in a ChatSession
+const chatMessageSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatSession',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Follow-up question rewritten with prior turns, as used for retrieval
+  standaloneQuestion: {
+    type: String,
+    default: null
+  },
+  citations: {
+    type: [citationSchema],
+    default: []
+  },
+  confidence: {
+    type: Number
+  },
+  metadata: {
+    method: String,
+    modelUsed: String,
+    tokensUsed: Number,
+    processingTimeMs: Number
+  }
+}, {
+  timestamps: true
+});
+
+chatMessageSchema.index({ sessionId: 1, createdAt: 1, _id: 1 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A mobile user's conversation with one book (optionally scoped to one PDF)
+const chatSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MobileUser',
+    required: true
+  },
+  clientId: {
+    type: String
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  // PDF the session is scoped to; null for book-wide chat
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataStore',
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: 'New chat'
+  },
+  // True once the user renames the session, so the title is no longer
+  // derived from the first question
+  titleEdited: {
+    type: Boolean,
+    default: false
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+chatSessionSchema.index({ userId: 1, bookId: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('ChatSession', chatSessionSchema);
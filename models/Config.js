@@ -7,7 +7,25 @@ const modelSchema = new mongoose.Schema({
   modelname: { type: String, required: true },
   description: { type: String },
   status:{ type: String },
-  isExpired: { type: Boolean, default: false }
+  isExpired: { type: Boolean, default: false },
+  // Client-owned credentials; when empty the global AIServiceConfig entry
+  // for the same sourcename supplies the key/URL
+  apiKey: { type: String },
+  apiUrl: { type: String },
+  // LLM tasks this model serves (text_extraction, analysis, evaluation, chat,
+  // embedding). Empty means every task. Earlier models in the list win.
+  tasks: [{
+    type: String,
+    enum: ['text_extraction', 'analysis', 'evaluation', 'chat', 'embedding']
+  }]
+});
+
+// Never echo client API keys back in responses
+modelSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.apiKey) ret.apiKey = '***HIDDEN***';
+    return ret;
+  }
 });
 
 const configSchema = new mongoose.Schema(
@@ -36,6 +36,17 @@ const CreditAccountSchema = new mongoose.Schema({
     enum: ['active', 'suspended', 'closed'],
     default: 'active'
   },
+  // Result of the last reconciliation against CreditTransaction history
+  reconciliation: {
+    status: {
+      type: String,
+      enum: ['ok', 'drift'],
+      default: null
+    },
+    expectedBalance: Number,
+    drift: Number,
+    checkedAt: Date
+  },
   lastTransactionDate: {
     type: Date,
     default: Date.now
@@ -50,4 +61,6 @@ const CreditAccountSchema = new mongoose.Schema({
   }
 });
 
+CreditAccountSchema.index({ 'reconciliation.status': 1 });
+
 module.exports = mongoose.model('CreditAccount', CreditAccountSchema);
\ No newline at end of file
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['credit', 'debit', 'reversal', 'payment_refund'];
+
+const REASON_CODES = [
+  'goodwill',
+  'service_failure',
+  'billing_error',
+  'duplicate_payment',
+  'customer_request',
+  'fraud',
+  'chargeback',
+  'correction',
+  'other'
+];
+
+// Audit record of every manual change to a user's credits: who asked for it,
+// who approved it, why, and the transactions and payment it touched
+const CreditAdjustmentSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'processing', 'completed', 'failed', 'rejected'],
+    default: 'processing',
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MobileUser',
+    required: true,
+    index: true
+  },
+  // Credits added (credit) or removed (debit, reversal, refund clawback)
+  credits: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reasonCode: {
+    type: String,
+    enum: REASON_CODES,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null
+  },
+  // Transaction being reversed, or the purchase a refund claws back
+  originalTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  // Transaction this adjustment posted
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  orderId: {
+    type: String,
+    default: null
+  },
+  refund: {
+    amount: Number,
+    currency: String,
+    gateway: String,
+    gatewayRefundId: String,
+    status: {
+      type: String,
+      enum: ['PENDING', 'SUCCESS', 'FAILED']
+    },
+    responseMsg: String
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin's Idempotency-Key, so a retried request returns this adjustment
+  requestKey: {
+    type: String,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+CreditAdjustmentSchema.index({ createdAt: -1 });
+CreditAdjustmentSchema.index({ originalTransaction: 1 });
+CreditAdjustmentSchema.index({ payment: 1 });
+CreditAdjustmentSchema.index({ requestKey: 1 }, { unique: true, sparse: true });
+
+CreditAdjustmentSchema.statics.ACTIONS = ACTIONS;
+CreditAdjustmentSchema.statics.REASON_CODES = REASON_CODES;
+
+module.exports = mongoose.model('CreditAdjustment', CreditAdjustmentSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One side of a double-entry posting. Every CreditTransaction (the journal)
+// has two entries of equal amount and opposite direction: one on the user's
+// account and one on a system account (sales, service_usage, ...). Credits
+// increase an account, debits decrease it.
+const CreditLedgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    required: true
+  },
+  // 'user:<userId>' or 'system:<name>'
+  account: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserProfile',
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CreditLedgerEntrySchema.index({ journalId: 1 });
+CreditLedgerEntrySchema.index({ account: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditLedgerEntry', CreditLedgerEntrySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Credits from one credit transaction, tracked so they can expire. Debits
+// draw down the lots that expire soonest first; lots without expiresAt never
+// expire and are used last.
+const CreditLotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserProfile',
+    required: true
+  },
+  sourceTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'expired'],
+    default: 'active'
+  },
+  // Set by the expiry sweep
+  expiredAmount: {
+    type: Number,
+    default: 0
+  },
+  expiryTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  expiryNoticeSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+CreditLotSchema.index({ userId: 1, status: 1, expiresAt: 1 });
+CreditLotSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('CreditLot', CreditLotSchema);
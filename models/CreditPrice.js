@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Credits charged for a metered AI service. Rows with clientId null are the
+// platform defaults; a client row overrides them for that client's users.
+const CreditPriceSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    default: null
+  },
+  service: {
+    type: String,
+    enum: ['ai_evaluation', 'pdf_chat', 'expert_review', 'youtube_transcription'],
+    required: true
+  },
+  // What one unit is: an answer page, a chat question, a reviewed answer...
+  unit: {
+    type: String,
+    enum: ['page', 'question', 'answer', 'request'],
+    required: true
+  },
+  creditsPerUnit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+CreditPriceSchema.index({ clientId: 1, service: 1 }, { unique: true });
+
+module.exports = mongoose.model('CreditPrice', CreditPriceSchema);
@@ -29,6 +29,10 @@ const CreditRechargePlanSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  validityDays: {
+    type: Number,
+    default: null // null means no expiry
+  },
   status: {
     type: String,
     enum: ['active', 'inactive'],
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Credits held for a metered AI request. The hold is debited from the
+// account up front; capturing keeps it, refunding credits it back.
+const CreditReservationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserProfile',
+    required: true
+  },
+  clientId: {
+    type: String,
+    default: null
+  },
+  service: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  units: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  creditsPerUnit: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'captured', 'refunded'],
+    default: 'reserved'
+  },
+  // What the credits paid for, once it exists (UserAnswer, ReviewRequest, ...)
+  resourceType: {
+    type: String,
+    default: null
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  holdTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  refundTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  refundReason: {
+    type: String,
+    default: null
+  },
+  // Unsettled holds past this time are refunded by the sweep job; holds
+  // settled by their resource's lifecycle have none
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  capturedAt: Date,
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+CreditReservationSchema.index({ status: 1, expiresAt: 1 });
+CreditReservationSchema.index({ resourceType: 1, resourceId: 1 });
+CreditReservationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditReservation', CreditReservationSchema);
@@ -26,7 +26,7 @@ const CreditTransactionSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['purchase', 'service_usage', 'refund', 'bonus', 'referral', 'admin_adjustment', 'expiry', 'other'],
+    enum: ['purchase', 'service_usage', 'refund', 'bonus', 'referral', 'admin_adjustment', 'expiry', 'reversal', 'other'],
     required: true
   },
   description: {
@@ -37,6 +37,11 @@ const CreditTransactionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Caller-supplied key: repeating a request with the same key returns the
+  // original transaction instead of moving credits again
+  idempotencyKey: {
+    type: String
+  },
   // Add plan information for purchases
   planId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,6 +56,15 @@ const CreditTransactionSchema = new mongoose.Schema({
     type: String,
     default: 'INR'
   },
+  // CreditLots this transaction added to (credits) or drew from (debits)
+  lotAllocations: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditLot'
+    },
+    amount: Number
+  }],
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -71,10 +85,38 @@ const CreditTransactionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Why an admin adjustment or reversal was made (see CreditAdjustment.REASON_CODES)
+  reasonCode: {
+    type: String,
+    default: null
+  },
+  // Transaction this one reverses or claws back
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  // Set on the original once it has been reversed
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+CreditTransactionSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+CreditTransactionSchema.index({ userId: 1, createdAt: -1 });
+CreditTransactionSchema.index({ reversalOf: 1 }, { sparse: true });
+
 module.exports = mongoose.model('CreditTransaction', CreditTransactionSchema);
\ No newline at end of file
@@ -81,6 +81,11 @@ const evaluatorSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Head examiners settle moderation disagreements and can override scores
+  isHeadExaminer: {
+    type: Boolean,
+    default: false
+  },
   clientAccess: [{
     id: {
       type: String,
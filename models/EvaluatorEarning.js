@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// One line of an evaluator's earnings ledger: a completed review at the
+// rate in force when it was completed, or an adjustment agreed when a
+// payout was disputed. Entries are never edited; a wrong amount is
+// corrected with an adjustment.
+const EvaluatorEarningSchema = new mongoose.Schema({
+  evaluator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluator',
+    required: true
+  },
+  clientId: {
+    type: String,
+    default: null
+  },
+  entryType: {
+    type: String,
+    enum: ['review', 'adjustment'],
+    required: true
+  },
+  // 'review:<answerId>' or 'adjustment:<statementId>:<n>' - one entry per
+  // reviewed answer however many times completion is reported
+  sourceKey: {
+    type: String,
+    required: true
+  },
+  answerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserAnswer',
+    default: null
+  },
+  reviewRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReviewRequest',
+    default: null
+  },
+  questionType: {
+    type: String,
+    default: null
+  },
+  grade: {
+    type: String,
+    default: null
+  },
+  rateCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvaluatorRateCard',
+    default: null
+  },
+  rateSource: {
+    type: String,
+    enum: ['client', 'platform', 'default', null],
+    default: null
+  },
+  // Negative for adjustments that take money back
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Month the entry was earned in, Indian time ('2026-09')
+  month: {
+    type: String,
+    required: true
+  },
+  earnedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Payout statement the entry was billed on; null until then
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutStatement',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+EvaluatorEarningSchema.index({ sourceKey: 1 }, { unique: true });
+EvaluatorEarningSchema.index({ evaluator: 1, statement: 1, month: 1 });
+EvaluatorEarningSchema.index({ statement: 1, earnedAt: 1 });
+
+module.exports = mongoose.model('EvaluatorEarning', EvaluatorEarningSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// What an evaluator is paid per completed review. Rows with clientId null
+// are the platform rates; a client row overrides them for that client's
+// reviews. grade null applies to evaluators of any grade.
+const EvaluatorRateCardSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    default: null
+  },
+  questionType: {
+    type: String,
+    enum: ['aiswb', 'subjective'],
+    required: true
+  },
+  grade: {
+    type: String,
+    enum: ['1st grade', '2nd grade', '3rd grade', null],
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+EvaluatorRateCardSchema.index({ clientId: 1, questionType: 1, grade: 1 }, { unique: true });
+
+module.exports = mongoose.model('EvaluatorRateCard', EvaluatorRateCardSchema);
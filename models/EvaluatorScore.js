@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A score an evaluator gave an answer, with the AI's score for the same
+// answer when it had one, both as percentages of the maximum marks. The
+// basis for agreement and drift metrics.
+const EvaluatorScoreSchema = new mongoose.Schema({
+  evaluator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluator',
+    required: true
+  },
+  answerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserAnswer',
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  // manual_evaluation: PUT /answers/:answerId/evaluate
+  // expert_review: a review request submitted through /:requestId/submit
+  source: {
+    type: String,
+    enum: ['manual_evaluation', 'expert_review'],
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  maxScore: {
+    type: Number,
+    required: true
+  },
+  percent: {
+    type: Number,
+    required: true
+  },
+  aiPercent: {
+    type: Number,
+    default: null
+  },
+  scoredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+EvaluatorScoreSchema.index({ answerId: 1, source: 1 }, { unique: true });
+EvaluatorScoreSchema.index({ clientId: 1, scoredAt: -1 });
+EvaluatorScoreSchema.index({ evaluator: 1, scoredAt: -1 });
+
+module.exports = mongoose.model('EvaluatorScore', EvaluatorScoreSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  pan: String,
+  address: String,
+  city: String,
+  pinCode: String,
+  stateCode: String,
+  state: String,
+  email: String,
+  phone: String
+}, { _id: false });
+
+// Tax invoice for one successful credit purchase. Seller and buyer details
+// are snapshots taken at issue, so later profile edits do not alter an
+// issued invoice; the PDF is rendered from this record on demand.
+const InvoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  // Seller: the client whose users bought the credits (null: platform)
+  clientId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MobileUser',
+    default: null,
+    index: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: {
+    stateCode: String,
+    state: String
+  },
+  interState: {
+    type: Boolean,
+    default: false
+  },
+  items: [{
+    _id: false,
+    description: String,
+    sacCode: String,
+    credits: Number,
+    quantity: Number,
+    taxableValue: Number
+  }],
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  gstRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  // Amount paid, tax included
+  total: {
+    type: Number,
+    required: true
+  },
+  gatewayName: String,
+  transactionId: String
+}, {
+  timestamps: true
+});
+
+InvoiceSchema.index({ clientId: 1, invoiceNumber: 1 }, { unique: true });
+InvoiceSchema.index({ clientId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
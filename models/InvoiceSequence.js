@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Last invoice number used by a seller (client, or null for the platform) in
+// a financial year. GST requires one consecutive series per year.
+const InvoiceSequenceSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    default: null
+  },
+  // '2026-27'
+  financialYear: {
+    type: String,
+    required: true
+  },
+  lastNumber: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+InvoiceSequenceSchema.index({ clientId: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceSequence', InvoiceSequenceSchema);
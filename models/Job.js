@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Durable background job processed by services/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Deduplication key - cleared once the job finishes, so only one
+  // queued/processing job can hold a given key at a time
+  uniqueKey: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  errorHistory: [{
+    attempt: Number,
+    message: String,
+    failedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index(
+  { uniqueKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { uniqueKey: { $type: 'string' } }
+  }
+);
+
+module.exports = mongoose.model('Job', jobSchema);
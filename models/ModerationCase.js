@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const raterSchema = new mongoose.Schema({
+  evaluator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluator'
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  percent: {
+    type: Number,
+    default: null
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  assignedAt: Date,
+  scoredAt: Date
+}, { _id: false });
+
+// A sampled answer re-scored blindly by a second evaluator (the moderator
+// never sees the first score). Cases where the two disagree beyond the
+// policy's tolerance go to a head examiner, whose decision is final.
+const ModerationCaseSchema = new mongoose.Schema({
+  answerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserAnswer',
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['manual_evaluation', 'expert_review'],
+    required: true
+  },
+  reviewRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReviewRequest',
+    default: null
+  },
+  maxScore: {
+    type: Number,
+    required: true
+  },
+  primary: raterSchema,
+  moderator: raterSchema,
+  aiPercent: {
+    type: Number,
+    default: null
+  },
+  // Percentage points between the two scores
+  difference: {
+    type: Number,
+    default: null
+  },
+  agreed: {
+    type: Boolean,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_moderator', 'awaiting_moderation', 'agreed', 'escalated', 'resolved'],
+    default: 'awaiting_moderation'
+  },
+  override: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Evaluator',
+      default: null
+    },
+    score: {
+      type: Number,
+      default: null
+    },
+    percent: {
+      type: Number,
+      default: null
+    },
+    previousScore: {
+      type: Number,
+      default: null
+    },
+    note: {
+      type: String,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+ModerationCaseSchema.index({ answerId: 1, source: 1 }, { unique: true });
+ModerationCaseSchema.index({ 'moderator.evaluator': 1, status: 1 });
+ModerationCaseSchema.index({ 'primary.evaluator': 1, status: 1 });
+ModerationCaseSchema.index({ clientId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationCase', ModerationCaseSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// How human scores are quality-checked for a client's answers (clientId
+// null: the platform policy). Scores are compared as percentages of the
+// question's maximum marks.
+const ModerationPolicySchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    default: null
+  },
+  // Percentage of scored answers blindly re-scored by a second evaluator
+  sampleRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Two scores this many percentage points apart or less agree; further
+  // apart, the case goes to a head examiner
+  tolerance: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Average gap from moderators or from the AI score, in percentage
+  // points, at which an evaluator is flagged as drifting
+  driftThreshold: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Scores needed in the window before drift is judged
+  minSamples: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ModerationPolicySchema.index({ clientId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ModerationPolicy', ModerationPolicySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown to a mobile user, admin or evaluator
+const notificationSchema = new mongoose.Schema({
+  recipientType: {
+    type: String,
+    enum: ['MobileUser', 'Admin', 'Evaluator', 'User'],
+    required: true
+  },
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  clientId: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Stops a scheduler from sending the same notification twice
+  dedupeKey: {
+    type: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipientType: 1, recipientId: 1, createdAt: -1 });
+notificationSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
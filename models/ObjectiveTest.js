@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// A part of the test with its own marking scheme and cut-off. Questions
+// point at a section through ObjectiveTestQuestion.section.
+const sectionSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    order: { type: Number, default: 0 },
+    // Marks for every question in the section; null keeps each question's own
+    positiveMarks: { type: Number, default: null, min: 0 },
+    negativeMarks: { type: Number, default: null, min: 0 },
+    // Minimum marks needed in this section (null: no cut-off)
+    cutoff: { type: Number, default: null }
+});
+
 const objectiveTestSchema = new mongoose.Schema({
     name: { type: String, required: true, default: "" },
     clientId: { type: String, required: true },
@@ -7,13 +20,18 @@ const objectiveTestSchema = new mongoose.Schema({
     category: { type: String, default: "" },
     subcategory: { type: String, default: "" },
     Estimated_time: { type: String, default: "" },
+    // Time allowed per attempt, enforced by the server (null: untimed)
+    durationMinutes: { type: Number, default: null, min: 1 },
     imageKey: { type: String, default: "" },
     imageUrl: { type: String, default: "" },
     isTrending: { type: Boolean, default: false },
     isHighlighted: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
     instructions: { type: String, default: "" },
-    questions: { type: Array, default: [] }
+    questions: { type: Array, default: [] },
+    sections: { type: [sectionSchema], default: [] },
+    // Minimum total marks to qualify (null: no overall cut-off)
+    cutoff: { type: Number, default: null }
 }, { timestamps: true });
 
 module.exports = mongoose.model('ObjectiveTest', objectiveTestSchema); 
\ No newline at end of file
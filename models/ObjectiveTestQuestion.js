@@ -43,6 +43,11 @@ const objectiveTestQuestionSchema = new mongoose.Schema({
     ref: 'ObjectiveTest',
     required: true
   },
+  // Section of the test (an _id in ObjectiveTest.sections); null: none
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   // Additional metadata
   tags: [{
     type: String,
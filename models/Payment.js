@@ -27,9 +27,10 @@ const paymentSchema = new mongoose.Schema({
     type: String, 
     default: 'INR' 
   },
+  // Mobile users buying for themselves may have no email on file
   customerEmail: { 
     type: String, 
-    required: true,
+    required: function() { return !this.userId; },
     index: true
   },
   customerPhone: { 
@@ -43,9 +44,20 @@ const paymentSchema = new mongoose.Schema({
   // Recharge plan purchased (optional)
   planId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'CreditRechargePlan',
+    refPath: 'planModel',
     default: null
   },
+  // A client's CreditRechargePlan or a platform-wide CreditPlan
+  planModel: {
+    type: String,
+    enum: ['CreditRechargePlan', 'CreditPlan'],
+    default: 'CreditRechargePlan'
+  },
+  clientId: {
+    type: String,
+    default: null,
+    index: true
+  },
   // Number of credits intended to be credited on success (snapshot at initiation)
   creditsPurchased: {
     type: Number,
@@ -73,6 +85,7 @@ const paymentSchema = new mongoose.Schema({
     default: 'PENDING',
     index: true
   },
+  // Last callback or webhook received for this order (any gateway)
   paytmResponse: { 
     type: Object 
   },
@@ -85,8 +98,23 @@ const paymentSchema = new mongoose.Schema({
   },
   gatewayName: { 
     type: String, 
+    enum: ['PAYTM', 'RAZORPAY'],
     default: 'PAYTM' 
   },
+  // Merchant account the payment was taken into (null: platform account from the environment)
+  gatewayConfigId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentGatewayConfig',
+    default: null
+  },
+  // The gateway's own order and payment ids (Paytm uses our orderId as its order id)
+  gatewayOrderId: {
+    type: String,
+    index: true
+  },
+  gatewayPaymentId: {
+    type: String
+  },
   paymentMode: { 
     type: String 
   },
@@ -105,6 +133,59 @@ const paymentSchema = new mongoose.Schema({
   checksumHash: { 
     type: String 
   },
+  // Server-side confirmation of the callback
+  verification: {
+    checksumValid: Boolean,
+    gatewayStatus: String,
+    verifiedAt: Date,
+    source: {
+      type: String,
+      enum: ['callback', 'webhook', 'reconciliation', 'inquiry']
+    },
+    error: String
+  },
+  statusChecks: {
+    type: Number,
+    default: 0
+  },
+  lastStatusCheckAt: {
+    type: Date
+  },
+  creditTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  creditedAt: {
+    type: Date
+  },
+  creditError: {
+    type: String
+  },
+  // Money returned to the customer (see CreditAdjustment for each refund)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundStatus: {
+    type: String,
+    enum: ['NONE', 'PARTIAL', 'FULL'],
+    default: 'NONE'
+  },
+  refunds: [{
+    _id: false,
+    adjustmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditAdjustment'
+    },
+    amount: Number,
+    gatewayRefundId: String,
+    status: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: { 
     type: Date, 
     default: Date.now,
@@ -164,5 +245,7 @@ paymentSchema.statics.findSuccessful = function(projectId = null) {
 paymentSchema.index({ projectId: 1, status: 1 });
 paymentSchema.index({ customerEmail: 1, status: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ status: 1, gatewayName: 1, createdAt: 1 });
+paymentSchema.index({ status: 1, lastStatusCheckAt: 1, createdAt: 1 });
 
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
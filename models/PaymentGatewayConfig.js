@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// The payment gateway and merchant account a client collects payments into.
+// clientId null is the platform account, used by clients without their own
+// row and for admin-initiated payments.
+const paymentGatewayConfigSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    default: null
+  },
+  gateway: {
+    type: String,
+    enum: ['paytm', 'razorpay'],
+    required: true
+  },
+  displayName: {
+    type: String,
+    default: null
+  },
+  environment: {
+    type: String,
+    enum: ['staging', 'production'],
+    default: 'production'
+  },
+  // Gateway-specific merchant credentials
+  //   paytm:    merchantId, merchantKey, website, channelId, industryType
+  //   razorpay: keyId, keySecret, webhookSecret
+  credentials: {
+    merchantId: String,
+    merchantKey: String,
+    website: String,
+    channelId: String,
+    industryType: String,
+    keyId: String,
+    keySecret: String,
+    webhookSecret: String
+  },
+  // Where the gateway posts the customer back after checkout (overrides the default)
+  callbackUrl: {
+    type: String,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentGatewayConfigSchema.index({ clientId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentGatewayConfig', paymentGatewayConfigSchema);
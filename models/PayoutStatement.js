@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// An evaluator's earnings for a month, and the payout of them. A statement
+// is approved by an admin before it can be marked paid; while the evaluator
+// disputes it, it can be neither.
+const PayoutStatementSchema = new mongoose.Schema({
+  evaluator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluator',
+    required: true
+  },
+  // '2026-09'
+  month: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
+  reviewAmount: {
+    type: Number,
+    default: 0
+  },
+  adjustmentAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'approved', 'disputed', 'paid'],
+    default: 'pending_approval'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  // Bank/UPI transfer reference of the payout
+  paymentReference: {
+    type: String,
+    default: null
+  },
+  disputes: [{
+    reason: {
+      type: String,
+      required: true
+    },
+    raisedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['open', 'accepted', 'rejected'],
+      default: 'open'
+    },
+    resolutionNote: {
+      type: String,
+      default: null
+    },
+    adjustmentAmount: {
+      type: Number,
+      default: 0
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Every status change, for audit
+  history: [{
+    _id: false,
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    byType: {
+      type: String,
+      enum: ['Admin', 'Evaluator', 'System']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    note: {
+      type: String,
+      default: null
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+PayoutStatementSchema.index({ evaluator: 1, month: 1 }, { unique: true });
+PayoutStatementSchema.index({ status: 1, month: -1 });
+
+module.exports = mongoose.model('PayoutStatement', PayoutStatementSchema);
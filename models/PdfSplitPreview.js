@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const splitRangeSchema = {
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  startPage: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  endPage: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+};
+
+// Server-computed split plan for an uploaded book PDF, held until the owner
+// confirms (creating the chapters/topics) or cancels it
+const pdfSplitPreviewSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  sourceUrl: {
+    type: String,
+    required: true
+  },
+  sourcePublicId: {
+    type: String,
+    required: true
+  },
+  totalPages: {
+    type: Number,
+    required: true
+  },
+  // Where the chapter boundaries came from
+  detectedFrom: {
+    type: String,
+    enum: ['outline', 'headings', 'none'],
+    required: true
+  },
+  chapters: [{
+    ...splitRangeSchema,
+    topics: [splitRangeSchema]
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'confirmed', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdChapters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter'
+  }],
+  confirmedAt: {
+    type: Date
+  },
+  // Unconfirmed previews and their source PDF are removed by the sweep
+  // (services/pdfSplitPreviews) after this time
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+pdfSplitPreviewSchema.index({ status: 1, expiresAt: 1 });
+pdfSplitPreviewSchema.index({ book: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PdfSplitPreview', pdfSplitPreviewSchema);
@@ -45,12 +45,91 @@ const reviewRequestSchema = new mongoose.Schema({
   assignedAt: {
     type: Date
   },
+  // When the assigned evaluator accepted; until then the request is offered
+  // to them only until acceptDeadline, after which it is re-assigned
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptDeadline: {
+    type: Date,
+    default: null
+  },
+  // Every evaluator the request was offered to, and how that ended
+  assignmentHistory: [{
+    _id: false,
+    evaluator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Evaluator'
+    },
+    source: {
+      type: String,
+      enum: ['auto', 'reassigned', 'claimed']
+    },
+    score: Number,
+    assignedAt: Date,
+    outcome: {
+      type: String,
+      enum: ['accepted', 'timed_out', 'cancelled', null],
+      default: null
+    },
+    endedAt: Date
+  }],
   startedAt: {
     type: Date
   },
   completedAt: {
     type: Date
   },
+  // Deadlines from the SLA policy for the request's client and priority,
+  // and when they were missed
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReviewSlaPolicy',
+      default: null
+    },
+    acceptBy: {
+      type: Date,
+      default: null
+    },
+    dueBy: {
+      type: Date,
+      default: null
+    },
+    acceptBreachedAt: {
+      type: Date,
+      default: null
+    },
+    completeBreachedAt: {
+      type: Date,
+      default: null
+    },
+    breached: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // What was done about each missed deadline
+  escalations: [{
+    _id: false,
+    breach: {
+      type: String,
+      enum: ['accept', 'complete']
+    },
+    action: {
+      type: String,
+      enum: ['reassigned', 'admin_alerted']
+    },
+    evaluator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Evaluator'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   reviewData: {
     result: {
       type: String,
@@ -85,6 +164,22 @@ const reviewRequestSchema = new mongoose.Schema({
 });
 
 // Add methods to the schema
+reviewRequestSchema.index({ requestStatus: 1, acceptDeadline: 1 });
+reviewRequestSchema.index({ assignedEvaluator: 1, requestStatus: 1 });
+reviewRequestSchema.index({ requestStatus: 1, 'sla.dueBy': 1 });
+reviewRequestSchema.index({ clientId: 1, requestedAt: -1 });
+
+// A review completed after its due time is flagged even if the SLA sweep
+// never saw it open past the deadline
+reviewRequestSchema.pre('save', function(next) {
+  const dueBy = this.sla?.dueBy;
+  if (this.requestStatus === 'completed' && this.completedAt && dueBy && this.completedAt > dueBy && !this.sla.completeBreachedAt) {
+    this.sla.completeBreachedAt = dueBy;
+    this.sla.breached = true;
+  }
+  next();
+});
+
 reviewRequestSchema.methods.assignEvaluator = async function(evaluatorId) {
   this.assignedEvaluator = evaluatorId;
   this.requestStatus = 'assigned';
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// How quickly a review request of a priority must be accepted and completed,
+// counted from when the student raised it. Rows with clientId null are the
+// platform policy; a client row overrides it for that client's students.
+const ReviewSlaPolicySchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    required: true
+  },
+  acceptWithinHours: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  completeWithinHours: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Who an overdue request goes to: 'evaluator' re-assigns an offer that
+  // was not accepted in time, 'admin' only alerts the admins. Requests that
+  // cannot be re-assigned always go to the admins.
+  escalateTo: {
+    type: String,
+    enum: ['admin', 'evaluator'],
+    default: 'evaluator'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ReviewSlaPolicySchema.index({ clientId: 1, priority: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReviewSlaPolicy', ReviewSlaPolicySchema);
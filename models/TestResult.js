@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+const sectionResultSchema = new mongoose.Schema({
+    sectionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    name: String,
+    totalQuestions: Number,
+    attempted: Number,
+    correct: Number,
+    wrong: Number,
+    unattempted: Number,
+    marks: Number,
+    maxMarks: Number,
+    cutoff: { type: Number, default: null },
+    cleared: { type: Boolean, default: null }
+}, { _id: false });
+
 const testResultSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -39,10 +53,45 @@ const testResultSchema = new mongoose.Schema({
         L2: { total: Number, correct: Number, score: Number },
         L3: { total: Number, correct: Number, score: Number }
     },
+    // Marks after negative marking (may be below 0); score is their
+    // percentage of maxMarks
+    marks: {
+        type: Number
+    },
+    maxMarks: {
+        type: Number
+    },
+    wrongAnswers: {
+        type: Number
+    },
+    unattempted: {
+        type: Number
+    },
+    sectionBreakdown: [sectionResultSchema],
+    // Met the overall and every section cut-off (null: test has none)
+    qualified: {
+        type: Boolean,
+        default: null
+    },
     startTime: {
         type: Date,
         required: true
     },
+    // startTime + the test's duration; answers and submissions are refused
+    // after it and the attempt is submitted from its saved answers
+    deadline: {
+        type: Date,
+        default: null
+    },
+    // Last autosaved answer of the attempt in progress
+    lastSavedAt: {
+        type: Date,
+        default: null
+    },
+    autoSubmitted: {
+        type: Boolean,
+        default: false
+    },
     submittedAt: {
         type: Date,
         default: Date.now
@@ -96,6 +145,19 @@ const testResultSchema = new mongoose.Schema({
             L1: { total: Number, correct: Number, score: Number },
             L2: { total: Number, correct: Number, score: Number },
             L3: { total: Number, correct: Number, score: Number }
+        },
+        marks: Number,
+        maxMarks: Number,
+        wrongAnswers: Number,
+        unattempted: Number,
+        sectionBreakdown: [sectionResultSchema],
+        qualified: {
+            type: Boolean,
+            default: null
+        },
+        autoSubmitted: {
+            type: Boolean,
+            default: false
         }
     }]
 }, {
@@ -107,5 +169,6 @@ testResultSchema.index({ userId: 1, testId: 1 });
 testResultSchema.index({ clientId: 1, testId: 1 });
 testResultSchema.index({ submittedAt: -1 });
 testResultSchema.index({ attemptNumber: 1 }); // New index for attempt tracking
+testResultSchema.index({ status: 1, deadline: 1 }); // Overdue attempts to auto-submit
 
 module.exports = mongoose.model('TestResult', testResultSchema);
\ No newline at end of file
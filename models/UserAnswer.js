@@ -1,6 +1,25 @@
 const mongoose = require('mongoose');
 const axios = require('axios');
 
+const SUBMISSION_STATUSES = ['queued', 'submitted', 'accepted', 'rejected', 'evaluated', 'invalid', 'evaluation_failed'];
+
+const processingStageSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  }
+}, { _id: false });
+
 const userAnswerSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -59,9 +78,73 @@ const userAnswerSchema = new mongoose.Schema({
   },
   submissionStatus: {
     type: String,
-    enum: ['submitted', 'accepted', 'rejected', 'evaluated', 'invalid'],
+    enum: SUBMISSION_STATUSES,
     default: 'submitted'
   },
+  // Set when the AI pipeline gave up on this answer; cleared on a successful re-run
+  evaluationFailure: {
+    reason: {
+      type: String
+    },
+    stage: {
+      type: String,
+      enum: ['ocr', 'relevance', 'evaluation', null]
+    },
+    failedAt: {
+      type: Date
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    retryCount: {
+      type: Number,
+      default: 0
+    },
+    lastRetriedAt: {
+      type: Date
+    }
+  },
+  // Background OCR -> relevance -> evaluation pipeline (services/answerProcessing.js)
+  processing: {
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed', null],
+      default: null
+    },
+    currentStage: {
+      type: String,
+      enum: ['ocr', 'relevance', 'evaluation', 'completed', null],
+      default: null
+    },
+    stages: {
+      ocr: processingStageSchema,
+      relevance: processingStageSchema,
+      evaluation: processingStageSchema
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String
+    },
+    invalidReason: {
+      code: String,
+      details: String,
+      aiResponse: String
+    },
+    queuedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    }
+  },
   submittedAt: {
     type: Date,
   },
@@ -290,12 +373,26 @@ const userAnswerSchema = new mongoose.Schema({
   timestamps: true
 });
 
-userAnswerSchema.index({ userId: 1, questionId: 1, attemptNumber: 1 });
+// One answer per attempt number: concurrent submissions that read the same
+// latest attempt collide here and createNewAttemptSafe retries with the next
+// number. Invalid answers do not use up an attempt, so their number is free
+// again (partial indexes cannot use $ne, hence the list of counted statuses).
+userAnswerSchema.index(
+  { userId: 1, questionId: 1, attemptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      submissionStatus: { $in: SUBMISSION_STATUSES.filter((status) => status !== 'invalid') }
+    }
+  }
+);
 userAnswerSchema.index({ userId: 1, clientId: 1 });
 userAnswerSchema.index({ questionId: 1, clientId: 1 });
 userAnswerSchema.index({ submissionStatus: 1 });
 userAnswerSchema.index({ userId: 1, questionId: 1 });
 userAnswerSchema.index({ publishStatus: 1 });
+userAnswerSchema.index({ 'processing.status': 1 });
+userAnswerSchema.index({ submissionStatus: 1, 'evaluationFailure.failedAt': -1 });
 
 userAnswerSchema.statics.cleanupOldIndexes = async function() {
   try {
@@ -312,10 +409,14 @@ userAnswerSchema.statics.cleanupOldIndexes = async function() {
   }
 };
 
+// Submissions rejected as unreadable or irrelevant do not use up an attempt
+const COUNTED_ATTEMPTS = { submissionStatus: { $ne: 'invalid' } };
+
 userAnswerSchema.statics.canUserSubmit = async function(userId, questionId) {
   const count = await this.countDocuments({
     userId: userId,
-    questionId: questionId
+    questionId: questionId,
+    ...COUNTED_ATTEMPTS
   });
   return {
     canSubmit: count < 5,
@@ -418,14 +519,14 @@ userAnswerSchema.statics.createNewAttempt = async function(answerData) {
   const session = await mongoose.startSession();
   try {
     return await session.withTransaction(async () => {
-      const existingCount = await this.countDocuments({ userId, questionId }).session(session);
+      const existingCount = await this.countDocuments({ userId, questionId, ...COUNTED_ATTEMPTS }).session(session);
       if (existingCount >= 5) {
         const error = new Error('Maximum submission limit (5) reached for this question');
         error.code = 'SUBMISSION_LIMIT_EXCEEDED';
         throw error;
       }
       const latestAttempt = await this.findOne(
-        { userId, questionId },
+        { userId, questionId, ...COUNTED_ATTEMPTS },
         { attemptNumber: 1 }
       ).sort({ attemptNumber: -1 }).session(session);
       const nextAttemptNumber = latestAttempt ? latestAttempt.attemptNumber + 1 : 1;
@@ -453,14 +554,14 @@ userAnswerSchema.statics.createNewAttemptSafe = async function(answerData) {
   let attempt = 0;
   while (attempt < maxRetries) {
     try {
-      const existingCount = await this.countDocuments({ userId, questionId });
+      const existingCount = await this.countDocuments({ userId, questionId, ...COUNTED_ATTEMPTS });
       if (existingCount >= 5) {
         const error = new Error('Maximum submission limit (5) reached for this question');
         error.code = 'SUBMISSION_LIMIT_EXCEEDED';
         throw error;
       }
       const existingAttempts = await this.find(
-        { userId, questionId },
+        { userId, questionId, ...COUNTED_ATTEMPTS },
         { attemptNumber: 1 }
       ).sort({ attemptNumber: 1 });
       let nextAttemptNumber = 1;
@@ -516,6 +617,11 @@ userAnswerSchema.statics.hasReviewRequest = async function(userId, clientId) {
 
 // Add custom validation for testType and testId
 userAnswerSchema.pre('save', function(next) {
+  // A failed AI evaluation has no real scores, so it must never be visible to the student
+  if (this.submissionStatus === 'evaluation_failed') {
+    this.publishStatus = 'not_published';
+  }
+
   // Validate testId is required for subjective tests
   if (this.testType === 'subjective' && !this.testId) {
     return next(new Error('testId is required for subjective questions'));
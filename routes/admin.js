@@ -5,11 +5,8 @@ const adminController = require('../controllers/adminController');
 const clientsController = require('../controllers/clientController');
 const { verifyAdminToken } = require('../middleware/auth');
 const axios = require('axios');
-const PaytmChecksum = require('paytmchecksum');
-const Payment = require('../models/Payment');
-const CreditAccount = require('../models/CreditAccount');
-const CreditTransaction = require('../models/CreditTransaction');
-const PaytmConfig = require('../config/paytm');
+const payments = require('../services/payments');
+const paymentGateways = require('../services/paymentGateways');
 const { sendSuccessResponse, sendErrorResponse, sendValidationError } = require('../utils/response');
 
 // Auth routes
@@ -40,14 +37,83 @@ router.get('/plans',verifyAdminToken, adminController.getCreditPlans);
 
 router.post('/add-credit',verifyAdminToken, adminController.addCredit);
 
+router.post('/debit-credit',verifyAdminToken, adminController.debitCredit);
+
+router.post('/credit-transactions/:transactionId/reverse',verifyAdminToken, adminController.reverseCreditTransaction);
+
+router.post('/payments/:orderId/refund',verifyAdminToken, adminController.refundPayment);
+
+router.get('/credit-adjustments',verifyAdminToken, adminController.getCreditAdjustments);
+
+router.post('/credit-adjustments/:id/approve',verifyAdminToken, adminController.approveCreditAdjustment);
+
+router.post('/credit-adjustments/:id/reject',verifyAdminToken, adminController.rejectCreditAdjustment);
+
 router.get('/credit-account',verifyAdminToken, adminController.getCreditAccount);
 
 router.get('/credit-account/:id',verifyAdminToken, adminController.getCreditAccountById);
 
+router.get('/credit-reconciliation',verifyAdminToken, adminController.getCreditReconciliation);
+
+router.post('/credit-reconciliation/run',verifyAdminToken, adminController.runCreditReconciliation);
+
+router.get('/credit-prices',verifyAdminToken, adminController.getCreditPrices);
+
+router.put('/credit-prices',verifyAdminToken, adminController.setCreditPrice);
+
+router.delete('/credit-prices/:id',verifyAdminToken, adminController.deleteCreditPrice);
+
+router.get('/payment-gateways',verifyAdminToken, adminController.getPaymentGateways);
+
+router.put('/payment-gateways',verifyAdminToken, adminController.setPaymentGateway);
+
+router.delete('/payment-gateways/:id',verifyAdminToken, adminController.deletePaymentGateway);
+
+router.get('/review-sla-policies',verifyAdminToken, adminController.getReviewSlaPolicies);
+
+router.put('/review-sla-policies',verifyAdminToken, adminController.setReviewSlaPolicy);
+
+router.delete('/review-sla-policies/:id',verifyAdminToken, adminController.deleteReviewSlaPolicy);
+
+router.get('/review-turnaround',verifyAdminToken, adminController.getReviewTurnaround);
+
+router.get('/review-sla-breaches',verifyAdminToken, adminController.getReviewSlaBreaches);
+
+router.get('/evaluator-rate-cards',verifyAdminToken, adminController.getEvaluatorRateCards);
+
+router.put('/evaluator-rate-cards',verifyAdminToken, adminController.setEvaluatorRateCard);
+
+router.delete('/evaluator-rate-cards/:id',verifyAdminToken, adminController.deleteEvaluatorRateCard);
+
+router.get('/payout-statements',verifyAdminToken, adminController.getPayoutStatements);
+
+router.post('/payout-statements/generate',verifyAdminToken, adminController.generatePayoutStatements);
+
+router.get('/payout-statements/:id',verifyAdminToken, adminController.getPayoutStatement);
+
+router.post('/payout-statements/:id/approve',verifyAdminToken, adminController.approvePayoutStatement);
+
+router.post('/payout-statements/:id/mark-paid',verifyAdminToken, adminController.markPayoutStatementPaid);
+
+router.post('/payout-statements/:id/resolve-dispute',verifyAdminToken, adminController.resolvePayoutDispute);
+
+router.get('/moderation-policies',verifyAdminToken, adminController.getModerationPolicy);
+
+router.put('/moderation-policies',verifyAdminToken, adminController.setModerationPolicy);
+
+router.get('/moderation/cases',verifyAdminToken, adminController.getModerationCases);
+
+router.get('/moderation/agreement',verifyAdminToken, adminController.getEvaluatorAgreement);
+
+router.put('/evaluators/:id/head-examiner',verifyAdminToken, adminController.setHeadExaminer);
+
 router.get('/get-recharge-plan',verifyAdminToken, adminController.getCreditRechargePlans);
 
+// Admin payments go to the platform's merchant account, whichever gateway it uses
+const ADMIN_CALLBACK_BASE = process.env.BACKEND_URL || 'https://aipbbackend-c5ed.onrender.com';
+
 // 1. Initialize Payment
-router.post('/paytm/initiate',async (req, res) => {
+const initiateAdminPayment = async (req, res) => {
     try {
       const { amount, customerEmail, customerPhone, customerName, projectId, userId, planId, credits, adminId, adminMessage } = req.body;
       console.log(req.body)
@@ -59,71 +125,36 @@ router.post('/paytm/initiate',async (req, res) => {
         });
       }
   
-      // Generate unique order ID
-      const orderId = `ORDER_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Create payment record in database
-      const payment = new Payment({
-        orderId,
+      const gateway = await paymentGateways.getGatewayForClient(null);
+      const { payment, checkout } = await payments.createOrder({
         amount: parseFloat(amount),
-        userId: userId || null,
+        credits: credits || null,
         planId: planId || null,
-        creditsPurchased: credits || null,
+        userId: userId || null,
         adminId: adminId, // Use provided adminId or current admin
         adminMessage: adminMessage || null,
         customerEmail,
         customerPhone,
         customerName,
         projectId: projectId || 'default',
-        status: 'PENDING'
+        callbackUrl: `${ADMIN_CALLBACK_BASE}/api/admin/payments/${gateway.gateway}/callback`,
+        gateway
       });
   
-      await payment.save();
-  
-      // Prepare Paytm parameters
-      const paytmParams = {
-        MID: PaytmConfig.MID,
-        WEBSITE: PaytmConfig.WEBSITE,
-        CHANNEL_ID: PaytmConfig.CHANNEL_ID,
-        INDUSTRY_TYPE_ID: PaytmConfig.INDUSTRY_TYPE_ID,
-        ORDER_ID: orderId,
-        CUST_ID: customerEmail,
-        TXN_AMOUNT: parseFloat(amount).toFixed(2),
-        CALLBACK_URL: 'https://aipbbackend-c5ed.onrender.com/api/admin/paytm/callback',
-        EMAIL: customerEmail,
-        MOBILE_NO: customerPhone
-      };
-  
-      console.log('Paytm Parameters before checksum:', paytmParams);
-  
-      // Generate checksum using official Paytm package
-      const checksum = await PaytmChecksum.generateSignature(paytmParams, PaytmConfig.MERCHANT_KEY);
-      paytmParams.CHECKSUMHASH = checksum;
-  
-      console.log('Generated Checksum:', checksum);
-  
-      // Update payment record with checksum
-      await Payment.findOneAndUpdate(
-        { orderId },
-        { 
-          checksumHash: checksum,
-          paytmOrderId: orderId,
-          updatedAt: new Date()
-        }
-      );
-  
       console.log('Payment initiated successfully:', {
-        orderId,
-        amount: paytmParams.TXN_AMOUNT,
-        customerEmail,
-        checksum
+        orderId: payment.orderId,
+        gateway: gateway.gateway,
+        amount: payment.amount,
+        customerEmail
       });
   
       res.json({
         success: true,
-        orderId,
-        paytmParams,
-        paytmUrl: PaytmConfig.PAYTM_URL
+        orderId: payment.orderId,
+        gateway: gateway.gateway,
+        checkout,
+        // paytmParams / paytmUrl for the existing Paytm form
+        ...(gateway.gateway === 'paytm' ? checkout : {})
       });
   
     } catch (error) {
@@ -134,163 +165,42 @@ router.post('/paytm/initiate',async (req, res) => {
         error: error.message
       });
     }
-  });
+  };
+
+router.post('/payments/initiate', initiateAdminPayment);
+router.post('/paytm/initiate', initiateAdminPayment);
   
 // 2. Payment Callback Handler
-router.post('/paytm/callback',async (req, res) => {
+const handleAdminPaymentCallback = (gatewayName) => async (req, res) => {
+    const frontendUrl = process.env.FRONTEND_URL;
+    const gateway = gatewayName || req.params.gateway;
     try {
-      const paytmResponse = req.body;
-      const orderId = paytmResponse.ORDERID;
-  
-      console.log('Received Paytm callback:', paytmResponse);
-  
-      // Verify checksum using official Paytm package
-      let isValidChecksum = true;
-      
-      if (paytmResponse.CHECKSUMHASH) {
-        isValidChecksum = PaytmChecksum.verifySignature(paytmResponse, PaytmConfig.MERCHANT_KEY, paytmResponse.CHECKSUMHASH);
-        console.log('Checksum validation result:', isValidChecksum);
-      } else {
-        console.log('No checksum in response - staging environment behavior');
-      }
-  
-      // Log checksum validation for debugging
-      if (!isValidChecksum) {
-        console.warn('⚠️  Checksum validation failed, but proceeding for staging environment');
-      }
-  
-      // Determine payment status
-      let paymentStatus = 'FAILED';
-      if (paytmResponse.STATUS === 'TXN_SUCCESS') {
-        paymentStatus = 'SUCCESS';
-      } else if (paytmResponse.STATUS === 'TXN_FAILURE') {
-        paymentStatus = 'FAILED';
-      } else if (paytmResponse.STATUS === 'PENDING') {
-        paymentStatus = 'PENDING';
-      }
-  
-      // Update payment status in database
-      const updateData = {
-        status: paymentStatus,
-        transactionId: paytmResponse.TXNID || paytmResponse.ORDERID,
-        paytmTxnId: paytmResponse.TXNID,
-        paytmResponse: paytmResponse,
-        paymentMode: paytmResponse.PAYMENTMODE,
-        bankName: paytmResponse.BANKNAME,
-        bankTxnId: paytmResponse.BANKTXNID,
-        responseCode: paytmResponse.RESPCODE,
-        responseMsg: paytmResponse.RESPMSG,
-        updatedAt: new Date()
-      };
-  
-      const payment = await Payment.findOneAndUpdate(
-        { orderId },
-        updateData,
-        { new: true }
-      );
-  
-      if (!payment) {
-        console.error('Payment record not found for orderId:', orderId);
-        return res.status(404).json({
-          success: false,
-          message: 'Payment record not found',
-          orderId
-        });
-      }
-  
-      console.log('Payment updated successfully:', {
-        orderId,
-        status: paymentStatus,
-        transactionId: updateData.transactionId,
-        responseCode: paytmResponse.RESPCODE,
-        checksumValid: isValidChecksum
-      });
-
-      // Idempotent crediting on successful payment
-      try {
-        // Fetch current payment after update
-        let creditAccount = null;
-        const paymentDoc = await Payment.findOne({ orderId });
-        if (paymentDoc && paymentDoc.status === 'SUCCESS') {
-          // Check if transaction already exists for this order
-          const existingTx = await CreditTransaction.findOne({ userId: paymentDoc.userId });
-          if (!existingTx) {
-            // Resolve user and credit account
-            if (paymentDoc.userId) {
-              creditAccount = await CreditAccount.findOne({ userId: paymentDoc.userId });
-            }
-            if (!creditAccount && paymentDoc.customerPhone) {
-              creditAccount = await CreditAccount.findOne({ mobile: paymentDoc.customerPhone });
-            }
+      const params = req.body || {};
   
-            if (creditAccount) {
-              const creditsToAdd = Number(paymentDoc.creditsPurchased) || 0;
-              const balanceBefore = creditAccount.balance || 0;
-              const balanceAfter = balanceBefore + creditsToAdd;
+      console.log(`Received ${gateway} callback:`, { orderId: params.ORDERID || params.razorpay_order_id });
   
-              // Create credit transaction
-              const tx = new CreditTransaction({
-                userId: creditAccount.userId,
-                type: 'credit',
-                amount: creditsToAdd,
-                balanceBefore,
-                balanceAfter,
-                category: 'admin_adjustment',
-                description: 'Credits added by admin',
-                referenceId: orderId,
-                planId: paymentDoc.planId || null,
-                paymentAmount: paymentDoc.amount,
-                paymentCurrency: paymentDoc.currency || 'INR',
-                addedBy: paymentDoc.adminId || null, // Use admin ID from payment
-                adminMessage: paymentDoc.adminMessage || null, // Use admin message from payment
-                metadata: {
-                  gateway: 'PAYTM',
-                  transactionId: paymentDoc.transactionId,
-                  paytmTxnId: paymentDoc.paytmTxnId
-                },
-                status: 'completed'
-              });
-              await tx.save();
+      // Signature, order status query and crediting are all handled here
+      const result = await payments.processCallback(gateway, params);
   
-              // Update credit account balance and totals
-              creditAccount.balance = balanceAfter;
-              creditAccount.totalEarned = (creditAccount.totalEarned || 0) + creditsToAdd;
-              creditAccount.lastTransactionDate = new Date();
-              await creditAccount.save();
-  
-              console.log('Credited account from Paytm payment:', {
-                userId: String(creditAccount.userId),
-                credits: creditsToAdd,
-                balanceAfter
-              });
-            } else {
-              console.warn('CreditAccount not found for payment; skipping crediting', {
-                orderId,
-                userId: paymentDoc.userId,
-                phone: paymentDoc.customerPhone
-              });
-            }
-          } else {
-            console.log('CreditTransaction already exists for this order; skipping duplicate credit');
-          }
-        }
-      } catch (creditErr) {
-        console.error('Error crediting account post-payment:', creditErr);
+      if (result.rejected) {
+        console.warn('Payment callback rejected:', { gateway, reason: result.reason });
+        return res.redirect(`${frontendUrl}/admin/credit-account/?payment_status=FAILED&orderId=${params.ORDERID || 'unknown'}`);
       }
   
-      // Redirect to frontend with payment status
-      const frontendUrl = process.env.FRONTEND_URL;
-      const redirectUrl = `${frontendUrl}/admin/credit-account/?payment_status=${paymentStatus}&orderId=${orderId}&transactionId=${updateData.transactionId}`;
+      const { payment } = result;
+      const redirectUrl = `${frontendUrl}/admin/credit-account/?payment_status=${payment.status}&orderId=${payment.orderId}&transactionId=${payment.transactionId || payment.orderId}`;
       
       console.log('Redirecting to:', redirectUrl);
       res.redirect(redirectUrl);
   
     } catch (error) {
       console.error('Payment callback error:', error);
-      const frontendUrl = process.env.FRONTEND_URL;
-      const redirectUrl = `${frontendUrl}/admin/credit-account/?payment_status=FAILED&orderId=${req.body.ORDERID || 'unknown'}`;
+      const redirectUrl = `${frontendUrl}/admin/credit-account/?payment_status=FAILED&orderId=${req.body?.ORDERID || 'unknown'}`;
       res.redirect(redirectUrl);
     }
-});
+};
+
+router.post('/payments/:gateway/callback', handleAdminPaymentCallback());
+router.post('/paytm/callback', handleAdminPaymentCallback('paytm'));
 
 module.exports = router;
\ No newline at end of file
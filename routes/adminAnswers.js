@@ -4,6 +4,8 @@ const UserAnswer = require('../models/UserAnswer');
 const AiswbQuestion = require('../models/AiswbQuestion');
 const Evaluation = require('../models/Evaluation');
 const UserProfile = require('../models/UserProfile');
+const { verifyAdminToken } = require('../middleware/auth');
+const { queueAnswerEvaluation, retryFailedEvaluation } = require('../services/answerProcessing');
 
 // Get question submissions as per the documentation
 router.get('/questions/:questionId/submissions', async (req, res) => {
@@ -193,19 +195,21 @@ router.post('/submissions/:submissionId/evaluate', async (req, res) => {
     }
 
     if (evaluationMode === 'auto') {
-      // Simulate auto evaluation
-      const mockAccuracy = Math.floor(Math.random() * 40) + 60; // 60-100
-      evaluation.geminiAnalysis = {
-        accuracy: mockAccuracy,
-        strengths: ['Clear presentation', 'Good understanding of concepts'],
-        weaknesses: ['Could be more detailed', 'Missing some examples'],
-        suggestions: ['Add more examples', 'Elaborate on key points']
-      };
-      evaluation.extractedTexts = ['Sample extracted text from image'];
-      evaluation.marks = mockAccuracy;
-      
-      if (config.autoPublish) {
-        evaluation.status = 'published';
+      // Auto evaluation runs through the AI pipeline; the real scores are written
+      // to the answer when the job finishes, never invented here
+      evaluation.status = 'not_published';
+      try {
+        await queueAnswerEvaluation(submission);
+      } catch (queueError) {
+        if (queueError.code !== 'ALREADY_QUEUED') {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: queueError.code || 'EVALUATION_NOT_QUEUED',
+              message: queueError.message
+            }
+          });
+        }
       }
     } else {
       // Manual mode - set to review status
@@ -219,11 +223,13 @@ router.post('/submissions/:submissionId/evaluate', async (req, res) => {
 
     // Update submission status - DO NOT try to save the entire submission
     // Just update the specific field to avoid validation issues
-    await UserAnswer.findByIdAndUpdate(
-      submissionId, 
-      { submissionStatus: 'reviewed' },
-      { new: false, runValidators: false }
-    );
+    if (evaluationMode !== 'auto') {
+      await UserAnswer.findByIdAndUpdate(
+        submissionId, 
+        { submissionStatus: 'reviewed' },
+        { new: false, runValidators: false }
+      );
+    }
 
     res.json({
       success: true,
@@ -234,9 +240,8 @@ router.post('/submissions/:submissionId/evaluate', async (req, res) => {
         marks: evaluation.marks || 0,
         accuracy: evaluation.geminiAnalysis?.accuracy || 0,
         autoEvaluationDetails: evaluationMode === 'auto' ? {
-          processingTime: 2.5,
-          confidenceScore: 0.85,
-          autoPublishReason: config.autoPublish ? 'Auto-publish enabled' : 'Manual review required'
+          queued: true,
+          processingStatus: submission.processing?.status || null
         } : undefined
       }
     });
@@ -510,6 +515,127 @@ router.get('/question/:questionId/evaluations', async (req, res) => {
   }
 });
 
+// List answers whose AI evaluation failed
+router.get('/evaluation-failures', verifyAdminToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, clientId, questionId, stage } = req.query;
+
+    const query = { submissionStatus: 'evaluation_failed' };
+    if (clientId) query.clientId = clientId;
+    if (questionId) query.questionId = questionId;
+    if (stage) query['evaluationFailure.stage'] = stage;
+
+    const skip = (page - 1) * limit;
+
+    const [answers, total] = await Promise.all([
+      UserAnswer.find(query)
+        .select('userId questionId clientId testType attemptNumber answerImages submittedAt evaluationFailure processing')
+        .populate('userId', 'mobile clientId')
+        .sort({ 'evaluationFailure.failedAt': -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      UserAnswer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        failures: answers.map(answer => ({
+          answerId: answer._id,
+          userId: answer.userId?._id || answer.userId,
+          mobile: answer.userId?.mobile || null,
+          questionId: answer.questionId,
+          clientId: answer.clientId,
+          testType: answer.testType,
+          attemptNumber: answer.attemptNumber,
+          imagesCount: answer.answerImages.length,
+          submittedAt: answer.submittedAt,
+          reason: answer.evaluationFailure?.reason || answer.processing?.lastError || null,
+          stage: answer.evaluationFailure?.stage || null,
+          failedAt: answer.evaluationFailure?.failedAt || null,
+          attempts: answer.evaluationFailure?.attempts || 0,
+          retryCount: answer.evaluationFailure?.retryCount || 0,
+          lastRetriedAt: answer.evaluationFailure?.lastRetriedAt || null
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching failed evaluations:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'An error occurred while fetching failed evaluations'
+      }
+    });
+  }
+});
+
+// Re-run failed evaluations, either by explicit answerIds or by filter
+router.post('/evaluation-failures/retry', verifyAdminToken, async (req, res) => {
+  try {
+    const { answerIds, clientId, questionId, limit = 100 } = req.body;
+
+    if ((!Array.isArray(answerIds) || answerIds.length === 0) && !clientId && !questionId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Provide answerIds, or a clientId/questionId filter'
+        }
+      });
+    }
+
+    const query = { submissionStatus: 'evaluation_failed' };
+    if (Array.isArray(answerIds) && answerIds.length > 0) {
+      query._id = { $in: answerIds };
+    }
+    if (clientId) query.clientId = clientId;
+    if (questionId) query.questionId = questionId;
+
+    const answers = await UserAnswer.find(query)
+      .sort({ 'evaluationFailure.failedAt': 1 })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    const queued = [];
+    const skipped = [];
+    for (const answer of answers) {
+      try {
+        const job = await retryFailedEvaluation(answer);
+        queued.push({ answerId: answer._id, jobId: job._id });
+      } catch (retryError) {
+        skipped.push({ answerId: answer._id, reason: retryError.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        matched: answers.length,
+        queuedCount: queued.length,
+        skippedCount: skipped.length,
+        queued,
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error retrying failed evaluations:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'An error occurred while retrying failed evaluations'
+      }
+    });
+  }
+});
+
 // Get all answers for a specific user (admin access)
 router.get('/user/:userId', async (req, res) => {
   try {
@@ -2,32 +2,35 @@ const express = require("express")
 const router = express.Router()
 const AiServiceConfig = require("../models/AIServiceConfig")
 const { body, validationResult } = require("express-validator")
+const aiServiceManager = require("../services/aiServiceManager")
+
+const SERVICE_NAMES = ["openai", "gemini", "agentic", "custom"]
+const TASK_TYPES = ["text_extraction", "analysis", "evaluation", "chat", "embedding"]
+const INVALID_SERVICE_MESSAGE = "Invalid service name. Must be openai, gemini, agentic, or custom"
 
-// Updated validation middleware to include agentic service
 const validateAiServiceConfig = [
   body("serviceName")
-    .isIn(["openai", "gemini", "agentic"])
-    .withMessage("Service name must be openai, gemini, or agentic"),
+    .isIn(SERVICE_NAMES)
+    .withMessage("Service name must be openai, gemini, agentic, or custom"),
   body("displayName")
     .isString()
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage("Display name is required and must be less than 100 characters"),
+  // The custom (OpenAI-compatible) service may run without an API key
   body("apiKey")
+    .if((value, { req }) => req.body.serviceName !== "custom" || value)
     .isString()
     .trim()
     .isLength({ min: 10 })
     .withMessage("API key is required and must be at least 10 characters"),
-  body("apiUrl").isURL().withMessage("API URL must be a valid URL"),
+  body("apiUrl").isURL({ require_tld: false }).withMessage("API URL must be a valid URL"),
   body("isActive").optional().isBoolean().withMessage("isActive must be a boolean"),
   body("supportedTasks")
     .isArray({ min: 1 })
     .withMessage("At least one supported task is required")
-    .custom((tasks) => {
-      const validTasks = ["text_extraction", "analysis", "evaluation"]
-      return tasks.every((task) => validTasks.includes(task))
-    })
-    .withMessage("Invalid task type. Must be one of: text_extraction, analysis, evaluation"),
+    .custom((tasks) => tasks.every((task) => TASK_TYPES.includes(task)))
+    .withMessage(`Invalid task type. Must be one of: ${TASK_TYPES.join(", ")}`),
   body("taskPreferences").optional().isObject().withMessage("Task preferences must be an object"),
   body("taskPreferences.text_extraction")
     .optional()
@@ -35,7 +38,8 @@ const validateAiServiceConfig = [
     .withMessage("text_extraction preference must be a boolean"),
   body("taskPreferences.analysis").optional().isBoolean().withMessage("analysis preference must be a boolean"),
   body("taskPreferences.evaluation").optional().isBoolean().withMessage("evaluation preference must be a boolean"),
-  // Additional validation for agentic service config
+  body("taskPreferences.chat").optional().isBoolean().withMessage("chat preference must be a boolean"),
+  body("taskPreferences.embedding").optional().isBoolean().withMessage("embedding preference must be a boolean"),
   body("serviceConfig")
     .optional()
     .isObject()
@@ -50,8 +54,48 @@ const validateAiServiceConfig = [
     .isBoolean()
     .withMessage("includeMetadataInMarkdown must be a boolean"),
   body("serviceConfig.pages").optional().isString().withMessage("pages must be a string"),
+  body(["serviceConfig.textModel", "serviceConfig.visionModel", "serviceConfig.embeddingModel"])
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Model names must be non-empty strings"),
+  body("serviceConfig.textModel")
+    .if(body("serviceName").equals("custom"))
+    .notEmpty()
+    .withMessage("serviceConfig.textModel is required for the custom service"),
+  body("serviceConfig.jsonMode").optional().isBoolean().withMessage("jsonMode must be a boolean"),
 ]
 
+const buildTaskPreferences = (taskPreferences = {}) =>
+  TASK_TYPES.reduce((preferences, task) => {
+    preferences[task] = taskPreferences[task] || false
+    return preferences
+  }, {})
+
+// Merge requested service config over the current one. Agentic options
+// keep their existing defaults; model overrides apply to every service.
+const buildServiceConfig = (serviceName, serviceConfig = {}, current = {}) => {
+  const pick = (key, fallback) =>
+    serviceConfig[key] !== undefined ? serviceConfig[key] : current[key] !== undefined ? current[key] : fallback
+
+  const config = {
+    textModel: pick("textModel", null),
+    visionModel: pick("visionModel", null),
+    embeddingModel: pick("embeddingModel", null),
+    jsonMode: pick("jsonMode", true),
+    timeout: pick("timeout", serviceName === "agentic" ? 480 : 60),
+  }
+
+  if (serviceName === "agentic") {
+    config.includeMarginalia = pick("includeMarginalia", true)
+    config.includeMetadataInMarkdown = pick("includeMetadataInMarkdown", true)
+    config.pages = pick("pages", null)
+  }
+
+  return config
+}
+
 // Helper function to hide API keys
 const hideApiKeys = (services) => {
   if (Array.isArray(services)) {
@@ -118,10 +162,10 @@ router.get("/:serviceName", async (req, res) => {
   try {
     const { serviceName } = req.params
 
-    if (!["openai", "gemini", "agentic"].includes(serviceName)) {
+    if (!SERVICE_NAMES.includes(serviceName)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid service name. Must be openai, gemini, or agentic",
+        message: INVALID_SERVICE_MESSAGE,
       })
     }
 
@@ -157,10 +201,10 @@ router.get("/:serviceName/apikey", async (req, res) => {
   try {
     const { serviceName } = req.params
 
-    if (!["openai", "gemini", "agentic"].includes(serviceName)) {
+    if (!SERVICE_NAMES.includes(serviceName)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid service name. Must be openai, gemini, or agentic",
+        message: INVALID_SERVICE_MESSAGE,
       })
     }
 
@@ -197,10 +241,10 @@ router.put("/:serviceName/apikey", async (req, res) => {
     const { serviceName } = req.params
     const { apiKey } = req.body
 
-    if (!["openai", "gemini", "agentic"].includes(serviceName)) {
+    if (!SERVICE_NAMES.includes(serviceName)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid service name. Must be openai, gemini, or agentic",
+        message: INVALID_SERVICE_MESSAGE,
       })
     }
 
@@ -223,6 +267,7 @@ router.put("/:serviceName/apikey", async (req, res) => {
     // Update API key
     service.apiKey = apiKey.trim()
     await service.save()
+    aiServiceManager.refreshConfig()
 
     res.json({
       success: true,
@@ -275,24 +320,11 @@ router.post("/", validateAiServiceConfig, async (req, res) => {
       service.apiUrl = apiUrl
       service.isActive = isActive
       service.supportedTasks = supportedTasks
-      service.taskPreferences = {
-        text_extraction: taskPreferences.text_extraction || false,
-        analysis: taskPreferences.analysis || false,
-        evaluation: taskPreferences.evaluation || false,
-      }
-
-      // Update service config for agentic service
-      if (serviceName === "agentic") {
-        service.serviceConfig = {
-          timeout: serviceConfig.timeout || 480,
-          includeMarginalia: serviceConfig.includeMarginalia !== undefined ? serviceConfig.includeMarginalia : true,
-          includeMetadataInMarkdown:
-            serviceConfig.includeMetadataInMarkdown !== undefined ? serviceConfig.includeMetadataInMarkdown : true,
-          pages: serviceConfig.pages || null,
-        }
-      }
+      service.taskPreferences = buildTaskPreferences(taskPreferences)
+      service.serviceConfig = buildServiceConfig(serviceName, serviceConfig, service.serviceConfig?.toObject?.() || {})
 
       await service.save()
+      aiServiceManager.refreshConfig()
 
       res.json({
         success: true,
@@ -318,26 +350,13 @@ router.post("/", validateAiServiceConfig, async (req, res) => {
         apiUrl,
         isActive,
         supportedTasks,
-        taskPreferences: {
-          text_extraction: taskPreferences.text_extraction || false,
-          analysis: taskPreferences.analysis || false,
-          evaluation: taskPreferences.evaluation || false,
-        },
-      }
-
-      // Add service config for agentic service
-      if (serviceName === "agentic") {
-        newServiceData.serviceConfig = {
-          timeout: serviceConfig.timeout || 480,
-          includeMarginalia: serviceConfig.includeMarginalia !== undefined ? serviceConfig.includeMarginalia : true,
-          includeMetadataInMarkdown:
-            serviceConfig.includeMetadataInMarkdown !== undefined ? serviceConfig.includeMetadataInMarkdown : true,
-          pages: serviceConfig.pages || null,
-        }
+        taskPreferences: buildTaskPreferences(taskPreferences),
+        serviceConfig: buildServiceConfig(serviceName, serviceConfig),
       }
 
       service = new AiServiceConfig(newServiceData)
       await service.save()
+      aiServiceManager.refreshConfig()
 
       res.status(201).json({
         success: true,
@@ -380,10 +399,10 @@ router.put("/:serviceName/preferences", async (req, res) => {
     const { serviceName } = req.params
     const { taskPreferences } = req.body
 
-    if (!["openai", "gemini", "agentic"].includes(serviceName)) {
+    if (!SERVICE_NAMES.includes(serviceName)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid service name. Must be openai, gemini, or agentic",
+        message: INVALID_SERVICE_MESSAGE,
       })
     }
 
@@ -404,13 +423,10 @@ router.put("/:serviceName/preferences", async (req, res) => {
     }
 
     // Update task preferences
-    service.taskPreferences = {
-      text_extraction: taskPreferences.text_extraction || false,
-      analysis: taskPreferences.analysis || false,
-      evaluation: taskPreferences.evaluation || false,
-    }
+    service.taskPreferences = buildTaskPreferences(taskPreferences)
 
     await service.save()
+    aiServiceManager.refreshConfig()
 
     res.json({
       success: true,
@@ -431,16 +447,16 @@ router.put("/:serviceName/preferences", async (req, res) => {
   }
 })
 
-// PUT update service configuration (for agentic service)
+// PUT update service configuration (agentic options and model overrides)
 router.put("/:serviceName/config", async (req, res) => {
   try {
     const { serviceName } = req.params
     const { serviceConfig } = req.body
 
-    if (serviceName !== "agentic") {
+    if (!SERVICE_NAMES.includes(serviceName)) {
       return res.status(400).json({
         success: false,
-        message: "Service configuration update is only available for agentic service",
+        message: INVALID_SERVICE_MESSAGE,
       })
     }
 
@@ -461,24 +477,10 @@ router.put("/:serviceName/config", async (req, res) => {
     }
 
     // Update service configuration
-    service.serviceConfig = {
-      timeout: serviceConfig.timeout || service.serviceConfig?.timeout || 480,
-      includeMarginalia:
-        serviceConfig.includeMarginalia !== undefined
-          ? serviceConfig.includeMarginalia
-          : service.serviceConfig?.includeMarginalia !== undefined
-            ? service.serviceConfig.includeMarginalia
-            : true,
-      includeMetadataInMarkdown:
-        serviceConfig.includeMetadataInMarkdown !== undefined
-          ? serviceConfig.includeMetadataInMarkdown
-          : service.serviceConfig?.includeMetadataInMarkdown !== undefined
-            ? service.serviceConfig.includeMetadataInMarkdown
-            : true,
-      pages: serviceConfig.pages !== undefined ? serviceConfig.pages : service.serviceConfig?.pages || null,
-    }
+    service.serviceConfig = buildServiceConfig(serviceName, serviceConfig, service.serviceConfig?.toObject?.() || {})
 
     await service.save()
+    aiServiceManager.refreshConfig()
 
     res.json({
       success: true,
@@ -504,10 +506,10 @@ router.put("/:serviceName/toggle", async (req, res) => {
   try {
     const { serviceName } = req.params
 
-    if (!["openai", "gemini", "agentic"].includes(serviceName)) {
+    if (!SERVICE_NAMES.includes(serviceName)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid service name. Must be openai, gemini, or agentic",
+        message: INVALID_SERVICE_MESSAGE,
       })
     }
 
@@ -522,6 +524,7 @@ router.put("/:serviceName/toggle", async (req, res) => {
 
     service.isActive = !service.isActive
     await service.save()
+    aiServiceManager.refreshConfig()
 
     res.json({
       success: true,
@@ -547,14 +550,15 @@ router.delete("/:serviceName", async (req, res) => {
   try {
     const { serviceName } = req.params
 
-    if (!["openai", "gemini", "agentic"].includes(serviceName)) {
+    if (!SERVICE_NAMES.includes(serviceName)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid service name. Must be openai, gemini, or agentic",
+        message: INVALID_SERVICE_MESSAGE,
       })
     }
 
     const service = await AiServiceConfig.findOneAndDelete({ serviceName })
+    aiServiceManager.refreshConfig()
 
     if (!service) {
       return res.status(404).json({
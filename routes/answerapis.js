@@ -5,8 +5,9 @@ const AiswbQuestion = require('../models/AiswbQuestion');
 const SubjectiveTestQuestion = require('../models/SubjectiveTestQuestion');
 const AISWBSet = require('../models/AISWBSet');
 const { validationResult, param, body, query } = require('express-validator');
-const { verifyTokenforevaluator } = require('../middleware/auth');
+const { verifyTokenforevaluator, identifyEvaluator } = require('../middleware/auth');
 const { generateAnnotatedImageUrl } = require('../utils/s3');
+const moderation = require('../services/moderation');
 
 // GET /crud/answers - List all submitted answers with pagination and filters
 router.get('/answers', [
@@ -477,7 +478,7 @@ router.get('/answers/evaluated', [
 });
 
 // PUT /crud/answers/:answerId/evaluate - Evaluate answer (for manual mode)
-router.put('/answers/:answerId/evaluate', [
+router.put('/answers/:answerId/evaluate', identifyEvaluator, [
   param('answerId')
     .isMongoId()
     .withMessage('Answer ID must be a valid MongoDB ObjectId'),
@@ -601,6 +602,10 @@ router.put('/answers/:answerId/evaluate', [
       });
     }
 
+    // Score the answer carried before its first manual evaluation (the AI's),
+    // compared against the evaluator's for drift
+    const aiScore = answer.submissionStatus !== 'evaluated' ? answer.evaluation?.score ?? null : null;
+
     // Prepare update data
     const updateData = {
       submissionStatus: 'evaluated',
@@ -642,6 +647,24 @@ router.put('/answers/:answerId/evaluate', [
       }
     ]);
 
+    // Attributed to the evaluator who sent the score: reviewedByEvaluator
+    // only says who the review was offered to
+    if (evaluation && evaluation.score !== undefined && req.evaluator) {
+      try {
+        await moderation.recordScore({
+          answer,
+          evaluatorId: req.evaluator._id,
+          source: 'manual_evaluation',
+          score: evaluation.score,
+          maxScore: question.metadata?.maximumMarks,
+          aiScore,
+          aiMaxScore: question.metadata?.maximumMarks
+        });
+      } catch (moderationError) {
+        console.error('Failed to record score for moderation:', moderationError);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: publish ? "Answer evaluated and published successfully" : "Answer evaluated successfully",
@@ -1,13 +1,21 @@
 const express = require("express")
-const OpenAI = require("openai")
+const aiServiceManager = require("../services/aiServiceManager")
 const router = express.Router()
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-})
-
-// POST /api/chat - Handle chat messages with OpenAI
+// Provider for the chat task; falls back to OpenAI from the environment so
+// deployments without an AIServiceConfig entry keep working
+const getChatProvider = async () => {
+  const provider = await aiServiceManager.findProviderForTask("chat")
+  if (provider) return provider
+  if (!process.env.OPENAI_API_KEY) return null
+  return aiServiceManager.getProvider({
+    serviceName: "openai",
+    apiKey: process.env.OPENAI_API_KEY,
+    apiUrl: "https://api.openai.com/v1/chat/completions",
+  })
+}
+
+// POST /api/chat - Handle chat messages with the configured chat provider
 router.post("/", async (req, res) => {
   try {
     const { messages, summaries } = req.body
@@ -20,11 +28,11 @@ router.post("/", async (req, res) => {
       })
     }
 
-    // Check if OpenAI API key is configured
-    if (!process.env.OPENAI_API_KEY) {
+    const provider = await getChatProvider()
+    if (!provider || !provider.supports("text")) {
       return res.status(500).json({
         success: false,
-        message: "OpenAI API key not configured",
+        message: "No chat AI service configured",
       })
     }
 
@@ -47,51 +55,40 @@ Instructions:
       systemMessage += `\n\nLearning Materials Context:\n${summaryContext}`
     }
 
-    // Prepare messages for OpenAI
-    const openaiMessages = [
-      {
-        role: "system",
-        content: systemMessage
-      },
-      ...messages.map(msg => ({
-        role: msg.role === "user" ? "user" : "assistant",
-        content: msg.content
-      }))
-    ]
-
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Using gpt-4o-mini for cost efficiency, change to gpt-4o if needed
-      messages: openaiMessages,
-      max_tokens: 1000,
-      temperature: 0.7,
-      stream: false
-    })
+    const chatMessages = messages.map(msg => ({
+      role: msg.role === "user" ? "user" : "assistant",
+      content: msg.content
+    }))
 
-    const response = completion.choices[0].message.content
+    const completion = await provider.generateText({
+      system: systemMessage,
+      messages: chatMessages,
+      maxTokens: 1000,
+      temperature: 0.7
+    })
 
     res.json({
       success: true,
-      message: response,
+      message: completion.text,
       timestamp: new Date().toISOString(),
-      tokensUsed: completion.usage?.total_tokens || 0
+      tokensUsed: completion.usage.totalTokens
     })
 
   } catch (error) {
     console.error("Chat API error:", error)
     
-    // Handle specific OpenAI errors
-    if (error.code === 'insufficient_quota') {
+    // Handle specific provider errors
+    if (error.status === 429 || error.code === 'insufficient_quota') {
       return res.status(429).json({
         success: false,
-        message: "OpenAI quota exceeded. Please try again later.",
+        message: "AI service quota exceeded. Please try again later.",
       })
     }
     
-    if (error.code === 'invalid_api_key') {
+    if (error.status === 401 || error.status === 403 || error.code === 'invalid_api_key') {
       return res.status(401).json({
         success: false,
-        message: "Invalid OpenAI API key configuration.",
+        message: "Invalid AI service API key configuration.",
       })
     }
 
@@ -114,10 +111,11 @@ router.post("/stream", async (req, res) => {
       })
     }
 
-    if (!process.env.OPENAI_API_KEY) {
+    const provider = await getChatProvider()
+    if (!provider || !provider.supports("stream")) {
       return res.status(500).json({
         success: false,
-        message: "OpenAI API key not configured",
+        message: "No chat AI service configured",
       })
     }
 
@@ -140,46 +138,35 @@ Instructions:
       systemMessage += `\n\nLearning Materials Context:\n${summaryContext}`
     }
 
-    // Prepare messages for OpenAI
-    const openaiMessages = [
-      {
-        role: "system",
-        content: systemMessage
-      },
-      ...messages.map(msg => ({
-        role: msg.role === "user" ? "user" : "assistant",
-        content: msg.content
-      }))
-    ]
+    const chatMessages = messages.map(msg => ({
+      role: msg.role === "user" ? "user" : "assistant",
+      content: msg.content
+    }))
 
     // Set headers for streaming
     res.setHeader('Content-Type', 'text/plain')
     res.setHeader('Cache-Control', 'no-cache')
     res.setHeader('Connection', 'keep-alive')
 
-    // Call OpenAI API with streaming
-    const stream = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: openaiMessages,
-      max_tokens: 1000,
-      temperature: 0.7,
-      stream: true
+    const stream = provider.streamText({
+      system: systemMessage,
+      messages: chatMessages,
+      maxTokens: 1000,
+      temperature: 0.7
     })
 
-    let fullResponse = ""
-
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || ""
-      if (content) {
-        fullResponse += content
-        res.write(content)
-      }
+    for await (const content of stream) {
+      res.write(content)
     }
 
     res.end()
 
   } catch (error) {
     console.error("Streaming chat API error:", error)
+    // Headers are already sent once streaming has started
+    if (res.headersSent) {
+      return res.end()
+    }
     res.status(500).json({
       success: false,
       message: "Failed to process streaming chat request.",
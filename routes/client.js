@@ -23,6 +23,27 @@ router.get('/credit-recharge-plans', clientController.getCreditRechargePlans);
 //create credit recharge plan
 router.post('/credit-recharge-plans', clientController.createCreditRechargePlan);
 
+// payment gateway and merchant account for this client's users
+router.get('/payment-gateway', clientController.getPaymentGateway);
+
+router.put('/payment-gateway', clientController.setPaymentGateway);
+
+router.delete('/payment-gateway', clientController.disablePaymentGateway);
+
+// Invoices for credits bought by this client's users
+router.get('/invoices', clientController.getInvoices);
+
+router.get('/invoices/statement', clientController.getInvoiceStatement);
+
+router.get('/invoices/:id/pdf', clientController.downloadInvoice);
+
+// Review SLAs and turnaround of this client's expert reviews
+router.get('/review-sla-policies', clientController.getReviewSlaPolicies);
+
+router.put('/review-sla-policies', clientController.setReviewSlaPolicy);
+
+router.get('/review-turnaround', clientController.getReviewTurnaround);
+
 
 // Additional routes would go here
 // Such as routes for managing AI books, workbooks, agents, users, etc.
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateMobileUser } = require('../middleware/mobileAuth');
-const { getCreditAccount, getCreditPlans, buyCredits, getCredit, getCreditTransactions, getCreditBalance, useCreditsForService , getCreditRechargePlans} = require('../controllers/creditManagement');
+const { getCreditAccount, getCreditPlans, buyCredits, getCredit, getCreditTransactions, getCreditBalance, useCreditsForService , getCreditRechargePlans, getServicePrices, getCreditExpiry, getPurchaseStatus, getInvoices, downloadInvoice} = require('../controllers/creditManagement');
 
 router.get('/account',authenticateMobileUser, getCreditAccount );
 
@@ -9,6 +9,12 @@ router.get('/plans', authenticateMobileUser, getCreditPlans );
 
 router.post('/buy-credits', authenticateMobileUser, buyCredits );
 
+router.get('/buy-credits/:orderId', authenticateMobileUser, getPurchaseStatus );
+
+router.get('/buy-credits/:orderId/invoice', authenticateMobileUser, downloadInvoice );
+
+router.get('/invoices', authenticateMobileUser, getInvoices );
+
 router.get('/get-credits', authenticateMobileUser, getCredit );
 
 router.get('/transactions', authenticateMobileUser, getCreditTransactions );
@@ -19,4 +25,8 @@ router.post('/use-credits', authenticateMobileUser, useCreditsForService );
 
 router.get('/recharge-plans',authenticateMobileUser, getCreditRechargePlans)
 
+router.get('/service-prices',authenticateMobileUser, getServicePrices)
+
+router.get('/expiring',authenticateMobileUser, getCreditExpiry)
+
 module.exports = router;
\ No newline at end of file
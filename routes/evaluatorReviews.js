@@ -9,6 +9,16 @@ const AiswbQuestion = require('../models/AiswbQuestion');
 const SubjectiveTestQuestion = require('../models/SubjectiveTestQuestion');
 const { generatePresignedUrl, generateAnnotatedImageUrl } = require('../utils/s3');
 const path = require('path');
+const mongoose = require('mongoose');
+const evaluatorAssignment = require('../services/evaluatorAssignment');
+const AnswerAnnotation = require('../models/AnswerAnnotation');
+const answerAnnotations = require('../services/answerAnnotations');
+const EvaluatorEarning = require('../models/EvaluatorEarning');
+const PayoutStatement = require('../models/PayoutStatement');
+const evaluatorPayouts = require('../services/evaluatorPayouts');
+const ModerationCase = require('../models/ModerationCase');
+const moderation = require('../services/moderation');
+const reviewSla = require('../services/reviewSla');
 
 
 
@@ -2134,61 +2144,201 @@ router.get('/completed-reviews', verifyTokenforevaluator, async (req, res) => {
 });
 
 // 2. ✅ Accept Review Request
+// Only the evaluator it was offered to can accept it, within the accept
+// window; a request nobody was found for can be claimed by any evaluator
+// with access to its client.
 router.post('/:requestId/accept', verifyTokenforevaluator, async (req, res) => {
   try {
     const evaluatorId = req.evaluator._id;
-    
-    // Get evaluator to check client access
-    const evaluator = await Evaluator.findById(evaluatorId);
-    if (!evaluator) {
+    const { requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
       return res.status(404).json({
         success: false,
-        message: 'Evaluator not found'
+        message: 'Review request not found'
       });
     }
-    const { requestId } = req.params;
 
-    const request = await ReviewRequest.findById(requestId);
+    const { request, status, error } = await evaluatorAssignment.acceptRequest(requestId, evaluatorId);
     if (!request) {
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        message: 'Review request not found'
+        message: error
       });
     }
 
-    // Check if request is available
-    if (!['pending', 'assigned'].includes(request.requestStatus)) {
+    res.json({
+      success: true,
+      message: 'Review request accepted successfully',
+      data: {
+        requestId: request._id,
+        status: request.requestStatus,
+        assignedAt: request.assignedAt,
+        acceptedAt: request.acceptedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error accepting review request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// The answer, if the evaluator is reviewing it or has access to its client
+const findAnnotatableAnswer = async (answerId, evaluatorId) => {
+  if (!mongoose.Types.ObjectId.isValid(answerId)) return null;
+  const [answer, evaluator] = await Promise.all([
+    UserAnswer.findById(answerId),
+    Evaluator.findById(evaluatorId).select('clientAccess').lean()
+  ]);
+  if (!answer || !evaluator) return null;
+  const reviewing = answer.reviewedByEvaluator && String(answer.reviewedByEvaluator) === String(evaluatorId);
+  const hasAccess = (evaluator.clientAccess || []).some((client) => client.id === answer.clientId);
+  return reviewing || hasAccess ? answer : null;
+};
+
+// Annotations found by the text of their comments, across the evaluator's
+// own annotated answers
+router.get('/annotations/search', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
       return res.status(400).json({
         success: false,
-        message: 'Request is not available for acceptance'
+        message: 'q is required'
       });
     }
+    const { questionId } = req.query;
+    if (questionId && !mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid questionId'
+      });
+    }
+
+    const results = await answerAnnotations.searchAnnotations({
+      evaluatorId: req.evaluator._id,
+      query,
+      questionId,
+      limit: Math.min(Number.parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error searching annotations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// What the evaluator marks most: annotation counts and marks by type,
+// optionally for one question
+router.get('/annotations/stats', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const filter = { evaluator: req.evaluator._id };
+    if (req.query.questionId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.questionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid questionId'
+        });
+      }
+      filter.questionId = new mongoose.Types.ObjectId(req.query.questionId);
+    }
+
+    const stats = await answerAnnotations.annotationStats(filter);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching annotation stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
 
-    // Mark as assigned
-    request.requestStatus = 'assigned';
-    request.assignedAt = new Date();
-    await request.save();
-
-    // Update answer status
-    const answer = await UserAnswer.findById(request.answerId);
-    if (answer) {
-      answer.reviewStatus = 'review_accepted';
-      answer.reviewAssignedAt = request.assignedAt;
-      await answer.save();
+// Annotations on an answer, with its page images to draw them over
+router.get('/answers/:answerId/annotations', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const answer = await findAnnotatableAnswer(req.params.answerId, req.evaluator._id);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
     }
 
+    const annotation = await AnswerAnnotation.findOne({ answerId: answer._id });
+
     res.json({
       success: true,
-      message: 'Review request accepted successfully',
       data: {
-        requestId: request._id,
-        status: request.requestStatus,
-        assignedAt: request.assignedAt
+        answerId: answer._id,
+        pages: answer.answerImages.map((image, index) => ({ page: index, imageUrl: image.imageUrl })),
+        items: annotation ? annotation.items : [],
+        summary: answerAnnotations.summarize(annotation)
       }
     });
+  } catch (error) {
+    console.error('Error fetching annotations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
 
+// Save the full set of annotations on an answer. Send back the version
+// that was loaded; a save over someone else's newer one is rejected.
+router.put('/answers/:answerId/annotations', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const answer = await findAnnotatableAnswer(req.params.answerId, req.evaluator._id);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    const { annotation, status, error } = await answerAnnotations.saveAnnotations(answer, {
+      evaluatorId: req.evaluator._id,
+      items: req.body.items,
+      version: req.body.version
+    });
+    if (!annotation) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Annotations saved',
+      data: {
+        answerId: answer._id,
+        items: annotation.items,
+        summary: answerAnnotations.summarize(annotation)
+      }
+    });
   } catch (error) {
-    console.error('Error accepting review request:', error);
+    console.error('Error saving annotations:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -2197,6 +2347,43 @@ router.post('/:requestId/accept', verifyTokenforevaluator, async (req, res) => {
   }
 });
 
+// The answer pages with the annotations drawn on, as a PDF (?pages=0,2 for some)
+router.get('/answers/:answerId/annotations/pdf', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const answer = await findAnnotatableAnswer(req.params.answerId, req.evaluator._id);
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    const { pages, error } = answerAnnotations.parsePages(req.query.pages, answer.answerImages.length);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const annotation = await AnswerAnnotation.findOne({ answerId: answer._id }).lean();
+    const pdf = await answerAnnotations.renderAnnotatedPdf(answer, annotation, { pages });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="answer-${answer._id}-annotated.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error rendering annotations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render annotations',
+      error: error.message
+    });
+  }
+});
+
 // Generate presigned URL for annotated image upload
 router.post('/annotated-image-upload-url', async (req, res) => {
   try {
@@ -2234,22 +2421,37 @@ router.post('/annotated-image-upload-url', async (req, res) => {
   }
 });
 
-router.post('/publishwithannotation', async (req,res) => {
+router.post('/publishwithannotation', verifyTokenforevaluator, async (req,res) => {
   try {
     const { answerId, annotatedImageKey } = req.body;
-    console.log(req.body)
-    if (!answerId || !annotatedImageKey) {
+    if (!answerId) {
       return res.status(400).json({
         success: false,
         message: 'answerId, annotatedImageKey, feedback, and evaluation are required'
       });
     }
 
-    const userAnswer = await UserAnswer.findById(answerId);
-    console.log(userAnswer)
+    const userAnswer = mongoose.Types.ObjectId.isValid(answerId) ? await UserAnswer.findById(answerId) : null;
     if (!userAnswer) {
       return res.status(404).json({ success: false, message: 'UserAnswer not found' });
     }
+    // Only the evaluator reviewing the answer may publish it
+    if (!userAnswer.reviewedByEvaluator || String(userAnswer.reviewedByEvaluator) !== String(req.evaluator._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This answer is not assigned to you for review.'
+      });
+    }
+
+    // Without an uploaded image the answer is published with its saved
+    // structured annotations
+    const structured = annotatedImageKey ? null : await AnswerAnnotation.findOne({ answerId: userAnswer._id });
+    if (!annotatedImageKey && !structured?.items.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'annotatedImageKey is required unless the answer has saved annotations'
+      });
+    }
 
     // Dynamically populate question based on testType
     let question;
@@ -2266,9 +2468,6 @@ router.post('/publishwithannotation', async (req,res) => {
       });
     }
 
-    console.log(question)
-    console.log(question.evaluationMode)
-    console.log(question.evaluationType)
     if (!question || question.evaluationMode !== 'manual' || question.evaluationType !== 'with annotation') {
       return res.status(400).json({
         success: false,
@@ -2276,19 +2475,29 @@ router.post('/publishwithannotation', async (req,res) => {
       });
     }
 
-    const downloadUrl = await generateAnnotatedImageUrl(annotatedImageKey);
-    console.log(downloadUrl)
-    userAnswer.annotations.push({
-      s3Key: annotatedImageKey,
-      downloadUrl: downloadUrl,
-      uploadedAt: new Date()
-    });
+    if (annotatedImageKey) {
+      const downloadUrl = await generateAnnotatedImageUrl(annotatedImageKey);
+      userAnswer.annotations.push({
+        s3Key: annotatedImageKey,
+        downloadUrl: downloadUrl,
+        uploadedAt: new Date()
+      });
+    }
 
     userAnswer.publishStatus = 'published';
     userAnswer.submissionStatus = 'evaluated'
     userAnswer.evaluatedAt = new Date()
 
     await userAnswer.save();
+    if (structured) {
+      structured.publishedAt = userAnswer.evaluatedAt;
+      await structured.save();
+    }
+    try {
+      await evaluatorPayouts.queueReviewEarning(userAnswer._id);
+    } catch (earningError) {
+      console.error('Error queueing evaluator earning:', earningError);
+    }
 
     res.json({
       success: true,
@@ -2306,6 +2515,294 @@ router.post('/publishwithannotation', async (req,res) => {
   }
 });
 
+// Earnings not yet on a payout statement, and the statement totals by month
+router.get('/earnings', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const evaluatorId = req.evaluator._id;
+    const filter = { evaluator: evaluatorId };
+    if (req.query.month) {
+      if (!evaluatorPayouts.isMonth(req.query.month)) {
+        return res.status(400).json({
+          success: false,
+          message: 'month must be in YYYY-MM format'
+        });
+      }
+      filter.month = req.query.month;
+    } else {
+      filter.statement = null;
+    }
+
+    const [entries, statements] = await Promise.all([
+      EvaluatorEarning.find(filter)
+        .sort({ earnedAt: -1 })
+        .limit(500)
+        .select('entryType answerId questionType grade rateSource amount currency description month earnedAt statement')
+        .lean(),
+      PayoutStatement.find({ evaluator: evaluatorId })
+        .sort({ month: -1 })
+        .limit(12)
+        .select('month reviewCount totalAmount currency status paidAt')
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        unbilledAmount: Math.round(entries.filter((entry) => !entry.statement).reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100,
+        statements
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching earnings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+router.get('/payout-statements', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const statements = await PayoutStatement.find({ evaluator: req.evaluator._id })
+      .sort({ month: -1 })
+      .select('-history');
+
+    res.json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    console.error('Error fetching payout statements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// One statement with its entries; format=csv to download it
+router.get('/payout-statements/:statementId', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const { statementId } = req.params;
+    const statement = mongoose.Types.ObjectId.isValid(statementId)
+      ? await PayoutStatement.findOne({ _id: statementId, evaluator: req.evaluator._id })
+      : null;
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout statement not found'
+      });
+    }
+
+    const detailed = await evaluatorPayouts.statementWithEntries(statement);
+    if (req.query.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="payout-${statement.month}.csv"`
+      });
+      return res.send(evaluatorPayouts.statementCsv(detailed));
+    }
+
+    res.json({
+      success: true,
+      data: detailed
+    });
+  } catch (error) {
+    console.error('Error fetching payout statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Dispute a statement before it is paid; it is held until an admin resolves it
+router.post('/payout-statements/:statementId/dispute', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const { statement, status, error } = await evaluatorPayouts.raiseDispute(req.params.statementId, req.evaluator._id, req.body.reason);
+    if (!statement) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute raised',
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error raising payout dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Answers assigned to this evaluator for blind moderation. The first
+// evaluator's score, remarks and annotations are not shown.
+router.get('/moderation/assigned', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const cases = await ModerationCase.find({ 'moderator.evaluator': req.evaluator._id, status: 'awaiting_moderation' })
+      .sort({ 'moderator.assignedAt': 1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: await Promise.all(cases.map((moderationCase) => moderation.blindView(moderationCase)))
+    });
+  } catch (error) {
+    console.error('Error fetching moderation cases:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+router.post('/moderation/:caseId/score', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const { moderationCase, status, error } = await moderation.submitModeration(req.params.caseId, req.evaluator._id, req.body);
+    if (!moderationCase) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: moderationCase.agreed ? 'Score recorded; it agrees with the first score' : 'Score recorded; the case has been sent to a head examiner',
+      data: {
+        caseId: moderationCase._id,
+        status: moderationCase.status,
+        agreed: moderationCase.agreed
+      }
+    });
+  } catch (error) {
+    console.error('Error submitting moderation score:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Moderated cases for a head examiner to settle, with both scores
+router.get('/moderation/escalated', verifyTokenforevaluator, async (req, res) => {
+  try {
+    if (!req.evaluator.isHeadExaminer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Head examiner access required'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = {
+      clientId: { $in: (req.evaluator.clientAccess || []).map((client) => client.id) },
+      status: req.query.status === 'agreed' ? 'agreed' : 'escalated'
+    };
+
+    const [cases, total] = await Promise.all([
+      ModerationCase.find(filter)
+        .sort({ 'moderator.scoredAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('primary.evaluator moderator.evaluator', 'name email')
+        .lean(),
+      ModerationCase.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        cases,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRecords: total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching escalated moderation cases:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// A head examiner's final score, written back to the answer
+router.post('/moderation/:caseId/override', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const { moderationCase, status, error } = await moderation.overrideScore(req.params.caseId, req.evaluator._id, req.body);
+    if (!moderationCase) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Final score set',
+      data: moderationCase
+    });
+  } catch (error) {
+    console.error('Error overriding moderated score:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// This evaluator's agreement with moderators and with the AI (?from, ?to)
+router.get('/moderation/my-agreement', verifyTokenforevaluator, async (req, res) => {
+  try {
+    const range = reviewSla.reportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const metrics = await moderation.agreementMetrics({ ...range, evaluatorId: req.evaluator._id });
+    res.json({
+      success: true,
+      data: {
+        from: metrics.from,
+        to: metrics.to,
+        tolerance: metrics.policy.tolerance,
+        ...(metrics.evaluators[0] || { scored: 0, moderation: { cases: 0 }, ai: { compared: 0 }, drift: [] })
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching agreement metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 // Edit evaluator profile
 router.patch('/profile', verifyTokenforevaluator, async (req, res) => {
   try {
@@ -6,6 +6,9 @@ const ReviewRequest = require('../models/ReviewRequest');
 const AiswbQuestion = require('../models/AiswbQuestion');
 const MobileUser = require('../models/MobileUser');
 const { authenticateMobileUser } = require('../middleware/mobileAuth');
+const creditMetering = require('../services/creditMetering');
+const evaluatorPayouts = require('../services/evaluatorPayouts');
+const moderation = require('../services/moderation');
 const { generatePresignedUrl, generateAnnotatedImageUrl } = require('../utils/s3');
 const path = require('path');
 
@@ -216,6 +219,39 @@ router.post('/:requestId/submit', async (req, res) => {
     await request.save();
     console.log('[Review Submit] Request status updated successfully');
 
+    // The student's credits held for this review are now earned
+    await creditMetering.captureForResource('ReviewRequest', request._id);
+
+    // ...and the evaluator is owed for it
+    try {
+      await evaluatorPayouts.queueReviewEarning(request.answerId);
+    } catch (earningError) {
+      // Picked up when the month's payout statements are generated
+      console.error('Error queueing evaluator earning:', earningError);
+    }
+
+    // Sampled reviews are re-scored blindly by a second evaluator. The score
+    // belongs to the evaluator who accepted the request, not one it was
+    // merely offered to.
+    if (request.assignedEvaluator && request.acceptedAt && expert_score !== undefined && expert_score !== null && expert_score !== '') {
+      try {
+        const QuestionModel = answer.testType === 'subjective' ? require('../models/SubjectiveTestQuestion') : AiswbQuestion;
+        const question = await QuestionModel.findById(answer.questionId).select('metadata.maximumMarks').lean();
+        await moderation.recordScore({
+          answer,
+          evaluatorId: request.assignedEvaluator,
+          source: 'expert_review',
+          score: expert_score,
+          maxScore: 100,
+          aiScore: answer.evaluation?.score ?? null,
+          aiMaxScore: question?.metadata?.maximumMarks,
+          reviewRequest: request._id
+        });
+      } catch (moderationError) {
+        console.error('Error recording review score for moderation:', moderationError);
+      }
+    }
+
     console.log(`[Review Submit] Review submission completed successfully for requestId: ${requestId}`);
     res.json({
       success: true,
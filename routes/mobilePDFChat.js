@@ -1,9 +1,14 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const router = express.Router()
 const EnhancedPDFProcessor = require("../services/PDFProcessor")
 const DataStore = require("../models/DatastoreItems")
 const Book = require("../models/Book")
+const ChatSession = require("../models/ChatSession")
+const ChatMessage = require("../models/ChatMessage")
 const { authenticateMobileUser } = require("../middleware/mobileAuth")
+const { meterCredits, markCreditsUnused } = require("../middleware/creditMetering")
+const { wantsEventStream, openEventStream, pipeEvents } = require("../utils/sse")
 
 // Initialize enhanced processor
 const processor = new EnhancedPDFProcessor({
@@ -21,6 +26,106 @@ const processor = new EnhancedPDFProcessor({
   maxContextChunks: process.env.MAX_CONTEXT_CHUNKS || "20",
 })
 
+// Prior messages loaded as context for a follow-up question
+const HISTORY_CONTEXT_MESSAGES = 6
+
+const sessionTitleFromQuestion = (question) => {
+  const title = question.trim().replace(/\s+/g, " ")
+  return title.length > 60 ? `${title.slice(0, 57)}...` : title
+}
+
+const formatSession = (session) => ({
+  id: session._id,
+  title: session.title,
+  bookId: session.bookId,
+  itemId: session.itemId,
+  messageCount: session.messageCount,
+  lastMessageAt: session.lastMessageAt,
+  createdAt: session.createdAt,
+})
+
+const formatMessage = (message) => ({
+  id: message._id,
+  role: message.role,
+  content: message.content,
+  standaloneQuestion: message.standaloneQuestion || undefined,
+  citations: message.citations,
+  confidence: message.confidence,
+  createdAt: message.createdAt,
+})
+
+const exportSessionAsMarkdown = (session, book, messages) => {
+  const lines = [`# ${session.title}`, "", `Book: ${book?.title || session.bookId}`, `Started: ${session.createdAt.toISOString()}`, ""]
+  messages.forEach((message) => {
+    lines.push(`**${message.role === "user" ? "You" : "Assistant"}:** ${message.content}`)
+    const cited = (message.citations || []).filter((citation) => citation.cited)
+    if (cited.length > 0) {
+      lines.push("")
+      cited.forEach((citation) => {
+        const location = [citation.fileName, citation.chapter, citation.page ? `page ${citation.page}` : null].filter(Boolean)
+        lines.push(`> [${citation.index}] ${location.join(", ")}`)
+      })
+    }
+    lines.push("")
+  })
+  return lines.join("\n")
+}
+
+// Store a question/answer pair, creating the session on the first turn
+const saveChatTurn = async (session, { userId, clientId, bookId, itemId, question, result, processingTime }) => {
+  // A failed answer is not part of the conversation: saved, it would be fed
+  // back as history into the follow-up rewrite
+  if (result.failed) return { session, assistantMessage: null }
+
+  if (!session) {
+    session = await ChatSession.create({
+      userId,
+      clientId,
+      bookId,
+      itemId,
+      title: sessionTitleFromQuestion(question),
+    })
+  }
+  // Inserted in order so the question's _id sorts before the answer's even
+  // when both get the same createdAt
+  const [, assistantMessage] = await ChatMessage.insertMany(
+    [
+      {
+        sessionId: session._id,
+        role: "user",
+        content: question.trim(),
+        standaloneQuestion: result.standaloneQuestion !== question ? result.standaloneQuestion : null,
+      },
+      {
+        sessionId: session._id,
+        role: "assistant",
+        content: result.answer,
+        citations: result.citations || [],
+        confidence: result.confidence,
+        metadata: {
+          method: result.method,
+          modelUsed: result.modelUsed,
+          tokensUsed: result.tokensUsed,
+          processingTimeMs: processingTime,
+        },
+      },
+    ],
+    { ordered: true }
+  )
+  session = await ChatSession.findByIdAndUpdate(
+    session._id,
+    { $inc: { messageCount: 2 }, $set: { lastMessageAt: new Date() } },
+    { new: true }
+  )
+  return { session, assistantMessage }
+}
+
+// Session owned by the requesting user, or null
+const findUserSession = (sessionId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null
+  return ChatSession.findOne({ _id: sessionId, userId })
+}
+
 // Check if chat is available for a specific PDF in a book
 router.get("/check-availability/:bookId/:itemId", authenticateMobileUser, async (req, res) => {
   try {
@@ -154,10 +259,10 @@ router.get("/check-availability/:bookId/:itemId", authenticateMobileUser, async
 })
 
 // Chat with a specific PDF
-router.post("/chat/:bookId/:itemId", authenticateMobileUser, async (req, res) => {
+router.post("/chat/:bookId/:itemId", authenticateMobileUser, meterCredits("pdf_chat"), async (req, res) => {
   try {
     const { bookId, itemId } = req.params
-    const { question } = req.body
+    const { question, sessionId, answerMode } = req.body
     const userId = req.user.id
     const clientId = req.clientId || req.user.clientId
 
@@ -185,6 +290,14 @@ router.post("/chat/:bookId/:itemId", authenticateMobileUser, async (req, res) =>
       })
     }
 
+    if (answerMode !== undefined && !EnhancedPDFProcessor.ANSWER_MODES.includes(answerMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `answerMode must be one of: ${EnhancedPDFProcessor.ANSWER_MODES.join(", ")}`,
+        chatAvailable: false,
+      })
+    }
+
     // Find the book and verify access
     const book = await Book.findOne({
       _id: bookId,
@@ -236,20 +349,98 @@ router.post("/chat/:bookId/:itemId", authenticateMobileUser, async (req, res) =>
       })
     }
 
+    // Resume an existing conversation when a session is given
+    let session = null
+    let history = []
+    if (sessionId) {
+      session = await findUserSession(sessionId, userId)
+      if (!session || String(session.bookId) !== String(bookId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Chat session not found",
+          chatAvailable: true,
+        })
+      }
+      if (session.itemId && String(session.itemId) !== String(itemId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Chat session belongs to a different PDF in this book",
+          chatAvailable: true,
+        })
+      }
+      const recentMessages = await ChatMessage.find({ sessionId: session._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(HISTORY_CONTEXT_MESSAGES)
+        .select("role content")
+        .lean()
+      history = recentMessages.reverse()
+    }
+
     console.log(`🤖 Processing question with AI...`)
     const startTime = Date.now()
-
-    // Process the question
-    const result = await processor.answerQuestion(
+    const answerOptions = { clientId, history, answerMode }
+    const answerArgs = [
       question,
       item.name,
       userId,
       false, // Don't require strict auth for mobile
       bookId,
-    )
+      answerOptions,
+    ]
+
+    // Streaming: "sources", "delta"... then "done" once the turn is saved
+    if (wantsEventStream(req)) {
+      const events = openEventStream(res)
+      try {
+        // Stop generating (and metering) if the client disconnects
+        answerOptions.signal = events.signal
+        const done = await pipeEvents(processor.streamAnswer(...answerArgs), events)
+        if (done) {
+          const processingTime = Date.now() - startTime
+          const turn = await saveChatTurn(session, {
+            userId,
+            clientId,
+            bookId,
+            itemId,
+            question,
+            result: done,
+            processingTime,
+          })
+          events.send("done", {
+            ...done,
+            session: { ...formatSession(turn.session), messageId: turn.assistantMessage._id },
+            processingTimeMs: processingTime,
+          })
+        }
+      } catch (error) {
+        console.error("❌ Error in streaming mobile PDF chat:", error)
+        markCreditsUnused(res)
+        events.send("error", { message: "Failed to process chat request", details: error.message })
+      }
+      return events.end()
+    }
+
+    // Process the question
+    const result = await processor.answerQuestion(...answerArgs)
 
     const processingTime = Date.now() - startTime
 
+    // No answer was generated: release the credits held for it
+    if (result.failed) {
+      markCreditsUnused(res)
+      return res.status(502).json({
+        success: false,
+        message: "Failed to generate an answer. Please try again.",
+        error: { message: result.answer },
+        chatAvailable: true,
+        timestamp: new Date().toISOString(),
+      })
+    }
+
+    // Persist the turn
+    const turn = await saveChatTurn(session, { userId, clientId, bookId, itemId, question, result, processingTime })
+    session = turn.session
+
     // Prepare response
     const response = {
       success: true,
@@ -258,6 +449,13 @@ router.post("/chat/:bookId/:itemId", authenticateMobileUser, async (req, res) =>
       answer: result.answer,
       confidence: result.confidence,
       sources: result.sources,
+      citations: result.citations || [],
+      standaloneQuestion: result.standaloneQuestion,
+      answerMode: result.answerMode,
+      session: {
+        ...formatSession(session),
+        messageId: turn.assistantMessage._id,
+      },
       bookInfo: {
         id: book._id,
         title: book.title,
@@ -476,19 +674,18 @@ router.get("/suggestions/:bookId", authenticateMobileUser, async (req, res) => {
   }
 })
 
-// Get chat history for a book (placeholder for future implementation)
+// List the user's chat sessions for a book, most recent first
 router.get("/history/:bookId", authenticateMobileUser, async (req, res) => {
   try {
     const { bookId } = req.params
     const userId = req.user.id
-
-    // This is a placeholder for chat history functionality
-    // You can implement this based on your requirements
-    // For now, we'll return an empty history with metadata
+    const clientId = req.clientId || req.user.clientId
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), 100)
 
     const book = await Book.findOne({
       _id: bookId,
-      $or: [{ user: userId, userType: "MobileUser" }, { isPublic: true }],
+      $or: [{ user: userId, userType: "MobileUser" }, { clientId: clientId }, { isPublic: true }],
     })
 
     if (!book) {
@@ -498,21 +695,35 @@ router.get("/history/:bookId", authenticateMobileUser, async (req, res) => {
       })
     }
 
+    const filter = { userId, bookId }
+    const [sessions, totalChats] = await Promise.all([
+      ChatSession.find(filter)
+        .sort({ lastMessageAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ChatSession.countDocuments(filter),
+    ])
+
     res.json({
       success: true,
-      message: "Chat history feature coming soon",
       bookInfo: {
         id: book._id,
         title: book.title,
         author: book.author,
       },
-      history: [],
+      history: sessions.map(formatSession),
+      pagination: {
+        page,
+        limit,
+        total: totalChats,
+        pages: Math.ceil(totalChats / limit),
+      },
       metadata: {
-        totalChats: 0,
-        lastChatAt: null,
+        totalChats,
+        lastChatAt: sessions[0]?.lastMessageAt || null,
         timestamp: new Date().toISOString(),
       },
-      note: "Chat history will be implemented in a future update",
     })
   } catch (error) {
     console.error("❌ Error getting chat history:", error)
@@ -528,6 +739,177 @@ router.get("/history/:bookId", authenticateMobileUser, async (req, res) => {
   }
 })
 
+// Get a chat session with its messages (to resume a conversation)
+router.get("/sessions/:sessionId", authenticateMobileUser, async (req, res) => {
+  try {
+    const session = await findUserSession(req.params.sessionId, req.user.id)
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat session not found",
+      })
+    }
+
+    const messages = await ChatMessage.find({ sessionId: session._id }).sort({ createdAt: 1, _id: 1 }).lean()
+
+    res.json({
+      success: true,
+      session: formatSession(session),
+      messages: messages.map(formatMessage),
+      resume: {
+        endpoint: `/api/mobile/pdf-chat/chat/${session.bookId}/${session.itemId}`,
+        method: "POST",
+        body: { sessionId: session._id },
+      },
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ Error getting chat session:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to get chat session",
+      error: {
+        message: error.message,
+        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      },
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// Rename a chat session
+router.patch("/sessions/:sessionId", authenticateMobileUser, async (req, res) => {
+  try {
+    const { title } = req.body
+    if (!title || typeof title !== "string" || title.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Title is required and cannot be empty",
+      })
+    }
+    if (title.trim().length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "Title is too long. Please limit to 200 characters.",
+      })
+    }
+
+    const session = await findUserSession(req.params.sessionId, req.user.id)
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat session not found",
+      })
+    }
+
+    session.title = title.trim()
+    session.titleEdited = true
+    await session.save()
+
+    res.json({
+      success: true,
+      message: "Chat session renamed",
+      session: formatSession(session),
+    })
+  } catch (error) {
+    console.error("❌ Error renaming chat session:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to rename chat session",
+      error: {
+        message: error.message,
+        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      },
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// Delete a chat session and its messages
+router.delete("/sessions/:sessionId", authenticateMobileUser, async (req, res) => {
+  try {
+    const session = await findUserSession(req.params.sessionId, req.user.id)
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat session not found",
+      })
+    }
+
+    const { deletedCount } = await ChatMessage.deleteMany({ sessionId: session._id })
+    await session.deleteOne()
+
+    res.json({
+      success: true,
+      message: "Chat session deleted",
+      deletedMessages: deletedCount,
+    })
+  } catch (error) {
+    console.error("❌ Error deleting chat session:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete chat session",
+      error: {
+        message: error.message,
+        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      },
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
+// Export a chat session as JSON (default) or Markdown (?format=markdown)
+router.get("/sessions/:sessionId/export", authenticateMobileUser, async (req, res) => {
+  try {
+    const format = req.query.format || "json"
+    if (!["json", "markdown"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be one of: json, markdown",
+      })
+    }
+
+    const session = await findUserSession(req.params.sessionId, req.user.id)
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Chat session not found",
+      })
+    }
+
+    const [book, messages] = await Promise.all([
+      Book.findById(session.bookId).select("title author").lean(),
+      ChatMessage.find({ sessionId: session._id }).sort({ createdAt: 1, _id: 1 }).lean(),
+    ])
+
+    const fileBase = `chat-${session._id}`
+    if (format === "markdown") {
+      res.setHeader("Content-Type", "text/markdown; charset=utf-8")
+      res.setHeader("Content-Disposition", `attachment; filename="${fileBase}.md"`)
+      return res.send(exportSessionAsMarkdown(session, book, messages))
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileBase}.json"`)
+    res.json({
+      session: formatSession(session),
+      bookInfo: book ? { id: book._id, title: book.title, author: book.author } : null,
+      messages: messages.map(formatMessage),
+      exportedAt: new Date().toISOString(),
+    })
+  } catch (error) {
+    console.error("❌ Error exporting chat session:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to export chat session",
+      error: {
+        message: error.message,
+        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      },
+      timestamp: new Date().toISOString(),
+    })
+  }
+})
+
 // Get book-level chat status
 router.get("/book-status/:bookId", authenticateMobileUser, async (req, res) => {
   try {
@@ -4,6 +4,8 @@ const router = express.Router();
 const ReviewRequest = require('../models/ReviewRequest');
 const UserAnswer = require('../models/UserAnswer');
 const { authenticateMobileUser } = require('../middleware/mobileAuth');
+const creditMetering = require('../services/creditMetering');
+const evaluatorPayouts = require('../services/evaluatorPayouts');
 
 // Apply authentication middleware to all routes
 router.use(authenticateMobileUser);
@@ -246,6 +248,17 @@ router.post('/:requestId/submit', async (req, res) => {
     };
     await request.save();
 
+    // The student's credits held for this review are now earned
+    await creditMetering.captureForResource('ReviewRequest', request._id);
+
+    // ...and the evaluator is owed for it
+    try {
+      await evaluatorPayouts.queueReviewEarning(request.answerId);
+    } catch (earningError) {
+      // Picked up when the month's payout statements are generated
+      console.error('Error queueing evaluator earning:', earningError);
+    }
+
     // Update the original answer with expert review
     const answerToUpdate = await UserAnswer.findById(request.answerId);
     if (answerToUpdate) {
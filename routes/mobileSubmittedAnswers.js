@@ -1,5 +1,6 @@
 // routes/mobileSubmittedAnswers.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const UserAnswer = require('../models/UserAnswer');
 const AiswbQuestion = require('../models/AiswbQuestion');
@@ -15,6 +16,8 @@ const SubTopic = require('../models/SubTopic');
 const Workbook = require('../models/Workbook');
 const { authenticateMobileUser } = require('../middleware/mobileAuth');
 const { generateAnnotatedImageUrl } = require('../utils/s3');
+const AnswerAnnotation = require('../models/AnswerAnnotation');
+const answerAnnotations = require('../services/answerAnnotations');
 
 // Apply authentication middleware to all routes
 router.use(authenticateMobileUser);
@@ -495,6 +498,7 @@ router.get('/:answerId', async (req, res) => {
         }
       }
     }
+    const structuredAnnotation = await AnswerAnnotation.findOne({ answerId: userAnswer._id, publishedAt: { $ne: null } }).lean();
 
     // Get book/workbook information
     const bookWorkbookInfo = await getBookWorkbookInfo(userAnswer.questionId);
@@ -619,6 +623,8 @@ router.get('/:answerId', async (req, res) => {
 
         // Add this line to include top-level annotations in the detail response
         annotations: userAnswer.annotations || [],
+        // Vector annotations, fetched or rendered through /:answerId/annotations
+        structuredAnnotations: structuredAnnotation ? answerAnnotations.summarize(structuredAnnotation) : null,
         reviewRequestedAt: userAnswer.reviewRequestedAt,
         reviewAcceptedAt: userAnswer.reviewAssignedAt,
         reviewCompletedAt: userAnswer.reviewCompletedAt,
@@ -647,6 +653,59 @@ router.get('/:answerId', async (req, res) => {
 });
 
 
+// Published annotations on the student's answer: the items to draw over the
+// page images, or (format=pdf) the pages rendered with them
+router.get('/:answerId/annotations', async (req, res) => {
+  try {
+    const { answerId } = req.params;
+    const { id: userId, clientId } = req.user;
+
+    const userAnswer = mongoose.Types.ObjectId.isValid(answerId)
+      ? await UserAnswer.findOne({ _id: answerId, userId: userId, clientId: clientId })
+      : null;
+    const annotation = userAnswer
+      ? await AnswerAnnotation.findOne({ answerId: userAnswer._id, publishedAt: { $ne: null } }).lean()
+      : null;
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No annotations published for this answer',
+        error: {
+          code: 'ANNOTATIONS_NOT_FOUND',
+          details: 'The answer does not exist, is not yours, or has no published annotations'
+        }
+      });
+    }
 
+    if (req.query.format === 'pdf') {
+      const pdf = await answerAnnotations.renderAnnotatedPdf(userAnswer, annotation);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="answer-${userAnswer._id}-annotated.pdf"`
+      });
+      return res.send(pdf);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        answerId: userAnswer._id,
+        pages: userAnswer.answerImages.map((image, index) => ({ page: index, imageUrl: image.imageUrl })),
+        items: annotation.items,
+        summary: answerAnnotations.summarize(annotation)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching answer annotations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch annotations',
+      error: {
+        code: 'FETCH_ANNOTATIONS_ERROR',
+        details: error.message
+      }
+    });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
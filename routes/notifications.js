@@ -0,0 +1,85 @@
+// routes/notifications.js - In-app notifications for mobile users
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { authenticateMobileUser } = require('../middleware/mobileAuth');
+const notifications = require('../services/notifications');
+
+router.use(authenticateMobileUser);
+
+// List notifications, newest first
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit) || 20));
+    const { notifications: items, total, unreadCount } = await notifications.listNotifications('MobileUser', req.user.id, {
+      page,
+      limit,
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications: items,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+});
+
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await notifications.markRead('MobileUser', req.user.id);
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+router.patch('/:notificationId/read', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const updated = await notifications.markRead('MobileUser', req.user.id, req.params.notificationId);
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,9 @@ const { verifyToken } = require('../middleware/auth');
 const { authenticateMobileUser } = require('../middleware/mobileAuth');
 
 router.get('/mobile/:testId',authenticateMobileUser, objectivetestquestionController.getQuestionsByTestForMobile);
+
+// Autosave an answer to the attempt in progress (mobile)
+router.post('/mobile/:questionId/answer',authenticateMobileUser, objectivetestquestionController.saveMobileAnswer);
 // Apply authentication middleware to all routes
 // Create a new question
 router.post('/:testId',verifyToken, objectivetestquestionController.createQuestion);
@@ -0,0 +1,63 @@
+// routes/payments.js - Gateway callbacks and webhooks for every payment gateway
+// Mounted ahead of the global body parsers: webhooks are signed over the raw body.
+const express = require('express');
+const payments = require('../services/payments');
+
+const router = express.Router();
+
+const formOrJson = [express.urlencoded({ extended: true }), express.json()];
+
+// Customer redirect back from checkout (POST /api/payments/:gateway/callback)
+router.post('/:gateway/callback', formOrJson, async (req, res) => {
+  try {
+    const result = await payments.processCallback(req.params.gateway, req.body);
+
+    if (result.rejected) {
+      return res.status(result.reason === 'Payment record not found' ? 404 : 400).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    const { payment } = result;
+    res.json({
+      success: true,
+      message: payment.status === 'PENDING' ? 'Payment is awaiting confirmation' : 'Payment processed successfully',
+      orderId: payment.orderId,
+      status: payment.status,
+      transactionId: payment.transactionId,
+      amount: payment.amount,
+      credited: Boolean(payment.creditTransactionId)
+    });
+  } catch (error) {
+    console.error('Payment callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Payment processing error',
+      error: error.message
+    });
+  }
+});
+
+// Server-to-server notification (POST /api/payments/:gateway/webhook)
+router.post('/:gateway/webhook', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  try {
+    const result = await payments.processWebhook(req.params.gateway, {
+      rawBody: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+      headers: req.headers
+    });
+
+    // Events for orders we did not create (other integrations on the same
+    // merchant account) are acknowledged so the gateway stops retrying
+    if (result.rejected && result.reason !== 'Payment record not found') {
+      return res.status(400).json({ success: false, message: result.reason });
+    }
+    res.json({ success: true, status: result.status });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    // Non-2xx makes the gateway redeliver
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
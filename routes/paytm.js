@@ -1,10 +1,8 @@
 // src/routes/paytm.js
 const express = require('express');
-const axios = require('axios');
-const PaytmChecksum = require('paytmchecksum');
 const Payment = require('../models/Payment');
-const CreditAccount = require('../models/CreditAccount');
-const CreditTransaction = require('../models/CreditTransaction');
+const payments = require('../services/payments');
+const paymentGateways = require('../services/paymentGateways');
 const PaytmConfig = require('../config/paytm');
 const { sendSuccessResponse, sendErrorResponse, sendValidationError } = require('../utils/response');
 
@@ -23,69 +21,68 @@ router.post('/initiate', async (req, res) => {
       });
     }
 
-    // Generate unique order ID
-    const orderId = `ORDER_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Create payment record in database
-    const payment = new Payment({
-      orderId,
-      amount: parseFloat(amount),
+    // Credits are only sold through plans, priced here rather than by the caller
+    let plan = null;
+    if (planId) {
+      plan = await payments.resolvePlan(planId);
+      if (!plan) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid plan selected'
+        });
+      }
+      if (Math.abs(parseFloat(amount) - plan.price) > 0.005 || (credits && Number(credits) !== plan.credits)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount or credits do not match the selected plan',
+          plan: { price: plan.price, credits: plan.credits }
+        });
+      }
+    } else if (credits) {
+      return res.status(400).json({
+        success: false,
+        message: 'Credits can only be purchased through a plan (planId)'
+      });
+    }
+
+    // These routes speak Paytm; clients collecting through another gateway
+    // sell their plans through the mobile buy-credits flow instead
+    const clientId = plan?.plan.clientId || null;
+    const gateway = await paymentGateways.getGatewayForClient(clientId);
+    if (gateway.gateway !== 'paytm') {
+      return res.status(400).json({
+        success: false,
+        message: `Payments for this plan are taken through ${gateway.displayName}, not Paytm`
+      });
+    }
+
+    const { payment, checkout } = await payments.createOrder({
+      amount: plan ? plan.price : parseFloat(amount),
+      credits: plan ? plan.credits : null,
+      planId: plan ? plan.plan._id : null,
+      planModel: plan ? plan.planModel : undefined,
       userId: userId || null,
-      planId: planId || null,
-      creditsPurchased: credits || null,
+      clientId,
       customerEmail,
       customerPhone,
       customerName,
       projectId: projectId || 'default',
-      status: 'PENDING'
+      gateway
     });
-
-    await payment.save();
-
-    // Prepare Paytm parameters
-    const paytmParams = {
-      MID: PaytmConfig.MID,
-      WEBSITE: PaytmConfig.WEBSITE,
-      CHANNEL_ID: PaytmConfig.CHANNEL_ID,
-      INDUSTRY_TYPE_ID: PaytmConfig.INDUSTRY_TYPE_ID,
-      ORDER_ID: orderId,
-      CUST_ID: customerEmail,
-      TXN_AMOUNT: parseFloat(amount).toFixed(2),
-      CALLBACK_URL: PaytmConfig.CALLBACK_URL,
-      EMAIL: customerEmail,
-      MOBILE_NO: customerPhone
-    };
-
-    console.log('Paytm Parameters before checksum:', paytmParams);
-
-    // Generate checksum using official Paytm package
-    const checksum = await PaytmChecksum.generateSignature(paytmParams, PaytmConfig.MERCHANT_KEY);
-    paytmParams.CHECKSUMHASH = checksum;
-
-    console.log('Generated Checksum:', checksum);
-
-    // Update payment record with checksum
-    await Payment.findOneAndUpdate(
-      { orderId },
-      { 
-        checksumHash: checksum,
-        paytmOrderId: orderId,
-        updatedAt: new Date()
-      }
-    );
+    const { paytmParams, paytmUrl } = checkout;
+    const orderId = payment.orderId;
 
     console.log('Payment initiated successfully:', {
       orderId,
       amount: paytmParams.TXN_AMOUNT,
-      customerEmail,
-      checksum
+      customerEmail
     });
 
     res.json({
       success: true,
       orderId,
       paytmParams,
-      paytmUrl: PaytmConfig.PAYTM_URL
+      paytmUrl
     });
 
   } catch (error) {
@@ -99,175 +96,53 @@ router.post('/initiate', async (req, res) => {
 });
 
 // 2. Payment Callback Handler
+// The callback only tells us which order to look at: the status is taken
+// from Paytm's order status API, never from the (client-relayed) form post.
 router.post('/callback', async (req, res) => {
   try {
-    const paytmResponse = req.body;
+    const paytmResponse = req.body || {};
     const orderId = paytmResponse.ORDERID;
 
-    console.log('Received Paytm callback:', paytmResponse);
+    console.log('Received Paytm callback:', { orderId, status: paytmResponse.STATUS });
 
-    // Verify checksum using official Paytm package
-    let isValidChecksum = true;
-    
-    if (paytmResponse.CHECKSUMHASH) {
-      isValidChecksum = PaytmChecksum.verifySignature(paytmResponse, PaytmConfig.MERCHANT_KEY, paytmResponse.CHECKSUMHASH);
-      console.log('Checksum validation result:', isValidChecksum);
-    } else {
-      console.log('No checksum in response - staging environment behavior');
-    }
+    const result = await payments.processCallback('paytm', paytmResponse);
 
-    // Log checksum validation for debugging
-    if (!isValidChecksum) {
-      console.warn('⚠️  Checksum validation failed, but proceeding for staging environment');
-    }
-
-    // Determine payment status
-    let paymentStatus = 'FAILED';
-    if (paytmResponse.STATUS === 'TXN_SUCCESS') {
-      paymentStatus = 'SUCCESS';
-    } else if (paytmResponse.STATUS === 'TXN_FAILURE') {
-      paymentStatus = 'FAILED';
-    } else if (paytmResponse.STATUS === 'PENDING') {
-      paymentStatus = 'PENDING';
-    }
-
-    // Update payment status in database
-    const updateData = {
-      status: paymentStatus,
-      transactionId: paytmResponse.TXNID || paytmResponse.ORDERID,
-      paytmTxnId: paytmResponse.TXNID,
-      paytmResponse: paytmResponse,
-      paymentMode: paytmResponse.PAYMENTMODE,
-      bankName: paytmResponse.BANKNAME,
-      bankTxnId: paytmResponse.BANKTXNID,
-      responseCode: paytmResponse.RESPCODE,
-      responseMsg: paytmResponse.RESPMSG,
-      updatedAt: new Date()
-    };
-
-    const payment = await Payment.findOneAndUpdate(
-      { orderId },
-      updateData,
-      { new: true }
-    );
-
-    if (!payment) {
-      console.error('Payment record not found for orderId:', orderId);
-      return res.status(404).json({
+    if (result.rejected) {
+      const notFound = result.reason === 'Payment record not found';
+      return res.status(notFound ? 404 : 400).json({
         success: false,
-        message: 'Payment record not found',
+        message: result.reason,
         orderId
       });
     }
 
-    console.log('Payment updated successfully:', {
+    const { payment } = result;
+    console.log('Payment callback processed:', {
       orderId,
-      status: paymentStatus,
-      transactionId: updateData.transactionId,
-      responseCode: paytmResponse.RESPCODE,
-      checksumValid: isValidChecksum
+      status: payment.status,
+      verifiedBy: payment.verification?.source || null,
+      checksumValid: payment.verification?.checksumValid ?? null
     });
 
-    // Idempotent crediting on successful payment
-    try {
-      // Fetch current payment after update
-      const paymentDoc = await Payment.findOne({ orderId });
-      if (paymentDoc && paymentDoc.status === 'SUCCESS') {
-        // Check if transaction already exists for this order
-        const existingTx = await CreditTransaction.findOne({ userId: paymentDoc.userId });
-        if (!existingTx) {
-          // Resolve user and credit account
-          let creditAccount = null;
-          if (paymentDoc.userId) {
-            creditAccount = await CreditAccount.findOne({ userId: paymentDoc.userId });
-          }
-          if (!creditAccount && paymentDoc.customerPhone) {
-            creditAccount = await CreditAccount.findOne({ mobile: paymentDoc.customerPhone });
-          }
-
-          if (creditAccount) {
-            const creditsToAdd = Number(paymentDoc.creditsPurchased) || 0;
-            const balanceBefore = creditAccount.balance || 0;
-            const balanceAfter = balanceBefore + creditsToAdd;
-
-            // Create credit transaction
-            const tx = new CreditTransaction({
-              userId: creditAccount.userId,
-              type: 'credit',
-              amount: creditsToAdd,
-              balanceBefore,
-              balanceAfter,
-              category: 'purchase',
-              description: 'Credits purchased via Paytm',
-              referenceId: orderId,
-              planId: paymentDoc.planId || null,
-              paymentAmount: paymentDoc.amount,
-              paymentCurrency: paymentDoc.currency || 'INR',
-              metadata: {
-                gateway: 'PAYTM',
-                transactionId: paymentDoc.transactionId,
-                paytmTxnId: paymentDoc.paytmTxnId
-              },
-              status: 'completed'
-            });
-            await tx.save();
-
-            // Update credit account balance and totals
-            creditAccount.balance = balanceAfter;
-            creditAccount.totalEarned = (creditAccount.totalEarned || 0) + creditsToAdd;
-            creditAccount.lastTransactionDate = new Date();
-            await creditAccount.save();
-
-            console.log('Credited account from Paytm payment:', {
-              userId: String(creditAccount.userId),
-              credits: creditsToAdd,
-              balanceAfter
-            });
-          } else {
-            console.warn('CreditAccount not found for payment; skipping crediting', {
-              orderId,
-              userId: paymentDoc.userId,
-              phone: paymentDoc.customerPhone
-            });
-          }
-        } else {
-          console.log('CreditTransaction already exists for this order; skipping duplicate credit');
-        }
-      }
-    } catch (creditErr) {
-      console.error('Error crediting account post-payment:', creditErr);
-    }
-
-    // Return JSON response with payment details
     res.json({
       success: true,
-      message: 'Payment processed successfully',
+      message: payment.status === 'PENDING' ? 'Payment is awaiting confirmation' : 'Payment processed successfully',
       orderId,
-      status: paymentStatus,
-      transactionId: updateData.transactionId,
-      responseCode: paytmResponse.RESPCODE,
-      responseMsg: paytmResponse.RESPMSG,
-      paymentMode: paytmResponse.PAYMENTMODE,
-      bankName: paytmResponse.BANKNAME,
+      status: payment.status,
+      transactionId: payment.transactionId,
+      responseCode: payment.responseCode,
+      responseMsg: result.reason || payment.responseMsg,
+      paymentMode: payment.paymentMode,
+      bankName: payment.bankName,
       amount: payment.amount,
       customerEmail: payment.customerEmail,
       customerName: payment.customerName,
       projectId: payment.projectId,
-      // redirectUrl: `${process.env.FRONTEND_URL}?orderId=${orderId}&status=${paymentStatus}`
+      credited: Boolean(payment.creditTransactionId)
     });
 
-    // // Redirect to frontend with payment status
-    // const frontendUrl = process.env.FRONTEND_URL;
-    // const redirectUrl = `${frontendUrl}/admin/credit-account?payment_status=${paymentStatus}&orderId=${orderId}&transactionId=${updateData.transactionId}`;
-    
-    // console.log('Redirecting to:', redirectUrl);
-    // res.redirect(redirectUrl);
-
   } catch (error) {
     console.error('Payment callback error:', error);
-    // const frontendUrl = process.env.FRONTEND_URL;
-    // const redirectUrl = `${frontendUrl}/admin/credit-account?payment_status=FAILED&orderId=${req.body.ORDERID || 'unknown'}`;
-    // res.redirect(redirectUrl);
     res.status(500).json({
       success: false,
       message: 'Payment processing error',
@@ -370,26 +245,23 @@ router.post('/transaction-status', async (req, res) => {
       });
     }
 
-    const statusParams = {
-      MID: PaytmConfig.MID,
-      ORDERID: orderId
-    };
-
-    // Generate checksum for status inquiry
-    const checksum = await PaytmChecksum.generateSignature(statusParams, PaytmConfig.MERCHANT_KEY);
-    statusParams.CHECKSUMHASH = checksum;
-
-    const response = await axios.post(PaytmConfig.STATUS_URL, statusParams, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    const existing = await Payment.findOne({ orderId });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
 
-    console.log('Paytm status response:', response.data);
+    // Ask the gateway, and settle our record too if it was still waiting
+    const { payment, gatewayStatus } = await payments.refreshPaymentStatus(existing, 'inquiry');
+    console.log('Gateway status response:', { orderId, status: gatewayStatus.gatewayStatus });
 
     res.json({
       success: true,
-      data: response.data
+      data: gatewayStatus.raw,
+      status: gatewayStatus.status,
+      payment: { orderId: payment.orderId, status: payment.status, credited: Boolean(payment.creditTransactionId) }
     });
 
   } catch (error) {
@@ -451,8 +323,9 @@ router.get('/health', (req, res) => {
     config: {
       MID: PaytmConfig.MID,
       WEBSITE: PaytmConfig.WEBSITE,
-      ENVIRONMENT: process.env.NODE_ENV || 'development',
-      PAYTM_URL: PaytmConfig.PAYTM_URL
+      ENVIRONMENT: PaytmConfig.ENVIRONMENT,
+      PAYTM_URL: PaytmConfig.PAYTM_URL,
+      CHECKSUM_ENFORCED: PaytmConfig.ENFORCE_CHECKSUM
     }
   });
 });
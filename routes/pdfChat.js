@@ -3,6 +3,7 @@ const router = express.Router()
 const EnhancedPDFProcessor = require("../services/PDFProcessor")
 const DataStore = require("../models/DatastoreItems")
 const Book = require("../models/Book")
+const { wantsEventStream, openEventStream, pipeEvents } = require("../utils/sse")
 
 const optionalAuth = (req, res, next) => {
   const token = req.headers.authorization?.replace("Bearer ", "")
@@ -35,6 +36,32 @@ const processor = new EnhancedPDFProcessor({
   maxContextChunks: process.env.MAX_CONTEXT_CHUNKS || "5",
 })
 
+const invalidAnswerMode = (answerMode) => answerMode !== undefined && !EnhancedPDFProcessor.ANSWER_MODES.includes(answerMode)
+
+// Stream an answer as server-sent events: "sources" once retrieval is done,
+// "delta" for each piece of generated text, then "done" (or "error")
+const streamBookAnswer = async (res, answerArgs, extra, startTime) => {
+  const events = openEventStream(res)
+  const [question, fileName, userId, requireAuth, bookId, options] = answerArgs
+  try {
+    const done = await pipeEvents(
+      processor.streamAnswer(question, fileName, userId, requireAuth, bookId, { ...options, signal: events.signal }),
+      events
+    )
+    if (done) {
+      events.send("done", {
+        ...done,
+        ...extra,
+        timing: { ...done.timing, totalResponse: Date.now() - startTime },
+      })
+    }
+  } catch (error) {
+    console.error("Streaming book chat error:", error)
+    events.send("error", { message: error.message || "Failed to process chat request" })
+  }
+  events.end()
+}
+
 router.get("/chat-health/:itemId", optionalAuth, async (req, res) => {
   try {
     const { itemId } = req.params
@@ -101,7 +128,7 @@ router.post("/chat/:itemId", optionalAuth, async (req, res) => {
 
   try {
     const { itemId } = req.params
-    const { question } = req.body
+    const { question, answerMode } = req.body
     const userId = req.user?.id
 
     if (!question || question.trim().length === 0) {
@@ -111,6 +138,13 @@ router.post("/chat/:itemId", optionalAuth, async (req, res) => {
       })
     }
 
+    if (invalidAnswerMode(answerMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `answerMode must be one of: ${EnhancedPDFProcessor.ANSWER_MODES.join(", ")}`,
+      })
+    }
+
     let item
     if (userId) {
       item = await DataStore.findOne({
@@ -155,7 +189,18 @@ router.post("/chat/:itemId", optionalAuth, async (req, res) => {
       })
     }
 
-    const result = await processor.answerQuestion(question, item.name, userId, false, bookId)
+    const answerOptions = { clientId: item.book?.clientId, answerMode }
+
+    if (wantsEventStream(req)) {
+      return streamBookAnswer(
+        res,
+        [question, item.name, userId, false, bookId, answerOptions],
+        { bookId, fileName: item.name },
+        startTime
+      )
+    }
+
+    const result = await processor.answerQuestion(question, item.name, userId, false, bookId, answerOptions)
 
     const totalTime = Date.now() - startTime
 
@@ -164,7 +209,9 @@ router.post("/chat/:itemId", optionalAuth, async (req, res) => {
       answer: result.answer,
       confidence: result.confidence,
       sources: result.sources,
+      citations: result.citations || [],
       method: result.method,
+      answerMode: result.answerMode,
       bookId: result.bookId,
       fileName: item.name,
 
@@ -197,7 +244,7 @@ router.post("/chat-book-knowledge-base/:bookId", optionalAuth, async (req, res)
 
   try {
     const { bookId } = req.params
-    const { question } = req.body
+    const { question, answerMode, chapterId, topicId } = req.body
     const userId = req.user?.id
 
     if (!question || question.trim().length === 0) {
@@ -207,6 +254,13 @@ router.post("/chat-book-knowledge-base/:bookId", optionalAuth, async (req, res)
       })
     }
 
+    if (invalidAnswerMode(answerMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `answerMode must be one of: ${EnhancedPDFProcessor.ANSWER_MODES.join(", ")}`,
+      })
+    }
+
     let book
     if (userId) {
       book = await Book.findOne({ _id: bookId })
@@ -231,7 +285,13 @@ router.post("/chat-book-knowledge-base/:bookId", optionalAuth, async (req, res)
       })
     }
 
-    const result = await processor.answerQuestion(question, null, userId, false, bookId)
+    const answerOptions = { clientId: book.clientId, answerMode, chapterId, topicId }
+
+    if (wantsEventStream(req)) {
+      return streamBookAnswer(res, [question, null, userId, false, bookId, answerOptions], { bookId, bookTitle: book.title }, startTime)
+    }
+
+    const result = await processor.answerQuestion(question, null, userId, false, bookId, answerOptions)
     const totalTime = Date.now() - startTime
 
 res.json({
@@ -239,7 +299,9 @@ res.json({
   answer: result.answer,
   confidence: result.confidence,
   sources: result.sources,
+  citations: result.citations || [],
   method: result.method,
+  answerMode: result.answerMode,
   bookId: result.bookId,
   bookTitle: book.title,
 
@@ -3,6 +3,9 @@ const router = express.Router()
 const EnhancedPDFProcessor = require("../services/PDFProcessor")
 const DataStore = require("../models/DatastoreItems")
 const Book = require("../models/Book")
+const Chapter = require("../models/Chapter")
+const Topic = require("../models/Topic")
+const SubTopic = require("../models/SubTopic")
 const axios = require("axios")
 
 const optionalAuth = (req, res, next) => {
@@ -36,6 +39,29 @@ chunkOverlap: process.env.CHUNK_OVERLAP || "30",
 maxContextChunks: process.env.MAX_CONTEXT_CHUNKS || "5",
 })
 
+// Chapter/topic/subtopic the item is attached to (book or workbook), stored on
+// every chunk so answers can cite the chapter and retrieval can filter by it
+const getItemLinkage = async (item) => {
+const chapterId = item.chapter || item.workbookChapter
+const topicId = item.topic || item.workbookTopic
+const subtopicId = item.subtopic || item.workbookSubtopic
+
+const [chapter, topic, subtopic] = await Promise.all([
+  chapterId ? Chapter.findById(chapterId).select("title").lean() : null,
+  topicId ? Topic.findById(topicId).select("title").lean() : null,
+  subtopicId ? SubTopic.findById(subtopicId).select("title").lean() : null,
+])
+
+return {
+  chapterId: chapterId ? String(chapterId) : null,
+  chapterTitle: chapter?.title || null,
+  topicId: topicId ? String(topicId) : null,
+  topicTitle: topic?.title || null,
+  subtopicId: subtopicId ? String(subtopicId) : null,
+  subtopicTitle: subtopic?.title || null,
+}
+}
+
 router.post("/create-embeddings/:itemId", optionalAuth, async (req, res) => {
 const startTime = Date.now()
 
@@ -119,6 +145,7 @@ const result = await processor.processPDFFromURL(item.url, item.name, userId, {
   originalFileType: item.fileType,
   bookId: bookId,
   fileSizeMB: fileSizeMB,
+  ...(await getItemLinkage(item)),
 })
 
 const totalTime = Date.now() - startTime
@@ -142,6 +169,7 @@ res.json({
     vectorSize: result.vectorSize,
     fileSizeMB: result.fileSizeMB,
     totalPages: result.totalPages,
+    extractor: result.summary.extractor,
 
     // Detailed timing breakdown
     timing: {
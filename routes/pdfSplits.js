@@ -1,10 +1,159 @@
 const express = require('express');
 const router = express.Router();
+const axios = require('axios');
+const multer = require('multer');
+const cloudinary = require('cloudinary').v2;
 const auth = require('../middleware/auth');
 const Book = require('../models/Book');
 const Chapter = require('../models/Chapter');
 const Topic = require('../models/Topic');
 const DataStore = require('../models/DatastoreItems');
+const PdfSplitPreview = require('../models/PdfSplitPreview');
+const {
+  STRATEGIES,
+  loadPdf,
+  buildSplitPlan,
+  validateSplitPlan,
+  extractPageRange
+} = require('../services/pdfSplitter');
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit for whole books
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed'), false);
+    }
+  },
+});
+
+// Pending previews are kept for a day
+const PREVIEW_TTL = 24 * 60 * 60 * 1000;
+
+const uploadPdfToCloudinary = (buffer, folder, name) => {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        {
+          resource_type: 'raw',
+          folder,
+          public_id: `${Date.now()}_${name.replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 80)}.pdf`,
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        },
+      )
+      .end(buffer);
+  });
+};
+
+// Delete the records persistSplitHierarchy created
+const removeSplitHierarchy = async (created) => {
+  await Promise.all([
+    DataStore.deleteMany({ _id: { $in: created.dataStores } }),
+    Topic.deleteMany({ _id: { $in: created.topics } }),
+    Chapter.deleteMany({ _id: { $in: created.chapters } })
+  ]);
+};
+
+// Create the Chapter/Topic hierarchy and the datastore item for every split.
+// chapters: [{ title, startPage, endPage, url, topics: [{ title, startPage, endPage, url }] }]
+// The ids of everything created are collected in `created`; if a step fails
+// they are deleted again before the error is rethrown.
+const persistSplitHierarchy = async (bookId, userId, chapters, created = { chapters: [], topics: [], dataStores: [] }) => {
+  try {
+    return await createSplitHierarchy(bookId, userId, chapters, created);
+  } catch (error) {
+    await removeSplitHierarchy(created).catch((cleanupError) => {
+      console.error('Error rolling back PDF split hierarchy:', cleanupError);
+    });
+    throw error;
+  }
+};
+
+const createSplitHierarchy = async (bookId, userId, chapters, created) => {
+  const existingChapters = await Chapter.countDocuments({ book: bookId });
+  const createdChapters = [];
+
+  for (const [chapterIndex, chapterData] of chapters.entries()) {
+    const newChapter = new Chapter({
+      title: chapterData.title,
+      description: `Chapter covering pages ${chapterData.startPage}-${chapterData.endPage}`,
+      book: bookId,
+      order: existingChapters + chapterIndex + 1,
+      parentType: 'book'
+    });
+    await newChapter.save();
+    created.chapters.push(newChapter._id);
+    createdChapters.push(newChapter);
+
+    const chapterItem = await new DataStore({
+      name: `${chapterData.title}.pdf`,
+      url: chapterData.url,
+      fileType: 'application/pdf',
+      book: bookId,
+      chapter: newChapter._id,
+      user: userId
+    }).save();
+    created.dataStores.push(chapterItem._id);
+
+    for (const [topicIndex, topicData] of (chapterData.topics || []).entries()) {
+      const newTopic = new Topic({
+        title: topicData.title,
+        description: `Topic covering pages ${topicData.startPage}-${topicData.endPage}`,
+        content: `PDF section for ${topicData.title}`,
+        chapter: newChapter._id,
+        order: topicIndex + 1,
+        parentType: 'Chapter'
+      });
+      await newTopic.save();
+      created.topics.push(newTopic._id);
+
+      const topicItem = await new DataStore({
+        name: `${topicData.title}.pdf`,
+        url: topicData.url,
+        fileType: 'application/pdf',
+        book: bookId,
+        chapter: newChapter._id,
+        topic: newTopic._id,
+        user: userId
+      }).save();
+      created.dataStores.push(topicItem._id);
+    }
+  }
+
+  return createdChapters;
+};
+
+const formatPreview = (preview) => ({
+  id: preview._id,
+  fileName: preview.fileName,
+  totalPages: preview.totalPages,
+  detectedFrom: preview.detectedFrom,
+  status: preview.status,
+  chapters: preview.chapters.map((chapter) => ({
+    title: chapter.title,
+    startPage: chapter.startPage,
+    endPage: chapter.endPage,
+    topics: chapter.topics.map((topic) => ({
+      title: topic.title,
+      startPage: topic.startPage,
+      endPage: topic.endPage
+    }))
+  })),
+  expiresAt: preview.expiresAt
+});
 
 // Save split PDFs to datastore
 router.post('/:bookId/save-split-pdfs', auth.verifyToken, async (req, res) => {
@@ -23,77 +172,227 @@ router.post('/:bookId/save-split-pdfs', auth.verifyToken, async (req, res) => {
     const chapterGroups = splits.reduce((acc, split) => {
       if (split.isChapter) {
         acc[split.title] = {
-          chapter: {
-            title: split.title,
-            description: `Chapter covering pages ${split.startPage}-${split.endPage}`,
-            book: bookId,
-            order: Object.keys(acc).length + 1,
-            parentType: 'book' // Add parentType field
-          },
-          topics: [],
-          url: split.url
+          title: split.title,
+          startPage: split.startPage,
+          endPage: split.endPage,
+          url: split.url,
+          topics: []
         };
       } else {
         const chapterTitle = split.parentChapter;
         if (acc[chapterTitle]) {
           acc[chapterTitle].topics.push({
             title: split.title.replace(`${chapterTitle} - `, ''),
-            description: `Topic covering pages ${split.startPage}-${split.endPage}`,
-            url: split.url,
-            pageRange: `${split.startPage}-${split.endPage}`
+            startPage: split.startPage,
+            endPage: split.endPage,
+            url: split.url
           });
         }
       }
       return acc;
     }, {});
 
-    // Process each chapter
-    for (const [_, chapterData] of Object.entries(chapterGroups)) {
-      // Create chapter
-      const newChapter = new Chapter(chapterData.chapter);
-      await newChapter.save();
+    await persistSplitHierarchy(bookId, userId, Object.values(chapterGroups));
 
-      // Save chapter PDF to datastore
-      const chapterDatastoreItem = new DataStore({
-        name: `${chapterData.chapter.title}.pdf`,
-        url: chapterData.url,
-        fileType: 'application/pdf',
-        book: bookId,
-        chapter: newChapter._id,
-        user: userId
-      });
-      await chapterDatastoreItem.save();
-
-      // Process each topic in the chapter
-      for (const topicData of chapterData.topics) {
-        // Create topic
-        const newTopic = new Topic({
-          title: topicData.title,
-          description: topicData.description,
-          content: `PDF section for ${topicData.title}`,
-          chapter: newChapter._id,
-          order: chapterData.topics.indexOf(topicData) + 1,
-          parentType: 'Chapter' // Add parentType field if Topic model also requires it
-        });
-        await newTopic.save();
-
-        // Save topic PDF to datastore
-        const topicDatastoreItem = new DataStore({
-          name: `${topicData.title}.pdf`,
-          url: topicData.url,
-          fileType: 'application/pdf',
-          book: bookId,
-          chapter: newChapter._id,
-          topic: newTopic._id,
-          user: userId
-        });
-        await topicDatastoreItem.save();
+    res.json({ success: true, message: 'PDF splits saved successfully' });
+  } catch (error) {
+    console.error('Error saving PDF splits:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Upload a book PDF and get a proposed split (from bookmarks or headings).
+// Nothing is created until the preview is confirmed.
+router.post('/:bookId/auto-split/preview', auth.verifyToken, upload.single('pdf'), async (req, res) => {
+  try {
+    const { bookId } = req.params;
+    const { strategy = 'auto' } = req.body;
+    const userId = req.user._id;
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'PDF file is required' });
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ success: false, message: `Strategy must be one of: ${STRATEGIES.join(', ')}` });
+    }
+
+    const book = await Book.findOne({ _id: bookId, user: userId });
+    if (!book) {
+      return res.status(404).json({ success: false, message: 'Book not found' });
+    }
+
+    let plan;
+    try {
+      plan = await buildSplitPlan(req.file.buffer, { strategy });
+    } catch (error) {
+      return res.status(400).json({ success: false, message: `Could not read PDF: ${error.message}` });
+    }
+
+    const source = await uploadPdfToCloudinary(req.file.buffer, `pdf-splits/${bookId}/source`, req.file.originalname.replace(/\.pdf$/i, ''));
+
+    const preview = await PdfSplitPreview.create({
+      book: bookId,
+      user: userId,
+      fileName: req.file.originalname,
+      sourceUrl: source.secure_url,
+      sourcePublicId: source.public_id,
+      totalPages: plan.totalPages,
+      detectedFrom: plan.detectedFrom,
+      chapters: plan.chapters,
+      expiresAt: new Date(Date.now() + PREVIEW_TTL)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: plan.chapters.length > 0
+        ? `Detected ${plan.chapters.length} chapters from the ${plan.detectedFrom}`
+        : 'No chapters could be detected; supply chapters when confirming',
+      preview: formatPreview(preview)
+    });
+  } catch (error) {
+    console.error('Error previewing PDF split:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get a split preview
+router.get('/:bookId/auto-split/:previewId', auth.verifyToken, async (req, res) => {
+  try {
+    const preview = await PdfSplitPreview.findOne({
+      _id: req.params.previewId,
+      book: req.params.bookId,
+      user: req.user._id
+    });
+    if (!preview) {
+      return res.status(404).json({ success: false, message: 'Split preview not found' });
+    }
+
+    res.json({ success: true, preview: formatPreview(preview) });
+  } catch (error) {
+    console.error('Error fetching PDF split preview:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Confirm a preview, optionally with edited chapters/topics: split the PDF,
+// upload each part and create the chapter/topic hierarchy
+router.post('/:bookId/auto-split/:previewId/confirm', auth.verifyToken, async (req, res) => {
+  const { bookId, previewId } = req.params;
+  const userId = req.user._id;
+
+  try {
+    const preview = await PdfSplitPreview.findOne({ _id: previewId, book: bookId, user: userId });
+    if (!preview) {
+      return res.status(404).json({ success: false, message: 'Split preview not found' });
+    }
+    if (preview.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Split preview is already ${preview.status}` });
+    }
+    if (preview.expiresAt < new Date()) {
+      return res.status(410).json({ success: false, message: 'Split preview has expired' });
+    }
+
+    const chapters = req.body.chapters || formatPreview(preview).chapters;
+    const errors = validateSplitPlan(chapters, preview.totalPages);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid split plan', errors });
+    }
+
+    // Claim the preview so a double submit cannot split twice
+    const claimed = await PdfSplitPreview.findOneAndUpdate(
+      { _id: preview._id, status: 'pending' },
+      { status: 'processing', chapters },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: 'Split preview is already being processed' });
+    }
+
+    const uploadedPublicIds = [];
+    let plannedChapters;
+    try {
+      const response = await axios.get(preview.sourceUrl, { responseType: 'arraybuffer', timeout: 120000 });
+      const sourceDoc = await loadPdf(Buffer.from(response.data));
+
+      const uploadRange = async (range) => {
+        const buffer = await extractPageRange(sourceDoc, range.startPage, range.endPage);
+        const result = await uploadPdfToCloudinary(buffer, `pdf-splits/${bookId}`, range.title);
+        uploadedPublicIds.push(result.public_id);
+        return result.secure_url;
+      };
+
+      // Upload every part before creating records, so a failed upload leaves no half-built hierarchy
+      plannedChapters = [];
+      for (const chapter of chapters) {
+        const topics = [];
+        for (const topic of chapter.topics || []) {
+          topics.push({ ...topic, title: topic.title.trim(), url: await uploadRange(topic) });
+        }
+        plannedChapters.push({ ...chapter, title: chapter.title.trim(), url: await uploadRange(chapter), topics });
       }
+    } catch (error) {
+      await Promise.allSettled(uploadedPublicIds.map((publicId) => cloudinary.uploader.destroy(publicId, { resource_type: 'raw' })));
+      await PdfSplitPreview.updateOne({ _id: preview._id }, { status: 'pending' });
+      throw error;
     }
 
-    res.json({ success: true, message: 'PDF splits saved successfully' });
+    const created = { chapters: [], topics: [], dataStores: [] };
+    try {
+      const createdChapters = await persistSplitHierarchy(bookId, userId, plannedChapters, created);
+      claimed.status = 'confirmed';
+      claimed.confirmedAt = new Date();
+      claimed.createdChapters = createdChapters.map((chapter) => chapter._id);
+      await claimed.save();
+
+      res.json({
+        success: true,
+        message: 'PDF split and saved successfully',
+        chapters: createdChapters.map((chapter, index) => ({
+          id: chapter._id,
+          title: chapter.title,
+          url: plannedChapters[index].url,
+          topics: plannedChapters[index].topics.length
+        }))
+      });
+    } catch (error) {
+      // Undo everything so the preview can be confirmed again
+      await removeSplitHierarchy(created).catch((cleanupError) => {
+        console.error('Error rolling back PDF split hierarchy:', cleanupError);
+      });
+      await Promise.allSettled(uploadedPublicIds.map((publicId) => cloudinary.uploader.destroy(publicId, { resource_type: 'raw' })));
+      await PdfSplitPreview.updateOne({ _id: preview._id }, { status: 'pending', error: error.message });
+      throw error;
+    }
   } catch (error) {
-    console.error('Error saving PDF splits:', error);
+    console.error('Error confirming PDF split:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Discard a pending preview and its uploaded source PDF
+router.delete('/:bookId/auto-split/:previewId', auth.verifyToken, async (req, res) => {
+  try {
+    const preview = await PdfSplitPreview.findOne({
+      _id: req.params.previewId,
+      book: req.params.bookId,
+      user: req.user._id
+    });
+    if (!preview) {
+      return res.status(404).json({ success: false, message: 'Split preview not found' });
+    }
+    if (preview.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Split preview is already ${preview.status}` });
+    }
+
+    await cloudinary.uploader.destroy(preview.sourcePublicId, { resource_type: 'raw' }).catch((error) => {
+      console.error('Error deleting split source PDF:', error);
+    });
+    preview.status = 'cancelled';
+    await preview.save();
+
+    res.json({ success: true, message: 'Split preview cancelled' });
+  } catch (error) {
+    console.error('Error cancelling PDF split preview:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -4,9 +4,14 @@ const router = express.Router();
 const ReviewRequest = require('../models/ReviewRequest');
 const UserAnswer = require('../models/UserAnswer');
 const { authenticateMobileUser, ensureUserBelongsToClient } = require('../middleware/mobileAuth');
-
-// Student raises manual review request
-router.post('/request/:answerId', authenticateMobileUser, ensureUserBelongsToClient, async (req, res) => {
+const { meterCredits, markCreditsUnused } = require('../middleware/creditMetering');
+const creditMetering = require('../services/creditMetering');
+const evaluatorAssignment = require('../services/evaluatorAssignment');
+const reviewSla = require('../services/reviewSla');
+
+// Student raises manual review request. The review is paid for up front;
+// the hold is captured when the expert submits and refunded on cancellation.
+router.post('/request/:answerId', authenticateMobileUser, ensureUserBelongsToClient, meterCredits('expert_review', { settle: 'manual' }), async (req, res) => {
   try {
     const { answerId } = req.params;
     const { notes, priority = 'medium' } = req.body;
@@ -48,28 +53,29 @@ router.post('/request/:answerId', authenticateMobileUser, ensureUserBelongsToCli
 
     // Check if answer is evaluated
     if (answer.submissionStatus !== 'evaluated') {
+      markCreditsUnused(res);
       return res.status(200).json({
         success: true,
         message: `Review can only be requested for evaluated answers. Current status: ${answer.submissionStatus}`
       });
     }
-    // Assign to the previous evaluator if available
-    let assignedEvaluator = answer.reviewedByEvaluator || null;
-    let requestStatus = assignedEvaluator ? 'assigned' : 'pending';
-
-    // Create new review request
-    const reviewRequest = new ReviewRequest({
+    // Create new review request; the assignment engine picks its evaluator
+    let reviewRequest = new ReviewRequest({
       userId,
       questionId: answer.questionId._id,
       answerId,
       clientId,
       notes,
       priority,
-      requestStatus,
-      assignedEvaluator
+      requestStatus: 'pending',
+      assignedEvaluator: null
     });
+    await reviewSla.applyPolicy(reviewRequest);
 
     await reviewRequest.save();
+    if (req.creditReservation) {
+      await creditMetering.linkReservation(req.creditReservation, 'ReviewRequest', reviewRequest._id);
+    }
 
     // Update answer status to indicate review requested
     answer.reviewStatus = 'review_pending';
@@ -79,12 +85,21 @@ router.post('/request/:answerId', authenticateMobileUser, ensureUserBelongsToCli
     answer.reviewRequestedAt = reviewRequest.requestedAt;
     await answer.save();
 
+    // Without an evaluator now, the assignment sweep keeps trying
+    try {
+      reviewRequest = await evaluatorAssignment.assignRequest(reviewRequest) || reviewRequest;
+    } catch (error) {
+      console.error('Error assigning evaluator:', error);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Review request submitted successfully',
       data: {
         requestId: reviewRequest._id,
         status: reviewRequest.requestStatus,
+        assignedEvaluator: reviewRequest.assignedEvaluator || null,
+        dueBy: reviewRequest.sla?.dueBy || null,
         answerId: answer._id,
         reviewStatus: answer.reviewStatus
       }
@@ -146,6 +161,27 @@ router.get('/my-requests', authenticateMobileUser, ensureUserBelongsToClient, as
   }
 });
 
+// Review time the student can expect for each priority: the SLA promise
+// and what was actually achieved recently
+router.get('/expected-turnaround', authenticateMobileUser, ensureUserBelongsToClient, async (req, res) => {
+  try {
+    const priorities = reviewSla.PRIORITIES.includes(req.query.priority) ? [req.query.priority] : reviewSla.PRIORITIES;
+    const estimates = await Promise.all(priorities.map((priority) => reviewSla.expectedTurnaround(req.user.clientId, priority)));
+
+    res.json({
+      success: true,
+      data: estimates
+    });
+  } catch (error) {
+    console.error('Error fetching expected turnaround:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 // Get specific review request details
 router.get('/:requestId', authenticateMobileUser, ensureUserBelongsToClient, async (req, res) => {
   try {
@@ -218,8 +254,15 @@ router.delete('/:requestId', authenticateMobileUser, ensureUserBelongsToClient,
       });
     }
 
-    // Update status to cancelled
+    // Update status to cancelled, closing any open offer to an evaluator
     request.requestStatus = 'cancelled';
+    request.acceptDeadline = null;
+    request.assignmentHistory.forEach((offer) => {
+      if (!offer.outcome) {
+        offer.outcome = 'cancelled';
+        offer.endedAt = new Date();
+      }
+    });
     await request.save();
 
     // Update answer review status
@@ -227,6 +270,8 @@ router.delete('/:requestId', authenticateMobileUser, ensureUserBelongsToClient,
       reviewStatus: null
     });
 
+    await creditMetering.refundForResource('ReviewRequest', request._id, 'review cancelled');
+
     res.json({
       success: true,
       message: 'Review request cancelled successfully'
@@ -8,12 +8,7 @@ const AiswbQuestion = require('../models/AiswbQuestion');
 const AISWBSet = require('../models/AISWBSet');
 const { validationResult, param, body, query } = require('express-validator');
 const { authenticateMobileUser } = require('../middleware/mobileAuth');
-const axios = require('axios');
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const { evaluateAnswerWithAI, extractTextFromImagesWithFallback } = require('../services/aiServices');
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
@@ -69,310 +64,6 @@ const validateAnswerSubmission = [
     .isMongoId()
     .withMessage('Set ID must be a valid MongoDB ObjectId')
 ];
-const extractTextFromImages = async (imageUrls) => {
-  const extractedTexts = [];
-  if (!OPENAI_API_KEY) {
-    throw new Error('OpenAI API key is not configured');
-  }
-  for (let i = 0; i < imageUrls.length; i++) {
-    const imageUrl = imageUrls[i];
-    try {
-      let processedImageUrl = imageUrl;
-      if (imageUrl.includes('cloudinary.com')) {
-        processedImageUrl = imageUrl;
-      } else {        
-        const imageResponse = await axios.get(imageUrl, {
-          responseType: 'arraybuffer',
-          timeout: 30000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; TextExtractor/1.0)'
-          }
-        });
-        if (imageResponse.status !== 200) {
-          throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
-        }
-        const contentType = imageResponse.headers['content-type'];
-        if (!contentType || !contentType.startsWith('image/')) {
-          throw new Error(`Invalid content type: ${contentType}`);
-        }
-        const imageBuffer = Buffer.from(imageResponse.data);
-        if (imageBuffer.length === 0) {
-          throw new Error('Empty image buffer received');
-        }
-        const base64Image = imageBuffer.toString('base64');
-        let imageFormat = 'jpeg';
-        if (contentType.includes('png')) imageFormat = 'png';
-        else if (contentType.includes('webp')) imageFormat = 'webp';
-        else if (contentType.includes('gif')) imageFormat = 'gif';
-        processedImageUrl = `data:image/${imageFormat};base64,${base64Image}`;
-      }
-        const visionResponse = await axios.post(
-        OPENAI_API_URL,
-        {
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: "user",
-              content: [
-                {
-                  type: "text",
-                  text: `You are a precise OCR (Optical Character Recognition) system. Your task is to extract ALL text content from this image.
-
-Instructions:
-1. Extract ALL visible text exactly as it appears
-2. Maintain the original formatting, line breaks, and spacing
-3. Include mathematical equations, formulas, and symbols
-4. Include any handwritten text if clearly readable
-5. Do not add explanations, interpretations, or additional commentary
-6. If the text is in multiple languages, extract all of it
-7. If there are tables, preserve the table structure
-8. If no readable text is found, respond with exactly: "No readable text found"
-
-Return only the extracted text content:`
-                },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: processedImageUrl,
-                    detail: "high"
-                  }
-                }
-              ]
-            }
-          ],
-          max_tokens: 2000,
-          temperature: 0.1
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_API_KEY}`
-          },
-          timeout: 45000 // Increased timeout
-        }
-      );      
-      if (!visionResponse.data || !visionResponse.data.choices || visionResponse.data.choices.length === 0) {
-        throw new Error('Invalid response structure from OpenAI Vision API');
-      }
-      const choice = visionResponse.data.choices[0];
-      if (!choice.message || !choice.message.content) {
-        throw new Error('No content in OpenAI Vision API response');
-      }
-      const extractedText = choice.message.content.trim();
-      if (extractedText === "No readable text found" || extractedText.length === 0) {
-        console.log(`No text found in image ${i + 1}`);
-        extractedTexts.push("No readable text found");
-      } else {
-        console.log(`Successfully extracted ${extractedText.length} characters from image ${i + 1}`);
-        extractedTexts.push(extractedText);
-      }
-    } catch (error) {
-      let errorMessage = "Failed to extract text";
-      if (error.message.includes('timeout')) {
-        errorMessage = "Text extraction timed out - image may be too large";
-      } else if (error.message.includes('API key')) {
-        errorMessage = "API authentication failed";
-      } else if (error.message.includes('rate limit')) {
-        errorMessage = "Rate limit exceeded - please try again later";
-      } else if (error.message.includes('content type')) {
-        errorMessage = "Invalid image format";
-      }
-      extractedTexts.push(`${errorMessage}: ${error.message}`);
-    }
-  }
-  return extractedTexts;
-};
-const extractTextFromImagesGemini = async (imageUrls) => {
-  if (!GEMINI_API_KEY) {
-    throw new Error('Gemini API key is not configured');
-  }
-  const extractedTexts = [];
-  for (const imageUrl of imageUrls) {
-    try {
-      const imageResponse = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000
-      });
-      const imageBuffer = Buffer.from(imageResponse.data);
-      const base64Image = imageBuffer.toString('base64');
-      const contentType = imageResponse.headers['content-type'] || 'image/jpeg';
-      const response = await axios.post(
-        `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-        {
-          contents: [{
-            parts: [
-              {
-                text: "Extract all text content from this image. Return only the text as it appears, maintaining original formatting. If no text is found, respond with 'No readable text found'."
-              },
-              {
-                inline_data: {
-                  mime_type: contentType,
-                  data: base64Image
-                }
-              }
-            ]
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 1024,
-          }
-        },
-        {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 30000
-        }
-      );
-      const extractedText = response.data?.candidates?.[0]?.content?.parts?.[0]?.text || 'No readable text found';
-      extractedTexts.push(extractedText.trim());
-    } catch (error) {
-      console.error('Gemini extraction error:', error.message);
-      extractedTexts.push(`Failed to extract text: ${error.message}`);
-    }
-  }
-  return extractedTexts;
-};
-const extractTextFromImagesWithFallback = async (imageUrls) => {
-  if (!imageUrls || imageUrls.length === 0) {
-    return [];
-  }  
-  try {
-    const results = await extractTextFromImages(imageUrls);
-    const failedIndices = [];
-    results.forEach((result, index) => {
-      if (result.startsWith('Failed to extract text') || result.includes('Error')) {
-        failedIndices.push(index);
-      }
-    });
-    if (failedIndices.length > 0 && GEMINI_API_KEY) {
-      try {
-        const failedUrls = failedIndices.map(i => imageUrls[i]);
-        const geminiResults = await extractTextFromImagesGemini(failedUrls);
-        failedIndices.forEach((originalIndex, geminiIndex) => {
-          if (geminiResults[geminiIndex] && !geminiResults[geminiIndex].startsWith('Failed')) {
-            results[originalIndex] = geminiResults[geminiIndex];
-            console.log(`Successfully recovered text for image ${originalIndex + 1} using Gemini`);
-          }
-        });
-      } catch (geminiError) {
-        console.error('Gemini fallback also failed:', geminiError.message);
-      }
-    }
-    return results;
-    
-  } catch (openaiError) {
-    if (GEMINI_API_KEY) {
-      console.log('Falling back to Gemini for all images');
-      try {
-        return await extractTextFromImagesGemini(imageUrls);
-      } catch (geminiError) {
-        console.error('Both OpenAI and Gemini failed:', geminiError.message);
-      }
-    }
-    return imageUrls.map((_, index) => 
-      `Text extraction failed for image ${index + 1}. Please ensure the image is clear and contains readable text.`
-    );
-  }
-};
-const generateEvaluationPrompt = (question, extractedTexts) => {
-  const combinedText = extractedTexts.join('\n\n--- Next Image ---\n\n');
-  
-  // Use the stored evaluation guideline (will always have a value - either custom or default)
-  const evaluationFramework = question.evaluationGuideline || `Please provide a detailed evaluation in the following format:
-
-ACCURACY: [Score out of 100]
-MARKS AWARDED: [Marks out of ${question.metadata?.maximumMarks || 10}]
-
-STRENGTHS:
-- [List 2-3 specific strengths]
-
-WEAKNESSES:
-- [List 2-3 areas for improvement]
-
-SUGGESTIONS:
-- [List 2-3 specific recommendations]
-
-DETAILED FEEDBACK:
-[Provide constructive feedback about the answer]
-
-Please be fair, constructive, and specific in your evaluation.`;
-  
-  return `Please evaluate this student's answer to the given question.
-
-QUESTION:
-${question.question}
-
-MAXIMUM MARKS: ${question.metadata?.maximumMarks || 10}
-
-STUDENT'S ANSWER (extracted from images):
-${combinedText}
-
-${evaluationFramework}`;
-};
-const parseEvaluationResponse = (evaluationText, question) => {
-  try {
-    const lines = evaluationText.split('\n');
-    const evaluation = {
-      accuracy: 75,
-      marks: Math.floor((question.metadata?.maximumMarks || 10) * 0.75),
-      strengths: [],
-      weaknesses: [],
-      suggestions: [],
-      feedback: ''
-    };
-    let currentSection = '';
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (trimmedLine.startsWith('ACCURACY:')) {
-        const match = trimmedLine.match(/(\d+)/);
-        if (match) evaluation.accuracy = parseInt(match[1]);
-      } else if (trimmedLine.startsWith('MARKS AWARDED:')) {
-        const match = trimmedLine.match(/(\d+)/);
-        if (match) evaluation.marks = parseInt(match[1]);
-      } else if (trimmedLine === 'STRENGTHS:') {
-        currentSection = 'strengths';
-      } else if (trimmedLine === 'WEAKNESSES:') {
-        currentSection = 'weaknesses';
-      } else if (trimmedLine === 'SUGGESTIONS:') {
-        currentSection = 'suggestions';
-      } else if (trimmedLine === 'DETAILED FEEDBACK:') {
-        currentSection = 'feedback';
-      } else if (trimmedLine.startsWith('- ') && currentSection) {
-        const content = trimmedLine.substring(2);
-        if (currentSection !== 'feedback') {
-          evaluation[currentSection].push(content);
-        }
-      } else if (currentSection === 'feedback' && trimmedLine) {
-        evaluation.feedback += (evaluation.feedback ? ' ' : '') + trimmedLine;
-      }
-    }
-    return evaluation;
-  } catch (error) {
-    console.error('Error parsing evaluation:', error);
-    return generateMockEvaluation(question);
-  }
-};
-const generateMockEvaluation = (question) => {
-  return {
-    accuracy: Math.floor(Math.random() * 30) + 60, // 60-90%
-    extractedText: "The answer demonstrates a good understanding of the topic with clear explanations and relevant examples. The content is well-structured and addresses the main points of the question.",
-    strengths: [
-      'Shows understanding of core concepts',
-      'Attempts to address the question requirements'
-    ],
-    weaknesses: [
-      'Could provide more detailed explanations',
-      'Some concepts could be explained more clearly'
-    ],
-    suggestions: [
-      'Include more specific examples',
-      'Structure your answer with clear sections'
-    ],
-    marks: Math.floor(Math.random() * (question.metadata.maximumMarks / 2)) + 
-           Math.floor(question.metadata.maximumMarks / 2),
-    feedback: 'The answer shows understanding of the topic but could be improved with more detailed explanations and examples.'
-  };
-};
-
 router.post('/questions/:questionId/answers/:answerId/re-evaluate',
     authenticateMobileUser,
     [
@@ -400,7 +91,7 @@ router.post('/questions/:questionId/answers/:answerId/re-evaluate',
           _id: answerId,
           userId: userId,
           questionId: questionId
-        }).populate('questionId', 'question metadata');
+        }).populate('questionId', 'question metadata evaluationGuideline');
         if (!userAnswer) {
           return res.status(404).json({
             success: false,
@@ -429,7 +120,7 @@ router.post('/questions/:questionId/answers/:answerId/re-evaluate',
           if (userAnswer.answerImages && userAnswer.answerImages.length > 0 && extractedTexts.length === 0) {
             console.log('Re-extracting text from images for re-evaluation');
             const imageUrls = userAnswer.answerImages.map(img => img.imageUrl);
-            extractedTexts = await extractTextFromImagesWithFallback(imageUrls);
+            extractedTexts = await extractTextFromImagesWithFallback(imageUrls, { clientId: userAnswer.clientId });
             await UserAnswer.findByIdAndUpdate(answerId, {
               extractedTexts: extractedTexts
             });
@@ -445,101 +136,7 @@ router.post('/questions/:questionId/answers/:answerId/re-evaluate',
             throw new Error('No content available for evaluation');
           }
           const question = userAnswer.questionId;
-          if (GEMINI_API_KEY) {
-            try {
-              console.log('Re-evaluating with Gemini API');
-              const prompt = generateEvaluationPrompt(question, contentToEvaluate);
-              const response = await axios.post(
-                `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-                {
-                  contents: [{
-                    parts: [{
-                      text: prompt
-                    }]
-                  }],
-                  generationConfig: {
-                    temperature: 0.7,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 2048,
-                  }
-                },
-                {
-                  headers: { 'Content-Type': 'application/json' },
-                  timeout: 30000
-                }
-              );
-              if (response.status === 200 && response.data?.candidates?.[0]?.content) {
-                const evaluationText = response.data.candidates[0].content.parts[0].text;
-                evaluation = parseEvaluationResponse(evaluationText, question);
-              } else {
-                throw new Error('Invalid response from Gemini API');
-              }
-            } catch (geminiError) {
-              if (OPENAI_API_KEY) {
-                const prompt = generateEvaluationPrompt(question, contentToEvaluate);
-                const response = await axios.post(
-                  OPENAI_API_URL,
-                  {
-                    model: "gpt-4o-mini",
-                    messages: [{
-                      role: "user",
-                      content: prompt
-                    }],
-                    max_tokens: 1500,
-                    temperature: 0.7
-                  },
-                  {
-                    headers: {
-                      'Content-Type': 'application/json',
-                      'Authorization': `Bearer ${OPENAI_API_KEY}`
-                    },
-                    timeout: 30000
-                  }
-                );
-                if (response.data?.choices?.[0]?.message?.content) {
-                  const evaluationText = response.data.choices[0].message.content;
-                  evaluation = parseEvaluationResponse(evaluationText, question);
-                  console.log('Re-evaluation completed successfully with OpenAI');
-                } else {
-                  throw new Error('Invalid response from OpenAI API');
-                }
-              } else {
-                evaluation = generateMockEvaluation(question);
-              }
-            }
-          } else if (OPENAI_API_KEY) {
-            const prompt = generateEvaluationPrompt(question, contentToEvaluate);
-            const response = await axios.post(
-              OPENAI_API_URL,
-              {
-                model: "gpt-4o-mini",
-                messages: [{
-                  role: "user",
-                  content: prompt
-                }],
-                max_tokens: 1500,
-                temperature: 0.7
-              },
-              {
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Authorization': `Bearer ${OPENAI_API_KEY}`
-                },
-                timeout: 30000
-              }
-            );
-            if (response.data?.choices?.[0]?.message?.content) {
-              const evaluationText = response.data.choices[0].message.content;
-              evaluation = parseEvaluationResponse(evaluationText, question);
-              console.log('Re-evaluation completed successfully with OpenAI');
-            } else {
-              throw new Error('Invalid response from OpenAI API');
-            }
-          } else {
-            console.log('No API keys available for re-evaluation, using mock evaluation');
-            evaluation = generateMockEvaluation(question);
-          }
+          evaluation = await evaluateAnswerWithAI(question, contentToEvaluate, { clientId: userAnswer.clientId });
           const updatedAnswer = await UserAnswer.findByIdAndUpdate(
             answerId,
             {
@@ -11,19 +11,17 @@ const { authenticateMobileUser } = require("../middleware/mobileAuth");
 const crud = require("./answerapis");
 const { submitEvaluationFeedback } = require("../controllers/userAnswers");
 const { refreshAnnotatedImageUrls } = require("../utils/s3");
-const axios = require("axios");
 const SubjectiveTest = require("../models/SubjectiveTest");
 const SubjectiveTestQuestion = require("../models/SubjectiveTestQuestion");
 const {
-  validateTextRelevanceToQuestion,
   extractTextFromImagesWithFallback,
-  generateEvaluationPrompt,
-  parseEvaluationResponse,
-  generateMockEvaluation,
   generateCustomEvaluationPrompt,
-  getServiceForTask,
+  evaluateAnswerWithAI,
   cleanExtractedTexts,
 } = require("../services/aiServices");
+const { enqueueAnswerProcessing, buildQueuedProcessingState } = require("../services/answerProcessing");
+const { meterCredits } = require("../middleware/creditMetering");
+const { linkReservation } = require("../services/creditMetering");
 
 router.use("/crud", crud);
 
@@ -57,6 +55,39 @@ const upload = multer({
   },
 });
 
+// Remove images multer already stored when a submission is turned away
+const destroyUploadedImages = async (req) => {
+  for (const file of req.files || []) {
+    try {
+      await cloudinary.uploader.destroy(file.filename);
+    } catch (cleanupError) {
+      console.error("Error cleaning up file:", cleanupError);
+    }
+  }
+};
+
+// AI evaluation is charged per answer page. The hold is linked to the answer
+// and captured or refunded by the evaluation job (services/answerProcessing).
+const meterAnswerEvaluation = meterCredits("ai_evaluation", {
+  units: (req) => req.files?.length || 0,
+  settle: "manual",
+  onRejected: destroyUploadedImages,
+});
+
+const formatProcessingStatus = (userAnswer) => {
+  const processing = userAnswer.processing || {};
+  return {
+    status: processing.status || null,
+    currentStage: processing.currentStage || null,
+    stages: processing.stages || {},
+    attempts: processing.attempts || 0,
+    lastError: processing.lastError || null,
+    invalidReason: processing.invalidReason?.code ? processing.invalidReason : null,
+    queuedAt: processing.queuedAt || null,
+    completedAt: processing.completedAt || null,
+  };
+};
+
 const validateQuestionId = [param("questionId").isMongoId().withMessage("Question ID must be a valid MongoDB ObjectId")];
 
 const validateAnswerSubmission = [
@@ -124,7 +155,7 @@ router.post(
       if (extractedTexts.length === 0 && userAnswer.answerImages.length > 0 && includeExtractedText) {
         try {
           const imageUrls = userAnswer.answerImages.map((img) => img.imageUrl);
-          extractedTexts = await extractTextFromImagesWithFallback(imageUrls);
+          extractedTexts = await extractTextFromImagesWithFallback(imageUrls, { clientId: userAnswer.clientId });
           extractedTexts = cleanExtractedTexts(extractedTexts);
           userAnswer.extractedTexts = extractedTexts;
           await userAnswer.save();
@@ -136,8 +167,6 @@ router.post(
       // Clean extractedTexts before evaluation
       extractedTexts = cleanExtractedTexts(extractedTexts);
 
-      let evaluation = null;
-
       try {
         const customPrompt = generateCustomEvaluationPrompt(
           question,
@@ -146,89 +175,11 @@ router.post(
           { includeExtractedText, includeQuestionDetails, maxMarks },
         );
 
-        const evaluationService = await getServiceForTask("evaluation");
-
-        if (evaluationService.serviceName === "gemini") {
-          try {
-            const response = await axios.post(
-              `${evaluationService.apiUrl}?key=${evaluationService.apiKey}`,
-              {
-                contents: [
-                  {
-                    parts: [
-                      {
-                        text: customPrompt,
-                      },
-                    ],
-                  },
-                ],
-                generationConfig: {
-                  temperature: 0.7,
-                  topK: 40,
-                  topP: 0.95,
-                  maxOutputTokens: 2048,
-                },
-              },
-              {
-                headers: { "Content-Type": "application/json" },
-                timeout: 30000,
-              },
-            );
-
-            if (response.status === 200 && response.data?.candidates?.[0]?.content) {
-              const evaluationText = response.data.candidates[0].content.parts[0].text;
-              evaluation = parseEvaluationResponse(evaluationText, question);
-              evaluation.evaluationMethod = "gemini";
-            } else {
-              throw new Error("Invalid response from Gemini API");
-            }
-          } catch (geminiError) {
-            console.error("Gemini evaluation failed:", geminiError.message);
-            throw geminiError;
-          }
-        } else if (evaluationService.serviceName === "openai") {
-          try {
-            const response = await axios.post(
-              evaluationService.apiUrl,
-              {
-                model: "gpt-4o-mini",
-                messages: [
-                  {
-                    role: "user",
-                    content: customPrompt,
-                  },
-                ],
-                max_tokens: 1500,
-                temperature: 0.7,
-              },
-              {
-                headers: {
-                  "Content-Type": "application/json",
-                  Authorization: `Bearer ${evaluationService.apiKey}`,
-                },
-                timeout: 30000,
-              },
-            );
-
-            if (response.data?.choices?.[0]?.message?.content) {
-              const evaluationText = response.data.choices[0].message.content;
-              evaluation = parseEvaluationResponse(evaluationText, question);
-              evaluation.evaluationMethod = "openai";
-            } else {
-              throw new Error("Invalid response from OpenAI API");
-            }
-          } catch (openaiError) {
-            console.error("OpenAI evaluation failed:", openaiError.message);
-            throw openaiError;
-          }
-        } else if (evaluationService.serviceName === "agentic") {
-          evaluation = generateMockEvaluation(question);
-          evaluation.evaluationMethod = "agentic_mock";
-        }
-
-        if (!evaluation) {
-          throw new Error("No evaluation service available or configured");
-        }
+        const evaluation = await evaluateAnswerWithAI(question, extractedTexts, {
+          prompt: customPrompt,
+          maxMarks: maxMarks || question.metadata?.maximumMarks,
+          clientId: userAnswer.clientId,
+        });
 
         userAnswer.evaluation = {
           ...evaluation,
@@ -304,6 +255,7 @@ router.post(
   validateQuestionId,
   upload.array("images", 10),
   validateAnswerSubmission,
+  meterAnswerEvaluation,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -415,175 +367,7 @@ router.post(
           });
         }
       }
-
-      const isManualEvaluation = question.evaluationMode === "manual";
-      let evaluation = null;
-      let extractedTexts = [];
-
-      if (answerImages.length > 0) {
-        try {
-          const imageUrls = answerImages.map((img) => img.imageUrl);
-          extractedTexts = await extractTextFromImagesWithFallback(imageUrls);
-          extractedTexts = cleanExtractedTexts(extractedTexts);
-
-          const relevanceValidation = await validateTextRelevanceToQuestion(question, extractedTexts);
-
-          if (!relevanceValidation.isValid) {
-            if (req.files && req.files.length > 0) {
-              for (const file of req.files) {
-                try {
-                  await cloudinary.uploader.destroy(file.filename);
-                } catch (cleanupError) {
-                  console.error("Error cleaning up invalid image:", cleanupError);
-                }
-              }
-            }
-
-            return res.status(400).json({
-              success: false,
-              message: "Invalid image content",
-              responseCode: 1576,
-              error: {
-                code: "INVALID_IMAGE_CONTENT",
-                details: relevanceValidation.reason,
-                aiResponse: relevanceValidation.aiResponse || null,
-              },
-            });
-          }
-
-          const hasValidText = extractedTexts.some(
-            (text) =>
-              text &&
-              text.trim().length > 0 &&
-              !text.startsWith("Failed to extract text") &&
-              !text.startsWith("No readable text found") &&
-              !text.includes("Text extraction failed"),
-          );
-
-          if (hasValidText) {
-            try {
-              const evaluationService = await getServiceForTask("evaluation");
-              const prompt = generateEvaluationPrompt(question, extractedTexts);
-
-              if (evaluationService.serviceName === "gemini") {
-                const response = await axios.post(
-                  `${evaluationService.apiUrl}?key=${evaluationService.apiKey}`,
-                  {
-                    contents: [
-                      {
-                        parts: [
-                          {
-                            text: prompt,
-                          },
-                        ],
-                      },
-                    ],
-                    generationConfig: {
-                      temperature: 0.7,
-                      topK: 40,
-                      topP: 0.95,
-                      maxOutputTokens: 2048,
-                    },
-                  },
-                  {
-                    headers: { "Content-Type": "application/json" },
-                    timeout: 30000,
-                  },
-                );
-
-                if (response.status === 200 && response.data?.candidates?.[0]?.content) {
-                  const evaluationText = response.data.candidates[0].content.parts[0].text;
-                  evaluation = parseEvaluationResponse(evaluationText, question);
-                  evaluation.evaluationMethod = "gemini";
-                } else {
-                  throw new Error("Invalid response from Gemini API");
-                }
-              } else if (evaluationService.serviceName === "openai") {
-                const response = await axios.post(
-                  evaluationService.apiUrl,
-                  {
-                    model: "gpt-4o-mini",
-                    messages: [
-                      {
-                        role: "user",
-                        content: prompt,
-                      },
-                    ],
-                    max_tokens: 1500,
-                    temperature: 0.7,
-                  },
-                  {
-                    headers: {
-                      "Content-Type": "application/json",
-                      Authorization: `Bearer ${evaluationService.apiKey}`,
-                    },
-                    timeout: 30000,
-                  },
-                );
-
-                if (response.data?.choices?.[0]?.message?.content) {
-                  const evaluationText = response.data.choices[0].message.content;
-                  evaluation = parseEvaluationResponse(evaluationText, question);
-                  evaluation.evaluationMethod = "openai";
-                } else {
-                  throw new Error("Invalid response from OpenAI API");
-                }
-              } else if (evaluationService.serviceName === "agentic") {
-                evaluation = generateMockEvaluation(question);
-                evaluation.evaluationMethod = "agentic_mock";
-              }
-
-              if (!evaluation) {
-                evaluation = generateMockEvaluation(question);
-              }
-            } catch (evaluationError) {
-              console.error("AI evaluation failed:", evaluationError.message);
-              evaluation = generateMockEvaluation(question);
-            }
-          } else {
-            if (req.files && req.files.length > 0) {
-              for (const file of req.files) {
-                try {
-                  await cloudinary.uploader.destroy(file.filename);
-                } catch (cleanupError) {
-                  console.error("Error cleaning up unreadable image:", cleanupError);
-                }
-              }
-            }
-
-            return res.status(400).json({
-              success: false,
-              message: "Invalid image content",
-              responseCode: 1577,
-              error: {
-                code: "UNREADABLE_IMAGE_CONTENT",
-                details:
-                  "No readable text could be extracted from the uploaded images. Please ensure images are clear and contain relevant answer content.",
-              },
-            });
-          }
-        } catch (extractionError) {
-          if (req.files && req.files.length > 0) {
-            for (const file of req.files) {
-              try {
-                await cloudinary.uploader.destroy(file.filename);
-              } catch (cleanupError) {
-                console.error("Error cleaning up image after extraction error:", cleanupError);
-              }
-            }
-          }
-
-          return res.status(500).json({
-            success: false,
-            message: "Text extraction failed",
-            responseCode: 1578,
-            error: {
-              code: "TEXT_EXTRACTION_ERROR",
-              details: `Text extraction service error: ${extractionError.message}. Please try again or contact support if the issue persists.`,
-            },
-          });
-        }
-      }
+      const hasImages = answerImages.length > 0;
 
       const userAnswerData = {
         userId: userId,
@@ -592,7 +376,7 @@ router.post(
         clientId: req.user.clientId,
         answerImages: answerImages,
         textAnswer: textAnswer || "",
-        submissionStatus: "submitted",
+        submissionStatus: hasImages ? "queued" : "submitted",
         reviewStatus: null,
         metadata: {
           timeSpent: Number.parseInt(timeSpent) || 0,
@@ -603,20 +387,8 @@ router.post(
         submittedAt: new Date(),
       };
 
-      if (evaluation) {
-        userAnswerData.evaluation = evaluation;
-        if (!isManualEvaluation) {
-          userAnswerData.submissionStatus = "evaluated";
-          userAnswerData.publishStatus = "published";
-          userAnswerData.reviewStatus = null;
-        } else {
-          userAnswerData.submissionStatus = "submitted";
-          userAnswerData.reviewStatus = null;
-        }
-      }
-
-      if (extractedTexts.length > 0) {
-        userAnswerData.extractedTexts = extractedTexts;
+      if (hasImages) {
+        userAnswerData.processing = buildQueuedProcessingState();
       }
 
       if (setId) {
@@ -637,6 +409,19 @@ router.post(
         }
       }
 
+      if (req.creditReservation) {
+        await linkReservation(req.creditReservation, "UserAnswer", userAnswer._id);
+      }
+
+      if (hasImages) {
+        try {
+          await enqueueAnswerProcessing(userAnswer);
+        } catch (queueError) {
+          // The answer is already stored; recoverUnqueuedAnswers picks it up on the next worker start
+          console.error("Failed to queue answer for processing:", queueError);
+        }
+      }
+
       const responseData = {
         answerId: userAnswer._id,
         attemptNumber: userAnswer.attemptNumber,
@@ -666,22 +451,15 @@ router.post(
         };
       }
 
-      if (evaluation) {
-        responseData.evaluation = evaluation;
-      }
-      if (extractedTexts.length > 0) {
-        responseData.extractedTexts = extractedTexts;
-      }
-
       let successMessage;
-      if (isManualEvaluation) {
-        if (evaluation) {
-          successMessage = "Answer submitted successfully with AI pre-evaluation. Manual review pending.";
-        } else {
-          successMessage = "Answer submitted successfully and will be evaluated manually";
-        }
+      if (hasImages) {
+        responseData.processing = formatProcessingStatus(userAnswer);
+        responseData.statusUrl = `${req.baseUrl}/answers/${userAnswer._id}/status`;
+        successMessage = "Answer submitted successfully and queued for evaluation";
+      } else if (question.evaluationMode === "manual") {
+        successMessage = "Answer submitted successfully and will be evaluated manually";
       } else {
-        successMessage = "Answer submitted and evaluated successfully";
+        successMessage = "Answer submitted successfully";
       }
 
       res.status(200).json({
@@ -774,6 +552,7 @@ router.post(
   validateQuestionId,
   upload.array("images", 10),
   validateAnswerSubmission,
+  meterAnswerEvaluation,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -887,175 +666,7 @@ router.post(
           });
         }
       }
-
-      const isManualEvaluation = question.evaluationMode === "manual";
-      let evaluation = null;
-      let extractedTexts = [];
-
-      if (answerImages.length > 0) {
-        try {
-          const imageUrls = answerImages.map((img) => img.imageUrl);
-          extractedTexts = await extractTextFromImagesWithFallback(imageUrls);
-          extractedTexts = cleanExtractedTexts(extractedTexts);
-
-          const relevanceValidation = await validateTextRelevanceToQuestion(question, extractedTexts);
-
-          if (!relevanceValidation.isValid) {
-            if (req.files && req.files.length > 0) {
-              for (const file of req.files) {
-                try {
-                  await cloudinary.uploader.destroy(file.filename);
-                } catch (cleanupError) {
-                  console.error("Error cleaning up invalid image:", cleanupError);
-                }
-              }
-            }
-
-            return res.status(400).json({
-              success: false,
-              message: "Invalid image content",
-              responseCode: 1576,
-              error: {
-                code: "INVALID_IMAGE_CONTENT",
-                details: relevanceValidation.reason,
-                aiResponse: relevanceValidation.aiResponse || null,
-              },
-            });
-          }
-
-          const hasValidText = extractedTexts.some(
-            (text) =>
-              text &&
-              text.trim().length > 0 &&
-              !text.startsWith("Failed to extract text") &&
-              !text.startsWith("No readable text found") &&
-              !text.includes("Text extraction failed"),
-          );
-
-          if (hasValidText) {
-            try {
-              const evaluationService = await getServiceForTask("evaluation");
-              const prompt = generateEvaluationPrompt(question, extractedTexts);
-
-              if (evaluationService.serviceName === "gemini") {
-                const response = await axios.post(
-                  `${evaluationService.apiUrl}?key=${evaluationService.apiKey}`,
-                  {
-                    contents: [
-                      {
-                        parts: [
-                          {
-                            text: prompt,
-                          },
-                        ],
-                      },
-                    ],
-                    generationConfig: {
-                      temperature: 0.7,
-                      topK: 40,
-                      topP: 0.95,
-                      maxOutputTokens: 2048,
-                    },
-                  },
-                  {
-                    headers: { "Content-Type": "application/json" },
-                    timeout: 30000,
-                  },
-                );
-
-                if (response.status === 200 && response.data?.candidates?.[0]?.content) {
-                  const evaluationText = response.data.candidates[0].content.parts[0].text;
-                  evaluation = parseEvaluationResponse(evaluationText, question);
-                  evaluation.evaluationMethod = "gemini";
-                } else {
-                  throw new Error("Invalid response from Gemini API");
-                }
-              } else if (evaluationService.serviceName === "openai") {
-                const response = await axios.post(
-                  evaluationService.apiUrl,
-                  {
-                    model: "gpt-4o-mini",
-                    messages: [
-                      {
-                        role: "user",
-                        content: prompt,
-                      },
-                    ],
-                    max_tokens: 1500,
-                    temperature: 0.7,
-                  },
-                  {
-                    headers: {
-                      "Content-Type": "application/json",
-                      Authorization: `Bearer ${evaluationService.apiKey}`,
-                    },
-                    timeout: 30000,
-                  },
-                );
-
-                if (response.data?.choices?.[0]?.message?.content) {
-                  const evaluationText = response.data.choices[0].message.content;
-                  evaluation = parseEvaluationResponse(evaluationText, question);
-                  evaluation.evaluationMethod = "openai";
-                } else {
-                  throw new Error("Invalid response from OpenAI API");
-                }
-              } else if (evaluationService.serviceName === "agentic") {
-                evaluation = generateMockEvaluation(question);
-                evaluation.evaluationMethod = "agentic_mock";
-              }
-
-              if (!evaluation) {
-                evaluation = generateMockEvaluation(question);
-              }
-            } catch (evaluationError) {
-              console.error("AI evaluation failed:", evaluationError.message);
-              evaluation = generateMockEvaluation(question);
-            }
-          } else {
-            if (req.files && req.files.length > 0) {
-              for (const file of req.files) {
-                try {
-                  await cloudinary.uploader.destroy(file.filename);
-                } catch (cleanupError) {
-                  console.error("Error cleaning up unreadable image:", cleanupError);
-                }
-              }
-            }
-
-            return res.status(400).json({
-              success: false,
-              message: "Invalid image content",
-              responseCode: 1577,
-              error: {
-                code: "UNREADABLE_IMAGE_CONTENT",
-                details:
-                  "No readable text could be extracted from the uploaded images. Please ensure images are clear and contain relevant answer content.",
-              },
-            });
-          }
-        } catch (extractionError) {
-          if (req.files && req.files.length > 0) {
-            for (const file of req.files) {
-              try {
-                await cloudinary.uploader.destroy(file.filename);
-              } catch (cleanupError) {
-                console.error("Error cleaning up image after extraction error:", cleanupError);
-              }
-            }
-          }
-
-          return res.status(500).json({
-            success: false,
-            message: "Text extraction failed",
-            responseCode: 1578,
-            error: {
-              code: "TEXT_EXTRACTION_ERROR",
-              details: `Text extraction service error: ${extractionError.message}. Please try again or contact support if the issue persists.`,
-            },
-          });
-        }
-      }
+      const hasImages = answerImages.length > 0;
 
       const userAnswerData = {
         userId: userId,
@@ -1065,7 +676,7 @@ router.post(
         clientId: req.user.clientId,
         answerImages: answerImages,
         textAnswer: textAnswer || "",
-        submissionStatus: "submitted",
+        submissionStatus: hasImages ? "queued" : "submitted",
         reviewStatus: null,
         metadata: {
           timeSpent: Number.parseInt(timeSpent) || 0,
@@ -1076,20 +687,8 @@ router.post(
         submittedAt: new Date(),
       };
 
-      if (evaluation) {
-        userAnswerData.evaluation = evaluation;
-        if (!isManualEvaluation) {
-          userAnswerData.submissionStatus = "evaluated";
-          userAnswerData.publishStatus = "published";
-          userAnswerData.reviewStatus = null;
-        } else {
-          userAnswerData.submissionStatus = "submitted";
-          userAnswerData.reviewStatus = null;
-        }
-      }
-
-      if (extractedTexts.length > 0) {
-        userAnswerData.extractedTexts = extractedTexts;
+      if (hasImages) {
+        userAnswerData.processing = buildQueuedProcessingState();
       }
 
       // testId is already set in userAnswerData above
@@ -1108,6 +707,19 @@ router.post(
         }
       }
 
+      if (req.creditReservation) {
+        await linkReservation(req.creditReservation, "UserAnswer", userAnswer._id);
+      }
+
+      if (hasImages) {
+        try {
+          await enqueueAnswerProcessing(userAnswer);
+        } catch (queueError) {
+          // The answer is already stored; recoverUnqueuedAnswers picks it up on the next worker start
+          console.error("Failed to queue answer for processing:", queueError);
+        }
+      }
+
       const responseData = {
         answerId: userAnswer._id,
         attemptNumber: userAnswer.attemptNumber,
@@ -1137,22 +749,15 @@ router.post(
         };
       }
 
-      if (evaluation) {
-        responseData.evaluation = evaluation;
-      }
-      if (extractedTexts.length > 0) {
-        responseData.extractedTexts = extractedTexts;
-      }
-
       let successMessage;
-      if (isManualEvaluation) {
-        if (evaluation) {
-          successMessage = "Answer submitted successfully with AI pre-evaluation. Manual review pending.";
-        } else {
-          successMessage = "Answer submitted successfully and will be evaluated manually";
-        }
+      if (hasImages) {
+        responseData.processing = formatProcessingStatus(userAnswer);
+        responseData.statusUrl = `${req.baseUrl}/answers/${userAnswer._id}/status`;
+        successMessage = "Answer submitted successfully and queued for evaluation";
+      } else if (question.evaluationMode === "manual") {
+        successMessage = "Answer submitted successfully and will be evaluated manually";
       } else {
-        successMessage = "Answer submitted and evaluated successfully";
+        successMessage = "Answer submitted successfully";
       }
 
       res.status(200).json({
@@ -1254,6 +859,85 @@ router.post(
   submitEvaluationFeedback,
 );
 
+router.get(
+  "/answers/:answerId/status",
+  authenticateMobileUser,
+  [param("answerId").isMongoId().withMessage("Answer ID must be a valid MongoDB ObjectId")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid input data",
+          responseCode: 1588,
+          error: {
+            code: "INVALID_INPUT",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const userAnswer = await UserAnswer.findOne({
+        _id: req.params.answerId,
+        userId: req.user.id,
+      });
+      if (!userAnswer) {
+        return res.status(404).json({
+          success: false,
+          message: "Answer not found",
+          responseCode: 1589,
+          error: {
+            code: "ANSWER_NOT_FOUND",
+            details: "The specified answer does not exist",
+          },
+        });
+      }
+
+      const isFinished = ["completed", "failed"].includes(userAnswer.processing?.status);
+      const responseData = {
+        answerId: userAnswer._id,
+        attemptNumber: userAnswer.attemptNumber,
+        submissionStatus: userAnswer.submissionStatus,
+        publishStatus: userAnswer.publishStatus,
+        processing: formatProcessingStatus(userAnswer),
+        isFinished: isFinished || !userAnswer.processing?.status,
+      };
+
+      if (userAnswer.submissionStatus === "evaluation_failed") {
+        responseData.evaluationFailure = {
+          reason: userAnswer.evaluationFailure?.reason || null,
+          stage: userAnswer.evaluationFailure?.stage || null,
+          failedAt: userAnswer.evaluationFailure?.failedAt || null,
+        };
+      }
+      if (userAnswer.publishStatus === "published" && userAnswer.evaluation) {
+        responseData.evaluation = userAnswer.evaluation;
+      }
+      if (isFinished && userAnswer.extractedTexts?.length > 0) {
+        responseData.extractedTexts = userAnswer.extractedTexts;
+      }
+
+      res.status(200).json({
+        success: true,
+        responseCode: 1590,
+        data: responseData,
+      });
+    } catch (error) {
+      console.error("Error getting answer status:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+        responseCode: 1591,
+        error: {
+          code: "SERVER_ERROR",
+          details: error.message,
+        },
+      });
+    }
+  },
+);
+
 router.get("/:answerId", authenticateMobileUser, async (req, res) => {
   try {
     const answer = await UserAnswer.findById(req.params.answerId);
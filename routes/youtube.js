@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { spawn } = require('child_process');
+const { authenticateMobileUser } = require('../middleware/mobileAuth');
+const { meterCredits } = require('../middleware/creditMetering');
 const { createClient } = require('@deepgram/sdk');
 const { error } = require('console');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
@@ -9,7 +11,8 @@ const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch
 const deepgram = createClient(process.env.DEEPGRAM_API_KEY || 'YOUR_DEEPGRAM_API_KEY');
 
 // POST /api/youtube/transcribe-audio
-router.post('/transcribe-audio', async (req, res) => {
+// Metered per transcription, so it needs a signed-in mobile user
+router.post('/transcribe-audio', authenticateMobileUser, meterCredits('youtube_transcription'), async (req, res) => {
     const { url } = req.body;
     if (!url) {
         return res.status(400).json({ error: 'Invalid YouTube URL' });
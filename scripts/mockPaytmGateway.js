@@ -0,0 +1,110 @@
+// scripts/mockPaytmGateway.js - Local stand-in for Paytm's order status API
+//
+// Run with PAYTM_MID / PAYTM_KEY matching the backend, then point the
+// backend at it:  PAYTM_STATUS_URL=http://localhost:4010/v3/order/status
+//
+//   POST /orders/:orderId   { status: TXN_SUCCESS|TXN_FAILURE|PENDING, amount, callbackUrl?, signed? }
+//                           sets the order's status; with callbackUrl a Paytm-style
+//                           callback is posted there (unsigned when signed=false)
+//   POST /v3/order/status   signed order status lookup, as the backend calls it
+require('dotenv').config();
+const express = require('express');
+const axios = require('axios');
+const PaytmChecksum = require('paytmchecksum');
+
+const PORT = Number.parseInt(process.env.MOCK_PAYTM_PORT) || 4010;
+const MID = process.env.PAYTM_MID || 'MOCKMID00000000000000';
+const KEY = process.env.PAYTM_KEY || 'mockmerchantkey1';
+
+const orders = new Map();
+const app = express();
+app.use(express.json());
+
+const resultCodes = {
+  TXN_SUCCESS: { resultCode: '01', resultMsg: 'Txn Success' },
+  TXN_FAILURE: { resultCode: '227', resultMsg: 'Your payment has been declined by your bank.' },
+  PENDING: { resultCode: '402', resultMsg: 'Looks like the payment is not complete.' }
+};
+
+app.post('/orders/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+  const { status = 'TXN_SUCCESS', amount, callbackUrl, signed = true } = req.body || {};
+  if (!resultCodes[status] || amount === undefined) {
+    return res.status(400).json({ success: false, message: 'status (TXN_SUCCESS|TXN_FAILURE|PENDING) and amount are required' });
+  }
+
+  const order = {
+    orderId,
+    status,
+    amount: Number(amount).toFixed(2),
+    txnId: `MOCKTXN${Date.now()}`,
+    bankTxnId: `MOCKBANK${Date.now()}`
+  };
+  orders.set(orderId, order);
+
+  if (!callbackUrl) return res.json({ success: true, order });
+
+  const callback = {
+    MID,
+    ORDERID: orderId,
+    TXNID: order.txnId,
+    TXNAMOUNT: order.amount,
+    STATUS: status,
+    RESPCODE: resultCodes[status].resultCode,
+    RESPMSG: resultCodes[status].resultMsg,
+    PAYMENTMODE: 'UPI',
+    BANKTXNID: order.bankTxnId,
+    CURRENCY: 'INR',
+    TXNDATE: new Date().toISOString()
+  };
+  if (signed) {
+    callback.CHECKSUMHASH = await PaytmChecksum.generateSignature(callback, KEY);
+  }
+
+  try {
+    // Paytm posts callbacks as a form; don't follow the admin redirect
+    const response = await axios.post(callbackUrl, new URLSearchParams(callback).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    res.json({ success: true, order, callback: { status: response.status, body: response.data, location: response.headers.location } });
+  } catch (error) {
+    res.status(502).json({ success: false, order, message: `Callback failed: ${error.message}` });
+  }
+});
+
+app.post('/v3/order/status', async (req, res) => {
+  const { body, head } = req.body || {};
+  const valid = body && head?.signature &&
+    PaytmChecksum.verifySignature(JSON.stringify(body), KEY, head.signature);
+
+  const order = valid ? orders.get(body.orderId) : null;
+  let result;
+  if (!valid) {
+    result = { resultInfo: { resultStatus: 'TXN_FAILURE', resultCode: '2005', resultMsg: 'Checksum provided is invalid' } };
+  } else if (!order) {
+    result = { resultInfo: { resultStatus: 'PENDING', resultCode: '402', resultMsg: 'Looks like the payment is not complete.' }, orderId: body.orderId };
+  } else {
+    result = {
+      resultInfo: { resultStatus: order.status, ...resultCodes[order.status] },
+      txnId: order.txnId,
+      bankTxnId: order.bankTxnId,
+      orderId: order.orderId,
+      txnAmount: order.amount,
+      txnType: 'SALE',
+      gatewayName: 'MOCK',
+      bankName: 'Mock Bank',
+      mid: MID,
+      paymentMode: 'UPI',
+      txnDate: new Date().toISOString()
+    };
+  }
+
+  const signature = await PaytmChecksum.generateSignature(JSON.stringify(result), KEY);
+  res.json({ head: { responseTimestamp: String(Date.now()), version: 'v1', signature }, body: result });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Paytm gateway on http://localhost:${PORT} (MID ${MID})`);
+});
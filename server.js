@@ -50,17 +50,47 @@ const subjectiveTestQuestionRoutes = require('./routes/subjectivetestquestion');
 const testResultsRoutes = require('./routes/testResults');
 const creditManagementRoutes = require('./routes/creditManagement');
 const paytmRoutes = require('./routes/paytm')
+const jobQueue = require('./services/jobQueue');
+const { recoverUnqueuedAnswers } = require('./services/answerProcessing');
+// Register the recurring credit reconciliation, reservation and expiry sweep jobs
+require('./services/creditLedger');
+require('./services/creditMetering');
+require('./services/creditExpiry');
+// ...and the check on payments left PENDING
+require('./services/payments');
+// ...and the removal of abandoned PDF split previews
+require('./services/pdfSplitPreviews');
 
 app.use(cors())
+// Payment gateway callbacks/webhooks parse their own bodies (webhook
+// signatures cover the raw body), so they are mounted before the parsers
+app.use("/api/payments", require("./routes/payments"))
 app.use(express.json({ limit: "50mb" }))
 app.use(express.urlencoded({ extended: true, limit: "50mb" }))
 app.use("/uploads", express.static(path.join(__dirname, "uploads")))
 
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB")
+    startBackgroundWorkers()
+  })
   .catch((err) => console.error("MongoDB connection error:", err))
 
+// Background job workers (answer evaluation, etc.)
+function startBackgroundWorkers() {
+  if (process.env.DISABLE_JOB_WORKERS === "true") {
+    console.warn("⚠️  DISABLE_JOB_WORKERS is set - background jobs will not be processed by this instance")
+    return
+  }
+  jobQueue.start({
+    concurrency: Number.parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2,
+  })
+  recoverUnqueuedAnswers()
+    .then((count) => count > 0 && console.log(`Re-queued ${count} answers for processing`))
+    .catch((err) => console.error("Failed to recover unqueued answers:", err))
+}
+
 // Verify required environment variables
 if (!process.env.OPENAI_API_KEY) {
   console.warn("⚠️  OPENAI_API_KEY is not configured - Chat features will be disabled")
@@ -143,6 +173,16 @@ app.use(
   creditManagementRoutes,
 )
 
+app.use(
+  "/api/clients/:clientId/mobile/notifications",
+  checkClientAccess(),
+  (req, res, next) => {
+    req.clientId = req.params.clientId
+    next()
+  },
+  require("./routes/notifications"),
+)
+
 app.use(
   "/api/subjectivetest/clients/:clientId",
   checkClientAccess(),
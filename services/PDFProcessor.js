@@ -1,8 +1,32 @@
 const axios = require("axios")
 const { DataAPIClient } = require("@datastax/astra-db-ts")
 const { v4: uuidv4 } = require("uuid")
-const { GoogleGenerativeAI } = require("@google/generative-ai")
-const pdf = require("pdf-parse")
+const aiServiceManager = require("./aiServiceManager")
+const { createProvider } = require("./llm")
+const { rankByBM25, reciprocalRankFusion } = require("./hybridSearch")
+const { extractWithPdfParse, extractWithChunkr } = require("./pdfLayout")
+
+// Answer-length modes for RAG answers, selectable per request
+const ANSWER_MODES = {
+  brief: {
+    system: "You are a helpful AI assistant that provides concise answers in 1-2 sentences.",
+    instruction: "Answer in 1-2 sentences using only the context.",
+    maxTokens: 200,
+  },
+  detailed: {
+    system: "You are a helpful AI tutor that explains concepts clearly and thoroughly.",
+    instruction:
+      "Give a detailed explanation using only the context. Use short paragraphs or bullet points where they help.",
+    maxTokens: 1000,
+  },
+  exam: {
+    system: "You are an exam coach who writes model answers for students preparing for competitive exams.",
+    instruction:
+      "Write an exam-style answer using only the context: a one-line introduction, the key points as a structured body, and a brief conclusion.",
+    maxTokens: 1500,
+  },
+}
+const DEFAULT_ANSWER_MODE = "brief"
 
 class EnhancedPDFProcessor {
   constructor(config) {
@@ -13,10 +37,21 @@ class EnhancedPDFProcessor {
     this.chunkSize = Number.parseInt(config.chunkSize) || 200
     this.chunkOverlap = Number.parseInt(config.chunkOverlap) || 30
     this.maxContextChunks = Number.parseInt(config.maxContextChunks) || 5
-
-    // Initialize Gemini AI
-    this.genAI = new GoogleGenerativeAI(config.geminiApiKey)
-    this.chatModel = this.genAI.getGenerativeModel({ model: this.chatModelName })
+    // Results fetched per retrieval leg before fusion
+    this.candidatePoolSize = Number.parseInt(config.candidatePoolSize) || 40
+    // Prior question/answer pairs sent along with follow-up questions
+    this.maxHistoryTurns = Number.parseInt(config.maxHistoryTurns) || 3
+
+    // Provider used when no chat/embedding service is configured in
+    // AIServiceConfig. An explicit config.provider always wins.
+    this.pinnedProvider = config.provider || null
+    this.defaultProvider =
+      this.pinnedProvider ||
+      createProvider({
+        serviceName: config.geminiApiKey || !config.openaiApiKey ? "gemini" : "openai",
+        apiKey: config.geminiApiKey || config.openaiApiKey,
+        serviceConfig: { textModel: this.chatModelName, embeddingModel: this.embeddingModelName },
+      })
 
     this.astraClient = new DataAPIClient(config.astraToken)
     this.db = this.astraClient.db(config.astraApiEndpoint, {
@@ -25,6 +60,14 @@ class EnhancedPDFProcessor {
     this.baseCollectionName = config.collectionName || "book_knowledge_base"
   }
 
+  // clientId routes the task to the client's own model (Config collection).
+  // Embeddings are always resolved globally: stored vectors must come from the
+  // same model as the query vector, whichever client asks.
+  async getProvider(taskType, clientId = null) {
+    if (this.pinnedProvider) return this.pinnedProvider
+    return (await aiServiceManager.findProviderForTask(taskType, { clientId })) || this.defaultProvider
+  }
+
   getBookCollectionName(bookId) {
     if (!bookId) {
       throw new Error("Book ID is required for collection name")
@@ -33,40 +76,40 @@ class EnhancedPDFProcessor {
     return `${this.baseCollectionName}_book_${cleanBookId}`
   }
 
+  // The book's collection and how it is indexed. The processor is shared
+  // across requests, so this is returned and passed along rather than kept
+  // on the instance: { bookId, collectionName, collection, lexicalEnabled,
+  // vectorDimensions, embeddingModel }
   async initializeBookDB(bookId) {
-    try {
-      if (!bookId) {
-        throw new Error("Book ID is required for initialization")
-      }
-
-      const collectionName = this.getBookCollectionName(bookId)
-      const collections = await this.db.listCollections()
-      const existingCollection = collections.find((col) => col.name === collectionName)
-
-      if (existingCollection) {
-        const existingDimension = existingCollection.options?.vector?.dimension
-        if (existingDimension && existingDimension !== this.vectorDimensions) {
-          console.log(
-            `Adjusting vector dimensions from ${this.vectorDimensions} to ${existingDimension} for existing collection`
-          )
-          this.vectorDimensions = existingDimension
-        }
-      } else {
-        const modelDimensions = this.getModelDimensions(this.embeddingModelName)
-        if (modelDimensions !== this.vectorDimensions) {
-          console.log(`Setting vector dimensions to ${modelDimensions} for model ${this.embeddingModelName}`)
-          this.vectorDimensions = modelDimensions
-        }
-        await this.createBookCollection(collectionName)
-      }
+    if (!bookId) {
+      throw new Error("Book ID is required for initialization")
+    }
 
-      this.collection = this.db.collection(collectionName)
-      this.currentBookId = bookId
-      this.currentCollectionName = collectionName
+    const embeddingProvider = await this.getProvider("embedding")
+    const embeddingModel = embeddingProvider.getModel("embedding")
+
+    const collectionName = this.getBookCollectionName(bookId)
+    const collections = await this.db.listCollections()
+    const existingCollection = collections.find((col) => col.name === collectionName)
+
+    let lexicalEnabled
+    let vectorDimensions
+    if (existingCollection) {
+      const definition = existingCollection.definition || existingCollection.options || {}
+      lexicalEnabled = Boolean(definition.lexical?.enabled)
+      vectorDimensions = definition.vector?.dimension || this.vectorDimensions
+    } else {
+      vectorDimensions = await this.resolveEmbeddingDimensions(embeddingProvider, embeddingModel)
+      lexicalEnabled = await this.createBookCollection(collectionName, vectorDimensions)
+    }
 
-      return collectionName
-    } catch (error) {
-      throw error
+    return {
+      bookId,
+      collectionName,
+      collection: this.db.collection(collectionName),
+      lexicalEnabled,
+      vectorDimensions,
+      embeddingModel,
     }
   }
 
@@ -79,13 +122,40 @@ class EnhancedPDFProcessor {
       "text-embedding-ada-002": 1536,
     }
 
-    return dimensionMap[modelName] || 768
+    return dimensionMap[modelName] || null
   }
 
-  async createBookCollection(collectionName) {
-    await this.db.createCollection(collectionName, {
-      vector: { dimension: this.vectorDimensions, metric: "cosine" },
-    })
+  // Known models come from the table; anything else (e.g. a custom endpoint)
+  // is measured by embedding a short probe string
+  async resolveEmbeddingDimensions(embeddingProvider, embeddingModel) {
+    const knownDimensions = this.getModelDimensions(embeddingModel)
+    if (knownDimensions) return knownDimensions
+    try {
+      const [probe] = await embeddingProvider.embed(["dimension probe"])
+      return probe?.length || this.vectorDimensions
+    } catch (error) {
+      console.error(`Could not determine dimensions for ${embeddingModel}:`, error.message)
+      return this.vectorDimensions
+    }
+  }
+
+  // New collections get lexical (BM25) indexing for hybrid search; stores
+  // without lexical support get a vector-only collection. Resolves to whether
+  // lexical indexing is on.
+  async createBookCollection(collectionName, vectorDimensions) {
+    try {
+      await this.db.createCollection(collectionName, {
+        vector: { dimension: vectorDimensions, metric: "cosine" },
+        lexical: { enabled: true, analyzer: "standard" },
+      })
+      return true
+    } catch (error) {
+      console.error(`Lexical indexing unavailable for ${collectionName}:`, error.message)
+      await this.db.createCollection(collectionName, {
+        vector: { dimension: vectorDimensions, metric: "cosine" },
+      })
+      return false
+    }
   }
 
   async processPDFFromURL(pdfUrl, fileName, userId = null, metadata = {}) {
@@ -124,19 +194,17 @@ class EnhancedPDFProcessor {
     }
 
     const textExtractionStart = Date.now()
-    const pdfData = await pdf(pdfBuffer)
-    const totalPages = pdfData.numpages
-    const extractedText = pdfData.text
+    const { blocks, totalPages, extractor } = await this.extractLayoutBlocks(pdfBuffer, fileName)
     timingMetrics.textExtraction = Date.now() - textExtractionStart
 
     if (!metadata.bookId) {
       throw new Error("Book ID is required for PDF processing")
     }
 
-    await this.initializeBookDB(metadata.bookId)
+    const book = await this.initializeBookDB(metadata.bookId)
 
     // Check for existing embeddings first
-    const existingDocs = await this.collection
+    const existingDocs = await book.collection
       .find({
         file_name: fileName,
         book_id: metadata.bookId,
@@ -149,7 +217,7 @@ class EnhancedPDFProcessor {
         taskId: uuidv4(),
         fileName: fileName,
         bookId: metadata.bookId,
-        collectionName: this.currentCollectionName,
+        collectionName: book.collectionName,
         totalPages: totalPages,
         fileSizeMB: metadata.fileSizeMB || "N/A",
         timing: {
@@ -165,14 +233,14 @@ class EnhancedPDFProcessor {
           book_id: metadata.bookId,
           already_exists: true,
         },
-        modelUsed: this.embeddingModelName,
-        vectorSize: this.vectorDimensions,
+        modelUsed: book.embeddingModel,
+        vectorSize: book.vectorDimensions,
         tokensUsed: existingDocs.reduce((sum, doc) => sum + (doc.word_count || 0), 0) * 1.33,
       }
     }
 
     const chunkingStart = Date.now()
-    const chunks = await this.extractTextFromPDFBuffer(pdfBuffer)
+    const chunks = this.chunkLayoutBlocks(blocks)
     timingMetrics.chunking = Date.now() - chunkingStart
 
     if (chunks.length === 0) {
@@ -180,34 +248,50 @@ class EnhancedPDFProcessor {
     }
 
     const embeddingStart = Date.now()
-    const embeddings = await this.generateEmbeddingsWithRetry(chunks)
+    const embeddings = await this.generateEmbeddingsWithRetry(book, chunks.map((chunk) => chunk.text))
     timingMetrics.embedding = Date.now() - embeddingStart
 
     if (embeddings.length !== chunks.length) {
       throw new Error(`Embedding count mismatch: ${embeddings.length} vs ${chunks.length}`)
     }
 
-    const totalWords = chunks.reduce((sum, text) => sum + text.split(/\s+/).length, 0)
+    const totalWords = chunks.reduce((sum, chunk) => sum + chunk.text.split(/\s+/).length, 0)
     const tokensUsed = Math.round(totalWords * 1.33)
 
-    const documents = chunks.map((text, idx) => ({
+    // Chapter/topic linkage of the source item, so retrieval can filter by it
+    const linkage = {
+      chapter_id: metadata.chapterId ? String(metadata.chapterId) : null,
+      chapter_title: metadata.chapterTitle || null,
+      topic_id: metadata.topicId ? String(metadata.topicId) : null,
+      topic_title: metadata.topicTitle || null,
+      subtopic_id: metadata.subtopicId ? String(metadata.subtopicId) : null,
+      subtopic_title: metadata.subtopicTitle || null,
+    }
+
+    const documents = chunks.map((chunk, idx) => ({
       _id: uuidv4(),
       file_name: fileName,
       book_id: metadata.bookId,
       user_id: userId || "anonymous",
-      text_content: text,
+      text_content: chunk.text,
       $vector: embeddings[idx],
+      ...(book.lexicalEnabled && { $lexical: chunk.text }),
       chunk_index: idx,
+      page_number: chunk.pageNumber,
+      heading_path: chunk.headingPath,
+      section_title: chunk.headingPath[chunk.headingPath.length - 1] || null,
+      content_type: chunk.contentType,
       processed_at: new Date().toISOString(),
-      word_count: text.split(/\s+/).length,
-      char_count: text.length,
+      word_count: chunk.text.split(/\s+/).length,
+      char_count: chunk.text.length,
       ...metadata,
+      ...linkage,
       is_public: metadata.isPublic || false,
       access_level: metadata.accessLevel || "private",
     }))
 
     const dbInsertStart = Date.now()
-    await this.collection.insertMany(documents)
+    await book.collection.insertMany(documents)
     timingMetrics.dbInsert = Date.now() - dbInsertStart
     timingMetrics.total = Date.now() - startTime
 
@@ -215,7 +299,7 @@ class EnhancedPDFProcessor {
       taskId: uuidv4(),
       fileName: fileName,
       bookId: metadata.bookId,
-      collectionName: this.currentCollectionName,
+      collectionName: book.collectionName,
       totalPages: totalPages,
       fileSizeMB: metadata.fileSizeMB || "N/A",
       timing: {
@@ -229,23 +313,78 @@ class EnhancedPDFProcessor {
         chunks_inserted: documents.length,
         total_words: totalWords,
         book_id: metadata.bookId,
+        extractor,
+        headings_detected: blocks.filter((block) => block.type === "heading").length,
+        tables_detected: blocks.filter((block) => block.type === "table").length,
       },
-      modelUsed: this.embeddingModelName,
-      vectorSize: this.vectorDimensions,
+      modelUsed: book.embeddingModel,
+      vectorSize: book.vectorDimensions,
       tokensUsed: tokensUsed,
     }
   }
 
-  async extractTextFromPDFBuffer(pdfBuffer) {
+  // Layout blocks for a PDF: Chunkr when configured, pdf-parse otherwise (or
+  // when Chunkr fails)
+  async extractLayoutBlocks(pdfBuffer, fileName) {
+    if (this.chunkrApiKey) {
+      try {
+        const result = await extractWithChunkr(pdfBuffer, fileName, this.chunkrApiKey)
+        if (result.blocks.length > 0) return result
+      } catch (error) {
+        console.error(`Chunkr extraction failed for ${fileName}, using pdf-parse:`, error.message)
+      }
+    }
     try {
-      const pdfData = await pdf(pdfBuffer)
-      const text = pdfData.text
-      return this.chunkText(text)
+      return await extractWithPdfParse(pdfBuffer)
     } catch (error) {
       throw new Error(`Failed to extract text from PDF: ${error.message}`)
     }
   }
 
+  // Chunks that never span a page or section, each tagged with its page
+  // number and heading path. Tables are kept whole where they fit.
+  chunkLayoutBlocks(blocks) {
+    const chunks = []
+    let headingPath = []
+    let run = null
+
+    const flush = () => {
+      if (!run) return
+      this.chunkText(run.text).forEach((text) => {
+        chunks.push({ text, pageNumber: run.pageNumber, headingPath: [...headingPath], contentType: "text" })
+      })
+      run = null
+    }
+
+    for (const block of blocks) {
+      if (block.type === "heading") {
+        flush()
+        headingPath = [...headingPath.slice(0, block.level - 1), block.text]
+        // Section title leads the section's first chunk
+        run = { pageNumber: block.pageNumber, text: block.text, headingOnly: true }
+      } else if (block.type === "table") {
+        flush()
+        const tableChunks = block.text.length <= this.chunkSize * 4 ? [block.text] : this.chunkText(block.text)
+        tableChunks.forEach((text) => {
+          chunks.push({ text, pageNumber: block.pageNumber, headingPath: [...headingPath], contentType: "table" })
+        })
+      } else {
+        // A heading at the foot of a page belongs with the text that follows it
+        if (run?.headingOnly) run.pageNumber = block.pageNumber
+        if (run && run.pageNumber !== block.pageNumber) flush()
+        if (run) {
+          run.text += `\n${block.text}`
+          run.headingOnly = false
+        } else {
+          run = { pageNumber: block.pageNumber, text: block.text }
+        }
+      }
+    }
+    flush()
+
+    return chunks.filter((chunk) => chunk.text.trim())
+  }
+
   chunkText(text) {
     const words = text.split(/\s+/)
     const chunks = []
@@ -263,31 +402,22 @@ class EnhancedPDFProcessor {
       }
     }
 
-    if (currentChunk.length > 0) {
+    // Skip a tail that is only the overlap of the previous chunk
+    if (currentChunk.length > 0 && (chunks.length === 0 || currentChunk.length > this.chunkOverlap)) {
       chunks.push(currentChunk.join(" "))
     }
 
     return chunks
   }
 
-  async generateEmbeddingsWithRetry(chunks, maxRetries = 3) {
+  async generateEmbeddingsWithRetry(book, chunks, maxRetries = 3) {
     let embeddings = []
     let retryCount = 0
 
     while (retryCount < maxRetries) {
       try {
-        const embeddingModel = this.genAI.getGenerativeModel({ model: this.embeddingModelName })
-        const batchSize = 100
-        for (let i = 0; i < chunks.length; i += batchSize) {
-          const batch = chunks.slice(i, i + batchSize)
-          const batchEmbeddings = await Promise.all(
-            batch.map(async (text) => {
-              const result = await embeddingModel.embedContent(text)
-              return result.embedding.values
-            })
-          )
-          embeddings.push(...batchEmbeddings)
-        }
+        const embeddingProvider = await this.getProvider("embedding")
+        embeddings = await embeddingProvider.embed(chunks, { model: book.embeddingModel, batchSize: 100 })
         return embeddings
       } catch (error) {
         retryCount++
@@ -301,35 +431,104 @@ class EnhancedPDFProcessor {
     return embeddings
   }
 
-  async performFastRetrieval(question, documents) {
-    try {
-      const embeddingModel = this.genAI.getGenerativeModel({ model: this.embeddingModelName })
-      const questionEmbeddingResult = await embeddingModel.embedContent(question)
-      const questionEmbedding = questionEmbeddingResult.embedding.values
-
-      const similarities = documents.map((doc) => {
-        const docEmbedding = doc.$vector
-        const similarity = this.cosineSimilarity(questionEmbedding, docEmbedding)
-        return { ...doc, $similarity: similarity }
+  // Vector leg: native ANN search in the vector store
+  async vectorSearch(book, questionEmbedding, searchFilter, limit) {
+    return book.collection
+      .find(searchFilter, {
+        sort: { $vector: questionEmbedding },
+        limit,
+        includeSimilarity: true,
       })
+      .toArray()
+  }
+
+  // Keyword leg: the store's BM25 ($lexical) search where the collection has
+  // lexical indexing; older collections fall back to BM25 over the vector
+  // candidates so the leg still re-ranks by exact term matches
+  async keywordSearch(book, question, searchFilter, limit, vectorCandidates) {
+    if (book.lexicalEnabled) {
+      try {
+        return await book.collection.find(searchFilter, { sort: { $lexical: question }, limit }).toArray()
+      } catch (error) {
+        console.error("Lexical search failed, using in-memory BM25:", error.message)
+      }
+    }
+    return rankByBM25(question, vectorCandidates).slice(0, limit)
+  }
+
+  async hybridRetrieve(book, question, searchFilter) {
+    const embeddingProvider = await this.getProvider("embedding")
+    const [questionEmbedding] = await embeddingProvider.embed([question], { model: book.embeddingModel })
+
+    const vectorResults = await this.vectorSearch(book, questionEmbedding, searchFilter, this.candidatePoolSize)
+    const keywordResults = await this.keywordSearch(book, question, searchFilter, this.candidatePoolSize, vectorResults)
 
-      similarities.sort((a, b) => (b.$similarity || 0) - (a.$similarity || 0))
-      return similarities.slice(0, this.maxContextChunks)
+    const fused = reciprocalRankFusion([
+      { name: "vector", results: vectorResults },
+      { name: "keyword", results: keywordResults },
+    ])
+    return fused.slice(0, this.maxContextChunks)
+  }
+
+  // Rewrite a follow-up ("what about its causes?") into a standalone question
+  // using the prior turns, so retrieval does not depend on conversation state.
+  // history: [{ role, content }], oldest first
+  async rewriteFollowUpQuestion(question, history = [], clientId = null) {
+    if (history.length === 0) return question
+
+    const transcript = history
+      .slice(-this.maxHistoryTurns * 2)
+      .map((message) => `${message.role === "user" ? "User" : "Assistant"}: ${message.content}`)
+      .join("\n")
+
+    try {
+      const chatProvider = await this.getProvider("chat", clientId)
+      const result = await chatProvider.generateText({
+        system:
+          "Rewrite the user's latest question as a standalone question that can be understood without the conversation. Keep the original language. Reply with the question only.",
+        prompt: `Conversation:\n${transcript}\n\nLatest question: ${question}\n\nStandalone question:`,
+        temperature: 0,
+      })
+      const rewritten = result.text.trim().replace(/^["']|["']$/g, "")
+      return rewritten || question
     } catch (error) {
-      console.error("Retrieval error:", error)
-      return []
+      console.error("Follow-up rewrite failed, using original question:", error.message)
+      return question
     }
   }
 
-  cosineSimilarity(vecA, vecB) {
-    if (!vecA || !vecB || vecA.length !== vecB.length) return 0
-    const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0)
-    const magnitudeA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0))
-    const magnitudeB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0))
-    return magnitudeA && magnitudeB ? dotProduct / (magnitudeA * magnitudeB) : 0
+  // Retrieve context for a question, rewriting follow-ups first
+  async retrieveForQuestion(question, fileName, userId, requireAuth, bookId, options = {}) {
+    const book = await this.initializeBookDB(bookId)
+
+    const searchFilter = { book_id: bookId }
+    if (fileName) searchFilter.file_name = fileName
+    if (userId && requireAuth) searchFilter.user_id = userId
+    if (!requireAuth && !userId) {
+      searchFilter.$or = [{ is_public: true }, { access_level: "public" }]
+    }
+    // Narrow retrieval to one chapter/topic of the book
+    if (options.chapterId) searchFilter.chapter_id = String(options.chapterId)
+    if (options.topicId) searchFilter.topic_id = String(options.topicId)
+
+    const standaloneQuestion = await this.rewriteFollowUpQuestion(question, options.history || [], options.clientId)
+    const relevantResults = await this.hybridRetrieve(book, standaloneQuestion, searchFilter)
+    return { standaloneQuestion, relevantResults }
+  }
+
+  // Average vector similarity of the retrieved chunks, as a percentage.
+  // Keyword-only hits carry no similarity, so they do not count here
+  computeConfidence(relevantResults) {
+    const similarities = relevantResults.filter((r) => typeof r.$similarity === "number").map((r) => r.$similarity)
+    const avgSimilarity = similarities.length ? similarities.reduce((sum, value) => sum + value, 0) / similarities.length : 0
+    return Math.round(avgSimilarity * 100)
   }
 
-  async answerQuestion(question, fileName = null, userId = null, requireAuth = false, bookId = null) {
+  // options: clientId (model routing for answer generation), history (prior
+  // turns of the conversation, oldest first), answerMode (key of ANSWER_MODES),
+  // chapterId/topicId (restrict retrieval). Failures still resolve, with an
+  // error text as the answer and failed: true.
+  async answerQuestion(question, fileName = null, userId = null, requireAuth = false, bookId = null, options = {}) {
     const startTime = Date.now()
     const timingMetrics = {
       retrieval: 0,
@@ -343,20 +542,18 @@ class EnhancedPDFProcessor {
     }
 
     try {
-      await this.initializeBookDB(bookId)
-
-      const searchFilter = { book_id: bookId }
-      if (fileName) searchFilter.file_name = fileName
-      if (userId && requireAuth) searchFilter.user_id = userId
-      if (!requireAuth && !userId) {
-        searchFilter.$or = [{ is_public: true }, { access_level: "public" }]
-      }
-
       const retrievalStart = Date.now()
-      const allDocs = await this.collection.find(searchFilter).limit(50).toArray()
+      const { standaloneQuestion, relevantResults } = await this.retrieveForQuestion(
+        question,
+        fileName,
+        userId,
+        requireAuth,
+        bookId,
+        options
+      )
       timingMetrics.retrieval = Date.now() - retrievalStart
 
-      if (allDocs.length === 0) {
+      if (relevantResults.length === 0) {
         return {
           answer: `No relevant documents found in this book's knowledge base.`,
           confidence: 0,
@@ -365,115 +562,242 @@ class EnhancedPDFProcessor {
           modelUsed: this.chatModelName,
           tokensUsed: 0,
           chunkDetails: [],
+          citations: [],
+          standaloneQuestion,
           maxContextChunks: this.maxContextChunks,
         }
       }
 
-      const processingStart = Date.now()
-      const relevantResults = await this.performFastRetrieval(question, allDocs)
-      timingMetrics.processing = Date.now() - processingStart
-
       const generationStart = Date.now()
-      const answerResult = await this.generateUltraFastAnswer(question, relevantResults, bookId)
+      const answerResult = await this.generateUltraFastAnswer(standaloneQuestion, relevantResults, bookId, options.clientId, {
+        history: options.history,
+        answerMode: options.answerMode,
+      })
       timingMetrics.generation = Date.now() - generationStart
       timingMetrics.total = Date.now() - startTime
 
-      const avgSimilarity = relevantResults.reduce((sum, r) => sum + (r.$similarity || 0.5), 0) / relevantResults.length
-      const confidence = Math.max(Math.round(avgSimilarity * 100), 75)
-
       return {
         answer: answerResult.answer,
-        confidence: confidence,
+        failed: Boolean(answerResult.failed),
+        confidence: this.computeConfidence(relevantResults),
         sources: relevantResults.length,
         timing: timingMetrics,
         bookId: bookId,
-        method: "ultra_fast_retrieval",
-        modelUsed: this.chatModelName,
+        method: "hybrid_retrieval",
+        answerMode: answerResult.answerMode,
+        modelUsed: answerResult.modelUsed || this.chatModelName,
         tokensUsed: answerResult.tokensUsed,
         chunkDetails: answerResult.chunkDetails,
+        citations: answerResult.citations,
+        standaloneQuestion,
         maxContextChunks: this.maxContextChunks,
       }
     } catch (error) {
       timingMetrics.total = Date.now() - startTime
       return {
         answer: `Error: ${error.message}`,
+        failed: true,
         confidence: 0,
         sources: 0,
         timing: timingMetrics,
         modelUsed: this.chatModelName,
         tokensUsed: 0,
         chunkDetails: [],
+        citations: [],
         maxContextChunks: this.maxContextChunks,
       }
     }
   }
 
-  async generateUltraFastAnswer(question, relevantChunks, bookId) {
-    try {
-      const topChunks = relevantChunks.slice(0, this.maxContextChunks)
-      const chunkDetails = []
-
-      const context = topChunks
-        .map((chunk, index) => {
-          const chunkStart = Date.now()
-          const similarity = Math.round((chunk.$similarity || 0) * 100)
-          const text = chunk.text_content.substring(0, 200)
-          const chunkTime = Date.now() - chunkStart
-          chunkDetails.push({
-            chunkIndex: index + 1,
-            timing: chunkTime,
-            similarity: similarity,
-          })
-          return `[${index + 1}] ${text}... (${similarity}% match)`
-        })
-        .join("\n\n")
+  // Streaming variant of answerQuestion. Yields { event, data } pairs:
+  // "sources" once retrieval is done, "delta" per generated text chunk and
+  // "done" with the full answer and final citations. Errors are thrown.
+  // options.signal (AbortSignal) stops generation when the client leaves.
+  async *streamAnswer(question, fileName = null, userId = null, requireAuth = false, bookId = null, options = {}) {
+    if (!bookId) {
+      throw new Error("Book ID is required for question answering")
+    }
 
-      const prompt = `Context: ${context}
+    const startTime = Date.now()
+    const { standaloneQuestion, relevantResults } = await this.retrieveForQuestion(
+      question,
+      fileName,
+      userId,
+      requireAuth,
+      bookId,
+      options
+    )
+    const retrievalTime = Date.now() - startTime
+    const answerMode = this.resolveAnswerMode(options.answerMode)
+    const confidence = this.computeConfidence(relevantResults)
+
+    if (relevantResults.length === 0) {
+      const answer = "No relevant documents found in this book's knowledge base."
+      yield { event: "sources", data: { citations: [], confidence: 0, sources: 0, standaloneQuestion, answerMode } }
+      yield { event: "delta", data: { text: answer } }
+      yield {
+        event: "done",
+        data: {
+          answer,
+          citations: [],
+          confidence: 0,
+          standaloneQuestion,
+          answerMode,
+          tokensUsed: 0,
+          timing: { retrieval: retrievalTime, generation: 0, total: retrievalTime },
+        },
+      }
+      return
+    }
+
+    const { system, prompt, citations, maxTokens } = this.buildAnswerPrompt(standaloneQuestion, relevantResults, answerMode)
+    yield {
+      event: "sources",
+      data: { citations, confidence, sources: relevantResults.length, standaloneQuestion, answerMode },
+    }
+
+    // Gone during retrieval: nothing to generate for
+    if (options.signal?.aborted) return
+
+    const generationStart = Date.now()
+    const chatProvider = await this.getProvider("chat", options.clientId)
+    const stream = chatProvider.streamText({
+      system,
+      messages: (options.history || []).slice(-this.maxHistoryTurns * 2),
+      prompt,
+      maxTokens,
+      signal: options.signal,
+    })
 
-      Question: ${question}
+    let answer = ""
+    for await (const text of stream) {
+      answer += text
+      yield { event: "delta", data: { text } }
+    }
 
-      Answer in 1-2 sentences:`
+    this.markCitedSources(answer, citations)
+    const generationTime = Date.now() - generationStart
+    yield {
+      event: "done",
+      data: {
+        answer,
+        citations,
+        confidence,
+        standaloneQuestion,
+        method: "hybrid_retrieval",
+        answerMode,
+        modelUsed: chatProvider.getModel("text"),
+        // Streaming responses carry no usage, so this is always an estimate
+        tokensUsed: Math.round((prompt.length + answer.length) / 4),
+        timing: { retrieval: retrievalTime, generation: generationTime, total: Date.now() - startTime },
+      },
+    }
+  }
+
+  resolveAnswerMode(answerMode) {
+    return ANSWER_MODES[answerMode] ? answerMode : DEFAULT_ANSWER_MODE
+  }
+
+  // Citation record for a retrieved chunk; index matches the [n] marker in the prompt
+  buildCitation(chunk, index) {
+    return {
+      index: index + 1,
+      fileName: chunk.file_name,
+      page: chunk.page_number ?? null,
+      chapter: chunk.chapter_title ?? null,
+      section: chunk.section_title ?? null,
+      chunkIndex: chunk.chunk_index,
+      similarity: typeof chunk.$similarity === "number" ? Math.round(chunk.$similarity * 100) : null,
+      vectorRank: chunk.$ranks?.vector || null,
+      keywordRank: chunk.$ranks?.keyword || null,
+      text: chunk.text_content,
+    }
+  }
+
+  // System prompt, user prompt and citation list for the top chunks
+  buildAnswerPrompt(question, relevantChunks, answerMode) {
+    const mode = ANSWER_MODES[this.resolveAnswerMode(answerMode)]
+    const topChunks = relevantChunks.slice(0, this.maxContextChunks)
+    const citations = topChunks.map((chunk, index) => this.buildCitation(chunk, index))
+
+    const context = citations
+      .map((citation) => {
+        const location = [citation.fileName, citation.chapter, citation.section, citation.page ? `page ${citation.page}` : null]
+          .filter(Boolean)
+          .join(", ")
+        return `[${citation.index}] (${location})\n${citation.text}`
+      })
+      .join("\n\n")
+
+    const prompt = `Context:
+${context}
+
+Question: ${question}
+
+${mode.instruction} Cite the sources you rely on with their bracketed numbers, e.g. [1].`
+
+    return { system: mode.system, prompt, citations, maxTokens: mode.maxTokens }
+  }
+
+  // Flag the citations the answer actually references as [n]
+  markCitedSources(answer, citations) {
+    const citedIndexes = new Set([...answer.matchAll(/\[(\d+)\]/g)].map((match) => Number(match[1])))
+    citations.forEach((citation) => {
+      citation.cited = citedIndexes.has(citation.index)
+    })
+    return citations
+  }
+
+  // options: history (prior turns, oldest first), answerMode
+  async generateUltraFastAnswer(question, relevantChunks, bookId, clientId = null, options = {}) {
+    const answerMode = this.resolveAnswerMode(options.answerMode)
+    try {
+      const { system, prompt, citations, maxTokens } = this.buildAnswerPrompt(question, relevantChunks, answerMode)
 
       const generationStart = Date.now()
-      const result = await this.chatModel.generateContent({
-        contents: [
-          {
-            parts: [
-              { text: "You are a helpful AI assistant that provides concise answers in 1-2 sentences." },
-              { text: prompt }
-            ]
-          }
-        ]
+      const chatProvider = await this.getProvider("chat", clientId)
+      const result = await chatProvider.generateText({
+        system,
+        messages: (options.history || []).slice(-this.maxHistoryTurns * 2),
+        prompt,
+        maxTokens,
       })
 
-      const response = await result.response
-      const answer = response.text()
+      const answer = result.text
       const generationTime = Date.now() - generationStart
+      this.markCitedSources(answer, citations)
 
-      // Update chunk details with a portion of generation time (approximated)
-      chunkDetails.forEach((detail) => {
-        detail.timing = Math.round(detail.timing + (generationTime / topChunks.length))
-      })
+      const chunkDetails = citations.map((citation) => ({
+        chunkIndex: citation.index,
+        timing: Math.round(generationTime / citations.length),
+        similarity: citation.similarity,
+      }))
 
-      // Estimate tokens based on text length
-      const tokensUsed = Math.round((prompt.length + answer.length) / 4)
+      // Prefer reported usage; estimate from text length otherwise
+      const tokensUsed = result.usage.totalTokens || Math.round((prompt.length + answer.length) / 4)
 
       return {
         answer: answer,
-        method: "ultra-fast-gemini",
-        contextUsed: topChunks.length,
+        method: `ultra-fast-${chatProvider.serviceName}`,
+        modelUsed: result.model,
+        answerMode,
+        contextUsed: citations.length,
         bookId: bookId,
         tokensUsed: tokensUsed,
         chunkDetails: chunkDetails,
+        citations: citations,
       }
     } catch (error) {
-      console.error("Gemini API error:", error)
+      console.error("Answer generation error:", error)
       return {
         answer: "Unable to generate response. Please try again.",
+        failed: true,
         method: "error-fallback",
+        answerMode,
         bookId: bookId,
         tokensUsed: 0,
         chunkDetails: [],
+        citations: [],
       }
     }
   }
@@ -484,20 +808,20 @@ class EnhancedPDFProcessor {
         throw new Error("Book ID is required to check embeddings")
       }
 
-      await this.initializeBookDB(bookId)
+      const book = await this.initializeBookDB(bookId)
 
       const searchFilter = { book_id: bookId }
       if (fileName) searchFilter.file_name = fileName
       if (userId) searchFilter.user_id = userId
 
-      const existingDocs = await this.collection.find(searchFilter).toArray()
+      const existingDocs = await book.collection.find(searchFilter).toArray()
 
       return {
         exists: existingDocs.length > 0,
         count: existingDocs.length,
         files: [...new Set(existingDocs.map((doc) => doc.file_name))],
         bookId: bookId,
-        collectionName: this.currentCollectionName,
+        collectionName: book.collectionName,
       }
     } catch (error) {
       return {
@@ -516,7 +840,7 @@ class EnhancedPDFProcessor {
         throw new Error("Book ID is required to delete embeddings")
       }
 
-      await this.initializeBookDB(bookId)
+      const book = await this.initializeBookDB(bookId)
 
       const deleteFilter = {
         file_name: fileName,
@@ -524,7 +848,7 @@ class EnhancedPDFProcessor {
       }
       if (userId) deleteFilter.user_id = userId
 
-      const result = await this.collection.deleteMany(deleteFilter)
+      const result = await book.collection.deleteMany(deleteFilter)
 
       return {
         success: true,
@@ -548,12 +872,12 @@ class EnhancedPDFProcessor {
         throw new Error("Book ID is required")
       }
 
-      await this.initializeBookDB(bookId)
+      const book = await this.initializeBookDB(bookId)
 
       const searchFilter = { book_id: bookId }
       if (userId) searchFilter.user_id = userId
 
-      const existingDocs = await this.collection.find(searchFilter).toArray()
+      const existingDocs = await book.collection.find(searchFilter).toArray()
       const totalEmbeddings = existingDocs.length
       const uniqueFiles = [...new Set(existingDocs.map((doc) => doc.file_name))]
       const totalWords = existingDocs.reduce((sum, doc) => sum + (doc.word_count || 0), 0)
@@ -562,7 +886,7 @@ class EnhancedPDFProcessor {
       return {
         success: true,
         bookId: bookId,
-        collectionName: this.currentCollectionName,
+        collectionName: book.collectionName,
         totalEmbeddings: totalEmbeddings,
         uniqueFiles: uniqueFiles,
         fileCount: uniqueFiles.length,
@@ -570,8 +894,8 @@ class EnhancedPDFProcessor {
         tokensUsed: tokensUsed,
         hasEmbeddings: totalEmbeddings > 0,
         chatAvailable: totalEmbeddings > 0,
-        vectorSize: this.vectorDimensions,
-        modelUsed: this.embeddingModelName,
+        vectorSize: book.vectorDimensions,
+        modelUsed: book.embeddingModel,
       }
     } catch (error) {
       return {
@@ -590,4 +914,6 @@ class EnhancedPDFProcessor {
   }
 }
 
+EnhancedPDFProcessor.ANSWER_MODES = Object.keys(ANSWER_MODES)
+
 module.exports = EnhancedPDFProcessor
@@ -1,42 +1,178 @@
 const AIServiceConfig = require('../models/AIServiceConfig');
+const Config = require('../models/Config');
+const { createProvider, hasProvider } = require('./llm');
+
+const CONFIG_TTL = 5 * 60 * 1000;
+
+// A model with no task list serves every task except embeddings, which must
+// be opted into explicitly (a chat model name is not an embedding model)
+const modelServesTask = (model, taskType) => {
+  if (!taskType) return true;
+  if (model.tasks?.length) return model.tasks.includes(taskType);
+  return taskType !== 'embedding';
+};
 
 class AIServiceManager {
   constructor() {
-    this.config = null;
-    this.lastConfigUpdate = null;
+    // taskType -> { service, loadedAt }
+    this.taskCache = new Map();
+    // `${serviceId}:${updatedAt}` -> provider instance
+    this.providers = new Map();
+    // `${clientId}:${sourcetype}` -> { config, loadedAt }
+    this.clientCache = new Map();
+    // `${clientId}:${modelKey}` -> { provider, loadedAt }. Rebuilt after
+    // CONFIG_TTL so rotated keys (the client's, or global ones it borrows)
+    // are picked up on every instance, not just the one that saved them.
+    this.clientProviders = new Map();
+  }
+
+  // Per-client Config document for a source type (LLM/SST/TTS), cached for 5 minutes
+  async getClientConfig(clientId, sourcetype) {
+    const key = `${clientId}:${sourcetype}`;
+    const cached = this.clientCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CONFIG_TTL) {
+      return cached.config;
+    }
+    const config = await Config.findOne({ clientId, sourcetype }).lean();
+    this.clientCache.set(key, { config, loadedAt: Date.now() });
+    return config;
+  }
+
+  // Non-expired models a client configured for a source type, in priority
+  // order. An expired Config section disables all of its models.
+  async getClientModels(clientId, sourcetype, taskType = null) {
+    if (!clientId) return [];
+    const config = await this.getClientConfig(clientId, sourcetype);
+    if (!config || config.isExpired) return [];
+    return (config.models || []).filter((model) => !model.isExpired && modelServesTask(model, taskType));
   }
 
-  // Get current configuration with caching
-  async getCurrentConfig() {
-    // Refresh config every 5 minutes or if not loaded
-    const now = new Date();
-    if (!this.config || !this.lastConfigUpdate || 
-        (now - this.lastConfigUpdate) > 5 * 60 * 1000) {
-      this.config = await AIServiceConfig.getCurrentConfig();
-      this.lastConfigUpdate = now;
+  // Build a provider from a client's LLM model entry. Missing credentials are
+  // borrowed from the global service with the same name, but the global key
+  // only when the global URL is used too: it is never sent to a client's own
+  // endpoint.
+  async buildClientProvider(model) {
+    const serviceName = model.sourcename?.toLowerCase();
+    if (!hasProvider(serviceName)) return null;
+
+    let apiKey = model.apiKey;
+    let apiUrl = model.apiUrl;
+    let serviceConfig = {};
+    if (!apiKey || !apiUrl) {
+      const globalService = await AIServiceConfig.findOne({ serviceName, isActive: true }).lean();
+      if (!apiKey && !apiUrl) apiKey = globalService?.apiKey;
+      apiUrl = apiUrl || globalService?.apiUrl;
+      serviceConfig = globalService?.serviceConfig || {};
     }
-    return this.config;
+    if (!apiKey && serviceName !== 'custom') return null;
+
+    return createProvider({
+      serviceName,
+      displayName: model.modelname,
+      apiKey,
+      apiUrl,
+      serviceConfig: {
+        ...serviceConfig,
+        textModel: model.modelname,
+        visionModel: model.modelname,
+        embeddingModel: model.modelname,
+      },
+    });
   }
 
-  // Get the AI service to use for a specific task
+  // Get the active AIServiceConfig document for a task, cached for 5 minutes
   async getServiceForTask(taskType) {
-    const config = await this.getCurrentConfig();
-    return config.getServiceForTask(taskType);
+    const now = Date.now();
+    const cached = this.taskCache.get(taskType);
+    if (cached && now - cached.loadedAt < CONFIG_TTL) {
+      return cached.service;
+    }
+    const service = await AIServiceConfig.getActiveServiceForTask(taskType);
+    if (!service) {
+      this.taskCache.delete(taskType);
+      throw new Error(`No active AI service configured for task: ${taskType}`);
+    }
+    this.taskCache.set(taskType, { service, loadedAt: now });
+    return service;
+  }
+
+  // Provider instance for an AIServiceConfig document. Instances are reused
+  // until the document changes.
+  getProvider(service) {
+    const key = `${service._id || service.serviceName}:${service.updatedAt ? new Date(service.updatedAt).getTime() : ''}`;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createProvider(service));
+    }
+    return this.providers.get(key);
+  }
+
+  // Provider for a task, e.g. getProviderForTask('evaluation', { clientId }).
+  // The client's own LLM models (Config collection) are tried first, then
+  // the global AIServiceConfig default.
+  async getProviderForTask(taskType, options = {}) {
+    if (options.clientId) {
+      const clientProvider = await this.getClientProviderForTask(options.clientId, taskType);
+      if (clientProvider) return clientProvider;
+    }
+    const service = await this.getServiceForTask(taskType);
+    return this.getProvider(service);
+  }
+
+  async getClientProviderForTask(clientId, taskType) {
+    try {
+      const models = await this.getClientModels(clientId, 'LLM', taskType);
+      for (const model of models) {
+        const key = `${clientId}:${model.key}`;
+        const cached = this.clientProviders.get(key);
+        if (cached && Date.now() - cached.loadedAt < CONFIG_TTL) return cached.provider;
+
+        const provider = await this.buildClientProvider(model);
+        if (!provider) {
+          this.clientProviders.delete(key);
+          continue;
+        }
+        this.clientProviders.set(key, { provider, loadedAt: Date.now() });
+        return provider;
+      }
+    } catch (error) {
+      console.error(`Failed to resolve ${taskType} model for client ${clientId}:`, error.message);
+    }
+    return null;
+  }
+
+  // Like getProviderForTask, but resolves to null when nothing is configured
+  async findProviderForTask(taskType, options = {}) {
+    try {
+      return await this.getProviderForTask(taskType, options);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Drop cached client models (call after a client's Config changes)
+  refreshClientConfig(clientId) {
+    for (const key of this.clientCache.keys()) {
+      if (key.startsWith(`${clientId}:`)) this.clientCache.delete(key);
+    }
+    for (const key of this.clientProviders.keys()) {
+      if (key.startsWith(`${clientId}:`)) this.clientProviders.delete(key);
+    }
   }
 
-  // Force refresh configuration (useful after updates)
-  async refreshConfig() {
-    this.config = await AIServiceConfig.getCurrentConfig();
-    this.lastConfigUpdate = new Date();
-    return this.config;
+  // Force refresh configuration (call after AIServiceConfig updates)
+  refreshConfig() {
+    this.taskCache.clear();
+    this.clientCache.clear();
+    this.providers.clear();
+    this.clientProviders.clear();
   }
 
   // Check if a specific service is available for a task
   async isServiceAvailable(taskType, serviceName) {
-    const configuredService = await this.getServiceForTask(taskType);
-    return configuredService === serviceName;
+    const service = await this.getServiceForTask(taskType).catch(() => null);
+    return service?.serviceName === serviceName;
   }
 }
 
 // Export singleton instance
-module.exports = new AIServiceManager();
\ No newline at end of file
+module.exports = new AIServiceManager();
@@ -1,22 +1,18 @@
-const axios = require("axios");
-const FormData = require("form-data");
 const { AiswbQuestion } = require("../models/AiswbQuestion");
 const AiServiceConfig = require("../models/AIServiceConfig");
+const aiServiceManager = require("./aiServiceManager");
 
 const getServiceForTask = async (taskType) => {
   try {
-    const service = await AiServiceConfig.getActiveServiceForTask(taskType);
-    if (!service) {
-      throw new Error(`No active AI service configured for task: ${taskType}`);
-    }
-    return service;
+    return await aiServiceManager.getServiceForTask(taskType);
   } catch (error) {
     console.error(`Error getting service for task ${taskType}:`, error);
     throw error;
   }
 };
 
-const validateTextRelevanceToQuestion = async (question, extractedTexts) => {
+// options: clientId (routes the check to the client's own model when configured)
+const validateTextRelevanceToQuestion = async (question, extractedTexts, options = {}) => {
   if (!extractedTexts || extractedTexts.length === 0) {
     return { isValid: false, reason: "No text extracted from images" };
   }
@@ -52,7 +48,7 @@ const validateTextRelevanceToQuestion = async (question, extractedTexts) => {
     .filter((word) => word.length > 2 && !commonWords.includes(word));
 
   try {
-    const analysisService = await getServiceForTask("analysis");
+    const analysisProvider = await aiServiceManager.getProviderForTask("analysis", { clientId: options.clientId });
     const relevancePrompt = `
       Analyze if the following student answer is relevant to the given question. 
       QUESTION: ${question.question}
@@ -69,66 +65,17 @@ const validateTextRelevanceToQuestion = async (question, extractedTexts) => {
     `;
 
     let relevanceResponse = null;
-    if (analysisService.serviceName === "gemini") {
+    if (analysisProvider.supports("text")) {
       try {
-        const response = await axios.post(
-          `${analysisService.apiUrl}?key=${analysisService.apiKey}`,
-          {
-            contents: [
-              {
-                parts: [
-                  {
-                    text: relevancePrompt,
-                  },
-                ],
-              },
-            ],
-            generationConfig: {
-              temperature: 0.1,
-              maxOutputTokens: 100,
-            },
-          },
-          {
-            headers: { "Content-Type": "application/json" },
-            timeout: 15000,
-          }
-        );
-
-        if (response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-          relevanceResponse = response.data.candidates[0].content.parts[0].text.trim();
-        }
-      } catch (geminiError) {
-        console.error("Gemini relevance check failed:", geminiError.message);
-      }
-    } else if (analysisService.serviceName === "openai") {
-      try {
-        const response = await axios.post(
-          analysisService.apiUrl,
-          {
-            model: "gpt-4o-mini",
-            messages: [
-              {
-                role: "user",
-                content: relevancePrompt,
-              },
-            ],
-            max_tokens: 100,
-            temperature: 0.1,
-          },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${analysisService.apiKey}`,
-            },
-            timeout: 15000,
-          }
-        );
-
-        if (response.data?.choices?.[0]?.message?.content) {
-          relevanceResponse = response.data.choices[0].message.content.trim();
-        }
-      } catch (openaiError) {
-        console.error("OpenAI relevance check failed:", openaiError.message);
+        const result = await analysisProvider.generateText({
+          prompt: relevancePrompt,
+          temperature: 0.1,
+          maxTokens: 100,
+          timeout: 15000,
+        });
+        relevanceResponse = result.text.trim();
+      } catch (providerError) {
+        console.error(`${analysisProvider.serviceName} relevance check failed:`, providerError.message);
       }
     }
 
@@ -177,123 +124,41 @@ const validateTextRelevanceToQuestion = async (question, extractedTexts) => {
   return { isValid: true, reason: "Answer appears relevant to the question" };
 };
 
-const extractTextFromImagesAgentic = async (imageUrls, serviceConfig) => {
+// Map a provider failure onto the messages stored in extractedTexts; answer
+// processing relies on these prefixes to tell transient failures apart
+const describeExtractionError = (error) => {
+  const message = error.message || "";
+  if (error.status === 401 || message.includes("API key") || message.includes("Authentication failed")) {
+    return "API authentication failed";
+  }
+  if (error.status === 429 || message.includes("rate limit")) {
+    return "Failed to extract text - rate limit exceeded";
+  }
+  if (error.code === "ECONNABORTED" || message.includes("timeout") || message.includes("timed out")) {
+    return "Text extraction timed out - image may be too large";
+  }
+  if (error.status >= 500) {
+    return "Failed to extract text - server error";
+  }
+  if (message.includes("content type")) {
+    return "Invalid image format";
+  }
+  return "Failed to extract text";
+};
+
+// OCR each image with the given provider; failures are recorded per image
+const extractTextFromImagesWithProvider = async (imageUrls, provider) => {
+  if (!provider.supports("vision")) {
+    throw new Error(`Unsupported service for text extraction: ${provider.serviceName}`);
+  }
   const extractedTexts = [];
   for (let i = 0; i < imageUrls.length; i++) {
-    const imageUrl = imageUrls[i];
     try {
-      const formData = new FormData();
-      if (imageUrl.startsWith("http")) {
-        const imageResponse = await axios.get(imageUrl, {
-          responseType: "stream",
-          timeout: 30000,
-          headers: {
-            "User-Agent": "Mozilla/5.0 (compatible; TextExtractor/1.0)",
-          },
-        });
-        if (imageResponse.status !== 200) {
-          throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
-        }
-        let fileExtension = "jpg";
-        const contentType = imageResponse.headers["content-type"];
-        if (contentType) {
-          if (contentType.includes("png")) fileExtension = "png";
-          else if (contentType.includes("pdf")) fileExtension = "pdf";
-          else if (contentType.includes("webp")) fileExtension = "webp";
-        }
-        formData.append("image", imageResponse.data, {
-          filename: `document_${i + 1}.${fileExtension}`,
-          contentType: contentType || "image/jpeg",
-        });
-      } else {
-        formData.append("image", imageUrl, {
-          filename: `document_${i + 1}.jpg`,
-          contentType: "image/jpeg",
-        });
-      }
-
-      if (serviceConfig.serviceConfig?.includeMarginalia !== undefined) {
-        formData.append("include_marginalia", serviceConfig.serviceConfig.includeMarginalia.toString());
-      } else {
-        formData.append("include_marginalia", "true");
-      }
-
-      if (serviceConfig.serviceConfig?.includeMetadataInMarkdown !== undefined) {
-        formData.append(
-          "include_metadata_in_markdown",
-          serviceConfig.serviceConfig.includeMetadataInMarkdown.toString()
-        );
-      } else {
-        formData.append("include_metadata_in_markdown", "true");
-      }
-
-      const queryParams = new URLSearchParams();
-      if (serviceConfig.serviceConfig?.pages) {
-        queryParams.append("pages", serviceConfig.serviceConfig.pages);
-      }
-      if (serviceConfig.serviceConfig?.timeout) {
-        queryParams.append("timeout", serviceConfig.serviceConfig.timeout.toString());
-      }
-
-      const apiUrl = `https://api.va.landing.ai/v1/tools/agentic-document-analysis${queryParams.toString() ? `?${queryParams.toString()}` : ""}`;
-      const agenticResponse = await axios.post(apiUrl, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          Authorization: `Basic ${serviceConfig.apiKey}`,
-        },
-        timeout: (serviceConfig.serviceConfig?.timeout || 480) * 1000,
-      });
-
-      const responseData = agenticResponse.data;
-      if (typeof responseData === "string" && responseData.includes("<!DOCTYPE html>")) {
-        throw new Error("Authentication failed - received HTML redirect page instead of API response");
-      }
-
-      if (agenticResponse.status === 200 && responseData && responseData.data) {
-        let extractedText = "";
-        const apiData = responseData.data;
-        if (apiData.markdown && apiData.markdown.trim()) {
-          extractedText = apiData.markdown.trim();
-        } else if (apiData.chunks && Array.isArray(apiData.chunks)) {
-          const chunkTexts = apiData.chunks
-            .filter((chunk) => chunk.text && chunk.text.trim())
-            .map((chunk) => chunk.text.trim());
-          if (chunkTexts.length > 0) {
-            extractedText = chunkTexts.join("\n\n");
-          }
-        }
-
-        if (extractedText && extractedText.length > 0) {
-          extractedTexts.push(extractedText);
-        } else {
-          extractedTexts.push("No readable text found");
-        }
-
-        if (responseData.errors && responseData.errors.length > 0) {
-          console.warn(`Agentic API warnings for image ${i + 1}:`, responseData.errors);
-        }
-        if (responseData.extraction_error) {
-          console.warn(`Agentic API extraction error for image ${i + 1}:`, responseData.extraction_error);
-        }
-      } else {
-        throw new Error(`Unexpected response status or format: ${agenticResponse.status}`);
-      }
+      const extractedText = await provider.extractTextFromImage(imageUrls[i], { index: i });
+      extractedTexts.push(extractedText && extractedText.length > 0 ? extractedText : "No readable text found");
     } catch (error) {
-      let errorMessage = "Failed to extract text with Agentic API";
-      if (error.code === "ECONNABORTED" || error.message.includes("timeout")) {
-        errorMessage = "Agentic API extraction timed out - document may be too complex";
-      } else if (error.response?.status === 401 || error.message.includes("401")) {
-        errorMessage = "Agentic API authentication failed - check API key";
-      } else if (error.response?.status === 429 || error.message.includes("429")) {
-        errorMessage = "Agentic API rate limit exceeded - please try again later";
-      } else if (error.response?.status === 400) {
-        errorMessage = "Invalid request to Agentic API - check document format";
-      } else if (error.response?.status >= 500) {
-        errorMessage = "Agentic API server error - please try again later";
-      } else if (error.message.includes("content type")) {
-        errorMessage = "Invalid document format for Agentic API";
-      }
-      extractedTexts.push(`${errorMessage}: ${error.message}`);
+      console.error(`${provider.serviceName} extraction error for image ${i + 1}:`, error.message);
+      extractedTexts.push(`${describeExtractionError(error)}: ${error.message}`);
     }
   }
   return extractedTexts;
@@ -319,185 +184,24 @@ const extractTextFromJsonStructure = (jsonData) => {
   return text.trim();
 };
 
-const extractTextFromImages = async (imageUrls) => {
+const extractTextFromImages = async (imageUrls, options = {}) => {
   try {
-    const textExtractionService = await getServiceForTask("text_extraction");
-    if (textExtractionService.serviceName === "agentic") {
-      return await extractTextFromImagesAgentic(imageUrls, textExtractionService);
-    } else if (textExtractionService.serviceName === "openai") {
-      return await extractTextFromImagesOpenAI(imageUrls, textExtractionService);
-    } else if (textExtractionService.serviceName === "gemini") {
-      return await extractTextFromImagesGemini(imageUrls, textExtractionService);
-    } else {
-      throw new Error(`Unsupported service for text extraction: ${textExtractionService.serviceName}`);
-    }
+    const textExtractionProvider = await aiServiceManager.getProviderForTask("text_extraction", {
+      clientId: options.clientId,
+    });
+    return await extractTextFromImagesWithProvider(imageUrls, textExtractionProvider);
   } catch (error) {
     console.error("Text extraction failed:", error);
     throw error;
   }
 };
 
-const extractTextFromImagesOpenAI = async (imageUrls, serviceConfig) => {
-  const extractedTexts = [];
-  for (let i = 0; i < imageUrls.length; i++) {
-    const imageUrl = imageUrls[i];
-    try {
-      let processedImageUrl = imageUrl;
-      if (!imageUrl.includes("cloudinary.com")) {
-        const imageResponse = await axios.get(imageUrl, {
-          responseType: "arraybuffer",
-          timeout: 30000,
-          headers: {
-            "User-Agent": "Mozilla/5.0 (compatible; TextExtractor/1.0)",
-          },
-        });
-        if (imageResponse.status !== 200) {
-          throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
-        }
-        const contentType = imageResponse.headers["content-type"];
-        if (!contentType || !contentType.startsWith("image/")) {
-          throw new Error(`Invalid content type: ${contentType}`);
-        }
-        const imageBuffer = Buffer.from(imageResponse.data);
-        const base64Image = imageBuffer.toString("base64");
-        let imageFormat = "jpeg";
-        if (contentType.includes("png")) imageFormat = "png";
-        else if (contentType.includes("webp")) imageFormat = "webp";
-        else if (contentType.includes("gif")) imageFormat = "gif";
-        processedImageUrl = `data:image/${imageFormat};base64,${base64Image}`;
-      }
-
-      const visionResponse = await axios.post(
-        serviceConfig.apiUrl,
-        {
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: "user",
-              content: [
-                {
-                  type: "text",
-                  text: `You are a precise OCR (Optical Character Recognition) system. Your task is to extract ALL text content from this image.
-Instructions:
-1. Extract ALL visible text exactly as it appears
-2. Maintain the original formatting, line breaks, and spacing
-3. Include mathematical equations, formulas, and symbols
-4. Include any handwritten text if clearly readable
-5. Do not add explanations, interpretations, or additional commentary
-6. If the text is in multiple languages, extract all of it
-7. If there are tables, preserve the table structure
-8. If no readable text is found, respond with exactly: "No readable text found"
-Return only the extracted text content:`,
-                },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: processedImageUrl,
-                    detail: "high",
-                  },
-                },
-              ],
-            },
-          ],
-          max_tokens: 2000,
-          temperature: 0.1,
-        },
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${serviceConfig.apiKey}`,
-          },
-          timeout: 45000,
-        }
-      );
-
-      if (!visionResponse.data || !visionResponse.data.choices || visionResponse.data.choices.length === 0) {
-        throw new Error("Invalid response structure from OpenAI Vision API");
-      }
-      const choice = visionResponse.data.choices[0];
-      if (!choice.message || !choice.message.content) {
-        throw new Error("No content in OpenAI Vision API response");
-      }
-      const extractedText = choice.message.content.trim();
-      if (extractedText === "No readable text found" || extractedText.length === 0) {
-        extractedTexts.push("No readable text found");
-      } else {
-        extractedTexts.push(extractedText);
-      }
-    } catch (error) {
-      let errorMessage = "Failed to extract text";
-      if (error.message.includes("timeout")) {
-        errorMessage = "Text extraction timed out - image may be too large";
-      } else if (error.message.includes("API key")) {
-        errorMessage = "API authentication failed";
-      } else if (error.message.includes("rate limit")) {
-        errorMessage = "Rate limit exceeded - please try again later";
-      } else if (error.message.includes("content type")) {
-        errorMessage = "Invalid image format";
-      }
-      extractedTexts.push(`${errorMessage}: ${error.message}`);
-    }
-  }
-  return extractedTexts;
-};
-
-const extractTextFromImagesGemini = async (imageUrls, serviceConfig) => {
-  const extractedTexts = [];
-  for (const imageUrl of imageUrls) {
-    try {
-      const imageResponse = await axios.get(imageUrl, {
-        responseType: "arraybuffer",
-        timeout: 30000,
-      });
-      const imageBuffer = Buffer.from(imageResponse.data);
-      const base64Image = imageBuffer.toString("base64");
-      const contentType = imageResponse.headers["content-type"] || "image/jpeg";
-
-      const response = await axios.post(
-        `${serviceConfig.apiUrl}?key=${serviceConfig.apiKey}`,
-        {
-          contents: [
-            {
-              parts: [
-                {
-                  text: "Extract all text content from this image. Return only the text as it appears, maintaining original formatting. If no text is found, respond with 'No readable text found'.",
-                },
-                {
-                  inline_data: {
-                    mime_type: contentType,
-                    data: base64Image,
-                  },
-                },
-              ],
-            },
-          ],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 1024,
-          },
-        },
-        {
-          headers: { "Content-Type": "application/json" },
-          timeout: 30000,
-        }
-      );
-
-      const extractedText = response.data?.candidates?.[0]?.content?.parts?.[0]?.text || "No readable text found";
-      extractedTexts.push(extractedText.trim());
-    } catch (error) {
-      console.error("Gemini extraction error:", error.message);
-      extractedTexts.push(`Failed to extract text: ${error.message}`);
-    }
-  }
-  return extractedTexts;
-};
-
-const extractTextFromImagesWithFallback = async (imageUrls) => {
+const extractTextFromImagesWithFallback = async (imageUrls, options = {}) => {
   if (!imageUrls || imageUrls.length === 0) {
     return [];
   }
   try {
-    return await extractTextFromImages(imageUrls);
+    return await extractTextFromImages(imageUrls, options);
   } catch (error) {
     try {
       const activeServices = await AiServiceConfig.getActiveServices();
@@ -505,13 +209,7 @@ const extractTextFromImagesWithFallback = async (imageUrls) => {
         (service) => service.supportedTasks.includes("text_extraction") && !service.taskPreferences.text_extraction
       );
       if (fallbackService) {
-        if (fallbackService.serviceName === "agentic") {
-          return await extractTextFromImagesAgentic(imageUrls, fallbackService);
-        } else if (fallbackService.serviceName === "openai") {
-          return await extractTextFromImagesOpenAI(imageUrls, fallbackService);
-        } else if (fallbackService.serviceName === "gemini") {
-          return await extractTextFromImagesGemini(imageUrls, fallbackService);
-        }
+        return await extractTextFromImagesWithProvider(imageUrls, aiServiceManager.getProvider(fallbackService));
       }
     } catch (fallbackError) {
       console.error("Fallback text extraction also failed:", fallbackError);
@@ -704,29 +402,65 @@ const getEvaluationParameters = () => {
   };
 };
 
-const EVAL_SECTION_HEADERS = [
-  'Introduction',
-  'Body',
-  'Conclusion',
-  'Strengths',
-  'Weaknesses',
-  'Suggestions',
-  'Feedback',
-  'Comments',
-  'Remark'
+const EVALUATION_ANALYSIS_SECTIONS = [
+  "introduction",
+  "body",
+  "conclusion",
+  "strengths",
+  "weaknesses",
+  "suggestions",
+  "feedback",
 ];
 
-const EVAL_HEADER_REGEX = {
-  introduction: /^(introduction|intro)[:\-\s]*/i,
-  body: /^(body|body section|main body)[:\-\s]*/i,
-  conclusion: /^(conclusion|conclusion section)[:\-\s]*/i,
-  strengths: /^(strengths?)[:\-\s]*/i,
-  weaknesses: /^(weaknesses?|areas for improvement)[:\-\s]*/i,
-  suggestions: /^(suggestions?|recommendations?)[:\-\s]*/i,
-  feedback: /^(feedback)[:\-\s]*/i,
-  comments: /^(comments?)[:\-\s]*/i,
-  remark: /^(remark|overall remark|summary)[:\-\s]*/i
-};
+// JSON schema for the AI evaluation output. Mirrors UserAnswer.evaluation so the
+// validated object can be stored as-is.
+const buildEvaluationSchema = (maxMarks) => ({
+  type: "object",
+  properties: {
+    relevancy: {
+      type: "integer",
+      minimum: 0,
+      maximum: 100,
+      description: "How relevant the answer is to the question, 0-100",
+    },
+    score: {
+      type: "number",
+      minimum: 0,
+      maximum: maxMarks,
+      description: `Marks awarded out of ${maxMarks}`,
+    },
+    remark: {
+      type: "string",
+      maxLength: 250,
+      description: "1-2 line summary of the overall answer quality",
+    },
+    comments: {
+      type: "array",
+      minItems: 1,
+      maxItems: 4,
+      items: { type: "string", maxLength: 800 },
+      description: "3-4 detailed comments (5-12 words each)",
+    },
+    analysis: {
+      type: "object",
+      properties: EVALUATION_ANALYSIS_SECTIONS.reduce((properties, section) => {
+        properties[section] = { type: "array", items: { type: "string" } };
+        return properties;
+      }, {}),
+      required: EVALUATION_ANALYSIS_SECTIONS,
+      additionalProperties: false,
+    },
+  },
+  required: ["relevancy", "score", "remark", "comments", "analysis"],
+  additionalProperties: false,
+});
+
+const getEvaluationOutputInstructions = (maxMarks) =>
+  `Respond with ONLY a JSON object (no markdown, no code fences, no extra text) that matches this JSON schema:\n${JSON.stringify(
+    buildEvaluationSchema(maxMarks),
+    null,
+    2
+  )}\n\nField guidance:\n- relevancy: integer 0-100, how relevant the answer is to the question\n- score: marks out of ${maxMarks}\n- analysis.introduction / body / conclusion: your analysis of each part of the answer\n- analysis.strengths / weaknesses / suggestions: 2-3 items each\n- analysis.feedback: overall feedback\n- comments: 3-4 detailed comments (5-12 words each)\n- remark: 1-2 line summary of the overall answer quality (max 250 characters)\nUse an empty array for a section only if there is genuinely nothing to say about it.\n`;
 
 function getEvaluationFrameworkText() {
   return `Introduction
@@ -791,7 +525,9 @@ const generateEvaluationPrompt = (question, extractedTexts) => {
   // Use the stored evaluation guideline (will always have a value - either custom or default)
   const evaluationFramework = question.evaluationGuideline || getEvaluationFrameworkText();
   
-  return `Please evaluate this student's answer to the given question using the following evaluation framework.\n\n${evaluationFramework}\n\nQUESTION:\n${question.question}\n\nMAXIMUM MARKS: ${question.metadata?.maximumMarks || 10}\n\nSTUDENT'S ANSWER (extracted from images):\n${combinedText}\n\nPlease use the exact section headers as shown below, and do not change their names or order.\n\nRELEVANCY: [Score out of 100 - How relevant is the answer to the question]\nSCORE: [Score out of ${question.metadata?.maximumMarks || 10}]\n\nIntroduction:\n[Your analysis of the introduction]\n\nBody:\n[Your analysis of the body]\n\nConclusion:\n[Your analysis of the conclusion]\n\nStrengths:\n[List 2-3 strengths]\n\nWeaknesses:\n[List 2-3 weaknesses]\n\nSuggestions:\n[List 2-3 suggestions]\n\nFeedback:\n[Overall feedback]\n\nComments:\n[3-4 detailed comments (5-12 words each)]\n\nRemark:\n[1-2 line summary of the overall answer quality]\n`;
+  const maxMarks = question.metadata?.maximumMarks || 10;
+
+  return `Please evaluate this student's answer to the given question using the following evaluation framework.\n\n${evaluationFramework}\n\nQUESTION:\n${question.question}\n\nMAXIMUM MARKS: ${maxMarks}\n\nSTUDENT'S ANSWER (extracted from images):\n${combinedText}\n\n${getEvaluationOutputInstructions(maxMarks)}`;
 };
 
 const generateCustomEvaluationPrompt = (question, extractedTexts, userPrompt, options = {}) => {
@@ -819,98 +555,114 @@ const generateCustomEvaluationPrompt = (question, extractedTexts, userPrompt, op
     const combinedText = extractedTexts.join("\n\n--- Next Image ---\n\n");
     prompt += `STUDENT'S ANSWER (extracted from images):\n${combinedText}\n\n`;
   }
-  prompt += `Please use the exact section headers as shown below, and do not change their names or order.\n\nRELEVANCY: [Score out of 100 - How relevant is the answer to the question]\nSCORE: [Score out of ${maxMarks || question?.metadata?.maximumMarks || 10}]\n\nIntroduction:\n[Your analysis of the introduction]\n\nBody:\n[Your analysis of the body]\n\nConclusion:\n[Your analysis of the conclusion]\n\nStrengths:\n[List 2-3 strengths]\n\nWeaknesses:\n[List 2-3 weaknesses]\n\nSuggestions:\n[List 2-3 suggestions]\n\nFeedback:\n[Overall feedback]\n\nComments:\n[3-4 detailed comments (5-12 words each)]\n\nRemark:\n[1-2 line summary of the overall answer quality]\n`;
+  prompt += getEvaluationOutputInstructions(maxMarks || question?.metadata?.maximumMarks || 10);
   return prompt;
 };
 
-const parseEvaluationResponse = (evaluationText, question) => {
+const createEvaluationOutputError = (message, details = []) => {
+  const error = new Error(message);
+  error.code = "INVALID_EVALUATION_OUTPUT";
+  error.details = details;
+  return error;
+};
+
+// Pull the JSON object out of a model response, tolerating code fences or
+// stray prose around it
+const extractJsonObject = (text) => {
+  if (typeof text !== "string" || !text.trim()) {
+    throw createEvaluationOutputError("Evaluation response is empty");
+  }
+  const unfenced = text.replace(/```(?:json)?/gi, "").trim();
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw createEvaluationOutputError("Evaluation response does not contain a JSON object");
+  }
   try {
-    const lines = evaluationText
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
-    const evaluation = {
-      relevancy: 75,
-      score: Math.floor((question.metadata?.maximumMarks || 10) * 0.75),
-      remark: "",
-      comments: [],
-      analysis: {
-        introduction: [],
-        body: [],
-        conclusion: [],
-        strengths: [],
-        weaknesses: [],
-        suggestions: [],
-        feedback: []
-      }
-    };
-    let currentSection = "";
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      if (/relevancy[:\-\s]/i.test(line)) {
-        const match = line.match(/(\d+)/);
-        if (match) evaluation.relevancy = Math.min(100, Math.max(0, Number.parseInt(match[1])));
-        currentSection = "";
-      } else if (/score[:\-\s]/i.test(line)) {
-        const match = line.match(/(\d+)/);
-        if (match) evaluation.score = Math.min(question.metadata?.maximumMarks || 10, Math.max(0, Number.parseInt(match[1])));
-        currentSection = "";
-      } else {
-        // Section header detection (robust)
-        for (const [section, regex] of Object.entries(EVAL_HEADER_REGEX)) {
-          if (regex.test(line)) {
-            currentSection = section;
-            // If the header line has content after the colon, treat as first item
-            const afterColon = line.replace(regex, '').trim();
-            if (afterColon) {
-              if (section === 'remark') {
-                evaluation.remark = afterColon;
-              } else if (section === 'comments') {
-                evaluation.comments.push(afterColon);
-              } else if (section === 'feedback') {
-                evaluation.analysis.feedback.push(afterColon);
-              } else {
-                evaluation.analysis[section].push(afterColon);
-              }
-            }
-            break;
-          }
-        }
-        // If inside a section, add lines
-        if (currentSection) {
-          if (currentSection === 'remark') {
-            if (line && !EVAL_HEADER_REGEX.remark.test(line)) evaluation.remark += (evaluation.remark ? ' ' : '') + line;
-          } else if (currentSection === 'comments') {
-            if (line && !EVAL_HEADER_REGEX.comments.test(line)) evaluation.comments.push(line);
-          } else if (currentSection === 'feedback') {
-            if (line && !EVAL_HEADER_REGEX.feedback.test(line)) evaluation.analysis.feedback.push(line);
-          } else if (evaluation.analysis[currentSection] && !EVAL_HEADER_REGEX[currentSection].test(line)) {
-            evaluation.analysis[currentSection].push(line);
-          }
-        }
-      }
-    }
-    // Clean up: remove header lines, deduplicate, and set defaults if empty
-    Object.keys(evaluation.analysis).forEach(section => {
-      evaluation.analysis[section] = evaluation.analysis[section]
-        .filter(item => item && !EVAL_HEADER_REGEX[section].test(item))
-        .map(item => item.trim())
-        .filter((item, idx, arr) => item && arr.indexOf(item) === idx);
-      if (evaluation.analysis[section].length === 0) {
-        evaluation.analysis[section] = ['No content provided by AI.'];
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch (error) {
+    throw createEvaluationOutputError(`Evaluation response is not valid JSON: ${error.message}`);
+  }
+};
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+// Validate a parsed evaluation against buildEvaluationSchema. Returns the list of
+// problems; an empty list means the object can be stored.
+const validateEvaluationOutput = (output, maxMarks) => {
+  const errors = [];
+  if (!output || typeof output !== "object" || Array.isArray(output)) {
+    return ["Response must be a JSON object"];
+  }
+
+  if (!Number.isInteger(output.relevancy) || output.relevancy < 0 || output.relevancy > 100) {
+    errors.push("relevancy must be an integer between 0 and 100");
+  }
+  if (typeof output.score !== "number" || !Number.isFinite(output.score) || output.score < 0 || output.score > maxMarks) {
+    errors.push(`score must be a number between 0 and ${maxMarks}`);
+  }
+  if (!isNonEmptyString(output.remark)) {
+    errors.push("remark must be a non-empty string");
+  } else if (output.remark.trim().length > 250) {
+    errors.push("remark must be at most 250 characters");
+  }
+  if (!Array.isArray(output.comments) || output.comments.length < 1 || output.comments.length > 4) {
+    errors.push("comments must be an array of 1 to 4 strings");
+  } else if (!output.comments.every(isNonEmptyString)) {
+    errors.push("comments must only contain non-empty strings");
+  } else if (output.comments.some((comment) => comment.trim().length > 800)) {
+    errors.push("each comment must be at most 800 characters");
+  }
+
+  if (!output.analysis || typeof output.analysis !== "object" || Array.isArray(output.analysis)) {
+    errors.push("analysis must be an object");
+  } else {
+    for (const section of EVALUATION_ANALYSIS_SECTIONS) {
+      const items = output.analysis[section];
+      if (!Array.isArray(items)) {
+        errors.push(`analysis.${section} must be an array of strings`);
+      } else if (!items.every((item) => typeof item === "string")) {
+        errors.push(`analysis.${section} must only contain strings`);
       }
-    });
-    if (evaluation.comments.length === 0) {
-      evaluation.comments = ['No comments provided by AI.'];
-    }
-    if (!evaluation.remark || evaluation.remark.length === 0) {
-      evaluation.remark = 'No remark provided by AI.';
     }
-    return evaluation;
-  } catch (error) {
-    console.error("Error parsing evaluation:", error);
-    return generateMockEvaluation(question);
   }
+
+  return errors;
+};
+
+// Parse and validate a structured evaluation. Throws INVALID_EVALUATION_OUTPUT
+// instead of filling in defaults - every value stored comes from the model.
+const parseEvaluationResponse = (evaluationText, question, maxMarks) => {
+  const marks = maxMarks || question?.metadata?.maximumMarks || 10;
+  const output = extractJsonObject(evaluationText);
+  const errors = validateEvaluationOutput(output, marks);
+  if (errors.length > 0) {
+    throw createEvaluationOutputError("Evaluation response does not match the schema", errors);
+  }
+
+  const analysis = {};
+  for (const section of EVALUATION_ANALYSIS_SECTIONS) {
+    analysis[section] = output.analysis[section].map((item) => item.trim()).filter(Boolean);
+  }
+
+  return {
+    relevancy: output.relevancy,
+    score: output.score,
+    remark: output.remark.trim(),
+    comments: output.comments.map((comment) => comment.trim()),
+    analysis,
+  };
+};
+
+// The original evaluation prompt (question, answer, rubric) is repeated so
+// the corrected response is still judged against them
+const buildEvaluationRepairPrompt = (originalPrompt, previousOutput, error, maxMarks) => {
+  const problems = error.details?.length ? error.details : [error.message];
+  return `${originalPrompt}\n\n---\n\nYour previous evaluation response to the task above could not be accepted.\n\nPROBLEMS:\n${problems
+    .map((problem) => `- ${problem}`)
+    .join("\n")}\n\nPREVIOUS RESPONSE:\n${String(previousOutput || "").slice(0, 8000)}\n\nReturn the corrected evaluation. Keep your original judgement wherever it was valid and only fix the problems listed.\n\n${getEvaluationOutputInstructions(
+    maxMarks
+  )}`;
 };
 
 const generateEvaluationComments = (analysis, relevancyScore, score, maxMarks) => {
@@ -945,75 +697,70 @@ const generateEvaluationComments = (analysis, relevancyScore, score, maxMarks) =
   return comments;
 };
 
-const generateMockEvaluation = (question) => {
-  const baseRelevancy = Math.floor(Math.random() * 30) + 60;
-  const maxMarks = question.metadata?.maximumMarks || 10;
-  const score = Math.floor((baseRelevancy / 100) * maxMarks);
-  const evaluationParams = getEvaluationParameters();
-  
-  const mockEvaluation = {
-    relevancy: baseRelevancy,
-    score: score,
-    remark: generateDefaultRemark(baseRelevancy, score, maxMarks),
-    comments: [
-      "The answer demonstrates a reasonable understanding of the topic but could benefit from more detailed explanations and examples.",
-      "Good structure overall, but some sections could be better organized with clearer transitions between ideas.",
-      "The conclusion effectively summarizes the main points but could be strengthened with more specific recommendations.",
-      "Consider adding more current examples and data to support your arguments for a more comprehensive response."
-    ],
-    analysis: {
-      introduction: [
-        evaluationParams.analysis.introduction[2],
-        evaluationParams.analysis.introduction[3]
-      ],
-      body: [
-        evaluationParams.analysis.body[6],
-        evaluationParams.analysis.body[10]
-      ],
-      conclusion: [
-        evaluationParams.analysis.conclusion[0],
-        evaluationParams.analysis.conclusion[1]
-      ],
-      strengths: [
-        evaluationParams.analysis.strengths[0],
-        evaluationParams.analysis.strengths[1]
-      ],
-      weaknesses: [
-        evaluationParams.analysis.weaknesses[0],
-        evaluationParams.analysis.weaknesses[1]
-      ],
-      suggestions: [
-        evaluationParams.analysis.suggestions[0],
-        evaluationParams.analysis.suggestions[1]
-      ],
-      feedback: [
-        evaluationParams.analysis.feedback[0]
-      ]
-    }
-  };
+const MAX_EVALUATION_REPAIRS = 2;
 
-  return mockEvaluation;
+// Send a single evaluation prompt to the configured provider and return the raw text
+const callEvaluationModel = async (evaluationProvider, prompt) => {
+  if (!evaluationProvider.supports("text")) {
+    // e.g. the agentic service only extracts text - it cannot grade answers
+    const error = new Error(
+      `The ${evaluationProvider.serviceName} service does not support answer evaluation; configure a text generation service for the evaluation task`
+    );
+    error.retryable = false;
+    throw error;
+  }
+  const result = await evaluationProvider.generateText({
+    prompt,
+    temperature: 0.4,
+    maxTokens: 2048,
+    json: true,
+    timeout: 60000,
+  });
+  return result.text;
 };
 
-const generateDefaultRemark = (relevancy, score, maxMarks) => {
-  const percentage = (score / maxMarks) * 100;
-  const evaluationParams = getEvaluationParameters();
-  
-  if (percentage >= 90) {
-    return evaluationParams.remark.excellent[0] || "Excellent answer with comprehensive understanding and clear presentation.";
-  } else if (percentage >= 80) {
-    return evaluationParams.remark.good[0] || "Good answer demonstrating solid understanding with minor areas for improvement.";
-  } else if (percentage >= 70) {
-    return evaluationParams.remark.satisfactory[0] || "Satisfactory answer showing basic understanding but needs more detailed explanations.";
-  } else if (percentage >= 60) {
-    return evaluationParams.remark.average[0] || "Average answer with some correct points but lacking depth and clarity.";
-  } else if (percentage >= 50) {
-    return evaluationParams.remark.below_average[0] || "Below average answer with limited understanding and significant gaps.";
-  } else {
-    return evaluationParams.remark.poor[0] || "Poor answer with minimal understanding and requires substantial improvement.";
+// Run the evaluation prompt against the configured evaluation service. Responses
+// that fail schema validation are sent back to the model with the validation
+// errors, up to MAX_EVALUATION_REPAIRS times, before giving up.
+// options: prompt (overrides the default prompt), maxMarks, clientId
+const evaluateAnswerWithAI = async (question, extractedTexts, options = {}) => {
+  const evaluationProvider = await aiServiceManager.getProviderForTask("evaluation", { clientId: options.clientId });
+  const maxMarks = options.maxMarks || question.metadata?.maximumMarks || 10;
+  const evaluationPrompt = options.prompt || generateEvaluationPrompt(question, extractedTexts);
+  let prompt = evaluationPrompt;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_EVALUATION_REPAIRS; attempt++) {
+    const evaluationText = await callEvaluationModel(evaluationProvider, prompt);
+    try {
+      const evaluation = parseEvaluationResponse(evaluationText, question, maxMarks);
+      evaluation.evaluationMethod = evaluationProvider.serviceName;
+      return evaluation;
+    } catch (error) {
+      if (error.code !== "INVALID_EVALUATION_OUTPUT") throw error;
+      lastError = error;
+      console.warn(
+        `Evaluation output rejected (attempt ${attempt + 1}/${MAX_EVALUATION_REPAIRS + 1}):`,
+        error.details?.length ? error.details.join("; ") : error.message
+      );
+      prompt = buildEvaluationRepairPrompt(evaluationPrompt, evaluationText, error, maxMarks);
+    }
   }
+
+  throw lastError;
 };
 
+// True when at least one OCR result is real text rather than an error marker
+const hasReadableText = (extractedTexts) =>
+  (extractedTexts || []).some(
+    (text) =>
+      text &&
+      text.trim().length > 0 &&
+      !text.startsWith("Failed to extract text") &&
+      !text.startsWith("No readable text found") &&
+      !text.includes("Text extraction failed")
+  );
+
 // Utility to clean extracted texts from OCR/Agentic
 function cleanExtractedTexts(extractedTexts) {
   if (!Array.isArray(extractedTexts)) return [];
@@ -1043,10 +790,13 @@ module.exports = {
   extractTextFromImagesWithFallback,
   generateEvaluationPrompt,
   parseEvaluationResponse,
-  generateMockEvaluation,
+  validateEvaluationOutput,
+  buildEvaluationSchema,
   generateCustomEvaluationPrompt,
   getServiceForTask,
   getEvaluationParameters,
   getEvaluationFrameworkText,
+  evaluateAnswerWithAI,
+  hasReadableText,
   cleanExtractedTexts
 };
\ No newline at end of file
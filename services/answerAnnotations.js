@@ -0,0 +1,359 @@
+const axios = require('axios');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const AnswerAnnotation = require('../models/AnswerAnnotation');
+
+const TYPES = ['tick', 'cross', 'highlight', 'comment', 'mark'];
+const MAX_ITEMS = 500;
+const MAX_TEXT_LENGTH = 1000;
+const IMAGE_TIMEOUT = 20000;
+// Rendered page images are scaled to A4 width, with a column on the right
+// for the margin comments
+const PAGE_WIDTH = 595.28;
+const MARGIN_WIDTH = 200;
+const MARGIN_PADDING = 10;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 11;
+
+const COLORS = {
+  tick: rgb(0.1, 0.6, 0.2),
+  cross: rgb(0.85, 0.1, 0.1),
+  highlight: rgb(1, 0.9, 0.1),
+  comment: rgb(0.9, 0.45, 0),
+  mark: rgb(0.1, 0.3, 0.85)
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Validate and clean the annotation items sent for an answer with pageCount
+ * page images. Items sent back with their _id keep it. Returns { items } or
+ * { error }.
+ */
+const normalizeItems = (items, pageCount) => {
+  if (!Array.isArray(items)) return { error: 'items must be an array' };
+  if (items.length > MAX_ITEMS) return { error: `At most ${MAX_ITEMS} annotations per answer` };
+  if (items.length > 0 && pageCount === 0) return { error: 'The answer has no page images to annotate' };
+
+  const cleaned = [];
+  for (const [index, item] of items.entries()) {
+    const label = `Annotation ${index + 1}`;
+    if (!TYPES.includes(item?.type)) return { error: `${label}: type must be one of ${TYPES.join(', ')}` };
+
+    const page = Number(item.page);
+    if (!Number.isInteger(page) || page < 0 || page >= pageCount) {
+      return { error: `${label}: page must be between 0 and ${pageCount - 1}` };
+    }
+    const entry = {
+      type: item.type,
+      page,
+      x: Number(item.x),
+      y: Number(item.y),
+      width: Number(item.width || 0),
+      height: Number(item.height || 0),
+      text: typeof item.text === 'string' ? item.text.trim() : '',
+      marks: null,
+      maxMarks: null,
+      color: null
+    };
+    if (![entry.x, entry.y, entry.width, entry.height].every(isFraction)) {
+      return { error: `${label}: x, y, width and height must be fractions of the page between 0 and 1` };
+    }
+    if (entry.x + entry.width > 1 || entry.y + entry.height > 1) return { error: `${label}: region runs off the page` };
+    if (['highlight', 'mark'].includes(entry.type) && (entry.width === 0 || entry.height === 0)) {
+      return { error: `${label}: a ${entry.type} needs a width and height` };
+    }
+    if (entry.type === 'comment' && !entry.text) return { error: `${label}: a comment needs text` };
+    if (entry.text.length > MAX_TEXT_LENGTH) return { error: `${label}: text is limited to ${MAX_TEXT_LENGTH} characters` };
+
+    if (entry.type === 'mark') {
+      entry.marks = Number(item.marks);
+      if (!Number.isFinite(entry.marks) || entry.marks < 0) return { error: `${label}: marks must be 0 or more` };
+      if (item.maxMarks !== undefined && item.maxMarks !== null && item.maxMarks !== '') {
+        entry.maxMarks = Number(item.maxMarks);
+        if (!Number.isFinite(entry.maxMarks) || entry.maxMarks < entry.marks) {
+          return { error: `${label}: maxMarks must be a number no less than marks` };
+        }
+      }
+    }
+    if (item.color) {
+      if (!HEX_COLOR.test(item.color)) return { error: `${label}: color must be a hex colour like #ff0000` };
+      entry.color = item.color;
+    }
+    if (item._id) entry._id = item._id;
+    cleaned.push(entry);
+  }
+  return { items: cleaned };
+};
+
+const totalMarksOf = (items) => {
+  const marked = items.filter((item) => item.type === 'mark');
+  if (marked.length === 0) return null;
+  return Math.round(marked.reduce((sum, item) => sum + item.marks, 0) * 100) / 100;
+};
+
+// Counts per type and marks, for list views
+const summarize = (annotation) => {
+  const counts = Object.fromEntries(TYPES.map((type) => [type, 0]));
+  (annotation?.items || []).forEach((item) => { counts[item.type] += 1; });
+  return {
+    counts,
+    totalMarks: annotation?.totalMarks ?? null,
+    version: annotation?.version || 0,
+    updatedAt: annotation?.updatedAt || null,
+    publishedAt: annotation?.publishedAt || null
+  };
+};
+
+/**
+ * Parse a ?pages= list of page indexes ("0,2") for an answer with pageCount
+ * page images. Returns { pages } (null for all pages) or { error }.
+ */
+const parsePages = (value, pageCount) => {
+  if (value === undefined || value === null || value === '') return { pages: null };
+  const pages = String(value).split(',').map((part) => part.trim());
+  if (!pages.every((part) => /^\d+$/.test(part) && Number(part) < pageCount)) {
+    return { error: `pages must be a comma-separated list of page numbers between 0 and ${pageCount - 1}` };
+  }
+  return { pages: pages.map(Number) };
+};
+
+/**
+ * Replace the annotations on an answer. version is the one the evaluator
+ * loaded; if someone saved in between, nothing is written. Published
+ * annotations are what the student sees and can no longer be changed.
+ * Resolves to { annotation } or { status, error } (400 invalid items, 409
+ * stale version or already published).
+ */
+const saveAnnotations = async (answer, { evaluatorId, items, version }) => {
+  const { items: cleaned, error } = normalizeItems(items, (answer.answerImages || []).length);
+  if (error) return { status: 400, error };
+
+  const totalMarks = totalMarksOf(cleaned);
+  const existing = await AnswerAnnotation.findOne({ answerId: answer._id }).select('version publishedAt');
+  const stale = { status: 409, error: 'The annotations were changed since you loaded them. Reload and try again.' };
+  const published = { status: 409, error: 'The annotations have been published and can no longer be edited' };
+
+  if (!existing) {
+    try {
+      const annotation = await AnswerAnnotation.create({
+        answerId: answer._id,
+        userId: answer.userId,
+        clientId: answer.clientId,
+        questionId: answer.questionId,
+        evaluator: evaluatorId,
+        items: cleaned,
+        totalMarks
+      });
+      return { annotation };
+    } catch (createError) {
+      if (createError.code === 11000) return stale;
+      throw createError;
+    }
+  }
+
+  if (existing.publishedAt) return published;
+  if (version !== undefined && version !== null && Number(version) !== existing.version) return stale;
+  const annotation = await AnswerAnnotation.findOneAndUpdate(
+    { _id: existing._id, version: existing.version, publishedAt: null },
+    { $set: { items: cleaned, totalMarks, evaluator: evaluatorId }, $inc: { version: 1 } },
+    { new: true, runValidators: true }
+  );
+  if (annotation) return { annotation };
+  return (await AnswerAnnotation.exists({ _id: existing._id, publishedAt: { $ne: null } })) ? published : stale;
+};
+
+/**
+ * Annotated answers of an evaluator whose comments match a search, each
+ * with only the items that matched.
+ */
+const searchAnnotations = async ({ evaluatorId, query, questionId = null, limit = 20 }) => {
+  const filter = { evaluator: evaluatorId, $text: { $search: query } };
+  if (questionId) filter.questionId = questionId;
+
+  const results = await AnswerAnnotation.find(filter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return results.map((annotation) => ({
+    answerId: annotation.answerId,
+    questionId: annotation.questionId,
+    updatedAt: annotation.updatedAt,
+    items: annotation.items.filter((item) => terms.some((term) => item.text.toLowerCase().includes(term)))
+  }));
+};
+
+// Annotation counts and marks by type across the answers matching filter
+const annotationStats = async (filter) => {
+  const [byType, answers] = await Promise.all([
+    AnswerAnnotation.aggregate([
+      { $match: filter },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.type',
+          count: { $sum: 1 },
+          answers: { $addToSet: '$answerId' },
+          avgMarks: { $avg: '$items.marks' }
+        }
+      },
+      { $project: { _id: 0, type: '$_id', count: 1, answers: { $size: '$answers' }, avgMarks: 1 } }
+    ]),
+    AnswerAnnotation.aggregate([
+      { $match: filter },
+      { $group: { _id: null, answers: { $sum: 1 }, avgTotalMarks: { $avg: '$totalMarks' } } }
+    ])
+  ]);
+  return {
+    answers: answers[0]?.answers || 0,
+    avgTotalMarks: answers[0]?.avgTotalMarks ?? null,
+    byType: TYPES.map((type) => byType.find((row) => row.type === type) || { type, count: 0, answers: 0, avgMarks: null })
+  };
+};
+
+const isPng = (bytes) => bytes.length > 4 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+const isJpeg = (bytes) => bytes.length > 2 && bytes[0] === 0xff && bytes[1] === 0xd8;
+
+const fetchImage = async (url) => {
+  const { data } = await axios.get(url, { responseType: 'arraybuffer', timeout: IMAGE_TIMEOUT });
+  return Buffer.from(data);
+};
+
+// Embed an answer page; other formats (webp, heic) are fetched as JPEG
+// through a Cloudinary format transformation
+const embedPage = async (doc, imageUrl) => {
+  let bytes = await fetchImage(imageUrl);
+  if (!isPng(bytes) && !isJpeg(bytes) && imageUrl.includes('/upload/')) {
+    bytes = await fetchImage(imageUrl.replace('/upload/', '/upload/f_jpg/'));
+  }
+  if (isPng(bytes)) return doc.embedPng(bytes);
+  if (isJpeg(bytes)) return doc.embedJpg(bytes);
+  throw new Error(`Unsupported image format for ${imageUrl}`);
+};
+
+// The standard PDF fonts only cover WinAnsi; anything else would throw
+const pdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E]/g, '?');
+
+const wrapText = (text, font, size, width) => {
+  const lines = [];
+  pdfText(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    const last = lines[lines.length - 1];
+    const candidate = last ? `${last} ${word}` : word;
+    if (last !== undefined && font.widthOfTextAtSize(candidate, size) <= width) {
+      lines[lines.length - 1] = candidate;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+};
+
+const hexColor = (hex) => rgb(
+  Number.parseInt(hex.slice(1, 3), 16) / 255,
+  Number.parseInt(hex.slice(3, 5), 16) / 255,
+  Number.parseInt(hex.slice(5, 7), 16) / 255
+);
+
+const marksLabel = (item) => (item.maxMarks === null || item.maxMarks === undefined ? `${item.marks}` : `${item.marks}/${item.maxMarks}`);
+
+/**
+ * Render the answer's page images with the annotations drawn over them, as
+ * a PDF. pages limits it to some page indexes. Comments and noted marks are
+ * numbered on the page and written out in the right-hand margin.
+ */
+const renderAnnotatedPdf = async (answer, annotation, { pages = null } = {}) => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const items = annotation?.items || [];
+  const indexes = (answer.answerImages || []).map((image, index) => index)
+    .filter((index) => !pages || pages.includes(index));
+
+  for (const index of indexes) {
+    const image = await embedPage(doc, answer.answerImages[index].imageUrl);
+    const width = PAGE_WIDTH;
+    const height = (image.height / image.width) * PAGE_WIDTH;
+    const page = doc.addPage([width + MARGIN_WIDTH, height]);
+    page.drawImage(image, { x: 0, y: 0, width, height });
+    page.drawRectangle({ x: width, y: 0, width: MARGIN_WIDTH, height, color: rgb(0.97, 0.97, 0.97) });
+
+    // PDF coordinates start at the bottom left; annotations at the top left
+    const at = (item) => ({ x: item.x * width, y: height - item.y * height });
+    const size = width * 0.035;
+    const notes = [];
+
+    items.filter((item) => item.page === index).forEach((item) => {
+      const color = item.color ? hexColor(item.color) : COLORS[item.type];
+      const { x, y } = at(item);
+      const regionHeight = item.height * height;
+
+      if (item.type === 'tick') {
+        page.drawLine({ start: { x: x - size / 2, y }, end: { x: x - size / 6, y: y - size / 2 }, thickness: 2.5, color });
+        page.drawLine({ start: { x: x - size / 6, y: y - size / 2 }, end: { x: x + size / 2, y: y + size / 2 }, thickness: 2.5, color });
+      } else if (item.type === 'cross') {
+        page.drawLine({ start: { x: x - size / 2, y: y - size / 2 }, end: { x: x + size / 2, y: y + size / 2 }, thickness: 2.5, color });
+        page.drawLine({ start: { x: x - size / 2, y: y + size / 2 }, end: { x: x + size / 2, y: y - size / 2 }, thickness: 2.5, color });
+      } else if (item.type === 'highlight') {
+        page.drawRectangle({ x, y: y - regionHeight, width: item.width * width, height: regionHeight, color, opacity: 0.35 });
+      } else if (item.type === 'mark') {
+        page.drawRectangle({ x, y: y - regionHeight, width: item.width * width, height: regionHeight, borderColor: color, borderWidth: 1.5 });
+        const label = marksLabel(item);
+        page.drawRectangle({ x, y, width: bold.widthOfTextAtSize(label, 11) + 6, height: 14, color });
+        page.drawText(label, { x: x + 3, y: y + 3, size: 11, font: bold, color: rgb(1, 1, 1) });
+      }
+
+      if (item.type === 'comment' || (item.type === 'mark' && item.text)) {
+        const number = notes.length + 1;
+        notes.push({ number, item, y });
+        if (item.type === 'comment') {
+          page.drawCircle({ x, y, size: 7, color });
+          page.drawText(String(number), { x: x - bold.widthOfTextAtSize(String(number), 8) / 2, y: y - 3, size: 8, font: bold, color: rgb(1, 1, 1) });
+        } else {
+          page.drawText(`(${number})`, { x: x + item.width * width - 18, y: y + 3, size: 9, font: bold, color });
+        }
+      }
+    });
+
+    // Margin notes level with their anchor where there is room, else below
+    // the previous note
+    let cursor = height - MARGIN_PADDING;
+    notes.sort((a, b) => b.y - a.y).forEach(({ number, item, y }) => {
+      const prefix = item.type === 'mark' ? `${number}. [${marksLabel(item)}] ` : `${number}. `;
+      const lines = wrapText(prefix + item.text, font, FONT_SIZE, MARGIN_WIDTH - 2 * MARGIN_PADDING);
+      let lineY = Math.min(cursor, y + FONT_SIZE / 2);
+      lines.forEach((line) => {
+        if (lineY < MARGIN_PADDING) return;
+        page.drawText(line, { x: width + MARGIN_PADDING, y: lineY - FONT_SIZE, size: FONT_SIZE, font, color: rgb(0.15, 0.15, 0.15) });
+        lineY -= LINE_HEIGHT;
+      });
+      cursor = lineY - 4;
+    });
+
+    page.drawText(pdfText(`Page ${index + 1}`), { x: width + MARGIN_PADDING, y: MARGIN_PADDING, size: 8, font, color: rgb(0.5, 0.5, 0.5) });
+  }
+
+  if (doc.getPageCount() === 0) throw new Error('The answer has no pages to render');
+  if (annotation?.totalMarks !== null && annotation?.totalMarks !== undefined) {
+    const last = doc.getPage(doc.getPageCount() - 1);
+    last.drawText(pdfText(`Total marks: ${annotation.totalMarks}`), {
+      x: PAGE_WIDTH + MARGIN_PADDING,
+      y: MARGIN_PADDING + 14,
+      size: 11,
+      font: bold
+    });
+  }
+  return Buffer.from(await doc.save());
+};
+
+module.exports = {
+  TYPES,
+  normalizeItems,
+  parsePages,
+  summarize,
+  saveAnnotations,
+  searchAnnotations,
+  annotationStats,
+  renderAnnotatedPdf
+};
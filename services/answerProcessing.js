@@ -0,0 +1,339 @@
+const cloudinary = require('cloudinary').v2;
+const UserAnswer = require('../models/UserAnswer');
+const AiswbQuestion = require('../models/AiswbQuestion');
+const SubjectiveTestQuestion = require('../models/SubjectiveTestQuestion');
+const jobQueue = require('./jobQueue');
+const creditMetering = require('./creditMetering');
+const {
+  validateTextRelevanceToQuestion,
+  extractTextFromImagesWithFallback,
+  evaluateAnswerWithAI,
+  hasReadableText,
+  cleanExtractedTexts,
+} = require('./aiServices');
+
+const JOB_TYPE = 'answer_evaluation';
+const STAGES = ['ocr', 'relevance', 'evaluation'];
+
+const getQuestionForAnswer = (userAnswer) => {
+  if (userAnswer.testType === 'subjective') {
+    return SubjectiveTestQuestion.findById(userAnswer.questionId);
+  }
+  return AiswbQuestion.findById(userAnswer.questionId);
+};
+
+// Raw OCR output that only contains transport/service errors is worth retrying;
+// "No readable text found" is a genuine result and is not.
+const isTransientExtractionFailure = (extractedTexts) =>
+  extractedTexts.length > 0 &&
+  extractedTexts.every(
+    (text) =>
+      typeof text === 'string' &&
+      (text.startsWith('Failed to extract text') ||
+        text.includes('Text extraction failed') ||
+        text.includes('timed out') ||
+        text.includes('rate limit') ||
+        text.includes('server error'))
+  );
+
+const startStage = async (userAnswer, stage) => {
+  userAnswer.processing.status = 'processing';
+  userAnswer.processing.currentStage = stage;
+  userAnswer.processing.stages[stage] = {
+    status: 'processing',
+    startedAt: new Date(),
+  };
+  await userAnswer.save();
+};
+
+const completeStage = (userAnswer, stage, status = 'completed') => {
+  userAnswer.processing.stages[stage].status = status;
+  userAnswer.processing.stages[stage].completedAt = new Date();
+  userAnswer.processing.stages[stage].error = undefined;
+};
+
+// Unreadable or irrelevant submissions do not use up an attempt, and their
+// uploads are not kept
+const markInvalid = async (userAnswer, stage, reason) => {
+  for (const image of userAnswer.answerImages) {
+    try {
+      await cloudinary.uploader.destroy(image.cloudinaryPublicId);
+    } catch (cleanupError) {
+      console.error('Error cleaning up invalid image:', cleanupError);
+    }
+  }
+  userAnswer.answerImages = [];
+  completeStage(userAnswer, stage, 'failed');
+  STAGES.slice(STAGES.indexOf(stage) + 1).forEach((skipped) => {
+    userAnswer.processing.stages[skipped] = { status: 'skipped' };
+  });
+  userAnswer.submissionStatus = 'invalid';
+  userAnswer.processing.status = 'completed';
+  userAnswer.processing.currentStage = 'completed';
+  userAnswer.processing.invalidReason = reason;
+  userAnswer.processing.completedAt = new Date();
+  await userAnswer.save();
+};
+
+const publishEvaluation = async (userAnswer, question, evaluation) => {
+  userAnswer.evaluation = evaluation;
+  if (userAnswer.evaluationFailure?.reason) {
+    userAnswer.evaluationFailure.reason = undefined;
+    userAnswer.evaluationFailure.stage = undefined;
+    userAnswer.evaluationFailure.failedAt = undefined;
+  }
+  userAnswer.evaluatedAt = new Date();
+  if (question.evaluationMode === 'manual') {
+    userAnswer.submissionStatus = 'submitted';
+  } else {
+    userAnswer.submissionStatus = 'evaluated';
+    userAnswer.publishStatus = 'published';
+  }
+  userAnswer.reviewStatus = null;
+  userAnswer.processing.status = 'completed';
+  userAnswer.processing.currentStage = 'completed';
+  userAnswer.processing.completedAt = new Date();
+  await userAnswer.save();
+};
+
+// Job handler: runs the remaining stages for an answer. Completed stages are
+// skipped so a retried job resumes where the previous attempt stopped.
+const processAnswerJob = async ({ answerId }, job) => {
+  const userAnswer = await UserAnswer.findById(answerId);
+  if (!userAnswer) {
+    await creditMetering.refundForResource('UserAnswer', answerId, 'answer deleted');
+    return { skipped: true, reason: 'Answer no longer exists' };
+  }
+  if (userAnswer.processing?.status === 'completed') {
+    return { skipped: true, reason: 'Answer already processed' };
+  }
+
+  userAnswer.processing.attempts = job.attempts;
+
+  const question = await getQuestionForAnswer(userAnswer);
+  if (!question) {
+    const error = new Error('Question not found for answer');
+    error.retryable = false;
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await runStages(userAnswer, question);
+  } catch (error) {
+    // Surface the failure to pollers while the job waits for its next attempt
+    const stage = userAnswer.processing.currentStage;
+    const update = {
+      'processing.status': 'queued',
+      'processing.lastError': error.message,
+    };
+    if (STAGES.includes(stage)) {
+      update[`processing.stages.${stage}.error`] = error.message;
+    }
+    await UserAnswer.updateOne({ _id: userAnswer._id }, { $set: update });
+    throw error;
+  }
+
+  await settleHeldCredits(userAnswer);
+  return result;
+};
+
+// Credits held at submission are kept once an evaluation has been published
+// and returned when the answer was rejected as invalid
+const settleHeldCredits = async (userAnswer) => {
+  try {
+    if (userAnswer.submissionStatus === 'invalid') {
+      await creditMetering.refundForResource('UserAnswer', userAnswer._id, 'invalid submission');
+    } else if (userAnswer.processing.stages.evaluation?.status === 'completed') {
+      await creditMetering.captureForResource('UserAnswer', userAnswer._id);
+    }
+  } catch (error) {
+    console.error(`Failed to settle evaluation credits for answer ${userAnswer._id}:`, error.message);
+  }
+};
+
+const runStages = async (userAnswer, question) => {
+  const stages = userAnswer.processing.stages;
+
+  if (stages.ocr?.status !== 'completed') {
+    await startStage(userAnswer, 'ocr');
+    const imageUrls = userAnswer.answerImages.map((img) => img.imageUrl);
+    const rawTexts = await extractTextFromImagesWithFallback(imageUrls, { clientId: userAnswer.clientId });
+    if (isTransientExtractionFailure(rawTexts)) {
+      throw new Error(`Text extraction service error: ${rawTexts[0]}`);
+    }
+    const extractedTexts = cleanExtractedTexts(rawTexts);
+    userAnswer.extractedTexts = extractedTexts;
+
+    if (!hasReadableText(extractedTexts)) {
+      await markInvalid(userAnswer, 'ocr', {
+        code: 'UNREADABLE_IMAGE_CONTENT',
+        details:
+          'No readable text could be extracted from the uploaded images. Please ensure images are clear and contain relevant answer content.',
+      });
+      return { submissionStatus: userAnswer.submissionStatus };
+    }
+    completeStage(userAnswer, 'ocr');
+    await userAnswer.save();
+  }
+
+  if (stages.relevance?.status !== 'completed') {
+    await startStage(userAnswer, 'relevance');
+    const relevanceValidation = await validateTextRelevanceToQuestion(question, userAnswer.extractedTexts, {
+      clientId: userAnswer.clientId,
+    });
+    if (!relevanceValidation.isValid) {
+      await markInvalid(userAnswer, 'relevance', {
+        code: 'INVALID_IMAGE_CONTENT',
+        details: relevanceValidation.reason,
+        aiResponse: relevanceValidation.aiResponse || null,
+      });
+      return { submissionStatus: userAnswer.submissionStatus };
+    }
+    completeStage(userAnswer, 'relevance');
+    await userAnswer.save();
+  }
+
+  await startStage(userAnswer, 'evaluation');
+  const evaluation = await evaluateAnswerWithAI(question, userAnswer.extractedTexts, { clientId: userAnswer.clientId });
+  completeStage(userAnswer, 'evaluation');
+  await publishEvaluation(userAnswer, question, evaluation);
+
+  return { submissionStatus: userAnswer.submissionStatus };
+};
+
+// Called by the queue once all retries are used up. No score is produced -
+// the answer is parked as evaluation_failed until someone re-runs it.
+const handleProcessingFailure = async ({ answerId }, error, job) => {
+  const userAnswer = await UserAnswer.findById(answerId);
+  if (!userAnswer) return;
+
+  const stage = STAGES.includes(userAnswer.processing.currentStage) ? userAnswer.processing.currentStage : null;
+  if (stage && userAnswer.processing.stages[stage]) {
+    userAnswer.processing.stages[stage].status = 'failed';
+    userAnswer.processing.stages[stage].error = error.message;
+  }
+  userAnswer.processing.status = 'failed';
+  userAnswer.processing.attempts = job.attempts;
+  userAnswer.processing.lastError = error.message;
+
+  userAnswer.submissionStatus = 'evaluation_failed';
+  userAnswer.publishStatus = 'not_published';
+  userAnswer.evaluationFailure.reason = error.message;
+  userAnswer.evaluationFailure.stage = stage;
+  userAnswer.evaluationFailure.failedAt = new Date();
+  userAnswer.evaluationFailure.attempts = job.attempts;
+  await userAnswer.save();
+
+  await creditMetering.refundForResource('UserAnswer', userAnswer._id, 'evaluation failed');
+};
+
+jobQueue.register(JOB_TYPE, processAnswerJob, {
+  maxAttempts: Number.parseInt(process.env.EVALUATION_JOB_MAX_ATTEMPTS) || 4,
+  backoffBase: 10000,
+  onFailed: handleProcessingFailure,
+});
+
+// Queue an answer for background processing and record the job on the answer
+const enqueueAnswerProcessing = async (userAnswer) => {
+  const job = await jobQueue.enqueue(JOB_TYPE, { answerId: userAnswer._id.toString() }, {
+    uniqueKey: `${JOB_TYPE}:${userAnswer._id}`,
+  });
+  // updateOne so a worker that already picked the job up is not overwritten
+  await UserAnswer.updateOne({ _id: userAnswer._id }, { $set: { 'processing.jobId': job._id } });
+  userAnswer.processing.jobId = job._id;
+  return job;
+};
+
+// Put an answer (back) on the queue. Stages that already succeeded are kept,
+// so re-running a failed evaluation does not repeat OCR.
+const queueAnswerEvaluation = async (userAnswer) => {
+  if (!userAnswer.answerImages || userAnswer.answerImages.length === 0) {
+    const error = new Error('Answer has no images to evaluate');
+    error.code = 'NOT_RETRYABLE';
+    throw error;
+  }
+  if (['queued', 'processing'].includes(userAnswer.processing?.status)) {
+    const error = new Error('Answer is already queued for evaluation');
+    error.code = 'ALREADY_QUEUED';
+    throw error;
+  }
+
+  const stages = userAnswer.processing.stages || {};
+  const resetStages = {};
+  let firstPending = null;
+  for (const stage of STAGES) {
+    if (stages[stage]?.status === 'completed') {
+      resetStages[stage] = stages[stage];
+    } else {
+      resetStages[stage] = { status: 'pending' };
+      firstPending = firstPending || stage;
+    }
+  }
+
+  userAnswer.processing = {
+    status: 'queued',
+    currentStage: firstPending || 'evaluation',
+    stages: resetStages,
+    attempts: 0,
+    queuedAt: new Date(),
+  };
+  userAnswer.submissionStatus = 'queued';
+  await userAnswer.save();
+
+  return enqueueAnswerProcessing(userAnswer);
+};
+
+const retryFailedEvaluation = async (userAnswer) => {
+  if (userAnswer.submissionStatus !== 'evaluation_failed') {
+    const error = new Error('Only answers in evaluation_failed state can be retried');
+    error.code = 'NOT_RETRYABLE';
+    throw error;
+  }
+  userAnswer.evaluationFailure.retryCount = (userAnswer.evaluationFailure.retryCount || 0) + 1;
+  userAnswer.evaluationFailure.lastRetriedAt = new Date();
+  return queueAnswerEvaluation(userAnswer);
+};
+
+// Re-queue answers that were stored but never got a job (e.g. the enqueue
+// call failed after the answer was saved)
+const recoverUnqueuedAnswers = async () => {
+  const cutoff = new Date(Date.now() - 60 * 1000);
+  const answers = await UserAnswer.find({
+    'processing.status': 'queued',
+    'processing.jobId': { $exists: false },
+    'processing.queuedAt': { $lte: cutoff },
+  }).limit(500);
+
+  for (const userAnswer of answers) {
+    try {
+      await enqueueAnswerProcessing(userAnswer);
+    } catch (error) {
+      console.error(`Failed to re-queue answer ${userAnswer._id}:`, error.message);
+    }
+  }
+  return answers.length;
+};
+
+// Initial processing state for a freshly submitted answer
+const buildQueuedProcessingState = () => ({
+  status: 'queued',
+  currentStage: 'ocr',
+  stages: {
+    ocr: { status: 'pending' },
+    relevance: { status: 'pending' },
+    evaluation: { status: 'pending' },
+  },
+  attempts: 0,
+  queuedAt: new Date(),
+});
+
+module.exports = {
+  JOB_TYPE,
+  processAnswerJob,
+  enqueueAnswerProcessing,
+  recoverUnqueuedAnswers,
+  queueAnswerEvaluation,
+  retryFailedEvaluation,
+  buildQueuedProcessingState,
+};
@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const CreditAdjustment = require('../models/CreditAdjustment');
+const CreditTransaction = require('../models/CreditTransaction');
+const MobileUser = require('../models/MobileUser');
+const Payment = require('../models/Payment');
+const creditLedger = require('./creditLedger');
+const paymentGateways = require('./paymentGateways');
+
+const { CreditLedgerError } = creditLedger;
+
+// Adjustments moving more credits than this wait for a second admin
+const APPROVAL_THRESHOLD = Number.parseFloat(process.env.CREDIT_ADJUSTMENT_APPROVAL_THRESHOLD) || 1000;
+// ...and so do refunds of more money than this, whatever they claw back
+const REFUND_APPROVAL_THRESHOLD = Number.parseFloat(process.env.REFUND_APPROVAL_THRESHOLD) || APPROVAL_THRESHOLD;
+const MONEY_TOLERANCE = 0.005;
+
+const roundCredits = (value) => Math.round(value * 100) / 100;
+
+const invalid = (message, details) => new CreditLedgerError(message, 'INVALID_REQUEST', details);
+
+// Ledger fields shared by every posting an adjustment makes
+const auditFields = (adjustment) => ({
+  addedBy: adjustment.requestedBy,
+  adminMessage: adjustment.reason,
+  reasonCode: adjustment.reasonCode,
+  metadata: {
+    adjustmentId: adjustment._id,
+    approvedBy: adjustment.reviewedBy || null
+  }
+});
+
+// Check a reversal request against the transaction it reverses
+const loadReversible = async (transactionId) => {
+  if (!mongoose.Types.ObjectId.isValid(transactionId)) throw invalid('transactionId is invalid');
+  const original = await CreditTransaction.findById(transactionId);
+  if (!original) throw new CreditLedgerError('Transaction not found', 'NOT_FOUND');
+  if (original.status !== 'completed') throw new CreditLedgerError(`Transaction is ${original.status}`, 'INVALID_STATE');
+  if (original.reversedBy) throw new CreditLedgerError('Transaction has already been reversed', 'INVALID_STATE', { reversedBy: original.reversedBy });
+  if (original.category === 'reversal') throw new CreditLedgerError('A reversal cannot itself be reversed', 'INVALID_STATE');
+  // Restored credits would land back in an expired lot and lapse again
+  if (original.category === 'expiry') throw new CreditLedgerError('Expired credits cannot be reversed; add credits instead', 'INVALID_STATE');
+  // Holds are settled through their reservation, which refunds them itself
+  if (original.metadata?.reservationId) {
+    throw new CreditLedgerError('Service holds are settled by their reservation and cannot be reversed', 'INVALID_STATE');
+  }
+  return original;
+};
+
+// Work out what refunding (part of) a payment involves
+const planRefund = async (orderId, refundAmount, credits) => {
+  const payment = await Payment.findOne({ orderId });
+  if (!payment) throw new CreditLedgerError('Payment not found', 'NOT_FOUND');
+  if (payment.status !== 'SUCCESS') throw new CreditLedgerError(`Payment is ${payment.status}`, 'INVALID_STATE');
+
+  const refundable = roundCredits(payment.amount - (payment.refundedAmount || 0));
+  const amount = refundAmount === undefined || refundAmount === null ? refundable : Number(refundAmount);
+  if (!(Number.isFinite(amount) && amount > 0)) throw invalid('amount must be a positive number');
+  if (amount > refundable + MONEY_TOLERANCE) {
+    throw new CreditLedgerError('Refund exceeds the amount left on this payment', 'INVALID_STATE', { refundable });
+  }
+
+  // Only payments that bought credits are refunded here, so every refund
+  // is tied to the credits it claws back
+  const purchase = payment.creditTransactionId ? await CreditTransaction.findById(payment.creditTransactionId) : null;
+  if (!purchase) throw new CreditLedgerError('Payment is not linked to a credit purchase', 'INVALID_STATE');
+  const userId = purchase.userId;
+
+  // By default the same share of the purchased credits as of the money
+  let clawback = credits === undefined || credits === null ? null : Number(credits);
+  if (clawback === null) {
+    clawback = roundCredits(purchase.amount * amount / payment.amount);
+  }
+  if (!(Number.isFinite(clawback) && clawback >= 0)) throw invalid('credits must be 0 or more');
+
+  return { payment, purchase, userId, amount, clawback };
+};
+
+// The part of an adjustment that moves credits or money
+const perform = async (adjustment) => {
+  switch (adjustment.action) {
+    case 'credit': {
+      const user = await MobileUser.findById(adjustment.userId).select('mobile clientId');
+      const { transaction } = await creditLedger.credit({
+        userId: adjustment.userId,
+        amount: adjustment.credits,
+        category: 'admin_adjustment',
+        description: 'Admin added credits',
+        idempotencyKey: `adjustment:${adjustment._id}`,
+        referenceId: String(adjustment._id),
+        accountDefaults: user ? { mobile: user.mobile, clientId: user.clientId } : null,
+        ...auditFields(adjustment)
+      });
+      return { transaction: transaction._id };
+    }
+
+    case 'debit': {
+      const { transaction } = await creditLedger.debit({
+        userId: adjustment.userId,
+        amount: adjustment.credits,
+        category: 'admin_adjustment',
+        description: 'Admin removed credits',
+        idempotencyKey: `adjustment:${adjustment._id}`,
+        referenceId: String(adjustment._id),
+        ...auditFields(adjustment)
+      });
+      return { transaction: transaction._id };
+    }
+
+    case 'reversal': {
+      const original = await loadReversible(adjustment.originalTransaction);
+      const { transaction } = await creditLedger.post({
+        userId: original.userId,
+        type: original.type === 'credit' ? 'debit' : 'credit',
+        amount: original.amount,
+        category: 'reversal',
+        description: `Reversal of: ${original.description}`,
+        // One reversal per transaction, however many adjustments ask for it
+        idempotencyKey: `reversal:${original._id}`,
+        referenceId: String(original._id),
+        reversalOf: original._id,
+        // A reversed debit goes back into the lots it was drawn from
+        lotAllocations: original.type === 'debit' ? original.lotAllocations : null,
+        ...auditFields(adjustment)
+      });
+      await CreditTransaction.updateOne(
+        { _id: original._id, reversedBy: null },
+        { $set: { reversedBy: transaction._id, reversedAt: new Date() } }
+      );
+      return { transaction: transaction._id };
+    }
+
+    case 'payment_refund':
+      return performRefund(adjustment);
+
+    default:
+      throw invalid(`Unknown adjustment action "${adjustment.action}"`);
+  }
+};
+
+/**
+ * Refund money through the payment's gateway and claw back credits. The
+ * refund amount is claimed on the Payment first, so concurrent refunds can
+ * never add up to more than was paid, and credits are clawed back before
+ * the gateway is asked, so they cannot be spent in between. If the gateway
+ * refuses, both are undone. If it cannot be reached the outcome is unknown
+ * and nothing is undone: the adjustment stays 'processing' for follow-up.
+ */
+const performRefund = async (adjustment) => {
+  const amount = adjustment.refund.amount;
+  const payment = await Payment.findOneAndUpdate(
+    { _id: adjustment.payment, status: 'SUCCESS', $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, { $add: ['$amount', MONEY_TOLERANCE] }] } },
+    { $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+  if (!payment) throw new CreditLedgerError('Refund exceeds the amount left on this payment', 'INVALID_STATE');
+
+  let clawback = null;
+  const undo = async () => {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -amount } });
+    if (!clawback) return;
+    await creditLedger.credit({
+      userId: adjustment.userId,
+      amount: clawback.amount,
+      category: 'reversal',
+      description: `Clawback returned: refund of order ${payment.orderId} failed`,
+      idempotencyKey: `refund-clawback-undo:${adjustment._id}`,
+      referenceId: payment.orderId,
+      reversalOf: clawback._id,
+      lotAllocations: clawback.lotAllocations,
+      ...auditFields(adjustment)
+    });
+  };
+
+  try {
+    if (adjustment.credits > 0) {
+      ({ transaction: clawback } = await creditLedger.debit({
+        userId: adjustment.userId,
+        amount: adjustment.credits,
+        category: 'reversal',
+        description: `Credits clawed back for refund of order ${payment.orderId}`,
+        idempotencyKey: `refund-clawback:${adjustment._id}`,
+        referenceId: payment.orderId,
+        reversalOf: adjustment.originalTransaction,
+        ...auditFields(adjustment)
+      }));
+    }
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+
+  const gateway = await paymentGateways.getGatewayForPayment(payment);
+  let result;
+  try {
+    result = await gateway.refund(payment, {
+      amount,
+      refundId: `REFUND_${adjustment._id}`,
+      reason: adjustment.reason
+    });
+  } catch (error) {
+    // No answer from the gateway: the refund may or may not have happened
+    if (!error.status) {
+      return {
+        status: 'processing',
+        transaction: clawback?._id || null,
+        error: `Refund outcome unknown, check with ${gateway.displayName}: ${error.message}`,
+        refund: { ...adjustment.refund, gateway: gateway.gateway, status: 'PENDING' }
+      };
+    }
+    await undo();
+    throw new CreditLedgerError(error.message, 'GATEWAY_ERROR');
+  }
+
+  if (result.status === 'FAILED') {
+    await undo();
+    throw new CreditLedgerError(`${gateway.displayName} refused the refund: ${result.responseMsg || 'no reason given'}`, 'GATEWAY_ERROR');
+  }
+
+  const fullyRefunded = payment.refundedAmount >= payment.amount - MONEY_TOLERANCE;
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: { refundStatus: fullyRefunded ? 'FULL' : 'PARTIAL' },
+      $push: { refunds: { adjustmentId: adjustment._id, amount, gatewayRefundId: result.gatewayRefundId, status: result.status } }
+    }
+  );
+
+  return {
+    transaction: clawback?._id || null,
+    // Gateways settle refunds asynchronously; PENDING means accepted
+    refund: {
+      ...adjustment.refund,
+      gateway: gateway.gateway,
+      gatewayRefundId: result.gatewayRefundId,
+      status: result.status,
+      responseMsg: result.responseMsg
+    }
+  };
+};
+
+// Run an approved adjustment and record the outcome on it. Failures are
+// recorded and rethrown.
+const execute = async (adjustment) => {
+  try {
+    const outcome = await perform(adjustment);
+    const status = outcome.status || 'completed';
+    Object.assign(adjustment, {
+      status,
+      transaction: outcome.transaction,
+      error: outcome.error || null,
+      completedAt: status === 'completed' ? new Date() : null
+    });
+    if (outcome.refund) adjustment.refund = outcome.refund;
+    await adjustment.save();
+    return adjustment;
+  } catch (error) {
+    adjustment.status = 'failed';
+    adjustment.error = error.message;
+    await adjustment.save();
+    throw error;
+  }
+};
+
+/**
+ * Record an admin's request to change a user's credits and carry it out,
+ * unless it moves more than APPROVAL_THRESHOLD credits or refunds more than
+ * REFUND_APPROVAL_THRESHOLD, in which case it waits as 'pending_approval'
+ * for a second admin.
+ *
+ *   credit / debit   - { userId, credits }
+ *   reversal         - { transactionId }: post the opposite of that transaction
+ *   payment_refund   - { orderId, amount?, credits? }: refund money (default:
+ *                      what is left on the payment) and claw back credits
+ *                      (default: the same share of the purchased credits)
+ *
+ * requestKey (the admin's Idempotency-Key) makes a retried request resolve to
+ * the adjustment it already created. Throws CreditLedgerError; resolves to
+ * the CreditAdjustment.
+ */
+const requestAdjustment = async ({
+  action,
+  userId,
+  credits,
+  transactionId,
+  orderId,
+  amount,
+  reasonCode,
+  reason,
+  adminId,
+  requestKey = null
+}) => {
+  if (requestKey) {
+    const existing = await CreditAdjustment.findOne({ requestKey });
+    if (existing) return existing;
+  }
+  if (!CreditAdjustment.ACTIONS.includes(action)) throw invalid(`action must be one of: ${CreditAdjustment.ACTIONS.join(', ')}`);
+  if (!CreditAdjustment.REASON_CODES.includes(reasonCode)) {
+    throw invalid(`reasonCode must be one of: ${CreditAdjustment.REASON_CODES.join(', ')}`);
+  }
+  if (!reason || !String(reason).trim()) throw invalid('reason is required');
+
+  const adjustment = new CreditAdjustment({ action, reasonCode, reason, requestedBy: adminId, requestKey: requestKey || undefined });
+
+  if (action === 'credit' || action === 'debit') {
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await MobileUser.exists({ _id: userId }))) {
+      throw new CreditLedgerError('User not found', 'NOT_FOUND');
+    }
+    const value = Number(credits);
+    if (!(Number.isFinite(value) && value > 0)) throw invalid('credits must be a positive number');
+    Object.assign(adjustment, { userId, credits: value });
+  } else if (action === 'reversal') {
+    const original = await loadReversible(transactionId);
+    Object.assign(adjustment, { userId: original.userId, credits: original.amount, originalTransaction: original._id });
+  } else {
+    const plan = await planRefund(orderId, amount, credits);
+    Object.assign(adjustment, {
+      userId: plan.userId,
+      credits: plan.clawback,
+      originalTransaction: plan.purchase._id,
+      payment: plan.payment._id,
+      orderId: plan.payment.orderId,
+      refund: { amount: plan.amount, currency: plan.payment.currency || 'INR', gateway: (plan.payment.gatewayName || 'PAYTM').toLowerCase() }
+    });
+  }
+
+  if (adjustment.credits > APPROVAL_THRESHOLD || (adjustment.refund?.amount || 0) > REFUND_APPROVAL_THRESHOLD) {
+    adjustment.status = 'pending_approval';
+  }
+  try {
+    await adjustment.save();
+  } catch (error) {
+    // Lost a race with the same request
+    if (requestKey && error?.code === 11000) return CreditAdjustment.findOne({ requestKey });
+    throw error;
+  }
+
+  return adjustment.status === 'pending_approval' ? adjustment : execute(adjustment);
+};
+
+// A second admin signs off on (or turns down) a pending adjustment
+const reviewAdjustment = async (adjustmentId, { adminId, approve, note = null }) => {
+  if (!mongoose.Types.ObjectId.isValid(adjustmentId)) throw invalid('adjustmentId is invalid');
+  const adjustment = await CreditAdjustment.findOneAndUpdate(
+    { _id: adjustmentId, status: 'pending_approval', requestedBy: { $ne: adminId } },
+    {
+      $set: {
+        status: approve ? 'processing' : 'rejected',
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        reviewNote: note
+      }
+    },
+    { new: true }
+  );
+
+  if (!adjustment) {
+    const existing = await CreditAdjustment.findById(adjustmentId).select('status requestedBy');
+    if (!existing) throw new CreditLedgerError('Adjustment not found', 'NOT_FOUND');
+    if (existing.status !== 'pending_approval') throw new CreditLedgerError(`Adjustment is ${existing.status}`, 'INVALID_STATE');
+    throw new CreditLedgerError('An adjustment must be reviewed by a different admin', 'INVALID_STATE');
+  }
+
+  return approve ? execute(adjustment) : adjustment;
+};
+
+const listAdjustments = async ({ userId, status, action, orderId, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (status) filter.status = status;
+  if (action) filter.action = action;
+  if (orderId) filter.orderId = orderId;
+
+  const pageSize = Math.min(Number.parseInt(limit) || 20, 100);
+  const currentPage = Math.max(Number.parseInt(page) || 1, 1);
+  const [adjustments, total] = await Promise.all([
+    CreditAdjustment.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize)
+      .populate('requestedBy', 'name email')
+      .populate('reviewedBy', 'name email')
+      .lean(),
+    CreditAdjustment.countDocuments(filter)
+  ]);
+
+  return {
+    adjustments,
+    pagination: {
+      currentPage,
+      totalPages: Math.ceil(total / pageSize),
+      totalRecords: total,
+      limit: pageSize
+    }
+  };
+};
+
+module.exports = {
+  APPROVAL_THRESHOLD,
+  REFUND_APPROVAL_THRESHOLD,
+  performRefund,
+  requestAdjustment,
+  reviewAdjustment,
+  listAdjustments
+};
@@ -0,0 +1,176 @@
+const CreditLot = require('../models/CreditLot');
+const CreditAccount = require('../models/CreditAccount');
+const creditLedger = require('./creditLedger');
+const jobQueue = require('./jobQueue');
+const { notify } = require('./notifications');
+
+const SWEEP_JOB_TYPE = 'credit-expiry-sweep';
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long before expiry users are warned
+const NOTICE_DAYS = Number.parseInt(process.env.CREDIT_EXPIRY_NOTICE_DAYS) || 7;
+
+// Expiry date for credits bought on a plan with validityDays (null: never)
+const expiryForPlan = (plan, from = new Date()) => {
+  const days = Number(plan?.validityDays);
+  if (!Number.isFinite(days) || days <= 0) return null;
+  return new Date(from.getTime() + days * DAY_MS);
+};
+
+// Expire what is left of one lot. The lot is claimed first (conditional on
+// its remaining amount) so a concurrent debit cannot draw from it while the
+// expiry is written; if the ledger refuses the debit the claim is undone.
+const expireLot = async (lot) => {
+  const amount = lot.remaining;
+  const claimed = await CreditLot.findOneAndUpdate(
+    { _id: lot._id, status: 'active', remaining: amount },
+    { $set: { status: 'expired', remaining: 0, expiredAmount: amount } },
+    { new: true }
+  );
+  // Drawn down since it was read - the next sweep picks it up again
+  if (!claimed) return null;
+
+  try {
+    const { transaction } = await creditLedger.debit({
+      userId: lot.userId,
+      amount,
+      category: 'expiry',
+      description: `${amount} credits expired`,
+      idempotencyKey: `expiry:${lot._id}`,
+      referenceId: String(lot._id),
+      metadata: { lotId: lot._id, expiresAt: lot.expiresAt, sourceTransaction: lot.sourceTransaction },
+      lotAllocations: [{ lot: lot._id, amount }]
+    });
+    await CreditLot.updateOne({ _id: lot._id }, { $set: { expiryTransaction: transaction._id } });
+    return transaction;
+  } catch (error) {
+    await CreditLot.updateOne(
+      { _id: lot._id, status: 'expired', expiryTransaction: null },
+      { $set: { status: 'active', remaining: amount, expiredAmount: 0 } }
+    );
+    throw error;
+  }
+};
+
+const expireDueLots = async () => {
+  const due = await CreditLot.find({ status: 'active', remaining: { $gt: 0 }, expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  let failed = 0;
+  for (const lot of due) {
+    try {
+      if (await expireLot(lot)) expired++;
+    } catch (error) {
+      failed++;
+      console.error(`Failed to expire credit lot ${lot._id}:`, error.message);
+    }
+  }
+  return { expired, failed };
+};
+
+// One notification per user for lots entering the notice window
+const sendExpiryNotices = async () => {
+  const now = new Date();
+  const upcoming = await CreditLot.aggregate([
+    {
+      $match: {
+        status: 'active',
+        remaining: { $gt: 0 },
+        expiryNoticeSentAt: null,
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + NOTICE_DAYS * DAY_MS) }
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        credits: { $sum: '$remaining' },
+        firstExpiry: { $min: '$expiresAt' },
+        lotIds: { $push: '$_id' }
+      }
+    },
+    { $limit: SWEEP_BATCH_SIZE }
+  ]);
+
+  let sent = 0;
+  for (const group of upcoming) {
+    try {
+      const account = await CreditAccount.findOne({ userId: group._id }).select('clientId').lean();
+      const expiresOn = group.firstExpiry.toISOString().slice(0, 10);
+      await notify({
+        recipientType: 'MobileUser',
+        recipientId: group._id,
+        clientId: account?.clientId || null,
+        type: 'credit_expiry_warning',
+        title: 'Credits expiring soon',
+        message: `${group.credits} of your credits expire starting ${expiresOn}. Use them before they lapse.`,
+        data: { credits: group.credits, firstExpiry: group.firstExpiry },
+        dedupeKey: `credit-expiry:${group._id}:${group.lotIds.map(String).sort().join(',')}`
+      });
+      await CreditLot.updateMany({ _id: { $in: group.lotIds } }, { $set: { expiryNoticeSentAt: now } });
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send credit expiry notice to ${group._id}:`, error.message);
+    }
+  }
+  return sent;
+};
+
+// Credits a user holds that will expire, per day, soonest first
+const getExpirySummary = async (userId) => {
+  const [account, lots] = await Promise.all([
+    CreditAccount.findOne({ userId }).select('balance').lean(),
+    CreditLot.find({ userId, status: 'active', remaining: { $gt: 0 }, expiresAt: { $ne: null } })
+      .sort({ expiresAt: 1 })
+      .select('remaining expiresAt category planId createdAt')
+      .lean()
+  ]);
+
+  const byDay = new Map();
+  lots.forEach((lot) => {
+    const day = lot.expiresAt.toISOString().slice(0, 10);
+    byDay.set(day, (byDay.get(day) || 0) + lot.remaining);
+  });
+  const schedule = Array.from(byDay, ([date, credits]) => ({ date, credits }));
+  const expiringCredits = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+  return {
+    balance: account?.balance || 0,
+    expiringCredits,
+    nonExpiringCredits: Math.max(0, (account?.balance || 0) - expiringCredits),
+    nextExpiry: lots.length > 0 ? { expiresAt: lots[0].expiresAt, credits: schedule[0].credits } : null,
+    expiringWithinNoticePeriod: lots
+      .filter((lot) => lot.expiresAt.getTime() <= Date.now() + NOTICE_DAYS * DAY_MS)
+      .reduce((sum, lot) => sum + lot.remaining, 0),
+    schedule,
+    lots: lots.map((lot) => ({
+      lotId: lot._id,
+      credits: lot.remaining,
+      expiresAt: lot.expiresAt,
+      source: lot.category,
+      planId: lot.planId,
+      addedAt: lot.createdAt
+    }))
+  };
+};
+
+jobQueue.register(SWEEP_JOB_TYPE, async () => {
+  const { expired, failed } = await expireDueLots();
+  const noticesSent = await sendExpiryNotices();
+  return { expired, failed, noticesSent };
+}, {
+  maxAttempts: 3,
+  every: SWEEP_INTERVAL
+});
+
+module.exports = {
+  NOTICE_DAYS,
+  expiryForPlan,
+  expireLot,
+  expireDueLots,
+  sendExpiryNotices,
+  getExpirySummary
+};
@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const CreditAccount = require('../models/CreditAccount');
+const CreditTransaction = require('../models/CreditTransaction');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const CreditLot = require('../models/CreditLot');
+const jobQueue = require('./jobQueue');
+
+const RECONCILE_JOB_TYPE = 'credit-reconciliation';
+const RECONCILE_INTERVAL = Number.parseInt(process.env.CREDIT_RECONCILE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+// Fractional credits summed in a different order must not show up as drift
+const DRIFT_TOLERANCE = 1e-6;
+// Upper bound on lot lookups for one debit (each lost race costs one)
+const MAX_LOT_STEPS = 100;
+
+// Counterpart system account for each transaction category
+const SYSTEM_ACCOUNTS = {
+  purchase: 'sales',
+  service_usage: 'service_usage',
+  refund: 'refunds',
+  bonus: 'promotions',
+  referral: 'promotions',
+  admin_adjustment: 'admin_adjustments',
+  expiry: 'expired',
+  reversal: 'reversals',
+  other: 'other'
+};
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INSUFFICIENT_CREDITS: 402,
+  ACCOUNT_NOT_FOUND: 404,
+  ACCOUNT_INACTIVE: 403,
+  IDEMPOTENCY_CONFLICT: 409,
+  NOT_FOUND: 404,
+  INVALID_STATE: 409,
+  GATEWAY_ERROR: 502
+};
+
+class CreditLedgerError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'CreditLedgerError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+const isDuplicateKeyError = (error) => error?.code === 11000 || /E11000/.test(error?.message || '');
+
+// Standalone mongod has no multi-document transactions; postings then fall
+// back to ordered single-document writes (see post()).
+const isTransactionUnsupported = (error) => {
+  return error?.code === 20 || error?.codeName === 'IllegalOperation' ||
+    /Transaction numbers are only allowed|replica set/i.test(error?.message || '');
+};
+
+let transactionsSupported = null;
+
+const runAtomically = async (work) => {
+  if (transactionsSupported === false) return work(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    transactionsSupported = true;
+    return result;
+  } catch (error) {
+    if (transactionsSupported === null && isTransactionUnsupported(error)) {
+      console.warn('MongoDB transactions unavailable - credit postings will use ordered writes');
+      transactionsSupported = false;
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Idempotency key for an API request: the client's Idempotency-Key header
+// (or body.idempotencyKey) scoped to the user and operation, so keys cannot
+// collide across users. The key is required (INVALID_REQUEST without one):
+// a generated key could not tell a retry from a new request.
+const idempotencyKeyFromRequest = (req, scope, userId) => {
+  const clientKey = req.get('Idempotency-Key') || req.body?.idempotencyKey;
+  if (!clientKey || !String(clientKey).trim()) {
+    throw new CreditLedgerError('Idempotency-Key header is required', 'INVALID_REQUEST');
+  }
+  return `${scope}:${userId}:${String(clientKey).trim()}`;
+};
+
+// Work out why a conditional balance update matched nothing
+const explainRejectedPosting = async (userId, type, amount, session) => {
+  const account = await CreditAccount.findOne({ userId }).session(session);
+  if (!account) {
+    return new CreditLedgerError('Credit account not found', 'ACCOUNT_NOT_FOUND');
+  }
+  if (account.status !== 'active') {
+    return new CreditLedgerError(`Credit account is ${account.status}`, 'ACCOUNT_INACTIVE');
+  }
+  if (type === 'debit' && account.balance < amount) {
+    return new CreditLedgerError('Insufficient credits', 'INSUFFICIENT_CREDITS', {
+      balance: account.balance,
+      required: amount
+    });
+  }
+  // Balance changed between the update and this read - safe to retry
+  return new CreditLedgerError('Credit account changed concurrently, please retry', 'IDEMPOTENCY_CONFLICT');
+};
+
+// A repeated key must describe the same posting
+const replayExisting = async (idempotencyKey, { userId, type, amount }) => {
+  const existing = await CreditTransaction.findOne({ idempotencyKey });
+  if (!existing) {
+    throw new CreditLedgerError('Idempotency key is being released, please retry', 'IDEMPOTENCY_CONFLICT');
+  }
+  if (String(existing.userId) !== String(userId) || existing.type !== type || existing.amount !== amount) {
+    throw new CreditLedgerError('Idempotency key was already used for a different request', 'IDEMPOTENCY_CONFLICT');
+  }
+  if (existing.status === 'pending') {
+    throw new CreditLedgerError('A request with this idempotency key is still being processed', 'IDEMPOTENCY_CONFLICT');
+  }
+  const account = await CreditAccount.findOne({ userId });
+  return { transaction: existing, account, replayed: true };
+};
+
+// Draw amount from the user's lots, soonest-expiring first and non-expiring
+// lots last. Any shortfall is balance from before lots were tracked and is
+// left unallocated.
+const consumeLots = async (userId, amount, session) => {
+  const allocations = [];
+  let needed = amount;
+  for (let step = 0; needed > DRIFT_TOLERANCE && step < MAX_LOT_STEPS; step++) {
+    const open = { userId, status: 'active', remaining: { $gt: 0 } };
+    const lot = await CreditLot.findOne({ ...open, expiresAt: { $ne: null } }).sort({ expiresAt: 1, createdAt: 1 }).session(session) ||
+      await CreditLot.findOne({ ...open, expiresAt: null }).sort({ createdAt: 1 }).session(session);
+    if (!lot) break;
+
+    const take = Math.min(lot.remaining, needed);
+    const { modifiedCount } = await CreditLot.updateOne(
+      { _id: lot._id, status: 'active', remaining: { $gte: take } },
+      { $inc: { remaining: -take } },
+      { session }
+    );
+    // Drawn down by a concurrent debit - look again
+    if (modifiedCount === 0) continue;
+    allocations.push({ lot: lot._id, amount: take });
+    needed -= take;
+  }
+  return allocations;
+};
+
+// Put credits into lots: a new lot for fresh credits, or back into the lots
+// a debit drew from (refunds). Lots that expired meanwhile get a new lot
+// with the same expiry, which the next sweep expires.
+const fillLots = async (journal, { expiresAt, restore }, session) => {
+  const newLot = async (amount, lotExpiresAt) => {
+    const [lot] = await CreditLot.create([{
+      userId: journal.userId,
+      sourceTransaction: journal._id,
+      category: journal.category,
+      planId: journal.planId,
+      amount,
+      remaining: amount,
+      expiresAt: lotExpiresAt || null
+    }], { session });
+    return { lot: lot._id, amount };
+  };
+
+  if (!restore) return [await newLot(journal.amount, expiresAt)];
+
+  const allocations = [];
+  for (const { lot, amount } of restore) {
+    // Drawn from balance held before lots were tracked
+    if (!lot) continue;
+    const { modifiedCount } = await CreditLot.updateOne(
+      { _id: lot, status: 'active' },
+      { $inc: { remaining: amount } },
+      { session }
+    );
+    if (modifiedCount > 0) {
+      allocations.push({ lot, amount });
+    } else {
+      const original = await CreditLot.findById(lot).select('expiresAt').session(session);
+      allocations.push(await newLot(amount, original?.expiresAt));
+    }
+  }
+  return allocations;
+};
+
+/**
+ * Move credits into (type 'credit') or out of (type 'debit') a user's account.
+ *
+ * The balance changes through a single conditional update (account active and,
+ * for debits, balance >= amount), so concurrent requests cannot overdraw or
+ * lose credits. The CreditTransaction journal and its two CreditLedgerEntry
+ * rows are written in the same MongoDB transaction when available. Without
+ * transactions the journal is inserted first as 'pending' (claiming the
+ * idempotency key) and completed after the balance update; a crash in between
+ * leaves a pending journal whose balance change the reconciliation job reports.
+ *
+ * accountDefaults ({ mobile, clientId, name }) lets a credit open the account
+ * if it does not exist yet.
+ *
+ * Credits land in a CreditLot that expires at expiresAt (null: never), or,
+ * given lotAllocations (a refunded debit's allocations), go back into those
+ * lots. Debits draw from lots soonest-expiring first unless lotAllocations
+ * says which lots the caller already drew them from.
+ *
+ * Resolves to { transaction, account, replayed }.
+ */
+const post = async ({
+  userId,
+  type,
+  amount,
+  category,
+  description,
+  idempotencyKey,
+  referenceId = null,
+  planId = null,
+  paymentAmount = null,
+  paymentCurrency,
+  metadata = {},
+  addedBy = null,
+  adminMessage = null,
+  reasonCode = null,
+  reversalOf = null,
+  accountDefaults = null,
+  expiresAt = null,
+  lotAllocations = null
+}) => {
+  if (!userId) throw new CreditLedgerError('userId is required', 'INVALID_REQUEST');
+  if (!['credit', 'debit'].includes(type)) throw new CreditLedgerError('type must be credit or debit', 'INVALID_REQUEST');
+  if (!(typeof amount === 'number' && Number.isFinite(amount) && amount > 0)) {
+    throw new CreditLedgerError('amount must be a positive number', 'INVALID_REQUEST');
+  }
+  if (!SYSTEM_ACCOUNTS[category]) throw new CreditLedgerError(`Unknown category "${category}"`, 'INVALID_REQUEST');
+  if (!idempotencyKey) throw new CreditLedgerError('idempotencyKey is required', 'INVALID_REQUEST');
+
+  const posting = async (session) => {
+    const [journal] = await CreditTransaction.create([{
+      userId,
+      type,
+      amount,
+      // Filled in from the account update below
+      balanceBefore: 0,
+      balanceAfter: 0,
+      category,
+      description,
+      idempotencyKey,
+      referenceId,
+      planId,
+      paymentAmount,
+      ...(paymentCurrency && { paymentCurrency }),
+      metadata,
+      addedBy,
+      adminMessage,
+      reasonCode,
+      reversalOf,
+      status: 'pending'
+    }], { session });
+
+    const now = new Date();
+    const filter = { userId, status: 'active' };
+    const update = { $set: { lastTransactionDate: now, updatedAt: now } };
+    if (type === 'debit') {
+      filter.balance = { $gte: amount };
+      update.$inc = { balance: -amount, totalSpent: amount };
+    } else {
+      update.$inc = { balance: amount, totalEarned: amount };
+    }
+
+    let account = await CreditAccount.findOneAndUpdate(filter, update, { new: true, session });
+
+    // First credit for a user opens the account
+    if (!account && type === 'credit' && accountDefaults?.mobile && !(await CreditAccount.exists({ userId }).session(session))) {
+      const openUpdate = {
+        ...update,
+        $setOnInsert: {
+          mobile: accountDefaults.mobile,
+          clientId: accountDefaults.clientId || null,
+          name: accountDefaults.name || null,
+          createdAt: now
+        }
+      };
+      try {
+        account = await CreditAccount.findOneAndUpdate(filter, openUpdate, { new: true, upsert: true, session });
+      } catch (error) {
+        if (!isDuplicateKeyError(error)) throw error;
+        // Opened concurrently by another request
+        account = await CreditAccount.findOneAndUpdate(filter, update, { new: true, session });
+      }
+    }
+
+    if (!account) {
+      const rejection = await explainRejectedPosting(userId, type, amount, session);
+      if (!session) await CreditTransaction.deleteOne({ _id: journal._id });
+      throw rejection;
+    }
+
+    const balanceAfter = account.balance;
+    const balanceBefore = type === 'credit' ? balanceAfter - amount : balanceAfter + amount;
+    const systemDirection = type === 'credit' ? 'debit' : 'credit';
+    await CreditLedgerEntry.insertMany([
+      { journalId: journal._id, account: `user:${userId}`, userId, direction: type, amount, category, createdAt: now },
+      { journalId: journal._id, account: `system:${SYSTEM_ACCOUNTS[category]}`, direction: systemDirection, amount, category, createdAt: now }
+    ], { session });
+
+    journal.lotAllocations = type === 'credit'
+      ? await fillLots(journal, { expiresAt, restore: lotAllocations }, session)
+      : lotAllocations || await consumeLots(userId, amount, session);
+    journal.balanceBefore = balanceBefore;
+    journal.balanceAfter = balanceAfter;
+    journal.status = 'completed';
+    await journal.save({ session });
+
+    return { transaction: journal, account, replayed: false };
+  };
+
+  try {
+    return await runAtomically(posting);
+  } catch (error) {
+    if (isDuplicateKeyError(error) && (error.keyPattern?.idempotencyKey || /idempotencyKey/.test(error.message))) {
+      return replayExisting(idempotencyKey, { userId, type, amount });
+    }
+    throw error;
+  }
+};
+
+const credit = (options) => post({ ...options, type: 'credit' });
+
+const debit = (options) => post({ ...options, type: 'debit' });
+
+// Send a CreditLedgerError to the client; anything else is a 500
+const sendLedgerError = (res, error) => {
+  if (error instanceof CreditLedgerError) {
+    return res.status(error.status).json({
+      success: false,
+      code: error.code,
+      message: error.message,
+      ...error.details
+    });
+  }
+  console.error('Credit ledger error:', error);
+  return res.status(500).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * Recompute every account's balance from its completed CreditTransactions and
+ * record the outcome on the account (reconciliation.status 'ok' | 'drift').
+ * Balances are never corrected automatically. Pass userId to check one account.
+ */
+const reconcile = async ({ userId = null } = {}) => {
+  const match = { status: 'completed' };
+  if (userId) match.userId = new mongoose.Types.ObjectId(String(userId));
+
+  const totals = await CreditTransaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$userId',
+        credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } }
+      }
+    }
+  ]);
+  const expectedByUser = new Map(totals.map((row) => [String(row._id), row.credits - row.debits]));
+
+  const checkedAt = new Date();
+  const drifted = [];
+  let checked = 0;
+  let updates = [];
+  const flush = async () => {
+    if (updates.length > 0) await CreditAccount.bulkWrite(updates, { ordered: false });
+    updates = [];
+  };
+
+  const cursor = CreditAccount.find(userId ? { userId } : {}).select('userId mobile balance').lean().cursor();
+  for await (const account of cursor) {
+    checked++;
+    const expectedBalance = expectedByUser.get(String(account.userId)) || 0;
+    const drift = (account.balance || 0) - expectedBalance;
+    const status = Math.abs(drift) > DRIFT_TOLERANCE ? 'drift' : 'ok';
+    if (status === 'drift') {
+      drifted.push({ accountId: account._id, userId: account.userId, mobile: account.mobile, balance: account.balance, expectedBalance, drift });
+    }
+    updates.push({
+      updateOne: {
+        filter: { _id: account._id },
+        update: { $set: { reconciliation: { status, expectedBalance, drift, checkedAt } } }
+      }
+    });
+    if (updates.length >= 500) await flush();
+  }
+  await flush();
+
+  if (drifted.length > 0) {
+    console.warn(`Credit reconciliation: ${drifted.length} of ${checked} accounts drifted from their transaction history`);
+  }
+  return { checked, driftCount: drifted.length, drifted, checkedAt };
+};
+
+jobQueue.register(RECONCILE_JOB_TYPE, async () => {
+  const { checked, driftCount, checkedAt } = await reconcile();
+  return { checked, driftCount, checkedAt };
+}, {
+  maxAttempts: 3,
+  every: RECONCILE_INTERVAL
+});
+
+module.exports = {
+  CreditLedgerError,
+  SYSTEM_ACCOUNTS,
+  post,
+  credit,
+  debit,
+  reconcile,
+  idempotencyKeyFromRequest,
+  sendLedgerError
+};
@@ -0,0 +1,196 @@
+const CreditPrice = require('../models/CreditPrice');
+const CreditReservation = require('../models/CreditReservation');
+const CreditTransaction = require('../models/CreditTransaction');
+const creditLedger = require('./creditLedger');
+const jobQueue = require('./jobQueue');
+
+const { CreditLedgerError } = creditLedger;
+
+const SWEEP_JOB_TYPE = 'credit-reservation-sweep';
+const SWEEP_INTERVAL = 5 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+// Used when neither the client nor the platform has a CreditPrice row
+const DEFAULT_PRICES = {
+  ai_evaluation: { unit: 'page', creditsPerUnit: 1 },
+  pdf_chat: { unit: 'question', creditsPerUnit: 1 },
+  expert_review: { unit: 'answer', creditsPerUnit: 5 },
+  youtube_transcription: { unit: 'request', creditsPerUnit: 2 }
+};
+
+const SERVICES = Object.keys(DEFAULT_PRICES);
+
+// Price for a service as seen by a client's users: the client's own row,
+// else the platform row (clientId null), else DEFAULT_PRICES
+const getPrice = async (clientId, service) => {
+  if (!DEFAULT_PRICES[service]) {
+    throw new CreditLedgerError(`Unknown metered service "${service}"`, 'INVALID_REQUEST');
+  }
+  const rows = await CreditPrice.find({
+    service,
+    clientId: { $in: clientId ? [clientId, null] : [null] },
+    isActive: true
+  }).lean();
+  const row = rows.find((price) => price.clientId === clientId) || rows.find((price) => price.clientId === null);
+  if (row) return { service, unit: row.unit, creditsPerUnit: row.creditsPerUnit, source: row.clientId ? 'client' : 'platform' };
+  return { service, ...DEFAULT_PRICES[service], source: 'default' };
+};
+
+// Every service with its effective price for a client
+const getPriceList = async (clientId) => Promise.all(SERVICES.map((service) => getPrice(clientId, service)));
+
+/**
+ * Hold credits for units of a service before the AI work starts. The hold
+ * is debited straight away, so concurrent requests cannot spend the same
+ * balance. Resolves to the CreditReservation, or null when the service is
+ * free for this client. Throws CreditLedgerError INSUFFICIENT_CREDITS (402).
+ */
+const reserve = async ({ userId, clientId = null, service, units = 1, holdFor }) => {
+  const price = await getPrice(clientId, service);
+  const amount = price.creditsPerUnit * units;
+  if (amount <= 0) return null;
+
+  const reservation = await CreditReservation.create({
+    userId,
+    clientId,
+    service,
+    unit: price.unit,
+    units,
+    creditsPerUnit: price.creditsPerUnit,
+    amount,
+    expiresAt: new Date(Date.now() + holdFor)
+  });
+
+  try {
+    const { transaction } = await creditLedger.debit({
+      userId,
+      amount,
+      category: 'service_usage',
+      description: `Used credits for ${service} (${units} ${price.unit}${units === 1 ? '' : 's'})`,
+      idempotencyKey: `reservation:${reservation._id}`,
+      referenceId: String(reservation._id),
+      metadata: { service, unit: price.unit, units, reservationId: reservation._id }
+    });
+    reservation.holdTransaction = transaction._id;
+    await reservation.save();
+    return reservation;
+  } catch (error) {
+    await CreditReservation.deleteOne({ _id: reservation._id });
+    // No account yet is the same as an empty one
+    if (error instanceof CreditLedgerError && ['INSUFFICIENT_CREDITS', 'ACCOUNT_NOT_FOUND'].includes(error.code)) {
+      throw new CreditLedgerError(`Insufficient credits for ${service}`, 'INSUFFICIENT_CREDITS', {
+        service,
+        required: amount,
+        balance: error.details.balance || 0
+      });
+    }
+    throw error;
+  }
+};
+
+// Keep the held credits. Resolves to null if the hold was already settled.
+const capture = async (reservationId) => {
+  return CreditReservation.findOneAndUpdate(
+    { _id: reservationId, status: 'reserved' },
+    { $set: { status: 'captured', capturedAt: new Date(), expiresAt: null } },
+    { new: true }
+  );
+};
+
+// Credit the hold back to the user. Resolves to null if it was already settled.
+const refund = async (reservationId, reason) => {
+  const reservation = await CreditReservation.findOneAndUpdate(
+    { _id: reservationId, status: 'reserved' },
+    { $set: { status: 'refunded', refundedAt: new Date(), refundReason: reason || null, expiresAt: null } },
+    { new: true }
+  );
+  if (!reservation) return null;
+
+  try {
+    // Refunded credits go back into the lots (and expiry dates) they came from
+    const hold = await CreditTransaction.findById(reservation.holdTransaction).select('lotAllocations').lean();
+    const { transaction } = await creditLedger.credit({
+      userId: reservation.userId,
+      amount: reservation.amount,
+      category: 'refund',
+      description: `Refunded credits for ${reservation.service}`,
+      idempotencyKey: `reservation-refund:${reservation._id}`,
+      referenceId: String(reservation._id),
+      metadata: { service: reservation.service, reservationId: reservation._id, reason: reason || null },
+      lotAllocations: hold ? hold.lotAllocations : null
+    });
+    reservation.refundTransaction = transaction._id;
+    await CreditReservation.updateOne({ _id: reservation._id }, { $set: { refundTransaction: transaction._id } });
+    return reservation;
+  } catch (error) {
+    // Put the hold back so the sweep retries the refund
+    await CreditReservation.updateOne(
+      { _id: reservation._id, status: 'refunded' },
+      { $set: { status: 'reserved', refundedAt: null, expiresAt: new Date() } }
+    );
+    throw error;
+  }
+};
+
+// Tie a hold to the record its work is done for. Linked holds no longer
+// expire: they are captured or refunded when that record's work finishes.
+const linkReservation = async (reservation, resourceType, resourceId) => {
+  await CreditReservation.updateOne(
+    { _id: reservation._id, status: 'reserved' },
+    { $set: { resourceType, resourceId, expiresAt: null } }
+  );
+};
+
+const settleForResource = async (resourceType, resourceId, settle) => {
+  const reservations = await CreditReservation.find({ resourceType, resourceId, status: 'reserved' }).select('_id');
+  const settled = [];
+  for (const { _id } of reservations) {
+    const reservation = await settle(_id);
+    if (reservation) settled.push(reservation);
+  }
+  return settled;
+};
+
+const captureForResource = (resourceType, resourceId) => settleForResource(resourceType, resourceId, capture);
+
+const refundForResource = (resourceType, resourceId, reason) => {
+  return settleForResource(resourceType, resourceId, (reservationId) => refund(reservationId, reason));
+};
+
+// Refund holds whose request never settled them (crashed worker, dropped
+// connection before the response hook ran, never linked to a resource)
+const refundExpiredReservations = async () => {
+  const expired = await CreditReservation.find({ status: 'reserved', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(SWEEP_BATCH_SIZE);
+  let refunded = 0;
+  let failed = 0;
+  for (const { _id } of expired) {
+    try {
+      if (await refund(_id, 'expired')) refunded++;
+    } catch (error) {
+      failed++;
+      console.error(`Failed to refund expired credit reservation ${_id}:`, error.message);
+    }
+  }
+  return { refunded, failed };
+};
+
+jobQueue.register(SWEEP_JOB_TYPE, refundExpiredReservations, {
+  maxAttempts: 3,
+  every: SWEEP_INTERVAL
+});
+
+module.exports = {
+  DEFAULT_PRICES,
+  SERVICES,
+  getPrice,
+  getPriceList,
+  reserve,
+  capture,
+  refund,
+  linkReservation,
+  captureForResource,
+  refundForResource,
+  refundExpiredReservations
+};
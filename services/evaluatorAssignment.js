@@ -0,0 +1,345 @@
+const ReviewRequest = require('../models/ReviewRequest');
+const UserAnswer = require('../models/UserAnswer');
+const Evaluator = require('../models/Evaluator');
+const UserProfile = require('../models/UserProfile');
+const AiswbQuestion = require('../models/AiswbQuestion');
+const AISWBSet = require('../models/AISWBSet');
+const SubjectiveTest = require('../models/SubjectiveTest');
+const SubjectiveTestQuestion = require('../models/SubjectiveTestQuestion');
+const jobQueue = require('./jobQueue');
+const { notify } = require('./notifications');
+
+const SWEEP_JOB_TYPE = 'review-assignment-sweep';
+const SWEEP_INTERVAL = 5 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+// How long an evaluator has to accept before the request moves on
+const ACCEPT_WINDOW_MS = (Number.parseFloat(process.env.REVIEW_ACCEPT_WINDOW_HOURS) || 4) * HOUR_MS;
+// Evaluators with this many open reviews get no more
+const MAX_OPEN_REVIEWS = Number.parseInt(process.env.EVALUATOR_MAX_OPEN_REVIEWS) || 20;
+// Offers per request before it is left for an evaluator to claim
+const MAX_OFFERS = Number.parseInt(process.env.REVIEW_MAX_ASSIGNMENTS) || 5;
+// Completed reviews looked at for an evaluator's turnaround
+const TURNAROUND_WINDOW_MS = 90 * 24 * HOUR_MS;
+
+const OPEN_STATUSES = ['assigned', 'in_progress'];
+
+// Share of the assignment score given to each factor (sums to 1)
+const WEIGHTS = {
+  subject: 0.35,
+  exam: 0.2,
+  workload: 0.2,
+  grade: 0.1,
+  turnaround: 0.1,
+  continuity: 0.05
+};
+
+const GRADE_SCORES = { '1st grade': 1, '2nd grade': 0.6, '3rd grade': 0.3 };
+
+const STOPWORDS = new Set(['and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'exam', 'exams', 'paper', 'set', 'test', 'general']);
+
+const tokenize = (...values) => {
+  const tokens = new Set();
+  values.flat().filter(Boolean).forEach((value) => {
+    String(value).toLowerCase().split(/[^a-z0-9]+/).forEach((token) => {
+      if (token.length >= 2 && !STOPWORDS.has(token)) tokens.add(token);
+    });
+  });
+  return tokens;
+};
+
+// Share of the evaluator's terms found in the request, saturating after
+// a few matches so long expertise lists are not penalised
+const overlap = (evaluatorTokens, requestTokens) => {
+  if (evaluatorTokens.size === 0 || requestTokens.size === 0) return 0;
+  let matches = 0;
+  evaluatorTokens.forEach((token) => {
+    if (requestTokens.has(token)) matches += 1;
+  });
+  return Math.min(1, matches / Math.min(evaluatorTokens.size, 2));
+};
+
+// What the request is about: subject terms from the question, its set or
+// test, and the exams the student is preparing for
+const requestProfile = async (request) => {
+  const answer = await UserAnswer.findById(request.answerId).select('testType questionId setId testId reviewedByEvaluator').lean();
+  const subject = [];
+  const exam = [];
+
+  if (answer?.testType === 'subjective') {
+    const [question, test] = await Promise.all([
+      SubjectiveTestQuestion.findById(answer.questionId).select('metadata.keywords').lean(),
+      answer.testId ? SubjectiveTest.findById(answer.testId).select('name category subcategory').lean() : null
+    ]);
+    subject.push(question?.metadata?.keywords || [], test?.name, test?.subcategory);
+    exam.push(test?.category);
+  } else {
+    const question = await AiswbQuestion.findById(request.questionId).select('metadata.keywords setId').lean();
+    const setId = answer?.setId || question?.setId;
+    const set = setId ? await AISWBSet.findById(setId).select('name').lean() : null;
+    subject.push(question?.metadata?.keywords || [], set?.name);
+  }
+
+  const profile = await UserProfile.findOne({ userId: request.userId }).select('exams').lean();
+  exam.push(profile?.exams || []);
+
+  return {
+    subjectTokens: tokenize(subject),
+    examTokens: tokenize(exam),
+    previousEvaluator: answer?.reviewedByEvaluator ? String(answer.reviewedByEvaluator) : null
+  };
+};
+
+// Open reviews and average hours from assignment to completion per evaluator
+const evaluatorStats = async (evaluatorIds) => {
+  const [open, turnaround] = await Promise.all([
+    ReviewRequest.aggregate([
+      { $match: { assignedEvaluator: { $in: evaluatorIds }, requestStatus: { $in: OPEN_STATUSES } } },
+      { $group: { _id: '$assignedEvaluator', count: { $sum: 1 } } }
+    ]),
+    ReviewRequest.aggregate([
+      {
+        $match: {
+          assignedEvaluator: { $in: evaluatorIds },
+          requestStatus: 'completed',
+          assignedAt: { $ne: null },
+          completedAt: { $gte: new Date(Date.now() - TURNAROUND_WINDOW_MS) }
+        }
+      },
+      { $group: { _id: '$assignedEvaluator', avgMs: { $avg: { $subtract: ['$completedAt', '$assignedAt'] } }, completed: { $sum: 1 } } }
+    ])
+  ]);
+
+  const stats = new Map(evaluatorIds.map((id) => [String(id), { open: 0, avgTurnaroundHours: null, completed: 0 }]));
+  open.forEach((row) => { stats.get(String(row._id)).open = row.count; });
+  turnaround.forEach((row) => {
+    Object.assign(stats.get(String(row._id)), { avgTurnaroundHours: row.avgMs / HOUR_MS, completed: row.completed });
+  });
+  return stats;
+};
+
+/**
+ * Rank the evaluators who may take a review request: enabled, VERIFIED,
+ * with access to the request's client and below MAX_OPEN_REVIEWS. Each gets
+ * a 0-1 score from subject and exam match, open workload, grade, historical
+ * turnaround and having reviewed the answer before. Evaluators in exclude
+ * (e.g. those who let it time out) are skipped.
+ *
+ * Resolves to [{ evaluator, score, breakdown, stats }], best first.
+ */
+const rankEvaluators = async (request, { exclude = [] } = {}) => {
+  const candidates = await Evaluator.find({
+    enabled: true,
+    status: 'VERIFIED',
+    'clientAccess.id': request.clientId,
+    _id: { $nin: exclude }
+  }).select('name subjectMatterExpert examFocus grade').lean();
+  if (candidates.length === 0) return [];
+
+  const [profile, stats] = await Promise.all([
+    requestProfile(request),
+    evaluatorStats(candidates.map((evaluator) => evaluator._id))
+  ]);
+
+  return candidates
+    .map((evaluator) => {
+      const evaluatorStat = stats.get(String(evaluator._id));
+      const breakdown = {
+        subject: overlap(tokenize(evaluator.subjectMatterExpert), profile.subjectTokens),
+        exam: overlap(tokenize(evaluator.examFocus), profile.examTokens),
+        workload: 1 - evaluatorStat.open / MAX_OPEN_REVIEWS,
+        grade: GRADE_SCORES[evaluator.grade] ?? 0.3,
+        // A day on average scores 0.5; no history counts as average
+        turnaround: evaluatorStat.avgTurnaroundHours === null ? 0.5 : 24 / (24 + evaluatorStat.avgTurnaroundHours),
+        continuity: profile.previousEvaluator === String(evaluator._id) ? 1 : 0
+      };
+      const score = Object.entries(WEIGHTS).reduce((sum, [factor, weight]) => sum + weight * breakdown[factor], 0);
+      return { evaluator, score: Math.round(score * 1000) / 1000, breakdown, stats: evaluatorStat };
+    })
+    .filter((candidate) => candidate.stats.open < MAX_OPEN_REVIEWS)
+    .sort((a, b) => b.score - a.score || a.stats.open - b.stats.open);
+};
+
+// Point the answer at the evaluator so it shows in their pending reviews
+const syncAnswer = (request, evaluatorId) => {
+  return UserAnswer.updateOne(
+    { _id: request.answerId },
+    { $set: { reviewedByEvaluator: evaluatorId, reviewStatus: 'review_pending' } }
+  );
+};
+
+/**
+ * Offer a request to the best-ranked evaluator. previousEvaluator, if given,
+ * is the one whose offer timed out: the update only applies while the
+ * request is still theirs and unaccepted, so a late accept wins the race.
+ * Without a candidate the request is left 'pending' for anyone to claim.
+ *
+ * Resolves to the updated request, or null if it changed in the meantime.
+ */
+const assignRequest = async (request, { previousEvaluator = null } = {}) => {
+  const offered = (request.assignmentHistory || []).map((entry) => entry.evaluator);
+  const now = new Date();
+  const [best] = offered.length >= MAX_OFFERS ? [] : await rankEvaluators(request, { exclude: offered });
+
+  const filter = previousEvaluator
+    ? { _id: request._id, requestStatus: 'assigned', assignedEvaluator: previousEvaluator, acceptedAt: null }
+    : { _id: request._id, requestStatus: 'pending', assignedEvaluator: null };
+  const update = { $set: {} };
+  if (previousEvaluator) {
+    update.$set['assignmentHistory.$[offer].outcome'] = 'timed_out';
+    update.$set['assignmentHistory.$[offer].endedAt'] = now;
+  }
+
+  if (best) {
+    Object.assign(update.$set, {
+      requestStatus: 'assigned',
+      assignedEvaluator: best.evaluator._id,
+      assignedAt: now,
+      acceptDeadline: new Date(now.getTime() + ACCEPT_WINDOW_MS)
+    });
+    update.$push = {
+      assignmentHistory: {
+        evaluator: best.evaluator._id,
+        source: previousEvaluator ? 'reassigned' : 'auto',
+        score: best.score,
+        assignedAt: now
+      }
+    };
+  } else {
+    Object.assign(update.$set, { requestStatus: 'pending', assignedEvaluator: null, assignedAt: null, acceptDeadline: null });
+  }
+  // Nothing to change for a pending request nobody can take
+  if (!best && !previousEvaluator) return request;
+
+  const options = { new: true };
+  if (previousEvaluator) {
+    options.arrayFilters = [{ 'offer.evaluator': previousEvaluator, 'offer.outcome': null }];
+  }
+  const updated = await ReviewRequest.findOneAndUpdate(filter, update, options);
+  if (!updated) return null;
+
+  await syncAnswer(updated, best ? best.evaluator._id : null);
+  if (best) {
+    try {
+      await notify({
+        recipientType: 'Evaluator',
+        recipientId: best.evaluator._id,
+        clientId: updated.clientId,
+        type: 'review_assigned',
+        title: 'New review request',
+        message: `A review request has been assigned to you. Accept it within ${Math.round(ACCEPT_WINDOW_MS / HOUR_MS)} hours or it will be offered to another evaluator.`,
+        data: { requestId: updated._id, answerId: updated.answerId, acceptDeadline: updated.acceptDeadline },
+        dedupeKey: `review-assigned:${updated._id}:${best.evaluator._id}`
+      });
+    } catch (error) {
+      console.error(`Failed to notify evaluator ${best.evaluator._id}:`, error.message);
+    }
+  }
+  return updated;
+};
+
+/**
+ * Accept an offered request, or claim one still pending. Resolves to
+ * { request } or { error, status } when the evaluator cannot take it.
+ */
+const acceptRequest = async (requestId, evaluatorId) => {
+  const now = new Date();
+  let request = await ReviewRequest.findOneAndUpdate(
+    { _id: requestId, requestStatus: 'assigned', assignedEvaluator: evaluatorId, acceptedAt: null },
+    {
+      $set: {
+        acceptedAt: now,
+        acceptDeadline: null,
+        'assignmentHistory.$[offer].outcome': 'accepted',
+        'assignmentHistory.$[offer].endedAt': now
+      }
+    },
+    { new: true, arrayFilters: [{ 'offer.evaluator': evaluatorId, 'offer.outcome': null }] }
+  );
+
+  if (!request) {
+    const evaluator = await Evaluator.findById(evaluatorId).select('clientAccess enabled status').lean();
+    const current = await ReviewRequest.findById(requestId).select('clientId').lean();
+    const allowed = evaluator?.enabled && evaluator.status === 'VERIFIED' &&
+      (evaluator.clientAccess || []).some((client) => client.id === current?.clientId);
+    if (allowed) {
+      request = await ReviewRequest.findOneAndUpdate(
+        { _id: requestId, requestStatus: 'pending', assignedEvaluator: null },
+        {
+          $set: { requestStatus: 'assigned', assignedEvaluator: evaluatorId, assignedAt: now, acceptedAt: now, acceptDeadline: null },
+          $push: { assignmentHistory: { evaluator: evaluatorId, source: 'claimed', assignedAt: now, outcome: 'accepted', endedAt: now } }
+        },
+        { new: true }
+      );
+    }
+  }
+
+  if (!request) {
+    const current = await ReviewRequest.findById(requestId).select('requestStatus assignedEvaluator acceptedAt').lean();
+    if (!current) return { status: 404, error: 'Review request not found' };
+    if (String(current.assignedEvaluator) === String(evaluatorId) && current.acceptedAt) return { request: await ReviewRequest.findById(requestId) };
+    if (current.assignedEvaluator && String(current.assignedEvaluator) !== String(evaluatorId)) {
+      return { status: 403, error: 'This request is assigned to another evaluator' };
+    }
+    if (!['pending', 'assigned'].includes(current.requestStatus)) return { status: 400, error: 'Request is not available for acceptance' };
+    return { status: 403, error: 'You do not have access to this client' };
+  }
+
+  await UserAnswer.updateOne(
+    { _id: request.answerId },
+    { $set: { reviewedByEvaluator: evaluatorId, reviewStatus: 'review_accepted', reviewAssignedAt: request.assignedAt } }
+  );
+  return { request };
+};
+
+// Move on offers that were not accepted in time, and retry requests that
+// found no evaluator
+const sweepAssignments = async () => {
+  const now = new Date();
+  const expired = await ReviewRequest.find({ requestStatus: 'assigned', acceptedAt: null, acceptDeadline: { $lt: now } })
+    .limit(SWEEP_BATCH_SIZE);
+  // Requests already offered MAX_OFFERS times are left to an admin; filtering
+  // them out here keeps them from filling every batch
+  const unassigned = await ReviewRequest.find({
+    requestStatus: 'pending',
+    assignedEvaluator: null,
+    [`assignmentHistory.${MAX_OFFERS - 1}`]: { $exists: false }
+  })
+    .sort({ requestedAt: 1 })
+    .limit(SWEEP_BATCH_SIZE);
+
+  let reassigned = 0;
+  let assigned = 0;
+  for (const request of expired) {
+    try {
+      const updated = await assignRequest(request, { previousEvaluator: request.assignedEvaluator });
+      if (updated?.assignedEvaluator) reassigned += 1;
+    } catch (error) {
+      console.error(`Re-assignment failed for review request ${request._id}:`, error);
+    }
+  }
+  for (const request of unassigned) {
+    try {
+      const updated = await assignRequest(request);
+      if (updated?.assignedEvaluator) assigned += 1;
+    } catch (error) {
+      console.error(`Assignment failed for review request ${request._id}:`, error);
+    }
+  }
+  return { expired: expired.length, reassigned, assigned };
+};
+
+jobQueue.register(SWEEP_JOB_TYPE, sweepAssignments, {
+  maxAttempts: 3,
+  every: SWEEP_INTERVAL
+});
+
+module.exports = {
+  ACCEPT_WINDOW_MS,
+  MAX_OPEN_REVIEWS,
+  WEIGHTS,
+  rankEvaluators,
+  assignRequest,
+  acceptRequest,
+  sweepAssignments
+};
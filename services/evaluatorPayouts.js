@@ -0,0 +1,458 @@
+const mongoose = require('mongoose');
+const EvaluatorRateCard = require('../models/EvaluatorRateCard');
+const EvaluatorEarning = require('../models/EvaluatorEarning');
+const PayoutStatement = require('../models/PayoutStatement');
+const Evaluator = require('../models/Evaluator');
+const ReviewRequest = require('../models/ReviewRequest');
+const UserAnswer = require('../models/UserAnswer');
+const jobQueue = require('./jobQueue');
+const { notify } = require('./notifications');
+
+const EARNING_JOB_TYPE = 'evaluator-earning';
+const STATEMENT_JOB_TYPE = 'evaluator-payout-statements';
+const STATEMENT_INTERVAL = 6 * 60 * 60 * 1000;
+// Statement months follow Indian time
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Rupees per completed review where no rate card applies
+const DEFAULT_RATES = {
+  aiswb: 40,
+  subjective: 60
+};
+
+const QUESTION_TYPES = Object.keys(DEFAULT_RATES);
+const GRADES = ['1st grade', '2nd grade', '3rd grade'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// '2026-09' for a date, in Indian time
+const monthOf = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 7);
+
+const previousMonth = (now = new Date()) => {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+};
+
+const isMonth = (month) => /^\d{4}-(0[1-9]|1[0-2])$/.test(month || '');
+
+/**
+ * Rate for reviewing a question type, for an evaluator of a grade, on a
+ * client's review. The most specific active card wins: client and grade,
+ * client, platform and grade, platform; else DEFAULT_RATES.
+ */
+const getRate = async (clientId, questionType, grade = null) => {
+  const cards = await EvaluatorRateCard.find({
+    questionType,
+    clientId: { $in: clientId ? [clientId, null] : [null] },
+    grade: { $in: grade ? [grade, null] : [null] },
+    isActive: true
+  }).lean();
+  const order = [[clientId, grade], [clientId, null], [null, grade], [null, null]];
+  for (const [cardClient, cardGrade] of order) {
+    const card = cards.find((entry) => entry.clientId === (cardClient || null) && entry.grade === (cardGrade || null));
+    if (card) {
+      return {
+        questionType,
+        grade,
+        amount: card.amount,
+        currency: card.currency,
+        rateCard: card._id,
+        source: card.clientId ? 'client' : 'platform'
+      };
+    }
+  }
+  return { questionType, grade, amount: DEFAULT_RATES[questionType] || 0, currency: 'INR', rateCard: null, source: 'default' };
+};
+
+// Every question type and grade with its effective rate for a client
+const getRateList = async (clientId) => {
+  const combinations = QUESTION_TYPES.flatMap((questionType) => [null, ...GRADES].map((grade) => [questionType, grade]));
+  return Promise.all(combinations.map(([questionType, grade]) => getRate(clientId, questionType, grade)));
+};
+
+/**
+ * Validate and save a rate card of a client (null: the platform). Resolves
+ * to { rateCard } or { error }.
+ */
+const saveRateCard = async (clientId, { questionType, grade = null, amount, isActive = true }, updatedBy = null) => {
+  if (!QUESTION_TYPES.includes(questionType)) return { error: `questionType must be one of: ${QUESTION_TYPES.join(', ')}` };
+  if (grade && !GRADES.includes(grade)) return { error: `grade must be one of: ${GRADES.join(', ')}` };
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < 0) return { error: 'amount must be a number of 0 or more' };
+
+  const rateCard = await EvaluatorRateCard.findOneAndUpdate(
+    { clientId: clientId || null, questionType, grade: grade || null },
+    { $set: { amount: round2(value), isActive: Boolean(isActive), updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return { rateCard };
+};
+
+/**
+ * Add the earning for a reviewed answer to its evaluator's ledger: the one
+ * assigned its review request, else the one who evaluated it. Idempotent -
+ * an answer earns once however many times completion is reported. Resolves
+ * to the entry, or null when there is no evaluator to pay.
+ */
+const recordReviewEarning = async (answerId) => {
+  const existing = await EvaluatorEarning.findOne({ sourceKey: `review:${answerId}` });
+  if (existing) return existing;
+
+  const answer = await UserAnswer.findById(answerId)
+    .select('clientId testType reviewedByEvaluator reviewCompletedAt evaluatedAt')
+    .lean();
+  if (!answer) return null;
+  const request = await ReviewRequest.findOne({ answerId, requestStatus: 'completed' })
+    .select('assignedEvaluator completedAt')
+    .lean();
+  const evaluatorId = request?.assignedEvaluator || answer.reviewedByEvaluator;
+  if (!evaluatorId) return null;
+
+  const evaluator = await Evaluator.findById(evaluatorId).select('grade').lean();
+  if (!evaluator) return null;
+  const rate = await getRate(answer.clientId, answer.testType, evaluator.grade || null);
+  const earnedAt = request?.completedAt || answer.reviewCompletedAt || answer.evaluatedAt || new Date();
+
+  try {
+    return await EvaluatorEarning.create({
+      evaluator: evaluator._id,
+      clientId: answer.clientId,
+      entryType: 'review',
+      sourceKey: `review:${answerId}`,
+      answerId,
+      reviewRequest: request?._id || null,
+      questionType: answer.testType,
+      grade: evaluator.grade || null,
+      rateCard: rate.rateCard,
+      rateSource: rate.source,
+      amount: rate.amount,
+      currency: rate.currency,
+      description: `Review of ${answer.testType} answer`,
+      month: monthOf(earnedAt),
+      earnedAt
+    });
+  } catch (error) {
+    if (error.code === 11000) return EvaluatorEarning.findOne({ sourceKey: `review:${answerId}` });
+    throw error;
+  }
+};
+
+jobQueue.register(EARNING_JOB_TYPE, async ({ answerId }) => {
+  const earning = await recordReviewEarning(answerId);
+  return { earningId: earning ? earning._id : null, amount: earning ? earning.amount : null };
+}, {
+  maxAttempts: 5
+});
+
+// Record a completed review's earning in the background
+const queueReviewEarning = (answerId) => {
+  return jobQueue.enqueue(EARNING_JOB_TYPE, { answerId: answerId.toString() }, {
+    uniqueKey: `${EARNING_JOB_TYPE}:${answerId}`
+  });
+};
+
+// Recompute a statement's totals from the entries billed on it
+const refreshTotals = async (statementId) => {
+  const [totals] = await EvaluatorEarning.aggregate([
+    { $match: { statement: new mongoose.Types.ObjectId(String(statementId)) } },
+    {
+      $group: {
+        _id: null,
+        reviewCount: { $sum: { $cond: [{ $eq: ['$entryType', 'review'] }, 1, 0] } },
+        reviewAmount: { $sum: { $cond: [{ $eq: ['$entryType', 'review'] }, '$amount', 0] } },
+        adjustmentAmount: { $sum: { $cond: [{ $eq: ['$entryType', 'adjustment'] }, '$amount', 0] } }
+      }
+    }
+  ]);
+  const reviewAmount = round2(totals?.reviewAmount || 0);
+  const adjustmentAmount = round2(totals?.adjustmentAmount || 0);
+  return PayoutStatement.findByIdAndUpdate(
+    statementId,
+    {
+      $set: {
+        reviewCount: totals?.reviewCount || 0,
+        reviewAmount,
+        adjustmentAmount,
+        totalAmount: round2(reviewAmount + adjustmentAmount)
+      }
+    },
+    { new: true }
+  );
+};
+
+// Record earnings for reviews completed in month that have none yet (e.g.
+// their job ran out of attempts)
+const recordMissingEarnings = async (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const start = new Date(Date.UTC(year, monthNumber - 1, 1) - IST_OFFSET_MS);
+  const end = new Date(Date.UTC(year, monthNumber, 1) - IST_OFFSET_MS);
+  const answerIds = await ReviewRequest.find({ requestStatus: 'completed', completedAt: { $gte: start, $lt: end } }).distinct('answerId');
+  const recorded = new Set(await EvaluatorEarning.find({ sourceKey: { $in: answerIds.map((id) => `review:${id}`) } }).distinct('sourceKey'));
+  for (const answerId of answerIds) {
+    if (recorded.has(`review:${answerId}`)) continue;
+    try {
+      await recordReviewEarning(answerId);
+    } catch (error) {
+      console.error(`Failed to record earning for answer ${answerId}:`, error);
+    }
+  }
+};
+
+/**
+ * Bill every evaluator's unbilled entries up to month on their statement
+ * for month. Entries earned after a month's statement was approved roll
+ * into the next statement; a statement still awaiting approval (or in
+ * dispute) takes late entries in. Safe to run repeatedly.
+ */
+const generateStatements = async (month) => {
+  await recordMissingEarnings(month);
+  const evaluatorIds = await EvaluatorEarning.distinct('evaluator', { statement: null, month: { $lte: month } });
+
+  let created = 0;
+  let updated = 0;
+  for (const evaluatorId of evaluatorIds) {
+    try {
+      let statement = await PayoutStatement.findOne({ evaluator: evaluatorId, month });
+      if (statement && !['pending_approval', 'disputed'].includes(statement.status)) continue;
+      if (!statement) {
+        try {
+          statement = await PayoutStatement.create({
+            evaluator: evaluatorId,
+            month,
+            history: [{ status: 'pending_approval', byType: 'System', note: 'Statement generated' }]
+          });
+          created += 1;
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          continue;
+        }
+      } else {
+        updated += 1;
+      }
+
+      await EvaluatorEarning.updateMany(
+        { evaluator: evaluatorId, statement: null, month: { $lte: month } },
+        { $set: { statement: statement._id } }
+      );
+      statement = await refreshTotals(statement._id);
+
+      try {
+        await notify({
+          recipientType: 'Evaluator',
+          recipientId: evaluatorId,
+          type: 'payout_statement',
+          title: `Payout statement for ${month}`,
+          message: `Your earnings statement for ${month} is ready: ${statement.currency} ${statement.totalAmount.toFixed(2)} for ${statement.reviewCount} reviews. It will be paid once approved.`,
+          data: { statementId: statement._id, month, totalAmount: statement.totalAmount },
+          dedupeKey: `payout-statement:${statement._id}`
+        });
+      } catch (error) {
+        console.error(`Failed to notify evaluator ${evaluatorId}:`, error.message);
+      }
+    } catch (error) {
+      console.error(`Payout statement failed for evaluator ${evaluatorId}:`, error);
+    }
+  }
+  return { month, evaluators: evaluatorIds.length, created, updated };
+};
+
+// Statements for last month, once it has ended
+jobQueue.register(STATEMENT_JOB_TYPE, () => generateStatements(previousMonth()), {
+  maxAttempts: 3,
+  every: STATEMENT_INTERVAL
+});
+
+const notifyEvaluator = async (statement, title, message) => {
+  try {
+    await notify({
+      recipientType: 'Evaluator',
+      recipientId: statement.evaluator,
+      type: 'payout_status',
+      title,
+      message,
+      data: { statementId: statement._id, month: statement.month, status: statement.status },
+      dedupeKey: `payout-status:${statement._id}:${statement.history.length}`
+    });
+  } catch (error) {
+    console.error(`Failed to notify evaluator ${statement.evaluator}:`, error.message);
+  }
+};
+
+// Move a statement from one of fromStatuses to status, or explain why not.
+// Resolves to { statement } or { status, error }.
+const transition = async (statementId, fromStatuses, update, historyEntry) => {
+  if (!mongoose.Types.ObjectId.isValid(statementId)) return { status: 404, error: 'Payout statement not found' };
+  const statement = await PayoutStatement.findOneAndUpdate(
+    { _id: statementId, status: { $in: fromStatuses } },
+    { ...update, $push: { ...(update.$push || {}), history: historyEntry } },
+    { new: true, runValidators: true }
+  );
+  if (statement) return { statement };
+
+  const current = await PayoutStatement.findById(statementId).select('status');
+  if (!current) return { status: 404, error: 'Payout statement not found' };
+  return { status: 409, error: `Payout statement is ${current.status.replace('_', ' ')}` };
+};
+
+const approveStatement = async (statementId, adminId, note = null) => {
+  const now = new Date();
+  const result = await transition(
+    statementId,
+    ['pending_approval'],
+    { $set: { status: 'approved', approvedBy: adminId, approvedAt: now } },
+    { status: 'approved', at: now, byType: 'Admin', by: adminId, note }
+  );
+  if (result.statement) {
+    await notifyEvaluator(result.statement, 'Payout approved', `Your ${result.statement.month} payout of ${result.statement.currency} ${result.statement.totalAmount.toFixed(2)} has been approved.`);
+  }
+  return result;
+};
+
+const markPaid = async (statementId, adminId, { paymentReference, note = null }) => {
+  if (!paymentReference || !String(paymentReference).trim()) return { status: 400, error: 'paymentReference is required' };
+  const now = new Date();
+  const result = await transition(
+    statementId,
+    ['approved'],
+    { $set: { status: 'paid', paidBy: adminId, paidAt: now, paymentReference: String(paymentReference).trim() } },
+    { status: 'paid', at: now, byType: 'Admin', by: adminId, note }
+  );
+  if (result.statement) {
+    await notifyEvaluator(result.statement, 'Payout sent', `Your ${result.statement.month} payout of ${result.statement.currency} ${result.statement.totalAmount.toFixed(2)} has been paid (reference ${result.statement.paymentReference}).`);
+  }
+  return result;
+};
+
+// The evaluator disputes a statement that has not been paid yet
+const raiseDispute = async (statementId, evaluatorId, reason) => {
+  if (!reason || !String(reason).trim()) return { status: 400, error: 'reason is required' };
+  if (!mongoose.Types.ObjectId.isValid(statementId)) return { status: 404, error: 'Payout statement not found' };
+  const owned = await PayoutStatement.exists({ _id: statementId, evaluator: evaluatorId });
+  if (!owned) return { status: 404, error: 'Payout statement not found' };
+
+  const now = new Date();
+  return transition(
+    statementId,
+    ['pending_approval', 'approved'],
+    {
+      $set: { status: 'disputed', approvedBy: null, approvedAt: null },
+      $push: { disputes: { reason: String(reason).trim(), raisedAt: now } }
+    },
+    { status: 'disputed', at: now, byType: 'Evaluator', by: evaluatorId, note: String(reason).trim() }
+  );
+};
+
+/**
+ * Settle the open dispute on a statement. Accepting it may add an
+ * adjustment (positive or negative) to the statement. Either way the
+ * statement goes back for approval.
+ */
+const resolveDispute = async (statementId, adminId, { accept, adjustmentAmount = 0, note = null }) => {
+  const adjustment = accept ? Number(adjustmentAmount || 0) : 0;
+  if (!Number.isFinite(adjustment)) return { status: 400, error: 'adjustmentAmount must be a number' };
+  if (!mongoose.Types.ObjectId.isValid(statementId)) return { status: 404, error: 'Payout statement not found' };
+
+  const current = await PayoutStatement.findById(statementId);
+  if (!current) return { status: 404, error: 'Payout statement not found' };
+  const disputeIndex = current.disputes.findIndex((dispute) => dispute.status === 'open');
+  if (current.status !== 'disputed' || disputeIndex === -1) return { status: 409, error: 'Payout statement has no open dispute' };
+
+  const now = new Date();
+  const prefix = `disputes.${disputeIndex}`;
+  const result = await transition(
+    statementId,
+    ['disputed'],
+    {
+      $set: {
+        status: 'pending_approval',
+        [`${prefix}.status`]: accept ? 'accepted' : 'rejected',
+        [`${prefix}.resolutionNote`]: note,
+        [`${prefix}.adjustmentAmount`]: round2(adjustment),
+        [`${prefix}.resolvedBy`]: adminId,
+        [`${prefix}.resolvedAt`]: now
+      }
+    },
+    { status: 'pending_approval', at: now, byType: 'Admin', by: adminId, note: `Dispute ${accept ? 'accepted' : 'rejected'}${note ? `: ${note}` : ''}` }
+  );
+  if (!result.statement) return result;
+
+  if (adjustment !== 0) {
+    await EvaluatorEarning.updateOne(
+      { sourceKey: `adjustment:${statementId}:${disputeIndex}` },
+      {
+        $setOnInsert: {
+          evaluator: current.evaluator,
+          entryType: 'adjustment',
+          amount: round2(adjustment),
+          currency: current.currency,
+          description: note || 'Dispute adjustment',
+          month: current.month,
+          earnedAt: now,
+          statement: current._id,
+          createdBy: adminId
+        }
+      },
+      { upsert: true }
+    );
+    result.statement = await refreshTotals(statementId);
+  }
+
+  await notifyEvaluator(
+    result.statement,
+    `Payout dispute ${accept ? 'accepted' : 'rejected'}`,
+    `Your dispute on the ${current.month} statement was ${accept ? 'accepted' : 'rejected'}${adjustment !== 0 ? ` with an adjustment of ${current.currency} ${adjustment.toFixed(2)}` : ''}.`
+  );
+  return result;
+};
+
+// A statement with the entries billed on it
+const statementWithEntries = async (statement) => {
+  const entries = await EvaluatorEarning.find({ statement: statement._id })
+    .sort({ earnedAt: 1 })
+    .select('entryType answerId reviewRequest questionType grade rateSource amount currency description month earnedAt')
+    .lean();
+  return { ...statement.toObject(), entries };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Statement entries as CSV, for the evaluator's or finance team's records
+const statementCsv = (statement) => {
+  const header = ['Date', 'Type', 'Description', 'Answer', 'Question type', 'Grade', 'Rate source', 'Amount'];
+  const rows = statement.entries.map((entry) => [
+    new Date(entry.earnedAt.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10),
+    entry.entryType,
+    entry.description,
+    entry.answerId,
+    entry.questionType,
+    entry.grade,
+    entry.rateSource,
+    entry.amount.toFixed(2)
+  ]);
+  rows.push(['TOTAL', '', `${statement.reviewCount} reviews`, '', '', '', '', statement.totalAmount.toFixed(2)]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+module.exports = {
+  EARNING_JOB_TYPE,
+  DEFAULT_RATES,
+  QUESTION_TYPES,
+  GRADES,
+  monthOf,
+  isMonth,
+  getRate,
+  getRateList,
+  saveRateCard,
+  recordReviewEarning,
+  queueReviewEarning,
+  generateStatements,
+  approveStatement,
+  markPaid,
+  raiseDispute,
+  resolveDispute,
+  statementWithEntries,
+  statementCsv
+};
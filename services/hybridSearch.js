@@ -0,0 +1,72 @@
+// Keyword scoring and rank fusion used by EnhancedPDFProcessor's hybrid retrieval
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "in", "is", "it",
+  "of", "on", "or", "that", "the", "this", "to", "was", "were", "what", "when", "where",
+  "which", "who", "why", "how", "with", "does", "do", "did", "can", "will",
+])
+
+const tokenize = (text = "") =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+
+// Okapi BM25 over an in-memory set of documents. Only used when the vector
+// store cannot run the keyword query itself.
+const rankByBM25 = (query, documents, { textField = "text_content", k1 = 1.2, b = 0.75 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))]
+  if (queryTerms.length === 0 || documents.length === 0) return []
+
+  const docTokens = documents.map((doc) => tokenize(doc[textField]))
+  const avgLength = docTokens.reduce((sum, tokens) => sum + tokens.length, 0) / documents.length || 1
+
+  const documentFrequency = {}
+  queryTerms.forEach((term) => {
+    documentFrequency[term] = docTokens.filter((tokens) => tokens.includes(term)).length
+  })
+
+  return documents
+    .map((doc, index) => {
+      const tokens = docTokens[index]
+      const termCounts = {}
+      tokens.forEach((token) => {
+        termCounts[token] = (termCounts[token] || 0) + 1
+      })
+      const score = queryTerms.reduce((sum, term) => {
+        const tf = termCounts[term] || 0
+        if (!tf) return sum
+        const idf = Math.log(1 + (documents.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5))
+        return sum + (idf * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * tokens.length) / avgLength))
+      }, 0)
+      return { doc, score }
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((x, y) => y.score - x.score)
+    .map((entry) => ({ ...entry.doc, $keywordScore: entry.score }))
+}
+
+// Reciprocal rank fusion: score = sum over lists of 1 / (k + rank)
+const reciprocalRankFusion = (rankedLists, { k = 60, idField = "_id" } = {}) => {
+  const fused = new Map()
+  rankedLists.forEach(({ name, results }) => {
+    results.forEach((doc, index) => {
+      const id = String(doc[idField])
+      const entry = fused.get(id) || { doc: {}, score: 0, ranks: {} }
+      entry.doc = { ...entry.doc, ...doc }
+      entry.score += 1 / (k + index + 1)
+      entry.ranks[name] = index + 1
+      fused.set(id, entry)
+    })
+  })
+  return [...fused.values()]
+    .sort((x, y) => y.score - x.score)
+    .map((entry) => ({ ...entry.doc, $fusedScore: entry.score, $ranks: entry.ranks }))
+}
+
+module.exports = {
+  tokenize,
+  rankByBM25,
+  reciprocalRankFusion,
+}
@@ -0,0 +1,395 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const InvoiceConfig = require('../config/invoice');
+const jobQueue = require('./jobQueue');
+
+const JOB_TYPE = 'invoice-generation';
+// How far back the payment reconciliation looks for payments left without
+// an invoice
+const BACKFILL_DAYS = 7;
+const BACKFILL_BATCH_SIZE = 100;
+// Invoice dates, financial years and statement months follow Indian time
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// GST state codes (first two digits of a GSTIN)
+const GST_STATES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z0-9]{10}[0-9A-Z]Z[0-9A-Z]$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toIst = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS);
+
+// '2026-27' for any date from 1 April 2026 to 31 March 2027
+const financialYearOf = (date) => {
+  const ist = toIst(date);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// INV/2627/000042 - within the 16 characters GST allows for a serial number
+const formatInvoiceNumber = (financialYear, sequence) => {
+  const year = `${financialYear.slice(2, 4)}${financialYear.slice(5)}`;
+  return `${InvoiceConfig.PREFIX}/${year}/${String(sequence).padStart(6, '0')}`;
+};
+
+// [start, end) of a calendar month ('2026-09') in Indian time
+const monthRange = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  return {
+    start: new Date(Date.UTC(year, monthIndex, 1) - IST_OFFSET_MS),
+    end: new Date(Date.UTC(year, monthIndex + 1, 1) - IST_OFFSET_MS)
+  };
+};
+
+const stateOfGstin = (gstin) => {
+  const code = GSTIN_PATTERN.test(gstin || '') ? gstin.slice(0, 2) : null;
+  return { stateCode: code, state: code ? GST_STATES[code] || null : null };
+};
+
+// Seller details: the client's business profile, or the platform's
+const sellerFor = async (clientId) => {
+  let seller = InvoiceConfig.PLATFORM_SELLER;
+  if (clientId) {
+    const client = await User.findOne({ userId: clientId, role: 'client' })
+      .select('businessName name businessGSTNumber businessPANNumber businessAddress city pinCode email');
+    if (client) {
+      seller = {
+        name: client.businessName || client.name,
+        gstin: client.businessGSTNumber,
+        pan: client.businessPANNumber,
+        address: client.businessAddress,
+        city: client.city,
+        pinCode: client.pinCode,
+        email: client.email
+      };
+    }
+  }
+  const gstin = seller.gstin ? String(seller.gstin).trim().toUpperCase() : null;
+  return { ...seller, gstin, ...stateOfGstin(gstin) };
+};
+
+/**
+ * Split a tax-inclusive amount into taxable value and GST. Buyers are
+ * unregistered individuals with no address on file, so the place of supply
+ * is the seller's state unless one is given: CGST + SGST within a state,
+ * IGST across states. A seller without a valid GSTIN charges no GST.
+ */
+const gstBreakup = (total, { rate, sellerStateCode, buyerStateCode = null }) => {
+  if (!sellerStateCode || !(rate > 0)) {
+    return { gstRate: 0, taxableValue: roundMoney(total), cgst: 0, sgst: 0, igst: 0, interState: false };
+  }
+  const taxableValue = roundMoney(total / (1 + rate / 100));
+  const tax = roundMoney(total - taxableValue);
+  const interState = Boolean(buyerStateCode) && buyerStateCode !== sellerStateCode;
+  if (interState) return { gstRate: rate, taxableValue, cgst: 0, sgst: 0, igst: tax, interState };
+  const cgst = roundMoney(tax / 2);
+  return { gstRate: rate, taxableValue, cgst, sgst: roundMoney(tax - cgst), igst: 0, interState };
+};
+
+// Next number in the seller's series for the year
+const nextSequence = async (clientId, financialYear) => {
+  const sequence = await InvoiceSequence.findOneAndUpdate(
+    { clientId, financialYear },
+    { $inc: { lastNumber: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return sequence.lastNumber;
+};
+
+/**
+ * Issue the invoice for a successful payment, or return the one already
+ * issued. Dated when it is issued, so invoice numbers always run in date
+ * order. Resolves to null for payments that have not succeeded.
+ */
+const issueInvoice = async (paymentOrId) => {
+  const payment = paymentOrId instanceof Payment ? paymentOrId : await Payment.findById(paymentOrId);
+  if (!payment || payment.status !== 'SUCCESS') return null;
+
+  const existing = await Invoice.findOne({ payment: payment._id });
+  if (existing) return existing;
+
+  const seller = await sellerFor(payment.clientId || null);
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+  const breakup = gstBreakup(payment.amount, { rate: InvoiceConfig.GST_RATE, sellerStateCode: seller.stateCode });
+  const credits = Number(payment.creditsPurchased) || 0;
+
+  // The number is only taken once nothing else can fail; a lost race on the
+  // unique payment index still burns it, which shows as a gap in the series
+  // (and only background jobs issue invoices, to keep such races rare)
+  const sequence = await nextSequence(payment.clientId || null, financialYear);
+  try {
+    return await Invoice.create({
+      invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+      clientId: payment.clientId || null,
+      financialYear,
+      sequence,
+      payment: payment._id,
+      orderId: payment.orderId,
+      userId: payment.userId || null,
+      issuedAt,
+      seller,
+      buyer: {
+        name: payment.customerName,
+        email: payment.customerEmail || null,
+        phone: payment.customerPhone
+      },
+      placeOfSupply: { stateCode: seller.stateCode, state: seller.state },
+      interState: breakup.interState,
+      items: [{
+        description: credits > 0 ? `${credits} credits` : 'Credits',
+        sacCode: InvoiceConfig.SAC_CODE,
+        credits,
+        quantity: 1,
+        taxableValue: breakup.taxableValue
+      }],
+      currency: payment.currency || 'INR',
+      gstRate: breakup.gstRate,
+      taxableValue: breakup.taxableValue,
+      cgst: breakup.cgst,
+      sgst: breakup.sgst,
+      igst: breakup.igst,
+      total: payment.amount,
+      gatewayName: payment.gatewayName || 'PAYTM',
+      transactionId: payment.transactionId || null
+    });
+  } catch (error) {
+    if (error?.code === 11000 && error.keyPattern?.payment) return Invoice.findOne({ payment: payment._id });
+    throw error;
+  }
+};
+
+jobQueue.register(JOB_TYPE, async ({ paymentId }) => {
+  const invoice = await issueInvoice(paymentId);
+  return { invoiceNumber: invoice ? invoice.invoiceNumber : null };
+}, {
+  maxAttempts: 5
+});
+
+// Issue a payment's invoice in the background
+const queueInvoice = (payment) => {
+  return jobQueue.enqueue(JOB_TYPE, { paymentId: payment._id.toString() }, {
+    uniqueKey: `${JOB_TYPE}:${payment._id}`
+  });
+};
+
+// Issue invoices for recent successful payments that do not have one yet
+// (e.g. their job ran out of attempts). Run by the payment reconciliation.
+const issueMissingInvoices = async () => {
+  const since = new Date(Date.now() - BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+  const paymentIds = await Payment.find({ status: 'SUCCESS', createdAt: { $gte: since } }).distinct('_id');
+  const invoiced = await Invoice.find({ payment: { $in: paymentIds } }).distinct('payment');
+  const invoicedIds = new Set(invoiced.map(String));
+  const missing = paymentIds.filter((paymentId) => !invoicedIds.has(String(paymentId))).slice(0, BACKFILL_BATCH_SIZE);
+
+  let issued = 0;
+  for (const paymentId of missing) {
+    try {
+      if (await issueInvoice(paymentId)) issued += 1;
+    } catch (error) {
+      console.error(`Invoice backfill failed for payment ${paymentId}:`, error.message);
+    }
+  }
+  return issued;
+};
+
+/**
+ * A seller's invoices for one month ('2026-09') with their totals. Refunds
+ * recorded on the payments are reported alongside, since credit notes are
+ * not issued. Only reads: invoices are issued by background jobs.
+ */
+const monthlyStatement = async (clientId, month) => {
+  const range = monthRange(month);
+  if (!range) return null;
+
+  const invoices = await Invoice.find({ clientId, issuedAt: { $gte: range.start, $lt: range.end } })
+    .sort({ sequence: 1 })
+    .populate('payment', 'refundedAmount refundStatus')
+    .lean();
+
+  const totals = { count: invoices.length, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0, refunded: 0, credits: 0 };
+  invoices.forEach((invoice) => {
+    ['taxableValue', 'cgst', 'sgst', 'igst', 'total'].forEach((field) => {
+      totals[field] = roundMoney(totals[field] + (invoice[field] || 0));
+    });
+    totals.refunded = roundMoney(totals.refunded + (invoice.payment?.refundedAmount || 0));
+    totals.credits += invoice.items.reduce((sum, item) => sum + (item.credits || 0), 0);
+  });
+
+  return { month, clientId, from: range.start, to: range.end, invoices, totals };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const istDate = (date) => toIst(date).toISOString().slice(0, 10);
+
+// Statement as CSV, one row per invoice
+const statementCsv = (statement) => {
+  const header = [
+    'Invoice number', 'Date', 'Order ID', 'Customer', 'Phone', 'Credits', 'Taxable value',
+    'GST rate', 'CGST', 'SGST', 'IGST', 'Total', 'Refunded', 'Gateway', 'Transaction ID'
+  ];
+  const rows = statement.invoices.map((invoice) => [
+    invoice.invoiceNumber,
+    istDate(invoice.issuedAt),
+    invoice.orderId,
+    invoice.buyer?.name,
+    invoice.buyer?.phone,
+    invoice.items.reduce((sum, item) => sum + (item.credits || 0), 0),
+    invoice.taxableValue.toFixed(2),
+    invoice.gstRate,
+    invoice.cgst.toFixed(2),
+    invoice.sgst.toFixed(2),
+    invoice.igst.toFixed(2),
+    invoice.total.toFixed(2),
+    (invoice.payment?.refundedAmount || 0).toFixed(2),
+    invoice.gatewayName,
+    invoice.transactionId
+  ]);
+  const { totals } = statement;
+  rows.push([
+    'TOTAL', '', '', '', '', totals.credits, totals.taxableValue.toFixed(2), '', totals.cgst.toFixed(2),
+    totals.sgst.toFixed(2), totals.igst.toFixed(2), totals.total.toFixed(2), totals.refunded.toFixed(2), '', ''
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+// The standard PDF fonts only cover WinAnsi; anything else would throw
+const pdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E]/g, '?');
+
+// A4 tax invoice (or bill of supply when no GST was charged)
+const renderInvoicePdf = async (invoice) => {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([595.28, 841.89]);
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.4, 0.4, 0.4);
+  const left = 50;
+  const right = 545;
+  let y = 790;
+
+  const text = (value, x, options = {}) => {
+    const size = options.size || 10;
+    const usedFont = options.bold ? bold : font;
+    const content = pdfText(value);
+    const drawX = options.align === 'right' ? x - usedFont.widthOfTextAtSize(content, size) : x;
+    page.drawText(content, { x: drawX, y, size, font: usedFont, color: options.color || rgb(0, 0, 0) });
+  };
+  const line = () => {
+    page.drawLine({ start: { x: left, y }, end: { x: right, y }, thickness: 0.5, color: grey });
+  };
+  const money = (amount) => `${invoice.currency} ${Number(amount || 0).toFixed(2)}`;
+
+  const taxInvoice = invoice.gstRate > 0;
+  text(taxInvoice ? 'TAX INVOICE' : 'BILL OF SUPPLY', left, { size: 18, bold: true });
+  text(`Invoice No: ${invoice.invoiceNumber}`, right, { align: 'right', bold: true });
+  y -= 16;
+  text(`Date: ${istDate(invoice.issuedAt)}`, right, { align: 'right' });
+  y -= 14;
+  text(`Order ID: ${invoice.orderId}`, right, { align: 'right', color: grey });
+  y -= 30;
+
+  const { seller, buyer } = invoice;
+  text('Sold by', left, { bold: true });
+  text('Billed to', 320, { bold: true });
+  y -= 14;
+  const sellerLines = [
+    seller?.name,
+    seller?.address,
+    [seller?.city, seller?.pinCode].filter(Boolean).join(' - '),
+    seller?.state ? `State: ${seller.state} (${seller.stateCode})` : null,
+    seller?.gstin ? `GSTIN: ${seller.gstin}` : null,
+    seller?.pan ? `PAN: ${seller.pan}` : null
+  ].filter(Boolean);
+  const buyerLines = [buyer?.name, buyer?.phone, buyer?.email].filter(Boolean);
+  for (let i = 0; i < Math.max(sellerLines.length, buyerLines.length); i += 1) {
+    if (sellerLines[i]) text(sellerLines[i].slice(0, 55), left);
+    if (buyerLines[i]) text(buyerLines[i].slice(0, 45), 320);
+    y -= 13;
+  }
+  if (invoice.placeOfSupply?.state) {
+    y -= 4;
+    text(`Place of supply: ${invoice.placeOfSupply.state} (${invoice.placeOfSupply.stateCode})`, left);
+    y -= 13;
+  }
+
+  y -= 16;
+  line();
+  y -= 14;
+  text('Description', left, { bold: true });
+  text('SAC', 330, { bold: true });
+  text('Qty', 400, { bold: true });
+  text('Taxable value', right, { bold: true, align: 'right' });
+  y -= 8;
+  line();
+  y -= 16;
+  invoice.items.forEach((item) => {
+    text(item.description, left);
+    text(item.sacCode, 330);
+    text(item.quantity, 400);
+    text(money(item.taxableValue), right, { align: 'right' });
+    y -= 16;
+  });
+  line();
+
+  y -= 18;
+  const totalRow = (label, amount, options = {}) => {
+    text(label, 400, options);
+    text(money(amount), right, { ...options, align: 'right' });
+    y -= 16;
+  };
+  totalRow('Taxable value', invoice.taxableValue);
+  if (taxInvoice && invoice.interState) {
+    totalRow(`IGST @ ${invoice.gstRate}%`, invoice.igst);
+  } else if (taxInvoice) {
+    totalRow(`CGST @ ${invoice.gstRate / 2}%`, invoice.cgst);
+    totalRow(`SGST @ ${invoice.gstRate / 2}%`, invoice.sgst);
+  }
+  totalRow('Total', invoice.total, { bold: true });
+
+  y -= 20;
+  text(`Paid via ${invoice.gatewayName || 'online payment'}${invoice.transactionId ? `, transaction ${invoice.transactionId}` : ''}`, left, { color: grey });
+  y -= 14;
+  text('Tax is not payable on reverse charge basis.', left, { color: grey });
+  y = 60;
+  text('This is a computer generated invoice and does not require a signature.', left, { size: 8, color: grey });
+
+  return Buffer.from(await doc.save());
+};
+
+// File name for an invoice download
+const invoiceFileName = (invoice) => `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+module.exports = {
+  JOB_TYPE,
+  financialYearOf,
+  formatInvoiceNumber,
+  monthRange,
+  gstBreakup,
+  issueInvoice,
+  queueInvoice,
+  issueMissingInvoices,
+  monthlyStatement,
+  statementCsv,
+  renderInvoicePdf,
+  invoiceFileName
+};
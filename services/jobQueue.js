@@ -0,0 +1,226 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const DEFAULT_POLL_INTERVAL = 2000;
+const DEFAULT_LOCK_TIMEOUT = 10 * 60 * 1000;
+const DEFAULT_BACKOFF_BASE = 5000;
+const MAX_BACKOFF = 15 * 60 * 1000;
+// How often to look for jobs abandoned on their last attempt
+const ABANDONED_CHECK_INTERVAL = 60 * 1000;
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.activeJobs = 0;
+    this.concurrency = 2;
+    this.pollInterval = DEFAULT_POLL_INTERVAL;
+    this.lockTimeout = DEFAULT_LOCK_TIMEOUT;
+    this.timer = null;
+    this.lastAbandonedCheck = 0;
+  }
+
+  // Register a handler for a job type.
+  // options: maxAttempts, backoffBase (ms), onFailed(payload, error, job),
+  // every (ms) - run the job repeatedly, the next run being queued once the
+  // previous one has finished
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, options });
+  }
+
+  // Persist a new job. If uniqueKey is given and a job with that key is still
+  // queued or processing, the existing job is returned instead.
+  async enqueue(type, payload = {}, options = {}) {
+    const handlerEntry = this.handlers.get(type);
+    const jobData = {
+      type,
+      payload,
+      uniqueKey: options.uniqueKey || null,
+      maxAttempts: options.maxAttempts || handlerEntry?.options.maxAttempts || 5,
+      runAt: options.runAt || new Date()
+    };
+
+    try {
+      return await Job.create(jobData);
+    } catch (error) {
+      if (options.uniqueKey && (error.code === 11000 || error.message.includes('E11000'))) {
+        return Job.findOne({ uniqueKey: options.uniqueKey });
+      }
+      throw error;
+    }
+  }
+
+  // Queue the next run of a recurring job. The shared uniqueKey keeps a
+  // single pending run across all workers.
+  async enqueueRecurring(type, runAt = new Date()) {
+    try {
+      await this.enqueue(type, {}, { uniqueKey: `recurring:${type}`, runAt });
+    } catch (error) {
+      console.error(`Failed to schedule recurring job ${type}:`, error.message);
+    }
+  }
+
+  // Atomically claim the next due job, including jobs whose worker died
+  // while holding the lock and that have attempts left.
+  async claimNext() {
+    const now = new Date();
+    const staleLock = new Date(now.getTime() - this.lockTimeout);
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: Array.from(this.handlers.keys()) },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lte: staleLock }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  getBackoffDelay(attempts, base) {
+    const delay = Math.min(MAX_BACKOFF, base * Math.pow(2, Math.max(0, attempts - 1)));
+    // Add up to 20% jitter so retries from a burst do not line up
+    return Math.round(delay + delay * 0.2 * Math.random());
+  }
+
+  async runJob(job) {
+    const { handler, options } = this.handlers.get(job.type);
+    try {
+      const result = await handler(job.payload, job);
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: {
+            status: 'completed',
+            result: result === undefined ? null : result,
+            completedAt: new Date(),
+            lockedAt: null,
+            lockedBy: null,
+            uniqueKey: null
+          }
+        }
+      );
+      if (options.every) await this.enqueueRecurring(job.type, new Date(Date.now() + options.every));
+    } catch (error) {
+      const message = error?.message || String(error);
+      const retryable = error?.retryable !== false && job.attempts < job.maxAttempts;
+      console.error(`Job ${job.type} (${job._id}) attempt ${job.attempts}/${job.maxAttempts} failed:`, message);
+
+      const update = {
+        $set: { lastError: message, lockedAt: null, lockedBy: null },
+        $push: { errorHistory: { attempt: job.attempts, message, failedAt: new Date() } }
+      };
+      if (retryable) {
+        const delay = this.getBackoffDelay(job.attempts, options.backoffBase || DEFAULT_BACKOFF_BASE);
+        update.$set.status = 'queued';
+        update.$set.runAt = new Date(Date.now() + delay);
+      } else {
+        update.$set.status = 'failed';
+        update.$set.failedAt = new Date();
+        update.$set.uniqueKey = null;
+      }
+      await Job.updateOne({ _id: job._id, lockedBy: this.workerId }, update);
+      if (!retryable && options.every) {
+        await this.enqueueRecurring(job.type, new Date(Date.now() + options.every));
+      }
+
+      if (!retryable && typeof options.onFailed === 'function') {
+        try {
+          await options.onFailed(job.payload, error, job);
+        } catch (hookError) {
+          console.error(`onFailed hook for job ${job.type} (${job._id}) failed:`, hookError);
+        }
+      }
+    }
+  }
+
+  // Fail jobs whose lock expired on their last attempt. A job that keeps
+  // killing its worker (rather than throwing) ends here instead of being
+  // reclaimed forever.
+  async failAbandoned() {
+    const staleLock = new Date(Date.now() - this.lockTimeout);
+    const abandoned = await Job.find({
+      type: { $in: Array.from(this.handlers.keys()) },
+      status: 'processing',
+      lockedAt: { $lte: staleLock },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    }).limit(100);
+
+    for (const job of abandoned) {
+      const { options } = this.handlers.get(job.type);
+      const message = 'Worker stopped while running the job';
+      const failed = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'processing', lockedAt: job.lockedAt },
+        {
+          $set: { status: 'failed', failedAt: new Date(), lastError: message, lockedAt: null, lockedBy: null, uniqueKey: null },
+          $push: { errorHistory: { attempt: job.attempts, message, failedAt: new Date() } }
+        },
+        { new: true }
+      );
+      if (!failed) continue;
+      console.error(`Job ${job.type} (${job._id}) abandoned after ${job.attempts}/${job.maxAttempts} attempts`);
+
+      if (options.every) await this.enqueueRecurring(job.type, new Date(Date.now() + options.every));
+      if (typeof options.onFailed === 'function') {
+        try {
+          await options.onFailed(job.payload, new Error(message), failed);
+        } catch (hookError) {
+          console.error(`onFailed hook for job ${job.type} (${job._id}) failed:`, hookError);
+        }
+      }
+    }
+  }
+
+  async tick() {
+    if (!this.running) return;
+    try {
+      if (Date.now() - this.lastAbandonedCheck >= ABANDONED_CHECK_INTERVAL) {
+        this.lastAbandonedCheck = Date.now();
+        await this.failAbandoned();
+      }
+      while (this.running && this.activeJobs < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.activeJobs++;
+        this.runJob(job)
+          .catch((error) => console.error('Job runner error:', error))
+          .finally(() => {
+            this.activeJobs--;
+          });
+      }
+    } catch (error) {
+      console.error('Job queue poll failed:', error.message);
+    }
+    this.timer = setTimeout(() => this.tick(), this.pollInterval);
+  }
+
+  // Start polling for jobs
+  start(options = {}) {
+    if (this.running) return;
+    this.concurrency = options.concurrency || this.concurrency;
+    this.pollInterval = options.pollInterval || this.pollInterval;
+    this.lockTimeout = options.lockTimeout || this.lockTimeout;
+    this.running = true;
+    console.log(`Job queue started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+    for (const [type, { options: handlerOptions }] of this.handlers) {
+      if (handlerOptions.every) this.enqueueRecurring(type);
+    }
+    this.tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
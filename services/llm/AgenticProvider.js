@@ -0,0 +1,107 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { BaseProvider, LLMProviderError } = require('./BaseProvider');
+
+const AGENTIC_API_URL = 'https://api.va.landing.ai/v1/tools/agentic-document-analysis';
+
+// LandingAI agentic document analysis. Extraction only - it cannot generate
+// text, so it must not be selected for analysis/evaluation/chat tasks.
+class AgenticProvider extends BaseProvider {
+  constructor(serviceConfig) {
+    super(serviceConfig);
+    this.capabilities = ['vision'];
+    this.timeout = (this.options.timeout || 480) * 1000;
+  }
+
+  async extractTextFromImage(imageUrl, options = {}) {
+    const fileIndex = (options.index || 0) + 1;
+    const formData = new FormData();
+
+    if (imageUrl.startsWith('http')) {
+      const imageResponse = await axios.get(imageUrl, {
+        responseType: 'stream',
+        timeout: 30000,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; TextExtractor/1.0)',
+        },
+      });
+      if (imageResponse.status !== 200) {
+        throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
+      }
+      let fileExtension = 'jpg';
+      const contentType = imageResponse.headers['content-type'];
+      if (contentType) {
+        if (contentType.includes('png')) fileExtension = 'png';
+        else if (contentType.includes('pdf')) fileExtension = 'pdf';
+        else if (contentType.includes('webp')) fileExtension = 'webp';
+      }
+      formData.append('image', imageResponse.data, {
+        filename: `document_${fileIndex}.${fileExtension}`,
+        contentType: contentType || 'image/jpeg',
+      });
+    } else {
+      formData.append('image', imageUrl, {
+        filename: `document_${fileIndex}.jpg`,
+        contentType: 'image/jpeg',
+      });
+    }
+
+    formData.append('include_marginalia', String(this.options.includeMarginalia ?? true));
+    formData.append('include_metadata_in_markdown', String(this.options.includeMetadataInMarkdown ?? true));
+
+    const queryParams = new URLSearchParams();
+    if (this.options.pages) {
+      queryParams.append('pages', this.options.pages);
+    }
+    if (this.options.timeout) {
+      queryParams.append('timeout', this.options.timeout.toString());
+    }
+    const query = queryParams.toString();
+
+    let agenticResponse;
+    try {
+      agenticResponse = await axios.post(`${AGENTIC_API_URL}${query ? `?${query}` : ''}`, formData, {
+        headers: {
+          ...formData.getHeaders(),
+          Authorization: `Basic ${this.apiKey}`,
+        },
+        timeout: this.timeout,
+      });
+    } catch (error) {
+      throw this.wrapError(error, 'document analysis');
+    }
+
+    const responseData = agenticResponse.data;
+    if (typeof responseData === 'string' && responseData.includes('<!DOCTYPE html>')) {
+      throw new LLMProviderError('Authentication failed - received HTML redirect page instead of API response', {
+        provider: this.serviceName,
+        status: 401,
+        retryable: false,
+      });
+    }
+    if (agenticResponse.status !== 200 || !responseData?.data) {
+      throw new Error(`Unexpected response status or format: ${agenticResponse.status}`);
+    }
+
+    if (responseData.errors && responseData.errors.length > 0) {
+      console.warn(`Agentic API warnings for image ${fileIndex}:`, responseData.errors);
+    }
+    if (responseData.extraction_error) {
+      console.warn(`Agentic API extraction error for image ${fileIndex}:`, responseData.extraction_error);
+    }
+
+    const apiData = responseData.data;
+    if (apiData.markdown && apiData.markdown.trim()) {
+      return apiData.markdown.trim();
+    }
+    if (Array.isArray(apiData.chunks)) {
+      const chunkTexts = apiData.chunks.filter((chunk) => chunk.text && chunk.text.trim()).map((chunk) => chunk.text.trim());
+      if (chunkTexts.length > 0) {
+        return chunkTexts.join('\n\n');
+      }
+    }
+    return 'No readable text found';
+  }
+}
+
+module.exports = AgenticProvider;
@@ -0,0 +1,153 @@
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+const OCR_PROMPT = `You are a precise OCR (Optical Character Recognition) system. Your task is to extract ALL text content from this image.
+Instructions:
+1. Extract ALL visible text exactly as it appears
+2. Maintain the original formatting, line breaks, and spacing
+3. Include mathematical equations, formulas, and symbols
+4. Include any handwritten text if clearly readable
+5. Do not add explanations, interpretations, or additional commentary
+6. If the text is in multiple languages, extract all of it
+7. If there are tables, preserve the table structure
+8. If no readable text is found, respond with exactly: "No readable text found"
+Return only the extracted text content:`;
+
+// Error raised by every provider so callers can branch on status/code
+// without knowing which vendor produced it
+class LLMProviderError extends Error {
+  constructor(message, { provider, status = null, code = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Common interface for LLM backends. Subclasses implement the capabilities
+ * they support and list them in `capabilities`:
+ *   text       - generateText({ prompt | messages, system, temperature, maxTokens, json, model, timeout })
+ *   stream     - streamText(options) async generator yielding text deltas
+ *   vision     - extractTextFromImage(imageUrl, { prompt, model, timeout })
+ *   embeddings - embed(texts, { model }) resolving to one vector per text
+ */
+class BaseProvider {
+  constructor(serviceConfig = {}) {
+    this.serviceName = serviceConfig.serviceName;
+    this.displayName = serviceConfig.displayName || serviceConfig.serviceName;
+    this.apiKey = serviceConfig.apiKey;
+    this.apiUrl = serviceConfig.apiUrl;
+    this.options = serviceConfig.serviceConfig || {};
+    this.timeout = (this.options.timeout || 60) * 1000;
+    this.capabilities = [];
+    this.defaultModels = {};
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  // Model configured on the service, falling back to the provider default
+  getModel(kind) {
+    return this.options[`${kind}Model`] || this.defaultModels[kind];
+  }
+
+  unsupported(capability) {
+    return new LLMProviderError(`${this.serviceName} does not support ${capability}`, {
+      provider: this.serviceName,
+      code: 'CAPABILITY_NOT_SUPPORTED',
+      retryable: false,
+    });
+  }
+
+  async generateText() {
+    throw this.unsupported('text generation');
+  }
+
+  async *streamText() {
+    throw this.unsupported('streaming');
+  }
+
+  async extractTextFromImage() {
+    throw this.unsupported('vision OCR');
+  }
+
+  async embed() {
+    throw this.unsupported('embeddings');
+  }
+
+  // Normalise prompt/system/messages into a plain chat message list
+  buildMessages({ prompt, system, messages }) {
+    const result = [];
+    if (system) result.push({ role: 'system', content: system });
+    if (Array.isArray(messages)) {
+      messages.forEach((msg) => {
+        result.push({ role: msg.role === 'user' ? 'user' : msg.role === 'system' ? 'system' : 'assistant', content: msg.content });
+      });
+    }
+    if (prompt) result.push({ role: 'user', content: prompt });
+    return result;
+  }
+
+  // Download an image and return it as base64 with its content type
+  async fetchImage(imageUrl) {
+    const imageResponse = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; TextExtractor/1.0)',
+      },
+    });
+    if (imageResponse.status !== 200) {
+      throw new Error(`Failed to fetch image: ${imageResponse.status} ${imageResponse.statusText}`);
+    }
+    const imageBuffer = Buffer.from(imageResponse.data);
+    if (imageBuffer.length === 0) {
+      throw new Error('Empty image buffer received');
+    }
+    return {
+      data: imageBuffer.toString('base64'),
+      contentType: imageResponse.headers['content-type'] || 'image/jpeg',
+    };
+  }
+
+  // Parse a server-sent events body into the JSON payload of each data line
+  async *readEventStream(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    for await (const chunk of stream) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const data = trimmed.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+        try {
+          yield JSON.parse(data);
+        } catch (error) {
+          console.warn(`${this.serviceName} stream: skipping malformed event`);
+        }
+      }
+    }
+  }
+
+  // Convert an axios failure into an LLMProviderError
+  wrapError(error, action) {
+    if (error instanceof LLMProviderError) return error;
+    const status = error.response?.status || null;
+    const apiMessage = error.response?.data?.error?.message || error.response?.data?.message;
+    const code = error.response?.data?.error?.code || error.response?.data?.error?.status || error.code || null;
+    const timedOut = error.code === 'ECONNABORTED' || /timeout/i.test(error.message);
+    const message = `${this.serviceName} ${action} failed: ${apiMessage || (timedOut ? 'request timed out' : error.message)}`;
+    // Client errors (bad key, bad request) will not fix themselves on retry
+    const retryable = !status || status === 408 || status === 429 || status >= 500;
+    return new LLMProviderError(message, { provider: this.serviceName, status, code, retryable });
+  }
+}
+
+module.exports = { BaseProvider, LLMProviderError, OCR_PROMPT };
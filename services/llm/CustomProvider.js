@@ -0,0 +1,22 @@
+const OpenAIProvider = require('./OpenAIProvider');
+
+// Any server that speaks the OpenAI chat completions / embeddings protocol
+// (vLLM, Ollama, LM Studio, LiteLLM, a local stand-in model, ...).
+// apiUrl is the API base, e.g. http://localhost:11434/v1; the API key is
+// optional. Model names come from serviceConfig.textModel / visionModel /
+// embeddingModel since there is no sensible vendor default.
+class CustomProvider extends OpenAIProvider {
+  constructor(serviceConfig) {
+    super(serviceConfig);
+    const textModel = this.options.textModel || 'default';
+    this.defaultModels = {
+      text: textModel,
+      vision: textModel,
+      embedding: textModel,
+    };
+    // Not every compatible server understands response_format
+    this.supportsJsonMode = this.options.jsonMode !== false;
+  }
+}
+
+module.exports = CustomProvider;
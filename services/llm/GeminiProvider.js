@@ -0,0 +1,171 @@
+const axios = require('axios');
+const { BaseProvider, OCR_PROMPT } = require('./BaseProvider');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Google Gemini REST API. apiUrl is stored as a full generateContent URL
+// (".../models/<model>:generateContent"), so the base URL and default text
+// model are derived from it.
+class GeminiProvider extends BaseProvider {
+  constructor(serviceConfig) {
+    super(serviceConfig);
+    this.capabilities = ['text', 'stream', 'vision', 'embeddings'];
+    const match = (this.apiUrl || '').match(/^(.*)\/models\/([^:/]+)(?::\w+)?/);
+    this.baseUrl = match ? match[1] : (this.apiUrl || GEMINI_BASE_URL).replace(/\/+$/, '');
+    const urlModel = match ? match[2] : null;
+    this.defaultModels = {
+      text: urlModel || 'gemini-2.0-flash',
+      vision: urlModel || 'gemini-2.0-flash',
+      embedding: 'text-embedding-004',
+    };
+  }
+
+  getModelUrl(model, method) {
+    return `${this.baseUrl}/models/${model}:${method}`;
+  }
+
+  buildContentsBody(options) {
+    const messages = this.buildMessages(options);
+    const systemText = messages
+      .filter((msg) => msg.role === 'system')
+      .map((msg) => msg.content)
+      .join('\n\n');
+    const body = {
+      contents: messages
+        .filter((msg) => msg.role !== 'system')
+        .map((msg) => ({
+          role: msg.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: msg.content }],
+        })),
+      generationConfig: {
+        temperature: options.temperature ?? 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: options.maxTokens || 2048,
+      },
+    };
+    if (systemText) {
+      body.systemInstruction = { parts: [{ text: systemText }] };
+    }
+    if (options.json) {
+      body.generationConfig.responseMimeType = 'application/json';
+    }
+    return body;
+  }
+
+  async generateText(options = {}) {
+    const model = options.model || this.getModel('text');
+    try {
+      const response = await axios.post(
+        `${this.getModelUrl(model, 'generateContent')}?key=${this.apiKey}`,
+        this.buildContentsBody(options),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: options.timeout || this.timeout,
+        }
+      );
+      const parts = response.data?.candidates?.[0]?.content?.parts;
+      if (!parts || parts.length === 0) {
+        throw new Error('Invalid response from Gemini API');
+      }
+      const usage = response.data.usageMetadata || {};
+      return {
+        text: parts.map((part) => part.text || '').join(''),
+        model,
+        usage: {
+          promptTokens: usage.promptTokenCount || 0,
+          completionTokens: usage.candidatesTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0,
+        },
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'text generation');
+    }
+  }
+
+  async *streamText(options = {}) {
+    const model = options.model || this.getModel('text');
+    let response;
+    try {
+      response = await axios.post(
+        `${this.getModelUrl(model, 'streamGenerateContent')}?alt=sse&key=${this.apiKey}`,
+        this.buildContentsBody(options),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: options.timeout || this.timeout,
+          responseType: 'stream',
+          signal: options.signal,
+        }
+      );
+    } catch (error) {
+      throw this.wrapError(error, 'streaming');
+    }
+    for await (const event of this.readEventStream(response.data)) {
+      const parts = event.candidates?.[0]?.content?.parts || [];
+      const delta = parts.map((part) => part.text || '').join('');
+      if (delta) yield delta;
+    }
+  }
+
+  async extractTextFromImage(imageUrl, options = {}) {
+    const image = await this.fetchImage(imageUrl);
+    const model = options.model || this.getModel('vision');
+    try {
+      const response = await axios.post(
+        `${this.getModelUrl(model, 'generateContent')}?key=${this.apiKey}`,
+        {
+          contents: [
+            {
+              parts: [
+                { text: options.prompt || OCR_PROMPT },
+                { inline_data: { mime_type: image.contentType, data: image.data } },
+              ],
+            },
+          ],
+          generationConfig: {
+            temperature: 0.1,
+            maxOutputTokens: options.maxTokens || 2048,
+          },
+        },
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: options.timeout || 45000,
+        }
+      );
+      const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      return (text || 'No readable text found').trim();
+    } catch (error) {
+      throw this.wrapError(error, 'text extraction');
+    }
+  }
+
+  async embed(texts, options = {}) {
+    const inputs = Array.isArray(texts) ? texts : [texts];
+    const model = options.model || this.getModel('embedding');
+    const batchSize = options.batchSize || 100;
+    const embeddings = [];
+    try {
+      for (let i = 0; i < inputs.length; i += batchSize) {
+        const response = await axios.post(
+          `${this.getModelUrl(model, 'batchEmbedContents')}?key=${this.apiKey}`,
+          {
+            requests: inputs.slice(i, i + batchSize).map((text) => ({
+              model: `models/${model}`,
+              content: { parts: [{ text }] },
+            })),
+          },
+          {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: options.timeout || this.timeout,
+          }
+        );
+        embeddings.push(...(response.data?.embeddings || []).map((item) => item.values));
+      }
+    } catch (error) {
+      throw this.wrapError(error, 'embedding');
+    }
+    return embeddings;
+  }
+}
+
+module.exports = GeminiProvider;
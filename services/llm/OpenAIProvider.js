@@ -0,0 +1,152 @@
+const axios = require('axios');
+const { BaseProvider, OCR_PROMPT } = require('./BaseProvider');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// OpenAI chat completions / embeddings API. apiUrl may be either the
+// chat completions endpoint (as stored for the openai service) or the API base.
+class OpenAIProvider extends BaseProvider {
+  constructor(serviceConfig) {
+    super(serviceConfig);
+    this.capabilities = ['text', 'stream', 'vision', 'embeddings'];
+    this.defaultModels = {
+      text: 'gpt-4o-mini',
+      vision: 'gpt-4o-mini',
+      embedding: 'text-embedding-3-small',
+    };
+    this.baseUrl = (this.apiUrl || OPENAI_BASE_URL).replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+    this.supportsJsonMode = true;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildChatBody(options, stream = false) {
+    const body = {
+      model: options.model || this.getModel('text'),
+      messages: this.buildMessages(options),
+      max_tokens: options.maxTokens || 1500,
+      temperature: options.temperature ?? 0.7,
+    };
+    if (options.json && this.supportsJsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+    if (stream) {
+      body.stream = true;
+    }
+    return body;
+  }
+
+  async generateText(options = {}) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildChatBody(options), {
+        headers: this.getHeaders(),
+        timeout: options.timeout || this.timeout,
+      });
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error(`Invalid response from ${this.serviceName} API`);
+      }
+      return {
+        text: content,
+        model: response.data.model || options.model || this.getModel('text'),
+        usage: {
+          promptTokens: response.data.usage?.prompt_tokens || 0,
+          completionTokens: response.data.usage?.completion_tokens || 0,
+          totalTokens: response.data.usage?.total_tokens || 0,
+        },
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'text generation');
+    }
+  }
+
+  async *streamText(options = {}) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildChatBody(options, true), {
+        headers: this.getHeaders(),
+        timeout: options.timeout || this.timeout,
+        responseType: 'stream',
+        signal: options.signal,
+      });
+    } catch (error) {
+      throw this.wrapError(error, 'streaming');
+    }
+    for await (const event of this.readEventStream(response.data)) {
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+
+  async extractTextFromImage(imageUrl, options = {}) {
+    let processedImageUrl = imageUrl;
+    // Cloudinary URLs are publicly reachable; anything else is inlined
+    if (!imageUrl.includes('cloudinary.com')) {
+      const image = await this.fetchImage(imageUrl);
+      if (!image.contentType.startsWith('image/')) {
+        throw new Error(`Invalid content type: ${image.contentType}`);
+      }
+      processedImageUrl = `data:${image.contentType};base64,${image.data}`;
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        {
+          model: options.model || this.getModel('vision'),
+          messages: [
+            {
+              role: 'user',
+              content: [
+                { type: 'text', text: options.prompt || OCR_PROMPT },
+                { type: 'image_url', image_url: { url: processedImageUrl, detail: 'high' } },
+              ],
+            },
+          ],
+          max_tokens: options.maxTokens || 2000,
+          temperature: 0.1,
+        },
+        {
+          headers: this.getHeaders(),
+          timeout: options.timeout || 45000,
+        }
+      );
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error(`No content in ${this.serviceName} vision response`);
+      }
+      return content.trim();
+    } catch (error) {
+      throw this.wrapError(error, 'text extraction');
+    }
+  }
+
+  async embed(texts, options = {}) {
+    const inputs = Array.isArray(texts) ? texts : [texts];
+    const model = options.model || this.getModel('embedding');
+    const batchSize = options.batchSize || 100;
+    const embeddings = [];
+    try {
+      for (let i = 0; i < inputs.length; i += batchSize) {
+        const response = await axios.post(
+          `${this.baseUrl}/embeddings`,
+          { model, input: inputs.slice(i, i + batchSize) },
+          { headers: this.getHeaders(), timeout: options.timeout || this.timeout }
+        );
+        const batch = [...(response.data?.data || [])].sort((a, b) => a.index - b.index);
+        embeddings.push(...batch.map((item) => item.embedding));
+      }
+    } catch (error) {
+      throw this.wrapError(error, 'embedding');
+    }
+    return embeddings;
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,39 @@
+const { BaseProvider, LLMProviderError, OCR_PROMPT } = require('./BaseProvider');
+const OpenAIProvider = require('./OpenAIProvider');
+const GeminiProvider = require('./GeminiProvider');
+const CustomProvider = require('./CustomProvider');
+const AgenticProvider = require('./AgenticProvider');
+
+// serviceName (as stored on AIServiceConfig) -> provider class
+const providers = {
+  openai: OpenAIProvider,
+  gemini: GeminiProvider,
+  custom: CustomProvider,
+  agentic: AgenticProvider,
+};
+
+// Build a provider from an AIServiceConfig document or a plain object with
+// the same shape ({ serviceName, apiKey, apiUrl, serviceConfig })
+const createProvider = (serviceConfig) => {
+  const Provider = providers[serviceConfig?.serviceName];
+  if (!Provider) {
+    throw new Error(`Unsupported AI service: ${serviceConfig?.serviceName}`);
+  }
+  const config = typeof serviceConfig.toObject === 'function' ? serviceConfig.toObject() : serviceConfig;
+  return new Provider(config);
+};
+
+const hasProvider = (serviceName) => Boolean(providers[serviceName]);
+
+const registerProvider = (serviceName, Provider) => {
+  providers[serviceName] = Provider;
+};
+
+module.exports = {
+  createProvider,
+  hasProvider,
+  registerProvider,
+  BaseProvider,
+  LLMProviderError,
+  OCR_PROMPT,
+};
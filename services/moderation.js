@@ -0,0 +1,523 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ModerationPolicy = require('../models/ModerationPolicy');
+const ModerationCase = require('../models/ModerationCase');
+const EvaluatorScore = require('../models/EvaluatorScore');
+const Evaluator = require('../models/Evaluator');
+const UserAnswer = require('../models/UserAnswer');
+const ReviewRequest = require('../models/ReviewRequest');
+const Admin = require('../models/Admin');
+const AiswbQuestion = require('../models/AiswbQuestion');
+const SubjectiveTestQuestion = require('../models/SubjectiveTestQuestion');
+const evaluatorAssignment = require('./evaluatorAssignment');
+const jobQueue = require('./jobQueue');
+const { notify } = require('./notifications');
+
+const CHECK_JOB_TYPE = 'evaluator-quality-check';
+const CHECK_INTERVAL = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Scores looked at by the scheduled drift check
+const DRIFT_WINDOW_MS = 30 * DAY_MS;
+const ASSIGN_BATCH_SIZE = 100;
+
+const DEFAULT_POLICY = {
+  sampleRate: 10,
+  tolerance: 10,
+  driftThreshold: 10,
+  minSamples: 10
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toPercent = (score, maxScore) => {
+  if (!Number.isFinite(score) || !Number.isFinite(maxScore) || maxScore <= 0) return null;
+  return round2(Math.min(Math.max(score / maxScore, 0), 1) * 100);
+};
+
+// Moderation policy for a client: its own row, else the platform row
+// (clientId null), else DEFAULT_POLICY
+const getPolicy = async (clientId) => {
+  const rows = await ModerationPolicy.find({
+    clientId: { $in: clientId ? [clientId, null] : [null] },
+    isActive: true
+  }).lean();
+  const row = rows.find((policy) => policy.clientId === clientId) || rows.find((policy) => policy.clientId === null);
+  if (row) {
+    return { ...Object.fromEntries(POLICY_FIELDS.map((field) => [field, row[field]])), source: row.clientId ? 'client' : 'platform' };
+  }
+  return { ...DEFAULT_POLICY, source: 'default' };
+};
+
+/**
+ * Validate and save the moderation policy of a client (null: the platform).
+ * Fields not sent keep their current (or default) value. Resolves to
+ * { policy } or { error }.
+ */
+const savePolicy = async (clientId, body, updatedBy = null) => {
+  const current = await getPolicy(clientId || null);
+  const values = {};
+  for (const field of POLICY_FIELDS) {
+    const value = body[field] === undefined || body[field] === '' ? current[field] : Number(body[field]);
+    const max = field === 'minSamples' ? Infinity : 100;
+    const min = field === 'minSamples' ? 1 : 0;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: field === 'minSamples' ? 'minSamples must be a number of 1 or more' : `${field} must be between 0 and 100` };
+    }
+    values[field] = value;
+  }
+
+  const policy = await ModerationPolicy.findOneAndUpdate(
+    { clientId: clientId || null },
+    { $set: { ...values, isActive: body.isActive === undefined ? true : Boolean(body.isActive), updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return { policy };
+};
+
+// Whether an answer falls in the sample. Decided by a hash of its id, so
+// the same answer is always in or out whichever way it was scored.
+const isSampled = (answerId, sampleRate) => {
+  if (sampleRate <= 0) return false;
+  const bucket = crypto.createHash('sha256').update(String(answerId)).digest().readUInt32BE(0) / 0x100000000;
+  return bucket * 100 < sampleRate;
+};
+
+const questionFor = (answer) => {
+  const Model = answer.testType === 'subjective' ? SubjectiveTestQuestion : AiswbQuestion;
+  return Model.findById(answer.questionId).select('question metadata.maximumMarks').lean();
+};
+
+// Offer a case to the best-ranked evaluator other than the one who scored it
+const assignModerator = async (moderationCase) => {
+  const answer = await UserAnswer.findById(moderationCase.answerId).select('userId questionId clientId').lean();
+  if (!answer) return moderationCase;
+  const [best] = await evaluatorAssignment.rankEvaluators(
+    { answerId: moderationCase.answerId, questionId: answer.questionId, userId: answer.userId, clientId: moderationCase.clientId },
+    { exclude: [moderationCase.primary.evaluator] }
+  );
+  if (!best) return moderationCase;
+
+  const assigned = await ModerationCase.findOneAndUpdate(
+    { _id: moderationCase._id, status: 'awaiting_moderator' },
+    { $set: { status: 'awaiting_moderation', moderator: { evaluator: best.evaluator._id, assignedAt: new Date() } } },
+    { new: true }
+  );
+  if (!assigned) return moderationCase;
+
+  try {
+    await notify({
+      recipientType: 'Evaluator',
+      recipientId: best.evaluator._id,
+      clientId: assigned.clientId,
+      type: 'moderation_assigned',
+      title: 'Answer to moderate',
+      message: 'An answer has been assigned to you for moderation. Score it independently; the first score is not shown.',
+      data: { caseId: assigned._id, answerId: assigned.answerId },
+      dedupeKey: `moderation-assigned:${assigned._id}:${best.evaluator._id}`
+    });
+  } catch (error) {
+    console.error(`Failed to notify evaluator ${best.evaluator._id}:`, error.message);
+  }
+  return assigned;
+};
+
+/**
+ * Record a human score for an answer and, if the answer falls in the
+ * client's moderation sample, open a blind moderation case for it. A
+ * re-score before moderation replaces the first score. aiScore is the AI
+ * evaluation's score out of aiMaxScore, when the answer had one.
+ *
+ * Resolves to { score, moderationCase }.
+ */
+const recordScore = async ({ answer, evaluatorId, source, score, maxScore, aiScore = null, aiMaxScore = null, reviewRequest = null }) => {
+  const percent = toPercent(Number(score), Number(maxScore));
+  if (!evaluatorId || percent === null) return { score: null, moderationCase: null };
+  const aiPercent = aiScore === null || aiScore === undefined ? null : toPercent(Number(aiScore), Number(aiMaxScore));
+  const now = new Date();
+
+  const recorded = await EvaluatorScore.findOneAndUpdate(
+    { answerId: answer._id, source },
+    {
+      $set: {
+        evaluator: evaluatorId,
+        questionId: answer.questionId,
+        clientId: answer.clientId,
+        score: Number(score),
+        maxScore: Number(maxScore),
+        percent,
+        scoredAt: now,
+        // A re-score keeps the AI score taken at the first one
+        ...(aiPercent === null ? {} : { aiPercent })
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const primary = { evaluator: evaluatorId, score: Number(score), percent, scoredAt: now };
+  let moderationCase = await ModerationCase.findOneAndUpdate(
+    { answerId: answer._id, source, status: { $in: ['awaiting_moderator', 'awaiting_moderation'] }, 'primary.evaluator': evaluatorId },
+    { $set: { primary, maxScore: Number(maxScore) } },
+    { new: true }
+  );
+  if (moderationCase) return { score: recorded, moderationCase };
+
+  const policy = await getPolicy(answer.clientId);
+  const alreadyCased = await ModerationCase.exists({ answerId: answer._id, source });
+  if (alreadyCased || !isSampled(answer._id, policy.sampleRate)) return { score: recorded, moderationCase: null };
+
+  try {
+    moderationCase = await ModerationCase.create({
+      answerId: answer._id,
+      questionId: answer.questionId,
+      clientId: answer.clientId,
+      source,
+      reviewRequest,
+      maxScore: Number(maxScore),
+      primary,
+      aiPercent: recorded.aiPercent,
+      status: 'awaiting_moderator'
+    });
+  } catch (error) {
+    if (error.code === 11000) return { score: recorded, moderationCase: null };
+    throw error;
+  }
+  return { score: recorded, moderationCase: await assignModerator(moderationCase) };
+};
+
+// Head examiners who can settle a client's cases
+const headExaminersFor = (clientId) => {
+  return Evaluator.find({ isHeadExaminer: true, enabled: true, 'clientAccess.id': clientId }).select('_id').lean();
+};
+
+const isHeadExaminerFor = async (evaluatorId, clientId) => {
+  return Boolean(await Evaluator.exists({ _id: evaluatorId, isHeadExaminer: true, enabled: true, 'clientAccess.id': clientId }));
+};
+
+/**
+ * The moderator's blind score. Within the policy's tolerance of the first
+ * score the case is closed as agreed; otherwise it is escalated to the
+ * client's head examiners. Resolves to { moderationCase } or { status, error }.
+ */
+const submitModeration = async (caseId, evaluatorId, { score, remarks = '' }) => {
+  if (!mongoose.Types.ObjectId.isValid(caseId)) return { status: 404, error: 'Moderation case not found' };
+  const current = await ModerationCase.findOne({ _id: caseId, 'moderator.evaluator': evaluatorId });
+  if (!current) return { status: 404, error: 'Moderation case not found' };
+  if (current.status !== 'awaiting_moderation') return { status: 409, error: 'This answer has already been moderated' };
+
+  const value = Number(score);
+  if (!Number.isFinite(value) || value < 0 || value > current.maxScore) {
+    return { status: 400, error: `score must be between 0 and ${current.maxScore}` };
+  }
+
+  const policy = await getPolicy(current.clientId);
+  const percent = toPercent(value, current.maxScore);
+  const difference = round2(Math.abs(percent - current.primary.percent));
+  const agreed = difference <= policy.tolerance;
+  const moderationCase = await ModerationCase.findOneAndUpdate(
+    { _id: caseId, status: 'awaiting_moderation', 'moderator.evaluator': evaluatorId },
+    {
+      $set: {
+        'moderator.score': value,
+        'moderator.percent': percent,
+        'moderator.remarks': typeof remarks === 'string' ? remarks.trim() : '',
+        'moderator.scoredAt': new Date(),
+        difference,
+        agreed,
+        status: agreed ? 'agreed' : 'escalated'
+      }
+    },
+    { new: true }
+  );
+  if (!moderationCase) return { status: 409, error: 'This answer has already been moderated' };
+
+  if (!agreed) {
+    const headExaminers = await headExaminersFor(moderationCase.clientId);
+    await Promise.all(headExaminers.map((headExaminer) => notify({
+      recipientType: 'Evaluator',
+      recipientId: headExaminer._id,
+      clientId: moderationCase.clientId,
+      type: 'moderation_escalated',
+      title: 'Moderation disagreement',
+      message: `Two evaluators' scores for an answer are ${difference} percentage points apart. Please review and set the final score.`,
+      data: { caseId: moderationCase._id, answerId: moderationCase.answerId, difference },
+      dedupeKey: `moderation-escalated:${moderationCase._id}:${headExaminer._id}`
+    }).catch((error) => console.error(`Failed to notify head examiner ${headExaminer._id}:`, error.message))));
+  }
+  return { moderationCase };
+};
+
+// Write a final score where the student sees it
+const applyFinalScore = async (moderationCase, score) => {
+  if (moderationCase.source === 'manual_evaluation') {
+    await UserAnswer.updateOne({ _id: moderationCase.answerId }, { $set: { 'evaluation.score': score } });
+    return;
+  }
+  const percent = toPercent(score, moderationCase.maxScore);
+  await UserAnswer.updateOne({ _id: moderationCase.answerId }, { $set: { 'feedback.expertReview.score': percent } });
+  if (moderationCase.reviewRequest) {
+    await ReviewRequest.updateOne({ _id: moderationCase.reviewRequest }, { $set: { 'reviewData.score': percent } });
+  }
+};
+
+/**
+ * A head examiner's final score for a moderated answer, replacing the
+ * published one. Resolves to { moderationCase } or { status, error }.
+ */
+const overrideScore = async (caseId, headExaminerId, { score, note = null }) => {
+  if (!mongoose.Types.ObjectId.isValid(caseId)) return { status: 404, error: 'Moderation case not found' };
+  const current = await ModerationCase.findById(caseId);
+  if (!current) return { status: 404, error: 'Moderation case not found' };
+  if (!(await isHeadExaminerFor(headExaminerId, current.clientId))) {
+    return { status: 403, error: 'Only a head examiner for this client can override scores' };
+  }
+  if (!['escalated', 'agreed'].includes(current.status)) {
+    return { status: 409, error: current.status === 'resolved' ? 'This case has already been resolved' : 'The answer has not been moderated yet' };
+  }
+
+  const value = Number(score);
+  if (!Number.isFinite(value) || value < 0 || value > current.maxScore) {
+    return { status: 400, error: `score must be between 0 and ${current.maxScore}` };
+  }
+
+  const moderationCase = await ModerationCase.findOneAndUpdate(
+    { _id: caseId, status: current.status },
+    {
+      $set: {
+        status: 'resolved',
+        override: {
+          by: headExaminerId,
+          score: value,
+          percent: toPercent(value, current.maxScore),
+          previousScore: current.primary.score,
+          note: note || null,
+          at: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!moderationCase) return { status: 409, error: 'This case has already been resolved' };
+
+  await applyFinalScore(moderationCase, value);
+  try {
+    await notify({
+      recipientType: 'Evaluator',
+      recipientId: moderationCase.primary.evaluator,
+      clientId: moderationCase.clientId,
+      type: 'score_overridden',
+      title: 'Score moderated',
+      message: `A head examiner set the final score of an answer you scored to ${value} out of ${moderationCase.maxScore} (you gave ${moderationCase.primary.score}).`,
+      data: { caseId: moderationCase._id, answerId: moderationCase.answerId, note: moderationCase.override.note },
+      dedupeKey: `score-overridden:${moderationCase._id}`
+    });
+  } catch (error) {
+    console.error(`Failed to notify evaluator ${moderationCase.primary.evaluator}:`, error.message);
+  }
+  return { moderationCase };
+};
+
+// What the moderator needs to score an answer blind: the question and the
+// answer itself, without the first score, remarks or annotations
+const blindView = async (moderationCase) => {
+  const answer = await UserAnswer.findById(moderationCase.answerId).select('testType questionId answerImages textAnswer').lean();
+  const question = answer ? await questionFor(answer) : null;
+  return {
+    caseId: moderationCase._id,
+    answerId: moderationCase.answerId,
+    status: moderationCase.status,
+    maxScore: moderationCase.maxScore,
+    assignedAt: moderationCase.moderator?.assignedAt || null,
+    question: question ? { _id: question._id, question: question.question } : null,
+    answerImages: (answer?.answerImages || []).map((image) => ({ imageUrl: image.imageUrl })),
+    textAnswer: answer?.textAnswer || null
+  };
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const pearson = (pairs) => {
+  if (pairs.length < 3) return null;
+  const meanX = mean(pairs.map(([x]) => x));
+  const meanY = mean(pairs.map(([, y]) => y));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  return varianceX > 0 && varianceY > 0 ? round2(covariance / Math.sqrt(varianceX * varianceY)) : null;
+};
+
+const roundOrNull = (value) => (value === null ? null : round2(value));
+
+/**
+ * Inter-rater agreement and drift per evaluator for scores given in
+ * [from, to]. Against moderators: cases, share agreed within tolerance,
+ * mean absolute gap and bias (positive: scores higher than moderators).
+ * Against the AI: mean gap and bias on answers the AI also scored. An
+ * evaluator drifts when either bias exceeds the policy's driftThreshold
+ * over at least minSamples scores.
+ */
+const agreementMetrics = async ({ from, to, clientId = null, evaluatorId = null }) => {
+  const policy = await getPolicy(clientId);
+  const scoreFilter = { scoredAt: { $gte: from, $lt: to } };
+  const caseFilter = { 'moderator.scoredAt': { $gte: from, $lt: to }, status: { $in: ['agreed', 'escalated', 'resolved'] } };
+  if (clientId) {
+    scoreFilter.clientId = clientId;
+    caseFilter.clientId = clientId;
+  }
+  if (evaluatorId) {
+    scoreFilter.evaluator = evaluatorId;
+    caseFilter.$or = [{ 'primary.evaluator': evaluatorId }, { 'moderator.evaluator': evaluatorId }];
+  }
+
+  const [scores, cases] = await Promise.all([
+    EvaluatorScore.find(scoreFilter).select('evaluator percent aiPercent').lean(),
+    ModerationCase.find(caseFilter).select('primary.evaluator primary.percent moderator.evaluator moderator.percent agreed').lean()
+  ]);
+
+  const rows = new Map();
+  const rowFor = (id) => {
+    const key = String(id);
+    if (!rows.has(key)) rows.set(key, { evaluator: key, scored: 0, aiGaps: [], moderatedGaps: [], agreed: 0, moderatedOthers: 0 });
+    return rows.get(key);
+  };
+  scores.forEach((score) => {
+    const row = rowFor(score.evaluator);
+    row.scored += 1;
+    if (score.aiPercent !== null && score.aiPercent !== undefined) row.aiGaps.push(score.percent - score.aiPercent);
+  });
+  cases.forEach((moderationCase) => {
+    const row = rowFor(moderationCase.primary.evaluator);
+    row.moderatedGaps.push(moderationCase.primary.percent - moderationCase.moderator.percent);
+    if (moderationCase.agreed) row.agreed += 1;
+    rowFor(moderationCase.moderator.evaluator).moderatedOthers += 1;
+  });
+
+  const evaluatorIds = [...rows.keys()];
+  const evaluators = await Evaluator.find({ _id: { $in: evaluatorIds } }).select('name email').lean();
+  const names = new Map(evaluators.map((evaluator) => [String(evaluator._id), evaluator.name]));
+
+  const results = [...rows.values()]
+    .filter((row) => !evaluatorId || row.evaluator === String(evaluatorId))
+    .map((row) => {
+      const moderationBias = mean(row.moderatedGaps);
+      const aiBias = mean(row.aiGaps);
+      const drift = [];
+      if (row.moderatedGaps.length >= policy.minSamples && Math.abs(moderationBias) > policy.driftThreshold) drift.push('peers');
+      if (row.aiGaps.length >= policy.minSamples && Math.abs(aiBias) > policy.driftThreshold) drift.push('ai');
+      return {
+        evaluator: row.evaluator,
+        name: names.get(row.evaluator) || null,
+        scored: row.scored,
+        moderation: {
+          cases: row.moderatedGaps.length,
+          agreementRate: row.moderatedGaps.length > 0 ? round2((row.agreed / row.moderatedGaps.length) * 100) : null,
+          meanAbsoluteGap: roundOrNull(mean(row.moderatedGaps.map(Math.abs))),
+          bias: roundOrNull(moderationBias),
+          moderatedOthers: row.moderatedOthers
+        },
+        ai: {
+          compared: row.aiGaps.length,
+          meanAbsoluteGap: roundOrNull(mean(row.aiGaps.map(Math.abs))),
+          bias: roundOrNull(aiBias)
+        },
+        drift
+      };
+    })
+    .sort((a, b) => b.drift.length - a.drift.length || b.scored - a.scored);
+
+  const moderated = cases.map((moderationCase) => [moderationCase.primary.percent, moderationCase.moderator.percent]);
+  return {
+    from,
+    to,
+    policy,
+    overall: {
+      cases: cases.length,
+      agreementRate: cases.length > 0 ? round2((cases.filter((moderationCase) => moderationCase.agreed).length / cases.length) * 100) : null,
+      meanAbsoluteGap: roundOrNull(mean(moderated.map(([a, b]) => Math.abs(a - b)))),
+      correlation: pearson(moderated)
+    },
+    evaluators: results
+  };
+};
+
+// Alert admins and the client's head examiners about drifting evaluators,
+// at most once a day per evaluator and kind of drift
+const alertDrift = async (clientId, row) => {
+  const [admins, headExaminers] = await Promise.all([
+    Admin.find().select('_id').lean(),
+    headExaminersFor(clientId)
+  ]);
+  const day = new Date().toISOString().slice(0, 10);
+  const against = row.drift.map((kind) => (kind === 'ai' ? `the AI (bias ${row.ai.bias})` : `moderators (bias ${row.moderation.bias})`)).join(' and ');
+  const recipients = [
+    ...admins.map((admin) => ({ recipientType: 'Admin', recipientId: admin._id })),
+    ...headExaminers.map((headExaminer) => ({ recipientType: 'Evaluator', recipientId: headExaminer._id }))
+  ];
+  await Promise.all(recipients.map((recipient) => notify({
+    ...recipient,
+    clientId,
+    type: 'evaluator_drift',
+    title: 'Evaluator scores drifting',
+    message: `${row.name || 'An evaluator'}'s scores for client ${clientId} diverge from ${against} percentage points on average.`,
+    data: { evaluatorId: row.evaluator, drift: row.drift, moderation: row.moderation, ai: row.ai },
+    dedupeKey: `evaluator-drift:${clientId}:${row.evaluator}:${row.drift.join('+')}:${day}:${recipient.recipientId}`
+  }).catch((error) => console.error(`Failed to send drift alert to ${recipient.recipientId}:`, error.message))));
+};
+
+// Find moderators for cases that had none, and check every client's
+// evaluators for drift over the last 30 days
+const runQualityCheck = async () => {
+  const unassigned = await ModerationCase.find({ status: 'awaiting_moderator' }).sort({ createdAt: 1 }).limit(ASSIGN_BATCH_SIZE);
+  let assigned = 0;
+  for (const moderationCase of unassigned) {
+    try {
+      const updated = await assignModerator(moderationCase);
+      if (updated.status === 'awaiting_moderation') assigned += 1;
+    } catch (error) {
+      console.error(`Moderator assignment failed for case ${moderationCase._id}:`, error);
+    }
+  }
+
+  const to = new Date();
+  const from = new Date(to.getTime() - DRIFT_WINDOW_MS);
+  const clientIds = await EvaluatorScore.distinct('clientId', { scoredAt: { $gte: from } });
+  let alerts = 0;
+  for (const clientId of clientIds) {
+    try {
+      const metrics = await agreementMetrics({ from, to, clientId });
+      for (const row of metrics.evaluators.filter((entry) => entry.drift.length > 0)) {
+        await alertDrift(clientId, row);
+        alerts += 1;
+      }
+    } catch (error) {
+      console.error(`Drift check failed for client ${clientId}:`, error);
+    }
+  }
+  return { assigned, clients: clientIds.length, alerts };
+};
+
+jobQueue.register(CHECK_JOB_TYPE, runQualityCheck, {
+  maxAttempts: 3,
+  every: CHECK_INTERVAL
+});
+
+module.exports = {
+  DEFAULT_POLICY,
+  toPercent,
+  getPolicy,
+  savePolicy,
+  isSampled,
+  recordScore,
+  submitModeration,
+  overrideScore,
+  isHeadExaminerFor,
+  blindView,
+  agreementMetrics,
+  runQualityCheck
+};
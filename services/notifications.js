@@ -0,0 +1,46 @@
+const Notification = require('../models/Notification');
+
+const isDuplicateKeyError = (error) => error?.code === 11000 || /E11000/.test(error?.message || '');
+
+// Store an in-app notification. With a dedupeKey, a notification already
+// sent under that key is returned instead of creating another.
+const notify = async ({ recipientType, recipientId, clientId = null, type, title, message, data = {}, dedupeKey }) => {
+  try {
+    return await Notification.create({ recipientType, recipientId, clientId, type, title, message, data, dedupeKey });
+  } catch (error) {
+    if (dedupeKey && isDuplicateKeyError(error)) {
+      return Notification.findOne({ dedupeKey });
+    }
+    throw error;
+  }
+};
+
+const listNotifications = async (recipientType, recipientId, { page = 1, limit = 20, unreadOnly = false } = {}) => {
+  const filter = { recipientType, recipientId };
+  if (unreadOnly) filter.readAt = null;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-dedupeKey -recipientType -recipientId'),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ recipientType, recipientId, readAt: null })
+  ]);
+  return { notifications, total, unreadCount };
+};
+
+// Mark one notification (or all of the recipient's, without an id) as read
+const markRead = async (recipientType, recipientId, notificationId = null) => {
+  const filter = { recipientType, recipientId, readAt: null };
+  if (notificationId) filter._id = notificationId;
+  const { modifiedCount } = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+  return modifiedCount;
+};
+
+module.exports = {
+  notify,
+  listNotifications,
+  markRead
+};
@@ -0,0 +1,194 @@
+const ObjectiveTest = require('../models/ObjectiveTest');
+const ObjectiveTestQuestion = require('../models/ObjectiveTestQuestion');
+const TestResult = require('../models/TestResult');
+const objectiveScoring = require('./objectiveScoring');
+const jobQueue = require('./jobQueue');
+
+const AUTO_SUBMIT_JOB_TYPE = 'objective-test-auto-submit';
+const AUTO_SUBMIT_INTERVAL = 60 * 1000;
+const AUTO_SUBMIT_BATCH_SIZE = 200;
+// Allowance for network latency on answers and submissions sent right at
+// the deadline
+const GRACE_MS = (Number.parseInt(process.env.OBJECTIVE_TEST_GRACE_SECONDS) || 30) * 1000;
+
+// Deadline of an attempt started at startTime (null: untimed test)
+const deadlineFor = (test, startTime) => {
+  const minutes = Number(test?.durationMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+  return new Date(new Date(startTime).getTime() + minutes * 60 * 1000);
+};
+
+// Whole seconds left before the deadline (null: untimed)
+const remainingSeconds = (testResult, now = new Date()) => {
+  if (!testResult.deadline) return null;
+  return Math.max(0, Math.floor((testResult.deadline.getTime() - now.getTime()) / 1000));
+};
+
+// Past the deadline and its grace period: no more answers or submissions
+const isExpired = (testResult, now = new Date()) => {
+  return Boolean(testResult.deadline) && now.getTime() > testResult.deadline.getTime() + GRACE_MS;
+};
+
+const formatCompletionTime = (milliseconds) => {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+};
+
+const savedAnswersOf = (testResult) => {
+  return testResult.answers instanceof Map ? Object.fromEntries(testResult.answers) : { ...(testResult.answers || {}) };
+};
+
+/**
+ * Score an in-progress attempt and complete it. answers defaults to the
+ * answers autosaved on the attempt; an auto-submitted attempt is timed up to
+ * its deadline. The attempt is completed with a single conditional update,
+ * so a manual submit racing the auto-submit sweep scores it only once - the
+ * loser gets the completed attempt back with scoring null.
+ *
+ * Resolves to { testResult, scoring }.
+ */
+const finalizeAttempt = async (testResult, { answers = null, autoSubmitted = false, test = null } = {}) => {
+  const objectiveTest = test || await ObjectiveTest.findById(testResult.testId);
+  const questions = await ObjectiveTestQuestion.find({ test: testResult.testId, isActive: true })
+    .select('options correctAnswer difficulty positiveMarks negativeMarks section');
+
+  const now = new Date();
+  const endTime = autoSubmitted && testResult.deadline && testResult.deadline < now ? testResult.deadline : now;
+  const completionTime = formatCompletionTime(endTime.getTime() - testResult.startTime.getTime());
+  const scoring = objectiveScoring.scoreAttempt(objectiveTest || {}, questions, answers || savedAnswersOf(testResult));
+
+  const scored = {
+    score: scoring.score,
+    marks: scoring.marks,
+    maxMarks: scoring.maxMarks,
+    correctAnswers: scoring.correctAnswers,
+    wrongAnswers: scoring.wrongAnswers,
+    unattempted: scoring.unattempted,
+    totalQuestions: scoring.totalQuestions,
+    levelBreakdown: scoring.levelBreakdown,
+    sectionBreakdown: scoring.sectionBreakdown,
+    qualified: scoring.qualified,
+    autoSubmitted
+  };
+
+  const completed = await TestResult.findOneAndUpdate(
+    { _id: testResult._id, status: 'in_progress', attemptNumber: testResult.attemptNumber },
+    {
+      $set: {
+        ...scored,
+        answers: scoring.answers,
+        answeredQuestions: scoring.answeredQuestions,
+        completionTime,
+        status: 'completed',
+        submittedAt: endTime
+      },
+      $push: {
+        attemptHistory: {
+          attemptNumber: testResult.attemptNumber,
+          completionTime,
+          answers: scoring.answers,
+          submittedAt: endTime,
+          ...scored
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!completed) {
+    return { testResult: await TestResult.findById(testResult._id), scoring: null };
+  }
+
+  // Per-question accuracy statistics
+  const attempted = scoring.questionResults.filter((entry) => entry.outcome !== 'unattempted');
+  if (attempted.length > 0) {
+    ObjectiveTestQuestion.bulkWrite(
+      attempted.map((entry) => ({
+        updateOne: {
+          filter: { _id: entry.questionId },
+          update: { $inc: { timesAnswered: 1, timesCorrect: entry.outcome === 'correct' ? 1 : 0 } }
+        }
+      }))
+    ).catch((error) => console.error('Error updating question statistics:', error));
+  }
+
+  return { testResult: completed, scoring };
+};
+
+/**
+ * Autosave one answer (null clears it) on the user's in-progress attempt at
+ * the question's test. Resolves to { status, testResult }:
+ *   'saved'    - stored on the attempt
+ *   'expired'  - the deadline has passed; the attempt was auto-submitted
+ *   'none'     - no attempt in progress
+ *   'invalid'  - not one of the question's options
+ */
+const saveAnswer = async ({ userId, question, selectedAnswer }) => {
+  const testResult = await TestResult.findOne({ userId, testId: question.test, status: 'in_progress' });
+  if (!testResult) return { status: 'none', testResult: null };
+
+  if (isExpired(testResult)) {
+    const { testResult: completed } = await finalizeAttempt(testResult, { autoSubmitted: true });
+    return { status: 'expired', testResult: completed };
+  }
+
+  const clear = selectedAnswer === null || selectedAnswer === undefined || selectedAnswer === '';
+  const index = clear ? null : Number(selectedAnswer);
+  if (!clear && !(Number.isInteger(index) && index >= 0 && index < question.options.length)) {
+    return { status: 'invalid', testResult };
+  }
+
+  const now = new Date();
+  const path = `answers.${question._id}`;
+  const saved = await TestResult.findOneAndUpdate(
+    {
+      _id: testResult._id,
+      status: 'in_progress',
+      attemptNumber: testResult.attemptNumber,
+      $or: [{ deadline: null }, { deadline: { $gte: new Date(now.getTime() - GRACE_MS) } }]
+    },
+    clear
+      ? { $unset: { [path]: '' }, $set: { lastSavedAt: now } }
+      : { $set: { [path]: index, lastSavedAt: now } },
+    { new: true }
+  );
+  // Submitted or expired in the meantime
+  if (!saved) return { status: 'expired', testResult: await TestResult.findById(testResult._id) };
+  return { status: 'saved', testResult: saved };
+};
+
+// Submit, from their saved answers, attempts whose deadline has passed
+const autoSubmitExpired = async () => {
+  const overdue = await TestResult.find({
+    status: 'in_progress',
+    deadline: { $ne: null, $lt: new Date(Date.now() - GRACE_MS) }
+  }).limit(AUTO_SUBMIT_BATCH_SIZE);
+
+  let submitted = 0;
+  for (const testResult of overdue) {
+    try {
+      const { scoring } = await finalizeAttempt(testResult, { autoSubmitted: true });
+      if (scoring) submitted += 1;
+    } catch (error) {
+      console.error(`Auto-submit failed for test result ${testResult._id}:`, error);
+    }
+  }
+  return { checked: overdue.length, submitted };
+};
+
+jobQueue.register(AUTO_SUBMIT_JOB_TYPE, autoSubmitExpired, {
+  maxAttempts: 3,
+  every: AUTO_SUBMIT_INTERVAL
+});
+
+module.exports = {
+  GRACE_MS,
+  deadlineFor,
+  remainingSeconds,
+  isExpired,
+  savedAnswersOf,
+  finalizeAttempt,
+  saveAnswer,
+  autoSubmitExpired
+};
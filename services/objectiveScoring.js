@@ -0,0 +1,166 @@
+// Exam-style marking for objective tests: per-question or per-section
+// positive and negative marks, unattempted questions scoring nothing, and
+// section-wise and overall cut-offs. Everything is computed from the stored
+// test and questions; only the chosen option indexes come from the client.
+
+const LEVELS = ['L1', 'L2', 'L3'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Validate and clean the sections sent for a test. Returns
+ * { sections } or { error }. Existing sections keep their _id when sent
+ * back with it, so questions stay assigned to them.
+ */
+const normalizeSections = (sections) => {
+  if (!Array.isArray(sections)) return { error: 'sections must be an array' };
+
+  const cleaned = [];
+  for (const [index, section] of sections.entries()) {
+    const name = typeof section?.name === 'string' ? section.name.trim() : '';
+    if (!name) return { error: `Section ${index + 1} needs a name` };
+
+    const entry = {
+      name,
+      description: section.description || '',
+      order: Number.isFinite(Number(section.order)) ? Number(section.order) : index,
+      positiveMarks: null,
+      negativeMarks: null,
+      cutoff: null
+    };
+    for (const field of ['positiveMarks', 'negativeMarks', 'cutoff']) {
+      if (!isSet(section[field])) continue;
+      const value = Number(section[field]);
+      if (!Number.isFinite(value) || (field !== 'cutoff' && value < 0)) {
+        return { error: `Section "${name}": ${field} must be ${field === 'cutoff' ? 'a number' : '0 or more'}` };
+      }
+      entry[field] = value;
+    }
+    if (section._id) entry._id = section._id;
+    cleaned.push(entry);
+  }
+  return { sections: cleaned };
+};
+
+// Option index the user chose, or null when the question was left
+// unattempted (or the value is not one of its options)
+const chosenOption = (value, question) => {
+  if (!isSet(value)) return null;
+  const index = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isInteger(index) && index >= 0 && index < question.options.length ? index : null;
+};
+
+// Marks for a question: its section's scheme where the section sets one
+const markingFor = (question, section) => ({
+  positive: Math.abs(isSet(section?.positiveMarks) ? section.positiveMarks : question.positiveMarks ?? 1),
+  negative: Math.abs(isSet(section?.negativeMarks) ? section.negativeMarks : question.negativeMarks ?? 0)
+});
+
+const emptyTally = () => ({ totalQuestions: 0, attempted: 0, correct: 0, wrong: 0, unattempted: 0, marks: 0, maxMarks: 0 });
+
+/**
+ * Score one attempt. answers maps question id -> chosen option index; only
+ * questions of the test count, however many answers were sent. Questions in
+ * a section that no longer exists are scored under "General".
+ *
+ * Returns { answers (cleaned), marks, maxMarks, score (0-100), totalQuestions,
+ * answeredQuestions, correctAnswers, wrongAnswers, unattempted,
+ * levelBreakdown, sectionBreakdown, cutoff, qualified, questionResults }.
+ * qualified is null when the test has no cut-offs.
+ */
+const scoreAttempt = (test, questions, answers = {}) => {
+  const sections = [...(test.sections || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+  const sectionById = new Map(sections.map((section) => [String(section._id), section]));
+  const sectionTallies = new Map(sections.map((section) => [String(section._id), emptyTally()]));
+  const general = emptyTally();
+  const overall = emptyTally();
+  const levelBreakdown = Object.fromEntries(LEVELS.map((level) => [level, { total: 0, correct: 0, score: 0 }]));
+  const cleanedAnswers = {};
+  const questionResults = [];
+
+  const source = answers instanceof Map ? Object.fromEntries(answers) : answers || {};
+
+  questions.forEach((question) => {
+    const id = String(question._id);
+    const section = question.section ? sectionById.get(String(question.section)) : null;
+    const tally = section ? sectionTallies.get(String(section._id)) : general;
+    const { positive, negative } = markingFor(question, section);
+    const chosen = chosenOption(source[id], question);
+
+    let outcome = 'unattempted';
+    let marks = 0;
+    if (chosen !== null) {
+      cleanedAnswers[id] = chosen;
+      outcome = chosen === question.correctAnswer ? 'correct' : 'wrong';
+      marks = outcome === 'correct' ? positive : -negative;
+    }
+
+    [tally, overall].forEach((target) => {
+      target.totalQuestions += 1;
+      target.maxMarks += positive;
+      target.marks += marks;
+      target[outcome] += 1;
+      if (outcome !== 'unattempted') target.attempted += 1;
+    });
+
+    const level = LEVELS.includes(question.difficulty) ? question.difficulty : 'L1';
+    levelBreakdown[level].total += 1;
+    if (outcome === 'correct') levelBreakdown[level].correct += 1;
+
+    questionResults.push({ questionId: question._id, sectionId: section ? section._id : null, chosen, outcome, marks: round2(marks) });
+  });
+
+  LEVELS.forEach((level) => {
+    const entry = levelBreakdown[level];
+    if (entry.total > 0) entry.score = round2((entry.correct / entry.total) * 100);
+  });
+
+  const finish = (tally) => ({ ...tally, marks: round2(tally.marks), maxMarks: round2(tally.maxMarks) });
+
+  const sectionBreakdown = sections.map((section) => {
+    const tally = finish(sectionTallies.get(String(section._id)));
+    const cutoff = isSet(section.cutoff) ? section.cutoff : null;
+    return {
+      sectionId: section._id,
+      name: section.name,
+      ...tally,
+      cutoff,
+      cleared: cutoff === null ? null : tally.marks >= cutoff
+    };
+  });
+  if (sections.length > 0 && general.totalQuestions > 0) {
+    sectionBreakdown.push({ sectionId: null, name: 'General', ...finish(general), cutoff: null, cleared: null });
+  }
+
+  const totals = finish(overall);
+  const cutoff = isSet(test.cutoff) ? test.cutoff : null;
+  const sectionCutoffs = sectionBreakdown.filter((section) => section.cleared !== null);
+  const qualified = cutoff === null && sectionCutoffs.length === 0
+    ? null
+    : (cutoff === null || totals.marks >= cutoff) && sectionCutoffs.every((section) => section.cleared);
+
+  return {
+    answers: cleanedAnswers,
+    marks: totals.marks,
+    maxMarks: totals.maxMarks,
+    // Percentage of the maximum; a negative total counts as 0
+    score: totals.maxMarks > 0 ? round2((Math.max(totals.marks, 0) / totals.maxMarks) * 100) : 0,
+    totalQuestions: totals.totalQuestions,
+    answeredQuestions: totals.attempted,
+    correctAnswers: totals.correct,
+    wrongAnswers: totals.wrong,
+    unattempted: totals.unattempted,
+    levelBreakdown,
+    sectionBreakdown,
+    cutoff,
+    qualified,
+    questionResults
+  };
+};
+
+module.exports = {
+  normalizeSections,
+  scoreAttempt
+};
@@ -0,0 +1,95 @@
+// Error raised by every gateway adapter so callers can branch on code
+// without knowing which gateway produced it
+class PaymentGatewayError extends Error {
+  constructor(message, { gateway, status = null, code = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'PaymentGatewayError';
+    this.gateway = gateway;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Common interface for payment gateways. A gateway is built from a
+ * PaymentGatewayConfig document (or the platform defaults in config/) and
+ * implements:
+ *   initiate({ orderId, amount, currency, customer, callbackUrl, notes })
+ *     -> { gatewayOrderId, checkout } where checkout is what the app needs
+ *        to open the gateway's payment page
+ *   verifyCallback(params)
+ *     -> { valid, reason, orderId, gatewayOrderId } for the customer redirect
+ *   verifyWebhook({ rawBody, headers })
+ *     -> { valid, reason, event, orderId, gatewayOrderId } for server-to-server
+ *        notifications, signed over the raw request body
+ *   queryStatus(payment)
+ *     -> { status: 'SUCCESS' | 'FAILED' | 'PENDING', gatewayStatus, amount,
+ *          txnId, bankTxnId, paymentMode, bankName, responseCode, responseMsg, raw }
+ *   refund(payment, { amount, refundId, reason })
+ *     -> { status: 'SUCCESS' | 'FAILED' | 'PENDING', gatewayRefundId, responseMsg, raw }
+ *
+ * A verified callback or webhook only says which order to look at: the
+ * payment's status is always taken from queryStatus.
+ */
+class BaseGateway {
+  constructor(gatewayConfig = {}) {
+    this.gateway = gatewayConfig.gateway;
+    this.name = this.gateway ? this.gateway.toUpperCase() : null;
+    this.displayName = gatewayConfig.displayName || this.gateway;
+    this.configId = gatewayConfig._id || null;
+    this.clientId = gatewayConfig.clientId || null;
+    this.environment = gatewayConfig.environment || 'production';
+    this.credentials = gatewayConfig.credentials || {};
+    this.callbackUrl = gatewayConfig.callbackUrl || null;
+    this.timeout = 15000;
+  }
+
+  unsupported(action) {
+    return new PaymentGatewayError(`${this.gateway} does not support ${action}`, {
+      gateway: this.gateway,
+      code: 'NOT_SUPPORTED',
+      retryable: false
+    });
+  }
+
+  async initiate() {
+    throw this.unsupported('payment initiation');
+  }
+
+  verifyCallback() {
+    throw this.unsupported('callbacks');
+  }
+
+  verifyWebhook() {
+    throw this.unsupported('webhooks');
+  }
+
+  async queryStatus() {
+    throw this.unsupported('status queries');
+  }
+
+  async refund() {
+    throw this.unsupported('refunds');
+  }
+
+  // Convert an axios failure into a PaymentGatewayError
+  wrapError(error, action) {
+    if (error instanceof PaymentGatewayError) return error;
+    const status = error.response?.status || null;
+    const apiMessage = error.response?.data?.error?.description || error.response?.data?.message;
+    const code = error.response?.data?.error?.code || error.code || null;
+    const timedOut = error.code === 'ECONNABORTED' || /timeout/i.test(error.message);
+    const message = `${this.gateway} ${action} failed: ${apiMessage || (timedOut ? 'request timed out' : error.message)}`;
+    // Client errors (bad credentials, bad request) will not fix themselves on retry
+    const retryable = !status || status === 408 || status === 429 || status >= 500;
+    return new PaymentGatewayError(message, { gateway: this.gateway, status, code, retryable });
+  }
+}
+
+// Adapters override these to pull { orderId } or { gatewayOrderId } out of an
+// unverified callback/webhook, before the merchant account is known
+BaseGateway.callbackReference = () => ({});
+BaseGateway.webhookReference = () => ({});
+
+module.exports = { BaseGateway, PaymentGatewayError };
@@ -0,0 +1,186 @@
+const axios = require('axios');
+const querystring = require('querystring');
+const PaytmChecksum = require('paytmchecksum');
+const { BaseGateway, PaymentGatewayError } = require('./BaseGateway');
+const PaytmConfig = require('../../config/paytm');
+
+// Paytm resultStatus -> Payment.status
+const RESULT_STATUSES = {
+  TXN_SUCCESS: 'SUCCESS',
+  TXN_FAILURE: 'FAILED',
+  PENDING: 'PENDING'
+};
+
+// Paytm All-in-One (theia) checkout with the v3 order status and refund APIs.
+// Requests and responses are signed with the merchant key.
+class PaytmGateway extends BaseGateway {
+  constructor(gatewayConfig) {
+    super(gatewayConfig);
+    const host = PaytmConfig.GATEWAY_HOSTS[this.environment] || PaytmConfig.GATEWAY_HOSTS.staging;
+    const urls = gatewayConfig.urls || {};
+    this.mid = this.credentials.merchantId;
+    this.merchantKey = this.credentials.merchantKey;
+    this.paymentUrl = urls.payment || `${host}/theia/processTransaction`;
+    this.statusUrl = urls.status || `${host}/v3/order/status`;
+    this.refundUrl = urls.refund || `${host}/refund/apply`;
+    // Staging merchants may opt out of signed callbacks; production never can
+    this.enforceChecksum = this.environment === 'production' || process.env.PAYTM_ALLOW_UNSIGNED_CALLBACKS !== 'true';
+  }
+
+  async initiate({ orderId, amount, customer = {}, callbackUrl }) {
+    const paytmParams = {
+      MID: this.mid,
+      WEBSITE: this.credentials.website,
+      CHANNEL_ID: this.credentials.channelId,
+      INDUSTRY_TYPE_ID: this.credentials.industryType,
+      ORDER_ID: orderId,
+      CUST_ID: customer.id || customer.email,
+      TXN_AMOUNT: Number(amount).toFixed(2),
+      CALLBACK_URL: callbackUrl || this.callbackUrl,
+      MOBILE_NO: customer.phone
+    };
+    if (customer.email) paytmParams.EMAIL = customer.email;
+    paytmParams.CHECKSUMHASH = await PaytmChecksum.generateSignature(paytmParams, this.merchantKey);
+
+    return {
+      gatewayOrderId: orderId,
+      checksumHash: paytmParams.CHECKSUMHASH,
+      checkout: { paytmParams, paytmUrl: this.paymentUrl }
+    };
+  }
+
+  // Check the CHECKSUMHASH of a callback
+  checkChecksum(params) {
+    const { CHECKSUMHASH: checksum, ...fields } = params || {};
+    if (!checksum) return { signed: false, reason: 'Callback is not signed' };
+    try {
+      const signed = PaytmChecksum.verifySignature(fields, this.merchantKey, checksum);
+      return { signed, reason: signed ? null : 'Checksum mismatch' };
+    } catch (error) {
+      return { signed: false, reason: `Checksum could not be verified: ${error.message}` };
+    }
+  }
+
+  verifyCallback(params, { strict = false } = {}) {
+    const orderId = params?.ORDERID || null;
+    if (!orderId) return { valid: false, signed: false, reason: 'ORDERID is missing', orderId };
+
+    const { signed, reason } = this.checkChecksum(params);
+    if (!signed && (strict || this.enforceChecksum)) {
+      return { valid: false, signed, reason, orderId };
+    }
+    if (!signed) {
+      console.warn(`⚠️  ${reason} - accepted because PAYTM_ALLOW_UNSIGNED_CALLBACKS is set (${this.environment})`);
+    }
+    return { valid: true, signed, reason, orderId, gatewayOrderId: orderId };
+  }
+
+  // Paytm's server-to-server notification carries the callback fields
+  verifyWebhook({ rawBody, headers = {} }) {
+    const text = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    let params;
+    try {
+      params = String(headers['content-type'] || '').includes('json') ? JSON.parse(text) : querystring.parse(text);
+    } catch (error) {
+      return { valid: false, reason: 'Malformed notification body' };
+    }
+    return { ...this.verifyCallback(params, { strict: true }), event: params.STATUS || null, params };
+  }
+
+  // POST a signed { body, head } request and verify the signed response
+  async signedRequest(url, body, action) {
+    let data;
+    try {
+      const signature = await PaytmChecksum.generateSignature(JSON.stringify(body), this.merchantKey);
+      ({ data } = await axios.post(url, { body, head: { signature } }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeout
+      }));
+    } catch (error) {
+      throw this.wrapError(error, action);
+    }
+
+    if (!data?.body || !data?.head?.signature) {
+      throw new PaymentGatewayError(`Malformed ${action} response`, { gateway: this.gateway });
+    }
+    const signed = PaytmChecksum.verifySignature(JSON.stringify(data.body), this.merchantKey, data.head.signature);
+    if (!signed) {
+      throw new PaymentGatewayError(`${action} response signature mismatch`, { gateway: this.gateway, retryable: false });
+    }
+    return data.body;
+  }
+
+  async queryStatus(payment) {
+    const result = await this.signedRequest(this.statusUrl, { mid: this.mid, orderId: payment.orderId }, 'Order status');
+    const resultStatus = result.resultInfo?.resultStatus;
+    return {
+      status: RESULT_STATUSES[resultStatus] || 'PENDING',
+      gatewayStatus: resultStatus || 'UNKNOWN',
+      amount: result.txnAmount !== undefined ? Number(result.txnAmount) : null,
+      txnId: result.txnId || null,
+      bankTxnId: result.bankTxnId || null,
+      paymentMode: result.paymentMode || null,
+      bankName: result.bankName || null,
+      responseCode: result.resultInfo?.resultCode || null,
+      responseMsg: result.resultInfo?.resultMsg || null,
+      raw: result
+    };
+  }
+
+  async refund(payment, { amount, refundId, reason }) {
+    const body = {
+      mid: this.mid,
+      txnType: 'REFUND',
+      orderId: payment.orderId,
+      txnId: payment.gatewayPaymentId || payment.paytmTxnId,
+      refId: refundId,
+      refundAmount: Number(amount).toFixed(2)
+    };
+    if (reason) body.comments = reason.slice(0, 100);
+
+    const result = await this.signedRequest(this.refundUrl, body, 'Refund');
+    const resultStatus = result.resultInfo?.resultStatus;
+    return {
+      status: RESULT_STATUSES[resultStatus] || 'PENDING',
+      gatewayRefundId: result.refundId || null,
+      responseMsg: result.resultInfo?.resultMsg || null,
+      raw: result
+    };
+  }
+}
+
+// Our order id from an (unverified) callback or notification, so the payment
+// and the merchant account it belongs to can be found before verifying it
+PaytmGateway.callbackReference = (params) => ({ orderId: params?.ORDERID || null });
+
+PaytmGateway.webhookReference = ({ rawBody, headers = {} }) => {
+  const text = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  try {
+    const params = String(headers['content-type'] || '').includes('json') ? JSON.parse(text) : querystring.parse(text);
+    return { orderId: params.ORDERID || null };
+  } catch (error) {
+    return { orderId: null };
+  }
+};
+
+// Platform Paytm account from the environment (config/paytm.js)
+PaytmGateway.fromEnvironment = () => new PaytmGateway({
+  gateway: 'paytm',
+  displayName: 'Paytm',
+  environment: PaytmConfig.ENVIRONMENT,
+  credentials: {
+    merchantId: PaytmConfig.MID,
+    merchantKey: PaytmConfig.MERCHANT_KEY,
+    website: PaytmConfig.WEBSITE,
+    channelId: PaytmConfig.CHANNEL_ID,
+    industryType: PaytmConfig.INDUSTRY_TYPE_ID
+  },
+  callbackUrl: PaytmConfig.CALLBACK_URL,
+  urls: {
+    payment: PaytmConfig.PAYTM_URL,
+    status: PaytmConfig.STATUS_URL,
+    refund: PaytmConfig.REFUND_URL
+  }
+});
+
+module.exports = PaytmGateway;
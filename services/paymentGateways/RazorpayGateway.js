@@ -0,0 +1,198 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { BaseGateway } = require('./BaseGateway');
+const RazorpayConfig = require('../../config/razorpay');
+
+// Razorpay amounts are integers in the smallest currency unit (paise)
+const toSubunits = (amount) => Math.round(Number(amount) * 100);
+const fromSubunits = (amount) => Number(amount) / 100;
+
+// Constant-time comparison of two hex HMAC digests
+const signatureMatches = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Razorpay Orders API with Standard Checkout. The app opens checkout with
+// the returned options; Razorpay posts razorpay_order_id/payment_id/signature
+// to the callback URL and sends signed webhooks for payment events.
+class RazorpayGateway extends BaseGateway {
+  constructor(gatewayConfig) {
+    super(gatewayConfig);
+    this.keyId = this.credentials.keyId;
+    this.keySecret = this.credentials.keySecret;
+    this.webhookSecret = this.credentials.webhookSecret;
+    this.apiUrl = (gatewayConfig.apiUrl || RazorpayConfig.API_URL).replace(/\/+$/, '');
+  }
+
+  request(method, path, data) {
+    return axios({
+      method,
+      url: `${this.apiUrl}${path}`,
+      data,
+      auth: { username: this.keyId, password: this.keySecret },
+      timeout: this.timeout
+    });
+  }
+
+  async initiate({ orderId, amount, currency = 'INR', customer = {}, callbackUrl, notes = {} }) {
+    let order;
+    try {
+      ({ data: order } = await this.request('post', '/orders', {
+        amount: toSubunits(amount),
+        currency,
+        receipt: orderId,
+        notes: { orderId, ...notes }
+      }));
+    } catch (error) {
+      throw this.wrapError(error, 'Order creation');
+    }
+
+    return {
+      gatewayOrderId: order.id,
+      checkout: {
+        key: this.keyId,
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        name: this.displayName,
+        callback_url: callbackUrl || this.callbackUrl,
+        prefill: {
+          name: customer.name,
+          email: customer.email || undefined,
+          contact: customer.phone
+        },
+        notes: { orderId }
+      }
+    };
+  }
+
+  verifyCallback(params) {
+    const gatewayOrderId = params?.razorpay_order_id || null;
+    if (!gatewayOrderId) {
+      // Checkout was dismissed or failed; the error fields still name the order
+      const { gatewayOrderId: failedOrder } = RazorpayGateway.callbackReference(params);
+      return { valid: false, signed: false, reason: params?.['error[description]'] || 'razorpay_order_id is missing', gatewayOrderId: failedOrder };
+    }
+    const expected = crypto.createHmac('sha256', this.keySecret)
+      .update(`${gatewayOrderId}|${params.razorpay_payment_id}`)
+      .digest('hex');
+    const signed = signatureMatches(expected, params.razorpay_signature);
+    return { valid: signed, signed, reason: signed ? null : 'Signature mismatch', gatewayOrderId };
+  }
+
+  verifyWebhook({ rawBody, headers = {} }) {
+    if (!this.webhookSecret) return { valid: false, signed: false, reason: 'Webhook secret is not configured' };
+    const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''));
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+    if (!signatureMatches(expected, headers['x-razorpay-signature'])) {
+      return { valid: false, signed: false, reason: 'Signature mismatch' };
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return { valid: false, signed: true, reason: 'Malformed webhook body' };
+    }
+    return {
+      valid: true,
+      signed: true,
+      reason: null,
+      event: event.event,
+      ...RazorpayGateway.webhookReference({ rawBody: body })
+    };
+  }
+
+  async queryStatus(payment) {
+    let order;
+    let payments;
+    try {
+      [{ data: order }, { data: payments }] = await Promise.all([
+        this.request('get', `/orders/${payment.gatewayOrderId}`),
+        this.request('get', `/orders/${payment.gatewayOrderId}/payments`)
+      ]);
+    } catch (error) {
+      throw this.wrapError(error, 'Order status');
+    }
+
+    const attempts = payments.items || [];
+    const captured = attempts.find((item) => item.status === 'captured' || item.status === 'refunded');
+    const latest = captured || attempts[0] || null;
+    // An order can be retried after a failed attempt, so it only fails for good
+    // once it has expired upstream; until then a failure leaves it PENDING
+    const status = captured || order.status === 'paid' ? 'SUCCESS' : 'PENDING';
+
+    return {
+      status,
+      gatewayStatus: latest ? `${order.status}/${latest.status}` : order.status,
+      amount: captured ? fromSubunits(captured.amount) : fromSubunits(order.amount_paid || 0) || null,
+      txnId: latest?.id || null,
+      bankTxnId: latest?.acquirer_data?.bank_transaction_id || latest?.acquirer_data?.rrn || null,
+      paymentMode: latest?.method || null,
+      bankName: latest?.bank || latest?.wallet || null,
+      responseCode: latest?.error_code || null,
+      responseMsg: latest?.error_description || null,
+      raw: { order, payments: attempts }
+    };
+  }
+
+  async refund(payment, { amount, refundId, reason }) {
+    let refund;
+    try {
+      ({ data: refund } = await this.request('post', `/payments/${payment.gatewayPaymentId}/refund`, {
+        amount: toSubunits(amount),
+        receipt: refundId,
+        notes: { orderId: payment.orderId, reason: reason || '' }
+      }));
+    } catch (error) {
+      throw this.wrapError(error, 'Refund');
+    }
+
+    const statuses = { processed: 'SUCCESS', failed: 'FAILED' };
+    return {
+      status: statuses[refund.status] || 'PENDING',
+      gatewayRefundId: refund.id,
+      responseMsg: refund.status,
+      raw: refund
+    };
+  }
+}
+
+// Razorpay order id from an (unverified) callback or webhook, so the payment
+// and the merchant account it belongs to can be found before verifying it
+RazorpayGateway.callbackReference = (params) => {
+  if (params?.razorpay_order_id) return { gatewayOrderId: params.razorpay_order_id };
+  try {
+    return { gatewayOrderId: JSON.parse(params?.['error[metadata]'] || '{}').order_id || null };
+  } catch (error) {
+    return { gatewayOrderId: null };
+  }
+};
+
+RazorpayGateway.webhookReference = ({ rawBody }) => {
+  try {
+    const event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || ''));
+    const entity = event.payload?.payment?.entity || event.payload?.order?.entity || event.payload?.refund?.entity || {};
+    return {
+      orderId: entity.notes?.orderId || null,
+      gatewayOrderId: entity.order_id || (entity.id?.startsWith('order_') ? entity.id : null)
+    };
+  } catch (error) {
+    return { gatewayOrderId: null };
+  }
+};
+
+// Platform Razorpay account from the environment (config/razorpay.js)
+RazorpayGateway.fromEnvironment = () => new RazorpayGateway({
+  gateway: 'razorpay',
+  displayName: 'Razorpay',
+  credentials: {
+    keyId: RazorpayConfig.KEY_ID,
+    keySecret: RazorpayConfig.KEY_SECRET,
+    webhookSecret: RazorpayConfig.WEBHOOK_SECRET
+  },
+  callbackUrl: RazorpayConfig.CALLBACK_URL
+});
+
+module.exports = RazorpayGateway;
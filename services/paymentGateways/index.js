@@ -0,0 +1,162 @@
+const { BaseGateway, PaymentGatewayError } = require('./BaseGateway');
+const PaytmGateway = require('./PaytmGateway');
+const RazorpayGateway = require('./RazorpayGateway');
+const PaymentGatewayConfig = require('../../models/PaymentGatewayConfig');
+
+// gateway (as stored on PaymentGatewayConfig) -> adapter class
+const gateways = {
+  paytm: PaytmGateway,
+  razorpay: RazorpayGateway
+};
+
+// Credential fields each gateway needs before it can take payments
+const REQUIRED_CREDENTIALS = {
+  paytm: ['merchantId', 'merchantKey', 'website'],
+  razorpay: ['keyId', 'keySecret']
+};
+
+const SECRET_FIELDS = ['merchantKey', 'keySecret', 'webhookSecret'];
+
+// Build an adapter from a PaymentGatewayConfig document or a plain object
+// with the same shape ({ gateway, environment, credentials, callbackUrl })
+const createGateway = (gatewayConfig) => {
+  const Gateway = gateways[gatewayConfig?.gateway];
+  if (!Gateway) {
+    throw new PaymentGatewayError(`Unsupported payment gateway: ${gatewayConfig?.gateway}`, {
+      gateway: gatewayConfig?.gateway,
+      code: 'UNSUPPORTED_GATEWAY',
+      retryable: false
+    });
+  }
+  const config = typeof gatewayConfig.toObject === 'function' ? gatewayConfig.toObject() : gatewayConfig;
+  return new Gateway(config);
+};
+
+const hasGateway = (gateway) => Boolean(gateways[gateway]);
+
+const registerGateway = (gateway, Gateway) => {
+  gateways[gateway] = Gateway;
+};
+
+// Platform account configured through the environment (PAYMENT_GATEWAY
+// picks which one, Paytm by default)
+const environmentGateway = (gateway = process.env.PAYMENT_GATEWAY || 'paytm') => {
+  const Gateway = gateways[gateway];
+  if (!Gateway || typeof Gateway.fromEnvironment !== 'function') {
+    throw new PaymentGatewayError(`No platform account configured for ${gateway}`, {
+      gateway,
+      code: 'GATEWAY_NOT_CONFIGURED',
+      retryable: false
+    });
+  }
+  return Gateway.fromEnvironment();
+};
+
+// Gateway a client's customers pay through: the client's own account, else
+// the platform row (clientId null), else the environment account
+const getGatewayForClient = async (clientId = null) => {
+  const rows = await PaymentGatewayConfig.find({
+    clientId: { $in: clientId ? [clientId, null] : [null] },
+    isActive: true
+  });
+  const row = rows.find((config) => config.clientId === clientId) || rows.find((config) => config.clientId === null);
+  return row ? createGateway(row) : environmentGateway();
+};
+
+// Gateway an existing payment was taken through, even if the client has
+// since switched or deactivated it - refunds and status checks need it
+const getGatewayForPayment = async (payment) => {
+  if (payment.gatewayConfigId) {
+    const row = await PaymentGatewayConfig.findById(payment.gatewayConfigId);
+    if (row) return createGateway(row);
+  }
+  return environmentGateway((payment.gatewayName || 'PAYTM').toLowerCase());
+};
+
+// Order reference in an unverified callback (kind 'callback') or webhook
+const referenceFor = (gateway, kind, input) => {
+  const Gateway = gateways[gateway];
+  if (!Gateway) return {};
+  return kind === 'webhook' ? Gateway.webhookReference(input) : Gateway.callbackReference(input);
+};
+
+// Names of the credentials a config is missing for its gateway
+const missingCredentials = (gateway, credentials = {}) => {
+  return (REQUIRED_CREDENTIALS[gateway] || []).filter((field) => !credentials[field]);
+};
+
+/**
+ * Create or replace the gateway config of a client (null: platform). Secret
+ * credentials left out, or sent back masked, keep their stored value as long
+ * as the gateway is unchanged; so does the environment when left out.
+ * Throws PaymentGatewayError INVALID_CONFIG.
+ */
+const saveGatewayConfig = async (clientId, { gateway, displayName, environment, credentials = {}, callbackUrl, isActive = true }, updatedBy = null) => {
+  if (!hasGateway(gateway)) {
+    throw new PaymentGatewayError(`gateway must be one of: ${Object.keys(gateways).join(', ')}`, {
+      gateway,
+      code: 'INVALID_CONFIG',
+      retryable: false
+    });
+  }
+
+  const existing = await PaymentGatewayConfig.findOne({ clientId });
+  const merged = { ...(credentials || {}) };
+  SECRET_FIELDS.forEach((field) => {
+    const sent = merged[field];
+    if ((!sent || String(sent).startsWith('****')) && existing?.gateway === gateway) {
+      merged[field] = existing.credentials?.[field];
+    }
+  });
+
+  const missing = missingCredentials(gateway, merged);
+  if (missing.length > 0) {
+    throw new PaymentGatewayError(`Missing ${gateway} credentials: ${missing.join(', ')}`, {
+      gateway,
+      code: 'INVALID_CONFIG',
+      retryable: false
+    });
+  }
+
+  return PaymentGatewayConfig.findOneAndUpdate(
+    { clientId },
+    {
+      $set: {
+        gateway,
+        displayName: displayName || null,
+        environment: environment || existing?.environment || 'production',
+        credentials: merged,
+        callbackUrl: callbackUrl || null,
+        isActive: Boolean(isActive),
+        updatedBy
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Config safe to return over the API: secrets reduced to their last 4 characters
+const maskConfig = (gatewayConfig) => {
+  const config = typeof gatewayConfig.toObject === 'function' ? gatewayConfig.toObject() : { ...gatewayConfig };
+  const credentials = { ...(config.credentials || {}) };
+  SECRET_FIELDS.forEach((field) => {
+    if (credentials[field]) credentials[field] = `****${String(credentials[field]).slice(-4)}`;
+  });
+  return { ...config, credentials };
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  createGateway,
+  hasGateway,
+  registerGateway,
+  environmentGateway,
+  getGatewayForClient,
+  getGatewayForPayment,
+  referenceFor,
+  missingCredentials,
+  saveGatewayConfig,
+  maskConfig,
+  BaseGateway,
+  PaymentGatewayError
+};
@@ -0,0 +1,395 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const MobileUser = require('../models/MobileUser');
+const CreditAccount = require('../models/CreditAccount');
+const CreditRechargePlan = require('../models/CreditRechargePlan');
+const CreditPlan = require('../models/CreditPlan');
+const PaytmConfig = require('../config/paytm');
+const paymentGateways = require('./paymentGateways');
+const creditLedger = require('./creditLedger');
+const { expiryForPlan } = require('./creditExpiry');
+const invoices = require('./invoices');
+const jobQueue = require('./jobQueue');
+
+const RECONCILE_JOB_TYPE = 'payment-pending-reconciliation';
+const RECONCILE_INTERVAL = 10 * 60 * 1000;
+const RECONCILE_BATCH_SIZE = 100;
+
+const PLAN_MODELS = { CreditRechargePlan, CreditPlan };
+
+// Payment.gatewayName -> label used in transaction descriptions
+const GATEWAY_LABELS = {
+  PAYTM: 'Paytm',
+  RAZORPAY: 'Razorpay'
+};
+
+// Priced view of a purchasable plan, or null if it does not exist, is
+// inactive or belongs to another client. A client's recharge plans are
+// tried first, then the platform-wide credit plans.
+const resolvePlan = async (planId, clientId = null) => {
+  if (!planId || !mongoose.Types.ObjectId.isValid(planId)) return null;
+
+  const rechargePlan = await CreditRechargePlan.findOne({ _id: planId, status: 'active' });
+  if (rechargePlan) {
+    if (clientId && rechargePlan.clientId !== clientId) return null;
+    return {
+      plan: rechargePlan,
+      planModel: 'CreditRechargePlan',
+      name: rechargePlan.name,
+      credits: rechargePlan.credits,
+      price: rechargePlan.offerPrice,
+      currency: 'INR'
+    };
+  }
+
+  const creditPlan = await CreditPlan.findOne({ _id: planId, isActive: true });
+  if (!creditPlan) return null;
+  return {
+    plan: creditPlan,
+    planModel: 'CreditPlan',
+    name: creditPlan.name,
+    credits: creditPlan.credits,
+    price: creditPlan.price,
+    currency: creditPlan.currency || 'INR'
+  };
+};
+
+const newOrderId = () => `ORDER_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+/**
+ * Create a PENDING Payment and open the order with the gateway. By default
+ * the gateway is the one configured for clientId (see paymentGateways);
+ * pass `gateway` to use a specific adapter. Resolves to
+ * { payment, gateway, checkout } where checkout is what the app needs to
+ * open the payment page. Credits are only granted once the order is verified.
+ */
+const createOrder = async ({
+  amount,
+  currency = 'INR',
+  credits = null,
+  planId = null,
+  planModel = 'CreditRechargePlan',
+  userId = null,
+  clientId = null,
+  customerEmail,
+  customerPhone,
+  customerName,
+  projectId = 'default',
+  adminId = null,
+  adminMessage = null,
+  callbackUrl = null,
+  gateway = null
+}) => {
+  const adapter = gateway || await paymentGateways.getGatewayForClient(clientId);
+  const orderId = newOrderId();
+  const payment = await Payment.create({
+    orderId,
+    amount: Number(amount),
+    currency,
+    userId,
+    clientId,
+    planId,
+    planModel,
+    creditsPurchased: credits,
+    adminId,
+    adminMessage,
+    customerEmail,
+    customerPhone,
+    customerName,
+    projectId,
+    gatewayName: adapter.name,
+    gatewayConfigId: adapter.configId,
+    status: 'PENDING'
+  });
+
+  let order;
+  try {
+    order = await adapter.initiate({
+      orderId,
+      amount: payment.amount,
+      currency,
+      customer: {
+        id: userId ? String(userId) : customerEmail,
+        email: customerEmail,
+        phone: customerPhone,
+        name: customerName
+      },
+      callbackUrl,
+      notes: clientId ? { clientId } : {}
+    });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { status: 'FAILED', responseMsg: error.message } });
+    throw error;
+  }
+
+  payment.gatewayOrderId = order.gatewayOrderId;
+  payment.checksumHash = order.checksumHash || null;
+  if (adapter.name === 'PAYTM') payment.paytmOrderId = orderId;
+  await payment.save();
+
+  return { payment, gateway: adapter.gateway, checkout: order.checkout };
+};
+
+// Credits owed for a successful payment, once per order. Admin-initiated
+// payments are recorded as admin adjustments, the rest as purchases.
+const creditForPayment = async (payment) => {
+  const credits = Number(payment.creditsPurchased) || 0;
+  if (payment.status !== 'SUCCESS' || credits <= 0) return null;
+
+  let creditAccount = null;
+  if (payment.userId) {
+    creditAccount = await CreditAccount.findOne({ userId: payment.userId });
+  } else if (payment.customerPhone) {
+    // Without a user the phone number identifies the account, but only within
+    // the client the payment was made to
+    creditAccount = await CreditAccount.findOne({ mobile: payment.customerPhone, clientId: payment.clientId });
+  }
+  // A paying mobile user without an account gets one
+  const mobileUser = !creditAccount && payment.userId ? await MobileUser.findById(payment.userId).select('mobile clientId') : null;
+  if (!creditAccount && !mobileUser) {
+    const message = 'No credit account or mobile user found for payment';
+    await Payment.updateOne({ _id: payment._id }, { $set: { creditError: message } });
+    console.warn(message, { orderId: payment.orderId, userId: payment.userId, phone: payment.customerPhone });
+    return null;
+  }
+
+  const PlanModel = PLAN_MODELS[payment.planModel] || CreditRechargePlan;
+  const plan = payment.planId ? await PlanModel.findById(payment.planId).select('validityDays') : null;
+  const adminPayment = Boolean(payment.adminId);
+  const gatewayName = payment.gatewayName || 'PAYTM';
+  const { transaction, account, replayed } = await creditLedger.credit({
+    userId: creditAccount ? creditAccount.userId : payment.userId,
+    amount: credits,
+    category: adminPayment ? 'admin_adjustment' : 'purchase',
+    description: adminPayment ? 'Credits added by admin' : `Credits purchased via ${GATEWAY_LABELS[gatewayName] || gatewayName}`,
+    idempotencyKey: `${gatewayName.toLowerCase()}:${payment.orderId}`,
+    referenceId: payment.orderId,
+    planId: payment.planId || null,
+    paymentAmount: payment.amount,
+    paymentCurrency: payment.currency || 'INR',
+    addedBy: payment.adminId || null,
+    adminMessage: payment.adminMessage || null,
+    metadata: {
+      gateway: gatewayName,
+      transactionId: payment.transactionId,
+      gatewayPaymentId: payment.gatewayPaymentId || payment.paytmTxnId
+    },
+    accountDefaults: mobileUser ? { mobile: mobileUser.mobile, clientId: mobileUser.clientId } : null,
+    expiresAt: expiryForPlan(plan)
+  });
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $set: { creditTransactionId: transaction._id, creditedAt: transaction.createdAt, creditError: null } }
+  );
+  if (!replayed) {
+    console.log('Credited account from payment:', {
+      orderId: payment.orderId,
+      gateway: gatewayName,
+      userId: String(account.userId),
+      credits,
+      balanceAfter: account.balance
+    });
+  }
+  return transaction;
+};
+
+/**
+ * Move a payment to the status its gateway reported and credit it on
+ * success. Only PENDING payments change status, so a late or replayed
+ * callback cannot turn a SUCCESS into a FAILED. A success whose amount
+ * differs from the order is recorded as FAILED and never credited.
+ */
+const applyGatewayStatus = async (payment, gatewayStatus, { source, checksumValid = null, callbackParams = null } = {}) => {
+  let status = gatewayStatus.status;
+  let error = null;
+
+  if (status === 'SUCCESS' && (gatewayStatus.amount === null || Math.abs(gatewayStatus.amount - payment.amount) > 0.005)) {
+    status = 'FAILED';
+    error = `Paid amount ${gatewayStatus.amount} does not match order amount ${payment.amount}`;
+    console.error('Payment amount mismatch:', { orderId: payment.orderId, paid: gatewayStatus.amount, expected: payment.amount });
+  }
+
+  const now = new Date();
+  const update = {
+    $set: {
+      lastStatusCheckAt: now,
+      verification: {
+        checksumValid,
+        gatewayStatus: gatewayStatus.gatewayStatus,
+        verifiedAt: now,
+        source,
+        error
+      }
+    },
+    $inc: { statusChecks: 1 }
+  };
+  if (callbackParams) update.$set.paytmResponse = callbackParams;
+  if (status !== 'PENDING') {
+    Object.assign(update.$set, {
+      status,
+      transactionId: gatewayStatus.txnId || payment.orderId,
+      gatewayPaymentId: gatewayStatus.txnId,
+      paymentMode: gatewayStatus.paymentMode,
+      bankName: gatewayStatus.bankName,
+      bankTxnId: gatewayStatus.bankTxnId,
+      responseCode: gatewayStatus.responseCode,
+      responseMsg: error || gatewayStatus.responseMsg
+    });
+    if (payment.gatewayName === 'PAYTM') update.$set.paytmTxnId = gatewayStatus.txnId;
+  }
+
+  const transitioned = await Payment.findOneAndUpdate({ _id: payment._id, status: 'PENDING' }, update, { new: true });
+  const updated = transitioned || await Payment.findById(payment._id);
+
+  if (updated.status === 'SUCCESS') {
+    try {
+      await creditForPayment(updated);
+    } catch (creditError) {
+      // Retried by the next callback or reconciliation run for this order
+      console.error('Error crediting account post-payment:', creditError);
+      await Payment.updateOne({ _id: updated._id }, { $set: { creditError: creditError.message } });
+    }
+  }
+  // Only the call that confirmed the payment issues its invoice
+  if (transitioned?.status === 'SUCCESS') {
+    try {
+      await invoices.queueInvoice(transitioned);
+    } catch (invoiceError) {
+      // Issued by the next reconciliation run instead
+      console.error('Error queueing invoice:', invoiceError);
+    }
+  }
+  return updated;
+};
+
+// Ask the payment's gateway for the order's state and apply it. Throws
+// PaymentGatewayError when the gateway cannot be reached.
+const refreshPaymentStatus = async (payment, source = 'inquiry', extra = {}) => {
+  const gateway = await paymentGateways.getGatewayForPayment(payment);
+  const gatewayStatus = await gateway.queryStatus(payment);
+  const updated = await applyGatewayStatus(payment, gatewayStatus, { source, ...extra });
+  return { payment: updated, gatewayStatus };
+};
+
+const findByReference = async (gatewayName, { orderId, gatewayOrderId } = {}) => {
+  if (orderId) return Payment.findOne({ orderId, gatewayName });
+  if (gatewayOrderId) return Payment.findOne({ gatewayOrderId, gatewayName });
+  return null;
+};
+
+// Shared by callbacks and webhooks: find the order, verify the message with
+// that order's merchant account, then confirm its status with the gateway.
+// If the gateway cannot be reached the payment stays PENDING for the
+// reconciliation job. Resolves to { payment, status, rejected, reason }.
+const processNotification = async (gateway, kind, input) => {
+  if (!paymentGateways.hasGateway(gateway)) {
+    return { payment: null, status: 'FAILED', rejected: true, reason: `Unsupported payment gateway: ${gateway}` };
+  }
+  const gatewayName = gateway.toUpperCase();
+  const reference = paymentGateways.referenceFor(gateway, kind, input);
+  const payment = await findByReference(gatewayName, reference);
+  if (!payment) return { payment: null, status: 'FAILED', rejected: true, reason: 'Payment record not found' };
+
+  const adapter = await paymentGateways.getGatewayForPayment(payment);
+  const verified = kind === 'webhook' ? adapter.verifyWebhook(input) : adapter.verifyCallback(input);
+  if (!verified.valid) {
+    console.warn(`Rejected ${gateway} ${kind}:`, { orderId: payment.orderId, reason: verified.reason });
+    return { payment: null, status: 'FAILED', rejected: true, reason: verified.reason };
+  }
+
+  const received = kind === 'webhook' ? (verified.params || { event: verified.event }) : input;
+  try {
+    const { payment: updated } = await refreshPaymentStatus(payment, kind, {
+      checksumValid: verified.signed,
+      callbackParams: received
+    });
+    return { payment: updated, status: updated.status, rejected: false, reason: updated.verification?.error || null };
+  } catch (error) {
+    console.error(`${gateway} status check failed for ${payment.orderId}; leaving payment for reconciliation:`, error.message);
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { paytmResponse: received, lastStatusCheckAt: new Date(), 'verification.error': error.message }, $inc: { statusChecks: 1 } }
+    );
+    return { payment, status: payment.status, rejected: false, reason: 'Awaiting confirmation from the payment gateway' };
+  }
+};
+
+// Customer redirect back from the gateway (form post)
+const processCallback = (gateway, params) => processNotification(gateway, 'callback', params || {});
+
+// Server-to-server notification, signed over the raw request body
+const processWebhook = (gateway, { rawBody, headers }) => processNotification(gateway, 'webhook', { rawBody, headers });
+
+// Settle PENDING payments whose callback never arrived or could not be
+// verified. Orders still pending after PENDING_EXPIRY_HOURS are failed.
+// Every check sets lastStatusCheckAt, so the least recently checked come
+// first and a backlog of stuck orders cannot crowd out newer ones.
+const reconcilePendingPayments = async () => {
+  const now = Date.now();
+  const pending = await Payment.find({
+    status: 'PENDING',
+    createdAt: { $lte: new Date(now - PaytmConfig.PENDING_RECHECK_MINUTES * 60 * 1000) }
+  })
+    .sort({ lastStatusCheckAt: 1, createdAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  const summary = { checked: 0, succeeded: 0, failed: 0, expired: 0, errors: 0 };
+  for (const payment of pending) {
+    summary.checked++;
+    try {
+      const { payment: updated } = await refreshPaymentStatus(payment, 'reconciliation');
+      if (updated.status === 'SUCCESS') summary.succeeded++;
+      if (updated.status === 'FAILED') summary.failed++;
+      if (updated.status !== 'PENDING') continue;
+    } catch (error) {
+      summary.errors++;
+      console.error(`Payment reconciliation failed for ${payment.orderId}:`, error.message);
+      await Payment.updateOne({ _id: payment._id }, { $set: { lastStatusCheckAt: new Date() }, $inc: { statusChecks: 1 } });
+    }
+
+    if (payment.createdAt.getTime() < now - PaytmConfig.PENDING_EXPIRY_HOURS * 60 * 60 * 1000) {
+      const { modifiedCount } = await Payment.updateOne(
+        { _id: payment._id, status: 'PENDING' },
+        { $set: { status: 'FAILED', responseMsg: 'No final status from the payment gateway before the order expired' } }
+      );
+      summary.expired += modifiedCount;
+    }
+  }
+
+  // Successful payments whose crediting failed earlier
+  const uncredited = await Payment.find({
+    status: 'SUCCESS',
+    creditTransactionId: null,
+    creditsPurchased: { $gt: 0 },
+    creditError: { $ne: null }
+  }).limit(RECONCILE_BATCH_SIZE);
+  for (const payment of uncredited) {
+    try {
+      await creditForPayment(payment);
+    } catch (error) {
+      console.error(`Payment re-credit failed for ${payment.orderId}:`, error.message);
+    }
+  }
+
+  // ...and successful payments whose invoice was never issued
+  summary.invoiced = await invoices.issueMissingInvoices();
+
+  return summary;
+};
+
+jobQueue.register(RECONCILE_JOB_TYPE, reconcilePendingPayments, {
+  maxAttempts: 3,
+  every: RECONCILE_INTERVAL
+});
+
+module.exports = {
+  resolvePlan,
+  createOrder,
+  creditForPayment,
+  applyGatewayStatus,
+  refreshPaymentStatus,
+  processCallback,
+  processWebhook,
+  reconcilePendingPayments
+};
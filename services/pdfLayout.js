@@ -0,0 +1,139 @@
+// Page-aware PDF extraction for EnhancedPDFProcessor. Both extractors return
+// layout blocks: { pageNumber, type: "heading" | "text" | "table", text, level }
+const axios = require("axios")
+const pdf = require("pdf-parse")
+
+const CHUNKR_API_URL = process.env.CHUNKR_API_URL || "https://api.chunkr.ai/api/v1"
+const CHUNKR_POLL_INTERVAL = 2000
+const CHUNKR_TIMEOUT = 5 * 60 * 1000
+
+// Numbered structural headings ("Chapter 3", "UNIT IV", "Part 2: ...")
+const STRUCTURAL_HEADING = /^(chapter|unit|part|section|lesson)\s+([0-9]+|[ivxlc]+)\b/i
+
+const median = (values) => {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+// Same line grouping as pdf-parse's default renderer, keeping the font size
+// of each line for heading detection
+const renderPageLines = async (pageData) => {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+  const lines = []
+  let lastY = null
+  for (const item of textContent.items) {
+    const y = item.transform[5]
+    const fontSize = Math.abs(item.transform[3]) || item.height || 0
+    const current = lines[lines.length - 1]
+    if (current && lastY === y) {
+      current.text += item.str
+      current.fontSize = Math.max(current.fontSize, fontSize)
+    } else {
+      lines.push({ text: item.str, fontSize })
+    }
+    lastY = y
+  }
+  return lines.map((line) => ({ ...line, text: line.text.trim() })).filter((line) => line.text)
+}
+
+// Short lines set noticeably larger than body text are headings. The largest
+// heading size in the document is level 1, smaller headings level 2.
+const classifyLine = (line, bodyFontSize, largestHeadingSize) => {
+  const words = line.text.split(/\s+/).length
+  if (STRUCTURAL_HEADING.test(line.text) && words <= 15) return { type: "heading", level: 1 }
+  if (!bodyFontSize || words > 15 || line.text.length > 120 || /[.,;:]$/.test(line.text)) return { type: "text" }
+  if (line.fontSize < bodyFontSize * 1.2) return { type: "text" }
+  return { type: "heading", level: line.fontSize >= largestHeadingSize * 0.95 ? 1 : 2 }
+}
+
+// Local extraction with pdf-parse: text per page, headings from font size
+const extractWithPdfParse = async (pdfBuffer) => {
+  const pages = []
+  const pdfData = await pdf(pdfBuffer, {
+    pagerender: async (pageData) => {
+      const lines = await renderPageLines(pageData)
+      pages.push({ pageNumber: pageData.pageIndex + 1, lines })
+      return lines.map((line) => line.text).join("\n")
+    },
+  })
+
+  const allLines = pages.flatMap((page) => page.lines)
+  const bodyFontSize = median(allLines.map((line) => line.fontSize).filter(Boolean))
+  const largestHeadingSize = allLines
+    .filter((line) => line.text.split(/\s+/).length <= 15)
+    .reduce((largest, line) => Math.max(largest, line.fontSize), 0)
+  const blocks = []
+  pages
+    .sort((a, b) => a.pageNumber - b.pageNumber)
+    .forEach((page) => {
+      page.lines.forEach((line) => {
+        const { type, level } = classifyLine(line, bodyFontSize, largestHeadingSize)
+        const previous = blocks[blocks.length - 1]
+        // Merge consecutive body lines on a page into one text block
+        if (type === "text" && previous?.type === "text" && previous.pageNumber === page.pageNumber) {
+          previous.text += `\n${line.text}`
+        } else {
+          blocks.push({ pageNumber: page.pageNumber, type, text: line.text, ...(level && { level }) })
+        }
+      })
+    })
+
+  return { blocks, totalPages: pdfData.numpages, extractor: "pdf-parse" }
+}
+
+// Chunkr segment types -> layout block types. Page headers/footers are noise
+// for retrieval and are dropped.
+const CHUNKR_SEGMENT_TYPES = {
+  Title: { type: "heading", level: 1 },
+  SectionHeader: { type: "heading", level: 2 },
+  Table: { type: "table" },
+  PageHeader: null,
+  PageFooter: null,
+}
+
+const pollChunkrTask = async (taskId, apiKey) => {
+  const deadline = Date.now() + CHUNKR_TIMEOUT
+  while (Date.now() < deadline) {
+    const { data: task } = await axios.get(`${CHUNKR_API_URL}/task/${taskId}`, {
+      headers: { Authorization: apiKey },
+      timeout: 30000,
+    })
+    if (task.status === "Succeeded") return task
+    if (task.status === "Failed" || task.status === "Cancelled") {
+      throw new Error(`Chunkr task ${taskId} ${task.status.toLowerCase()}: ${task.message || "no details"}`)
+    }
+    await new Promise((resolve) => setTimeout(resolve, CHUNKR_POLL_INTERVAL))
+  }
+  throw new Error(`Chunkr task ${taskId} timed out`)
+}
+
+// Layout analysis through Chunkr: real section headers and tables (as markdown)
+const extractWithChunkr = async (pdfBuffer, fileName, apiKey) => {
+  const { data: created } = await axios.post(
+    `${CHUNKR_API_URL}/task/parse`,
+    { file: pdfBuffer.toString("base64"), file_name: fileName },
+    { headers: { Authorization: apiKey, "Content-Type": "application/json" }, timeout: 60000 }
+  )
+  const task = created.status === "Succeeded" ? created : await pollChunkrTask(created.task_id, apiKey)
+
+  const blocks = []
+  let totalPages = task.output?.page_count || 0
+  for (const chunk of task.output?.chunks || []) {
+    for (const segment of chunk.segments || []) {
+      const mapping = segment.segment_type in CHUNKR_SEGMENT_TYPES ? CHUNKR_SEGMENT_TYPES[segment.segment_type] : { type: "text" }
+      if (!mapping) continue
+      const text = (mapping.type === "table" ? segment.markdown || segment.content : segment.content || segment.markdown || "").trim()
+      if (!text) continue
+      blocks.push({ pageNumber: segment.page_number || null, ...mapping, text })
+      totalPages = Math.max(totalPages, segment.page_number || 0)
+    }
+  }
+
+  return { blocks, totalPages, extractor: "chunkr" }
+}
+
+module.exports = {
+  extractWithPdfParse,
+  extractWithChunkr,
+}
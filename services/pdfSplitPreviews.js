@@ -0,0 +1,37 @@
+const cloudinary = require('cloudinary').v2;
+const PdfSplitPreview = require('../models/PdfSplitPreview');
+const jobQueue = require('./jobQueue');
+
+const SWEEP_JOB_TYPE = 'pdf-split-preview-sweep';
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+// Delete the uploaded source PDF of previews left unconfirmed past their
+// expiry (or whose confirmation failed), then the previews themselves
+const sweepExpiredPreviews = async () => {
+  const expired = await PdfSplitPreview.find({
+    status: { $in: ['pending', 'failed'] },
+    expiresAt: { $lt: new Date() }
+  }).limit(SWEEP_BATCH_SIZE);
+
+  let removed = 0;
+  for (const preview of expired) {
+    try {
+      await cloudinary.uploader.destroy(preview.sourcePublicId, { resource_type: 'raw' });
+      const { deletedCount } = await PdfSplitPreview.deleteOne({ _id: preview._id, status: preview.status });
+      removed += deletedCount;
+    } catch (error) {
+      console.error(`Failed to remove expired split preview ${preview._id}:`, error.message);
+    }
+  }
+  return { removed };
+};
+
+jobQueue.register(SWEEP_JOB_TYPE, sweepExpiredPreviews, {
+  maxAttempts: 3,
+  every: SWEEP_INTERVAL
+});
+
+module.exports = {
+  sweepExpiredPreviews
+};
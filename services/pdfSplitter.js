@@ -0,0 +1,243 @@
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef, PDFString, PDFHexString } = require('pdf-lib');
+const { extractWithPdfParse } = require('./pdfLayout');
+
+const MAX_TITLE_LENGTH = 100;
+
+const STRATEGIES = ['auto', 'outline', 'headings'];
+
+const loadPdf = (buffer) => PDFDocument.load(buffer, { ignoreEncryption: true });
+
+const decodeText = (value) => {
+  if (value instanceof PDFString || value instanceof PDFHexString) return value.decodeText();
+  if (value instanceof PDFName) return value.decodeText();
+  return '';
+};
+
+const cleanTitle = (title) => title.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+
+// Look a key up in a PDF name tree (/Names -> /Dests)
+const findInNameTree = (node, key) => {
+  if (!(node instanceof PDFDict)) return null;
+  const names = node.lookup(PDFName.of('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      if (decodeText(names.lookup(i)) === key) return names.lookup(i + 1);
+    }
+  }
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = findInNameTree(kids.lookup(i), key);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+// Resolve an outline destination (explicit array, named destination or
+// /D of a destination dictionary) to the referenced page object
+const resolveDestinationPage = (pdfDoc, dest) => {
+  let target = dest instanceof PDFRef ? pdfDoc.context.lookup(dest) : dest;
+
+  if (target instanceof PDFName || target instanceof PDFString || target instanceof PDFHexString) {
+    const key = decodeText(target);
+    const catalogDests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+    const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+    target = (catalogDests instanceof PDFDict && catalogDests.lookup(PDFName.of(key))) ||
+      (names instanceof PDFDict && findInNameTree(names.lookup(PDFName.of('Dests')), key)) ||
+      null;
+  }
+  if (target instanceof PDFDict) target = target.lookup(PDFName.of('D'));
+  if (target instanceof PDFArray && target.size() > 0) return target.get(0);
+  return null;
+};
+
+// Bookmarks as a flat list of { title, depth, startPage } (1-based pages)
+const readOutline = (pdfDoc) => {
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) return [];
+
+  const pageNumberByRef = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index + 1]));
+  const entries = [];
+  const visited = new Set();
+
+  const visit = (ref, depth) => {
+    let current = ref;
+    while (current instanceof PDFRef && !visited.has(current.toString())) {
+      visited.add(current.toString());
+      const item = pdfDoc.context.lookup(current);
+      if (!(item instanceof PDFDict)) break;
+
+      let dest = item.get(PDFName.of('Dest'));
+      const action = item.lookup(PDFName.of('A'));
+      if (!dest && action instanceof PDFDict) dest = action.get(PDFName.of('D'));
+      const pageRef = dest ? resolveDestinationPage(pdfDoc, dest) : null;
+      const startPage = pageRef ? pageNumberByRef.get(pageRef.toString()) : undefined;
+      const title = cleanTitle(decodeText(item.lookup(PDFName.of('Title'))));
+
+      if (title && startPage) entries.push({ title, depth, startPage });
+      visit(item.get(PDFName.of('First')), depth + 1);
+      current = item.get(PDFName.of('Next'));
+    }
+  };
+
+  visit(outlines.get(PDFName.of('First')), 0);
+  return entries;
+};
+
+// Chapters (and their topics) from bookmarks. A single top-level bookmark is
+// usually the book title, so its children are used as chapters instead.
+const planFromOutline = (entries) => {
+  if (entries.length === 0) return [];
+  let chapterDepth = 0;
+  if (entries.filter((entry) => entry.depth === 0).length === 1 && entries.some((entry) => entry.depth === 1)) {
+    chapterDepth = 1;
+  }
+
+  const chapters = [];
+  entries.forEach((entry) => {
+    if (entry.depth === chapterDepth) {
+      chapters.push({ title: entry.title, startPage: entry.startPage, topics: [] });
+    } else if (entry.depth === chapterDepth + 1 && chapters.length > 0) {
+      chapters[chapters.length - 1].topics.push({ title: entry.title, startPage: entry.startPage });
+    }
+  });
+  return chapters;
+};
+
+// Chapters from detected headings: level 1 headings start chapters and
+// level 2 headings start topics. Repeated running headers are skipped.
+const planFromHeadings = async (buffer) => {
+  const { blocks } = await extractWithPdfParse(buffer);
+  const chapters = [];
+  const seenTitles = new Set();
+
+  blocks
+    .filter((block) => block.type === 'heading' && block.pageNumber)
+    .forEach((block) => {
+      const title = cleanTitle(block.text);
+      const key = `${block.level}:${title.toLowerCase()}`;
+      if (!title || seenTitles.has(key)) return;
+      seenTitles.add(key);
+
+      if (block.level === 1) {
+        chapters.push({ title, startPage: block.pageNumber, topics: [] });
+      } else if (chapters.length > 0) {
+        chapters[chapters.length - 1].topics.push({ title, startPage: block.pageNumber });
+      }
+    });
+  return chapters;
+};
+
+// Fill in end pages: each range ends where the next one starts (or at the
+// end of its parent), and entries sharing a start page keep one page
+const withEndPages = (ranges, lastPage) => {
+  const sorted = [...ranges].sort((a, b) => a.startPage - b.startPage);
+  return sorted.map((range, index) => {
+    const nextStart = sorted[index + 1]?.startPage ?? lastPage + 1;
+    return { ...range, endPage: Math.min(lastPage, Math.max(range.startPage, nextStart - 1)) };
+  });
+};
+
+const finalizeChapters = (chapters, totalPages) => {
+  return withEndPages(chapters, totalPages).map((chapter) => ({
+    title: chapter.title,
+    startPage: chapter.startPage,
+    endPage: chapter.endPage,
+    topics: withEndPages(
+      (chapter.topics || []).filter((topic) => topic.startPage >= chapter.startPage && topic.startPage <= chapter.endPage),
+      chapter.endPage
+    )
+  }));
+};
+
+// Split plan for a book PDF: { totalPages, detectedFrom, chapters }.
+// strategy: 'outline' (bookmarks only), 'headings' (layout only) or 'auto'
+// (bookmarks when there are at least two chapters, else headings)
+const buildSplitPlan = async (buffer, { strategy = 'auto' } = {}) => {
+  const pdfDoc = await loadPdf(buffer);
+  const totalPages = pdfDoc.getPageCount();
+
+  if (strategy !== 'headings') {
+    const outlineChapters = planFromOutline(readOutline(pdfDoc));
+    if (outlineChapters.length >= 2 || (strategy === 'outline' && outlineChapters.length > 0)) {
+      return { totalPages, detectedFrom: 'outline', chapters: finalizeChapters(outlineChapters, totalPages) };
+    }
+  }
+
+  if (strategy !== 'outline') {
+    const headingChapters = await planFromHeadings(buffer);
+    if (headingChapters.length > 0) {
+      return { totalPages, detectedFrom: 'headings', chapters: finalizeChapters(headingChapters, totalPages) };
+    }
+  }
+
+  return { totalPages, detectedFrom: 'none', chapters: [] };
+};
+
+// Check a (possibly user-edited) plan against the document. Returns a list
+// of problems; an empty list means the plan can be split.
+const validateSplitPlan = (chapters, totalPages) => {
+  const errors = [];
+  if (!Array.isArray(chapters) || chapters.length === 0) {
+    return ['At least one chapter is required'];
+  }
+
+  const checkRange = (range, label, min, max) => {
+    if (!range.title || typeof range.title !== 'string' || !range.title.trim()) {
+      errors.push(`${label}: title is required`);
+    } else if (range.title.trim().length > MAX_TITLE_LENGTH) {
+      errors.push(`${label}: title cannot be more than ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (!Number.isInteger(range.startPage) || !Number.isInteger(range.endPage)) {
+      errors.push(`${label}: startPage and endPage must be integers`);
+    } else if (range.startPage < min || range.endPage > max || range.startPage > range.endPage) {
+      errors.push(`${label}: pages ${range.startPage}-${range.endPage} must lie within ${min}-${max}`);
+    }
+  };
+
+  const isRange = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  chapters.forEach((chapter, index) => {
+    const label = `Chapter ${index + 1}`;
+    if (!isRange(chapter)) {
+      errors.push(`${label}: must be an object with title, startPage and endPage`);
+      return;
+    }
+    checkRange(chapter, label, 1, totalPages);
+    if (chapter.topics === undefined || chapter.topics === null) return;
+    if (!Array.isArray(chapter.topics)) {
+      errors.push(`${label}: topics must be an array`);
+      return;
+    }
+    chapter.topics.forEach((topic, topicIndex) => {
+      const topicLabel = `${label}, topic ${topicIndex + 1}`;
+      if (!isRange(topic)) {
+        errors.push(`${topicLabel}: must be an object with title, startPage and endPage`);
+        return;
+      }
+      checkRange(topic, topicLabel, chapter.startPage, chapter.endPage);
+    });
+  });
+  return errors;
+};
+
+// New PDF holding pages startPage..endPage (1-based, inclusive) of the source.
+// Saved without object streams: the pdf.js bundled with pdf-parse (used when
+// the split is embedded) cannot read them.
+const extractPageRange = async (sourceDoc, startPage, endPage) => {
+  const doc = await PDFDocument.create();
+  const indices = Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage - 1 + i);
+  const pages = await doc.copyPages(sourceDoc, indices);
+  pages.forEach((page) => doc.addPage(page));
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+module.exports = {
+  STRATEGIES,
+  loadPdf,
+  readOutline,
+  buildSplitPlan,
+  validateSplitPlan,
+  extractPageRange
+};
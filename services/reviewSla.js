@@ -0,0 +1,381 @@
+const ReviewRequest = require('../models/ReviewRequest');
+const ReviewSlaPolicy = require('../models/ReviewSlaPolicy');
+const Admin = require('../models/Admin');
+const Evaluator = require('../models/Evaluator');
+const User = require('../models/User');
+const evaluatorAssignment = require('./evaluatorAssignment');
+const jobQueue = require('./jobQueue');
+const { notify } = require('./notifications');
+
+const SWEEP_JOB_TYPE = 'review-sla-sweep';
+const SWEEP_INTERVAL = 5 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+// Completed reviews an expected turnaround is estimated from
+const ESTIMATE_WINDOW_MS = 90 * DAY_MS;
+const ESTIMATE_SAMPLE_SIZE = 1000;
+
+const OPEN_STATUSES = ['pending', 'assigned', 'in_progress'];
+
+const DEFAULT_POLICIES = {
+  high: { acceptWithinHours: 2, completeWithinHours: 24, escalateTo: 'evaluator' },
+  medium: { acceptWithinHours: 4, completeWithinHours: 48, escalateTo: 'evaluator' },
+  low: { acceptWithinHours: 8, completeWithinHours: 72, escalateTo: 'evaluator' }
+};
+
+const PRIORITIES = Object.keys(DEFAULT_POLICIES);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Policy for a priority as seen by a client's students: the client's own
+// row, else the platform row (clientId null), else DEFAULT_POLICIES
+const getPolicy = async (clientId, priority) => {
+  const level = PRIORITIES.includes(priority) ? priority : 'medium';
+  const rows = await ReviewSlaPolicy.find({
+    priority: level,
+    clientId: { $in: clientId ? [clientId, null] : [null] },
+    isActive: true
+  }).lean();
+  const row = rows.find((policy) => policy.clientId === clientId) || rows.find((policy) => policy.clientId === null);
+  if (row) {
+    return {
+      priority: level,
+      acceptWithinHours: row.acceptWithinHours,
+      completeWithinHours: row.completeWithinHours,
+      escalateTo: row.escalateTo,
+      policyId: row._id,
+      source: row.clientId ? 'client' : 'platform'
+    };
+  }
+  return { priority: level, ...DEFAULT_POLICIES[level], policyId: null, source: 'default' };
+};
+
+// Every priority with its effective policy for a client
+const getPolicyList = async (clientId) => Promise.all(PRIORITIES.map((priority) => getPolicy(clientId, priority)));
+
+/**
+ * Validate and save the policy for one priority of a client (null: the
+ * platform). Resolves to { policy } or { error }.
+ */
+const savePolicy = async (clientId, { priority, acceptWithinHours, completeWithinHours, escalateTo = 'evaluator', isActive = true }, updatedBy = null) => {
+  if (!PRIORITIES.includes(priority)) return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+  const accept = Number(acceptWithinHours);
+  const complete = Number(completeWithinHours);
+  if (!Number.isFinite(accept) || accept <= 0 || !Number.isFinite(complete) || complete <= 0) {
+    return { error: 'acceptWithinHours and completeWithinHours must be numbers above 0' };
+  }
+  if (accept > complete) return { error: 'acceptWithinHours cannot be more than completeWithinHours' };
+  if (!['admin', 'evaluator'].includes(escalateTo)) return { error: 'escalateTo must be admin or evaluator' };
+
+  const policy = await ReviewSlaPolicy.findOneAndUpdate(
+    { clientId: clientId || null, priority },
+    {
+      $set: {
+        acceptWithinHours: accept,
+        completeWithinHours: complete,
+        escalateTo,
+        isActive: Boolean(isActive),
+        updatedBy
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return { policy };
+};
+
+// Set the deadlines of a new request from its policy, before it is saved
+const applyPolicy = async (request) => {
+  const policy = await getPolicy(request.clientId, request.priority);
+  const requestedAt = (request.requestedAt || new Date()).getTime();
+  request.sla = {
+    policy: policy.policyId,
+    acceptBy: new Date(requestedAt + policy.acceptWithinHours * HOUR_MS),
+    dueBy: new Date(requestedAt + policy.completeWithinHours * HOUR_MS),
+    acceptBreachedAt: null,
+    completeBreachedAt: null,
+    breached: false
+  };
+  return policy;
+};
+
+const alertAdmins = async (request, breach) => {
+  const admins = await Admin.find().select('_id').lean();
+  const deadline = breach === 'accept' ? request.sla.acceptBy : request.sla.dueBy;
+  const what = breach === 'accept' ? 'has not been accepted' : 'has not been completed';
+  await Promise.all(admins.map((admin) => notify({
+    recipientType: 'Admin',
+    recipientId: admin._id,
+    clientId: request.clientId,
+    type: 'review_sla_breached',
+    title: 'Review request overdue',
+    message: `A ${request.priority} priority review request for client ${request.clientId} ${what} by its SLA deadline.`,
+    data: { requestId: request._id, breach, deadline, assignedEvaluator: request.assignedEvaluator || null },
+    dedupeKey: `review-sla:${request._id}:${breach}:${admin._id}`
+  }).catch((error) => console.error(`Failed to alert admin ${admin._id}:`, error.message))));
+};
+
+/**
+ * Flag a missed deadline ('accept' or 'complete') on a request and escalate
+ * it once. An offer nobody accepted moves to the next evaluator when the
+ * policy escalates to evaluators; anything else (no evaluator available,
+ * review already accepted, or an 'admin' policy) alerts the admins and
+ * reminds the evaluator holding it.
+ *
+ * Resolves to the escalation recorded, or null if the breach was already
+ * flagged.
+ */
+const escalate = async (request, breach) => {
+  const field = breach === 'accept' ? 'acceptBreachedAt' : 'completeBreachedAt';
+  const deadline = breach === 'accept' ? request.sla.acceptBy : request.sla.dueBy;
+  const flagged = await ReviewRequest.findOneAndUpdate(
+    { _id: request._id, [`sla.${field}`]: null, requestStatus: { $in: OPEN_STATUSES } },
+    { $set: { [`sla.${field}`]: deadline, 'sla.breached': true } },
+    { new: true }
+  );
+  if (!flagged) return null;
+
+  const policy = await getPolicy(flagged.clientId, flagged.priority);
+  let escalation = null;
+  if (policy.escalateTo === 'evaluator' && flagged.requestStatus === 'assigned' && flagged.assignedEvaluator && !flagged.acceptedAt) {
+    const updated = await evaluatorAssignment.assignRequest(flagged, { previousEvaluator: flagged.assignedEvaluator });
+    if (updated?.assignedEvaluator) {
+      escalation = { breach, action: 'reassigned', evaluator: updated.assignedEvaluator, at: new Date() };
+    }
+  }
+
+  if (!escalation) {
+    const current = await ReviewRequest.findById(flagged._id);
+    await alertAdmins(current, breach);
+    if (current.assignedEvaluator) {
+      try {
+        await notify({
+          recipientType: 'Evaluator',
+          recipientId: current.assignedEvaluator,
+          clientId: current.clientId,
+          type: 'review_overdue',
+          title: 'Review overdue',
+          message: breach === 'accept'
+            ? 'A review request offered to you is past its acceptance deadline. Please accept it as soon as possible.'
+            : 'A review request assigned to you is past its deadline. Please complete it as soon as possible.',
+          data: { requestId: current._id, answerId: current.answerId, dueBy: current.sla.dueBy },
+          dedupeKey: `review-overdue:${current._id}:${breach}:${current.assignedEvaluator}`
+        });
+      } catch (error) {
+        console.error(`Failed to remind evaluator ${current.assignedEvaluator}:`, error.message);
+      }
+    }
+    escalation = { breach, action: 'admin_alerted', evaluator: current.assignedEvaluator || null, at: new Date() };
+  }
+
+  await ReviewRequest.updateOne({ _id: flagged._id }, { $push: { escalations: escalation } });
+  return escalation;
+};
+
+// Flag and escalate open requests past their accept or completion deadline
+const sweepBreaches = async () => {
+  const now = new Date();
+  const unaccepted = await ReviewRequest.find({
+    requestStatus: { $in: ['pending', 'assigned'] },
+    acceptedAt: null,
+    'sla.acceptBy': { $ne: null, $lt: now },
+    'sla.acceptBreachedAt': null
+  }).limit(SWEEP_BATCH_SIZE);
+  const overdue = await ReviewRequest.find({
+    requestStatus: { $in: OPEN_STATUSES },
+    'sla.dueBy': { $ne: null, $lt: now },
+    'sla.completeBreachedAt': null
+  }).limit(SWEEP_BATCH_SIZE);
+
+  const counts = { acceptBreaches: 0, completeBreaches: 0, reassigned: 0, adminAlerts: 0 };
+  for (const [breach, requests] of [['accept', unaccepted], ['complete', overdue]]) {
+    for (const request of requests) {
+      try {
+        const escalation = await escalate(request, breach);
+        if (!escalation) continue;
+        counts[breach === 'accept' ? 'acceptBreaches' : 'completeBreaches'] += 1;
+        counts[escalation.action === 'reassigned' ? 'reassigned' : 'adminAlerts'] += 1;
+      } catch (error) {
+        console.error(`SLA escalation failed for review request ${request._id}:`, error);
+      }
+    }
+  }
+  return counts;
+};
+
+/**
+ * Reporting period from query strings (ISO dates). Defaults to the last
+ * DEFAULT_REPORT_DAYS days. Returns { from, to } or { error }.
+ */
+const reportRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: 'from and to must be valid dates' };
+  if (start >= end) return { error: 'from must be before to' };
+  if (end - start > MAX_REPORT_DAYS * DAY_MS) return { error: `The period can be at most ${MAX_REPORT_DAYS} days` };
+  return { from: start, to: end };
+};
+
+// Average, median and 90th percentile of durations in hours
+const summarize = (durations) => {
+  if (durations.length === 0) return { count: 0, avgHours: null, medianHours: null, p90Hours: null };
+  const sorted = [...durations].sort((a, b) => a - b);
+  const at = (share) => sorted[Math.min(sorted.length - 1, Math.ceil(share * sorted.length) - 1)];
+  return {
+    count: sorted.length,
+    avgHours: round2(sorted.reduce((sum, value) => sum + value, 0) / sorted.length / HOUR_MS),
+    medianHours: round2(at(0.5) / HOUR_MS),
+    p90Hours: round2(at(0.9) / HOUR_MS)
+  };
+};
+
+const emptyGroup = (key) => ({
+  key,
+  requests: 0,
+  completed: 0,
+  completedOnTime: 0,
+  open: 0,
+  cancelled: 0,
+  overdueOpen: 0,
+  acceptBreaches: 0,
+  completeBreaches: 0,
+  durations: { accept: [], review: [], total: [] }
+});
+
+const addToGroup = (group, request, now) => {
+  group.requests += 1;
+  if (request.requestStatus === 'completed') {
+    group.completed += 1;
+    if (!request.sla?.completeBreachedAt) group.completedOnTime += 1;
+  } else if (request.requestStatus === 'cancelled') {
+    group.cancelled += 1;
+  } else {
+    group.open += 1;
+    if (request.sla?.dueBy && request.sla.dueBy < now) group.overdueOpen += 1;
+  }
+  if (request.sla?.acceptBreachedAt) group.acceptBreaches += 1;
+  if (request.sla?.completeBreachedAt) group.completeBreaches += 1;
+
+  const requestedAt = request.requestedAt.getTime();
+  // Requests from before acceptance was tracked count from assignment
+  const acceptedAt = request.acceptedAt || request.assignedAt;
+  if (acceptedAt) group.durations.accept.push(acceptedAt.getTime() - requestedAt);
+  if (request.requestStatus === 'completed' && request.completedAt) {
+    group.durations.total.push(request.completedAt.getTime() - requestedAt);
+    if (acceptedAt) group.durations.review.push(request.completedAt.getTime() - acceptedAt.getTime());
+  }
+};
+
+const finishGroup = (group) => {
+  const { durations, ...counts } = group;
+  return {
+    ...counts,
+    onTimeRate: group.completed > 0 ? round2((group.completedOnTime / group.completed) * 100) : null,
+    timeToAccept: summarize(durations.accept),
+    timeToReview: summarize(durations.review),
+    timeToComplete: summarize(durations.total)
+  };
+};
+
+/**
+ * Turnaround of review requests raised in [from, to), overall and grouped
+ * by 'evaluator', 'client' or 'priority'. Durations are from the request
+ * to acceptance (timeToAccept), acceptance to completion (timeToReview) and
+ * request to completion (timeToComplete).
+ */
+const turnaroundReport = async ({ from, to, groupBy = 'evaluator', clientId = null, priority = null, evaluatorId = null }) => {
+  const filter = { requestedAt: { $gte: from, $lt: to } };
+  if (clientId) filter.clientId = clientId;
+  if (priority) filter.priority = priority;
+  if (evaluatorId) filter.assignedEvaluator = evaluatorId;
+
+  const requests = await ReviewRequest.find(filter)
+    .select('clientId assignedEvaluator priority requestStatus requestedAt assignedAt acceptedAt completedAt sla')
+    .lean();
+
+  const now = new Date();
+  const keyOf = {
+    evaluator: (request) => (request.assignedEvaluator ? String(request.assignedEvaluator) : null),
+    client: (request) => request.clientId,
+    priority: (request) => request.priority
+  }[groupBy];
+
+  const overall = emptyGroup(null);
+  const groups = new Map();
+  requests.forEach((request) => {
+    const key = keyOf(request);
+    if (!groups.has(key)) groups.set(key, emptyGroup(key));
+    addToGroup(groups.get(key), request, now);
+    addToGroup(overall, request, now);
+  });
+
+  const rows = [...groups.values()].map(finishGroup).sort((a, b) => b.requests - a.requests);
+  const keys = rows.map((row) => row.key).filter(Boolean);
+  if (groupBy === 'evaluator') {
+    const evaluators = keys.length > 0 ? await Evaluator.find({ _id: { $in: keys } }).select('name').lean() : [];
+    const byId = new Map(evaluators.map((evaluator) => [String(evaluator._id), evaluator]));
+    rows.forEach((row) => {
+      row.name = row.key ? byId.get(row.key)?.name || null : 'Unassigned';
+    });
+  } else if (groupBy === 'client' && keys.length > 0) {
+    const clients = await User.find({ role: 'client', userId: { $in: keys } }).select('userId businessName name').lean();
+    const byId = new Map(clients.map((client) => [client.userId, client]));
+    rows.forEach((row) => {
+      const client = byId.get(row.key);
+      row.name = client ? client.businessName || client.name : null;
+    });
+  }
+
+  return { from, to, groupBy, overall: finishGroup(overall), groups: rows };
+};
+
+/**
+ * What a student can expect for a priority: the promised completion time
+ * from the SLA policy and the median actually achieved for the client over
+ * the last 90 days.
+ */
+const expectedTurnaround = async (clientId, priority) => {
+  const policy = await getPolicy(clientId, priority);
+  const recent = await ReviewRequest.find({
+    clientId,
+    priority: policy.priority,
+    requestStatus: 'completed',
+    completedAt: { $gte: new Date(Date.now() - ESTIMATE_WINDOW_MS) }
+  })
+    .sort({ completedAt: -1 })
+    .limit(ESTIMATE_SAMPLE_SIZE)
+    .select('requestedAt completedAt sla.completeBreachedAt')
+    .lean();
+
+  const typical = summarize(recent.map((request) => request.completedAt - request.requestedAt));
+  const onTime = recent.filter((request) => !request.sla?.completeBreachedAt).length;
+  return {
+    priority: policy.priority,
+    promisedHours: policy.completeWithinHours,
+    typicalHours: typical.medianHours,
+    p90Hours: typical.p90Hours,
+    onTimeRate: recent.length > 0 ? round2((onTime / recent.length) * 100) : null,
+    basedOn: recent.length
+  };
+};
+
+jobQueue.register(SWEEP_JOB_TYPE, sweepBreaches, {
+  maxAttempts: 3,
+  every: SWEEP_INTERVAL
+});
+
+module.exports = {
+  DEFAULT_POLICIES,
+  PRIORITIES,
+  getPolicy,
+  getPolicyList,
+  savePolicy,
+  applyPolicy,
+  escalate,
+  sweepBreaches,
+  reportRange,
+  turnaroundReport,
+  expectedTurnaround
+};
@@ -9,12 +9,6 @@ let fetch;
 const axios = require('axios');
 const cloudinary = require('cloudinary').v2;
 
-// API Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-
 // Text extraction functions
 const extractTextFromImages = async (imageUrls) => {
   // ... (same implementation as original)
@@ -42,10 +36,6 @@ const parseEvaluationResponse = (evaluationText, question) => {
   // ... (same implementation as original)
 };
 
-const generateMockEvaluation = (question) => {
-  // ... (same implementation as original)
-};
-
 // Service functions
 const submitAnswerService = async (req) => {
   // ... (same implementation as original route handler)
@@ -108,7 +98,6 @@ module.exports = {
   extractTextFromImagesWithFallback,
   generateEvaluationPrompt,
   parseEvaluationResponse,
-  generateMockEvaluation,
   submitAnswerService,
   getEvaluationService,
   getSubmissionStatusService,
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const EnhancedPDFProcessor = require('../services/PDFProcessor');
+
+// Embedding provider whose configured model can be switched between calls,
+// as happens when the AI service configuration is edited
+const switchableProvider = (model) => {
+  const provider = {
+    model,
+    embedCalls: [],
+    getModel: () => provider.model,
+    embed: async (texts, options) => {
+      provider.embedCalls.push(options);
+      return texts.map(() => [0.1, 0.2, 0.3]);
+    }
+  };
+  return provider;
+};
+
+const fakeDb = () => ({
+  listCollections: async () => [],
+  createCollection: async () => ({}),
+  collection: (name) => ({
+    name,
+    find: () => ({ toArray: async () => [] })
+  })
+});
+
+describe('EnhancedPDFProcessor book state', () => {
+  it('keeps the embedding model a book was opened with', async () => {
+    const provider = switchableProvider('text-embedding-004');
+    const processor = new EnhancedPDFProcessor({
+      provider,
+      astraToken: 'token',
+      astraApiEndpoint: 'https://example-region.apps.astra.datastax.com'
+    });
+    processor.db = fakeDb();
+
+    const first = await processor.initializeBookDB('book1');
+    provider.model = 'text-embedding-3-small';
+    const second = await processor.initializeBookDB('book2');
+
+    assert.equal(first.embeddingModel, 'text-embedding-004');
+    assert.equal(first.vectorDimensions, 768);
+    assert.equal(second.embeddingModel, 'text-embedding-3-small');
+    assert.equal(second.vectorDimensions, 1536);
+
+    await processor.hybridRetrieve(first, 'What is federalism?', { book_id: 'book1' });
+    assert.equal(provider.embedCalls.at(-1).model, 'text-embedding-004');
+  });
+});
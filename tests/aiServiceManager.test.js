@@ -0,0 +1,47 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+const AIServiceConfig = require('../models/AIServiceConfig');
+const aiServiceManager = require('../services/aiServiceManager');
+
+const globalService = {
+  serviceName: 'openai',
+  apiKey: 'platform-key',
+  apiUrl: 'https://api.openai.com/v1',
+  serviceConfig: { timeout: 30 }
+};
+
+describe('aiServiceManager.buildClientProvider', () => {
+  beforeEach(() => {
+    mock.method(AIServiceConfig, 'findOne', () => query(globalService));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('uses the client\'s own key and endpoint', async () => {
+    const provider = await aiServiceManager.buildClientProvider({
+      sourcename: 'OpenAI', modelname: 'gpt-4o', apiKey: 'client-key', apiUrl: 'https://llm.client.example/v1'
+    });
+
+    assert.equal(provider.apiKey, 'client-key');
+    assert.equal(provider.apiUrl, 'https://llm.client.example/v1');
+    assert.equal(provider.options.textModel, 'gpt-4o');
+  });
+
+  it('borrows the global key along with the global endpoint', async () => {
+    const provider = await aiServiceManager.buildClientProvider({ sourcename: 'openai', modelname: 'gpt-4o' });
+
+    assert.equal(provider.apiKey, 'platform-key');
+    assert.equal(provider.apiUrl, 'https://api.openai.com/v1');
+  });
+
+  it('does not send the global key to the client\'s own endpoint', async () => {
+    const provider = await aiServiceManager.buildClientProvider({
+      sourcename: 'openai', modelname: 'gpt-4o', apiUrl: 'https://llm.client.example/v1'
+    });
+
+    assert.equal(provider, null);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const mongoose = require('mongoose');
+const UserAnswer = require('../models/UserAnswer');
+const AiswbQuestion = require('../models/AiswbQuestion');
+const creditMetering = require('../services/creditMetering');
+const answerProcessing = require('../services/answerProcessing');
+
+const queuedAnswer = () => new UserAnswer({
+  userId: new mongoose.Types.ObjectId(),
+  questionId: new mongoose.Types.ObjectId(),
+  testType: 'aiswb',
+  answerImages: [],
+  processing: answerProcessing.buildQueuedProcessingState()
+});
+
+describe('answerProcessing.processAnswerJob', () => {
+  let capture;
+  let refund;
+
+  beforeEach(() => {
+    mock.method(AiswbQuestion, 'findById', async () => ({ evaluationMode: 'auto' }));
+    mock.method(UserAnswer.prototype, 'save', async function () {
+      return this;
+    });
+    capture = mock.method(creditMetering, 'captureForResource', async () => []);
+    refund = mock.method(creditMetering, 'refundForResource', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the held credits when the submission is invalid', async () => {
+    const userAnswer = queuedAnswer();
+    mock.method(UserAnswer, 'findById', async () => userAnswer);
+
+    const result = await answerProcessing.processAnswerJob({ answerId: userAnswer._id.toString() }, { attempts: 1 });
+
+    assert.equal(result.submissionStatus, 'invalid');
+    assert.equal(userAnswer.processing.stages.evaluation.status, 'skipped');
+    assert.equal(capture.mock.callCount(), 0);
+    assert.deepEqual(refund.mock.calls[0].arguments, ['UserAnswer', userAnswer._id, 'invalid submission']);
+  });
+
+  it('settles nothing for an answer that was already processed', async () => {
+    const userAnswer = queuedAnswer();
+    userAnswer.processing.status = 'completed';
+    mock.method(UserAnswer, 'findById', async () => userAnswer);
+
+    const result = await answerProcessing.processAnswerJob({ answerId: userAnswer._id.toString() }, { attempts: 1 });
+
+    assert.equal(result.skipped, true);
+    assert.equal(capture.mock.callCount(), 0);
+    assert.equal(refund.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const creditLedger = require('../services/creditLedger');
+const paymentGateways = require('../services/paymentGateways');
+const creditAdjustments = require('../services/creditAdjustments');
+
+const refundAdjustment = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'refund',
+  userId: new mongoose.Types.ObjectId(),
+  credits: 100,
+  payment: new mongoose.Types.ObjectId(),
+  originalTransaction: new mongoose.Types.ObjectId(),
+  reason: 'Duplicate purchase',
+  reasonCode: 'duplicate_purchase',
+  requestedBy: new mongoose.Types.ObjectId(),
+  refund: { amount: 499 }
+});
+
+describe('creditAdjustments.performRefund', () => {
+  let adjustment;
+  let clawback;
+  let paymentUpdate;
+  let credit;
+
+  beforeEach(() => {
+    adjustment = refundAdjustment();
+    clawback = { _id: new mongoose.Types.ObjectId(), amount: 100, lotAllocations: [{ lot: new mongoose.Types.ObjectId(), amount: 100 }] };
+    mock.method(Payment, 'findOneAndUpdate', async () => ({
+      _id: adjustment.payment, orderId: 'ORDER_1', amount: 499, refundedAmount: 499
+    }));
+    paymentUpdate = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(creditLedger, 'debit', async () => ({ transaction: clawback }));
+    credit = mock.method(creditLedger, 'credit', async () => ({ transaction: {} }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const gatewayAnswering = (refund) => {
+    mock.method(paymentGateways, 'getGatewayForPayment', async () => ({ gateway: 'razorpay', displayName: 'Razorpay', refund }));
+  };
+
+  it('returns the money and the clawed-back credits when the gateway refuses', async () => {
+    gatewayAnswering(async () => ({ status: 'FAILED', responseMsg: 'Refund window closed' }));
+
+    await assert.rejects(creditAdjustments.performRefund(adjustment), (error) => {
+      assert.equal(error.code, 'GATEWAY_ERROR');
+      assert.match(error.message, /Refund window closed/);
+      return true;
+    });
+
+    assert.deepEqual(paymentUpdate.mock.calls[0].arguments, [{ _id: adjustment.payment }, { $inc: { refundedAmount: -499 } }]);
+    const [posting] = credit.mock.calls[0].arguments;
+    assert.equal(posting.amount, 100);
+    assert.equal(posting.reversalOf, clawback._id);
+    assert.equal(posting.lotAllocations, clawback.lotAllocations);
+    assert.equal(posting.idempotencyKey, `refund-clawback-undo:${adjustment._id}`);
+  });
+
+  it('undoes the refund when the gateway rejects the request', async () => {
+    gatewayAnswering(async () => {
+      throw Object.assign(new Error('Amount exceeds the captured amount'), { status: 400 });
+    });
+
+    await assert.rejects(creditAdjustments.performRefund(adjustment), { code: 'GATEWAY_ERROR' });
+    assert.equal(paymentUpdate.mock.callCount(), 1);
+    assert.equal(credit.mock.callCount(), 1);
+  });
+
+  it('undoes nothing when the gateway cannot be reached', async () => {
+    gatewayAnswering(async () => {
+      throw new Error('socket hang up');
+    });
+
+    const result = await creditAdjustments.performRefund(adjustment);
+
+    assert.equal(result.status, 'processing');
+    assert.equal(result.refund.status, 'PENDING');
+    assert.equal(result.transaction, clawback._id);
+    assert.equal(paymentUpdate.mock.callCount(), 0);
+    assert.equal(credit.mock.callCount(), 0);
+  });
+
+  it('returns the money when the credits cannot be clawed back', async () => {
+    mock.method(creditLedger, 'debit', async () => {
+      throw new creditLedger.CreditLedgerError('Insufficient credits', 'INSUFFICIENT_CREDITS');
+    });
+    const refund = mock.fn();
+    gatewayAnswering(refund);
+
+    await assert.rejects(creditAdjustments.performRefund(adjustment), { code: 'INSUFFICIENT_CREDITS' });
+    assert.equal(refund.mock.callCount(), 0);
+    assert.deepEqual(paymentUpdate.mock.calls[0].arguments[1], { $inc: { refundedAmount: -499 } });
+    assert.equal(credit.mock.callCount(), 0);
+  });
+});
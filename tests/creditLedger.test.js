@@ -0,0 +1,163 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, duplicateKeyError, mockRequest } = require('./helpers');
+const mongoose = require('mongoose');
+const CreditAccount = require('../models/CreditAccount');
+const CreditTransaction = require('../models/CreditTransaction');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const CreditLot = require('../models/CreditLot');
+const creditLedger = require('../services/creditLedger');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Postings run in a (fake) transaction that just runs the work
+const fakeSession = {
+  withTransaction: async (work) => work(),
+  endSession: async () => {}
+};
+
+// A journal row as CreditTransaction.create returns it
+const stubJournalCreate = () => {
+  const created = [];
+  mock.method(CreditTransaction, 'create', async ([data]) => {
+    const journal = { _id: new mongoose.Types.ObjectId(), ...data, save: mock.fn(async () => journal) };
+    created.push(journal);
+    return [journal];
+  });
+  return created;
+};
+
+describe('creditLedger.idempotencyKeyFromRequest', () => {
+  it('scopes the Idempotency-Key header to the operation and user', () => {
+    const req = mockRequest({ headers: { 'Idempotency-Key': ' abc-123 ' } });
+    assert.equal(creditLedger.idempotencyKeyFromRequest(req, 'usage', userId), `usage:${userId}:abc-123`);
+  });
+
+  it('accepts the key in the body', () => {
+    const req = mockRequest({ body: { idempotencyKey: 'from-body' } });
+    assert.equal(creditLedger.idempotencyKeyFromRequest(req, 'usage', userId), `usage:${userId}:from-body`);
+  });
+
+  it('rejects a request without a key with a 400', () => {
+    for (const req of [mockRequest(), mockRequest({ headers: { 'Idempotency-Key': '   ' } })]) {
+      assert.throws(() => creditLedger.idempotencyKeyFromRequest(req, 'usage', userId), (error) => {
+        assert.ok(error instanceof creditLedger.CreditLedgerError);
+        assert.equal(error.code, 'INVALID_REQUEST');
+        assert.equal(error.status, 400);
+        return true;
+      });
+    }
+  });
+});
+
+describe('creditLedger.post', () => {
+  beforeEach(() => {
+    mock.method(mongoose, 'startSession', async () => fakeSession);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const posting = (overrides = {}) => ({
+    userId,
+    amount: 10,
+    category: 'purchase',
+    description: 'Test posting',
+    idempotencyKey: 'test:1',
+    ...overrides
+  });
+
+  it('validates the posting before touching the database', async () => {
+    const create = mock.method(CreditTransaction, 'create', async () => assert.fail('nothing should be written'));
+    await assert.rejects(creditLedger.credit(posting({ amount: -1 })), { code: 'INVALID_REQUEST' });
+    await assert.rejects(creditLedger.credit(posting({ amount: '10' })), { code: 'INVALID_REQUEST' });
+    await assert.rejects(creditLedger.credit(posting({ category: 'gift' })), { code: 'INVALID_REQUEST' });
+    await assert.rejects(creditLedger.credit(posting({ idempotencyKey: null })), { code: 'INVALID_REQUEST' });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('credits the account and writes balanced ledger entries and a lot', async () => {
+    const journals = stubJournalCreate();
+    const accountUpdate = mock.method(CreditAccount, 'findOneAndUpdate', async () => ({ userId, balance: 15 }));
+    const entries = mock.method(CreditLedgerEntry, 'insertMany', async (rows) => rows);
+    const lots = mock.method(CreditLot, 'create', async ([lot]) => [{ _id: new mongoose.Types.ObjectId(), ...lot }]);
+
+    const { transaction, account, replayed } = await creditLedger.credit(posting());
+
+    assert.equal(replayed, false);
+    assert.equal(account.balance, 15);
+    assert.equal(transaction, journals[0]);
+    assert.equal(transaction.status, 'completed');
+    assert.equal(transaction.balanceBefore, 5);
+    assert.equal(transaction.balanceAfter, 15);
+    assert.equal(transaction.save.mock.callCount(), 1);
+
+    const [filter, update] = accountUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { userId, status: 'active' });
+    assert.deepEqual(update.$inc, { balance: 10, totalEarned: 10 });
+
+    const [rows] = entries.mock.calls[0].arguments;
+    assert.deepEqual(rows.map((row) => [row.account, row.direction, row.amount]), [
+      [`user:${userId}`, 'credit', 10],
+      ['system:sales', 'debit', 10]
+    ]);
+    assert.equal(lots.mock.calls[0].arguments[0][0].remaining, 10);
+  });
+
+  it('only debits an account holding enough credits', async () => {
+    stubJournalCreate();
+    const accountUpdate = mock.method(CreditAccount, 'findOneAndUpdate', async () => null);
+    mock.method(CreditAccount, 'findOne', () => query({ userId, status: 'active', balance: 4 }));
+
+    await assert.rejects(creditLedger.debit(posting({ category: 'service_usage' })), (error) => {
+      assert.equal(error.code, 'INSUFFICIENT_CREDITS');
+      assert.equal(error.status, 402);
+      assert.deepEqual(error.details, { balance: 4, required: 10 });
+      return true;
+    });
+    const [filter, update] = accountUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter.balance, { $gte: 10 });
+    assert.deepEqual(update.$inc, { balance: -10, totalSpent: 10 });
+  });
+
+  it('replays a repeated idempotency key instead of posting twice', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), userId, type: 'credit', amount: 10, status: 'completed' };
+    mock.method(CreditTransaction, 'create', async () => {
+      throw duplicateKeyError('idempotencyKey');
+    });
+    const lookup = mock.method(CreditTransaction, 'findOne', async () => existing);
+    mock.method(CreditAccount, 'findOne', async () => ({ userId, balance: 15 }));
+    const accountUpdate = mock.method(CreditAccount, 'findOneAndUpdate', async () => assert.fail('balance must not change'));
+
+    const { transaction, account, replayed } = await creditLedger.credit(posting());
+
+    assert.equal(replayed, true);
+    assert.equal(transaction, existing);
+    assert.equal(account.balance, 15);
+    assert.deepEqual(lookup.mock.calls[0].arguments[0], { idempotencyKey: 'test:1' });
+    assert.equal(accountUpdate.mock.callCount(), 0);
+  });
+
+  it('rejects a repeated key used for a different posting', async () => {
+    mock.method(CreditTransaction, 'create', async () => {
+      throw duplicateKeyError('idempotencyKey');
+    });
+    mock.method(CreditTransaction, 'findOne', async () => ({ userId, type: 'credit', amount: 25, status: 'completed' }));
+
+    await assert.rejects(creditLedger.credit(posting()), (error) => {
+      assert.equal(error.code, 'IDEMPOTENCY_CONFLICT');
+      assert.equal(error.status, 409);
+      return true;
+    });
+  });
+
+  it('asks the client to retry while the first request is still pending', async () => {
+    mock.method(CreditTransaction, 'create', async () => {
+      throw duplicateKeyError('idempotencyKey');
+    });
+    mock.method(CreditTransaction, 'findOne', async () => ({ userId, type: 'credit', amount: 10, status: 'pending' }));
+
+    await assert.rejects(creditLedger.credit(posting()), { code: 'IDEMPOTENCY_CONFLICT', message: /still being processed/ });
+  });
+});
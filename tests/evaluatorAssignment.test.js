@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+const mongoose = require('mongoose');
+const ReviewRequest = require('../models/ReviewRequest');
+const UserAnswer = require('../models/UserAnswer');
+const Evaluator = require('../models/Evaluator');
+const UserProfile = require('../models/UserProfile');
+const AiswbQuestion = require('../models/AiswbQuestion');
+const Notification = require('../models/Notification');
+const evaluatorAssignment = require('../services/evaluatorAssignment');
+
+const timedOut = new mongoose.Types.ObjectId();
+const available = new mongoose.Types.ObjectId();
+
+const reviewRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  answerId: new mongoose.Types.ObjectId(),
+  questionId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  clientId: 'CLIENT_1',
+  requestStatus: 'pending',
+  assignedEvaluator: null,
+  assignmentHistory: [],
+  ...overrides
+});
+
+describe('evaluatorAssignment.sweepAssignments', () => {
+  let findRequests;
+  let findEvaluators;
+  let offer;
+
+  // The sweep's two queries: offers past their accept deadline, then
+  // requests waiting for a first offer
+  const stubSweep = ({ expired = [], unassigned = [], evaluators = [] }) => {
+    const queries = { expired: query(expired), unassigned: query(unassigned) };
+    findRequests = mock.method(ReviewRequest, 'find', (filter) => (filter.requestStatus === 'assigned' ? queries.expired : queries.unassigned));
+    findEvaluators = mock.method(Evaluator, 'find', () => query(evaluators));
+    return queries;
+  };
+
+  beforeEach(() => {
+    mock.method(UserAnswer, 'findById', () => query(null));
+    mock.method(UserAnswer, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(AiswbQuestion, 'findById', () => query(null));
+    mock.method(UserProfile, 'findOne', () => query(null));
+    mock.method(ReviewRequest, 'aggregate', async () => []);
+    mock.method(Notification, 'create', async (data) => data);
+    offer = mock.method(ReviewRequest, 'findOneAndUpdate', async (filter, update) => ({
+      _id: filter._id,
+      clientId: 'CLIENT_1',
+      ...update.$set
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('leaves requests that ran out of offers out of the batch', async () => {
+    const queries = stubSweep({});
+
+    await evaluatorAssignment.sweepAssignments();
+
+    const unassignedFilter = findRequests.mock.calls.map((call) => call.arguments[0]).find((filter) => filter.requestStatus === 'pending');
+    assert.deepEqual(unassignedFilter, {
+      requestStatus: 'pending',
+      assignedEvaluator: null,
+      'assignmentHistory.4': { $exists: false }
+    });
+    assert.deepEqual(queries.unassigned.calls.find(([name]) => name === 'sort'), ['sort', { requestedAt: 1 }]);
+  });
+
+  it('offers a waiting request to an available evaluator', async () => {
+    const waiting = reviewRequest();
+    stubSweep({ unassigned: [waiting], evaluators: [{ _id: available, grade: '1st grade' }] });
+
+    assert.deepEqual(await evaluatorAssignment.sweepAssignments(), { expired: 0, reassigned: 0, assigned: 1 });
+
+    const [filter, update] = offer.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: waiting._id, requestStatus: 'pending', assignedEvaluator: null });
+    assert.equal(update.$set.requestStatus, 'assigned');
+    assert.equal(update.$set.assignedEvaluator, available);
+    assert.ok(update.$set.acceptDeadline.getTime() > Date.now());
+    assert.equal(update.$push.assignmentHistory.source, 'auto');
+  });
+
+  it('moves a timed-out offer to another evaluator, excluding the one who let it lapse', async () => {
+    const lapsed = reviewRequest({
+      requestStatus: 'assigned',
+      assignedEvaluator: timedOut,
+      acceptedAt: null,
+      assignmentHistory: [{ evaluator: timedOut, outcome: null }]
+    });
+    stubSweep({ expired: [lapsed], evaluators: [{ _id: available }] });
+
+    assert.deepEqual(await evaluatorAssignment.sweepAssignments(), { expired: 1, reassigned: 1, assigned: 0 });
+
+    assert.deepEqual(findEvaluators.mock.calls[0].arguments[0]._id, { $nin: [timedOut] });
+    const [filter, update, options] = offer.mock.calls[0].arguments;
+    // Only while still unaccepted, so a late accept wins
+    assert.deepEqual(filter, { _id: lapsed._id, requestStatus: 'assigned', assignedEvaluator: timedOut, acceptedAt: null });
+    assert.equal(update.$set['assignmentHistory.$[offer].outcome'], 'timed_out');
+    assert.equal(update.$set.assignedEvaluator, available);
+    assert.equal(update.$push.assignmentHistory.source, 'reassigned');
+    assert.deepEqual(options.arrayFilters, [{ 'offer.evaluator': timedOut, 'offer.outcome': null }]);
+  });
+
+  it('returns a timed-out request to the pool when nobody else can take it', async () => {
+    const lapsed = reviewRequest({
+      requestStatus: 'assigned',
+      assignedEvaluator: timedOut,
+      acceptedAt: null,
+      assignmentHistory: [{ evaluator: timedOut, outcome: null }]
+    });
+    stubSweep({ expired: [lapsed] });
+
+    assert.deepEqual(await evaluatorAssignment.sweepAssignments(), { expired: 1, reassigned: 0, assigned: 0 });
+
+    const [, update] = offer.mock.calls[0].arguments;
+    assert.equal(update.$set.requestStatus, 'pending');
+    assert.equal(update.$set.assignedEvaluator, null);
+    assert.equal(update.$push, undefined);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const EvaluatorEarning = require('../models/EvaluatorEarning');
+const evaluatorPayouts = require('../services/evaluatorPayouts');
+const jobQueue = require('../services/jobQueue');
+
+describe('evaluator earning job', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records the earning for the answer in the job payload', async () => {
+    const answerId = new mongoose.Types.ObjectId().toString();
+    const earning = { _id: new mongoose.Types.ObjectId(), amount: 40 };
+    const lookup = mock.method(EvaluatorEarning, 'findOne', async () => earning);
+    const jobUpdate = mock.method(Job, 'updateOne', async () => ({}));
+    const job = {
+      _id: new mongoose.Types.ObjectId(),
+      type: evaluatorPayouts.EARNING_JOB_TYPE,
+      payload: { answerId },
+      attempts: 1,
+      maxAttempts: 5
+    };
+
+    await jobQueue.runJob(job);
+
+    assert.deepEqual(lookup.mock.calls[0].arguments[0], { sourceKey: `review:${answerId}` });
+    const [, update] = jobUpdate.mock.calls[0].arguments;
+    assert.equal(update.$set.status, 'completed');
+    assert.deepEqual(update.$set.result, { earningId: earning._id, amount: 40 });
+  });
+});
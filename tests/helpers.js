@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Unit tests run without a database: a query nobody stubbed fails at once
+// instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+/**
+ * A stand-in for a Mongoose query resolving to value. Chained modifiers
+ * (sort, limit, select, session, ...) are accepted and ignored; the ones
+ * called are recorded in query.calls.
+ */
+const query = (value) => {
+  const calls = [];
+  const chain = {
+    calls,
+    then: (resolve, reject) => Promise.resolve(typeof value === 'function' ? value() : value).then(resolve, reject),
+    catch: (reject) => chain.then(undefined, reject),
+    exec: () => chain.then((result) => result)
+  };
+  ['sort', 'limit', 'skip', 'select', 'session', 'lean', 'populate'].forEach((name) => {
+    chain[name] = (...args) => {
+      calls.push([name, ...args]);
+      return chain;
+    };
+  });
+  return chain;
+};
+
+// A MongoDB duplicate key error on the given field
+const duplicateKeyError = (field) => Object.assign(new Error(`E11000 duplicate key error index: ${field}_1`), {
+  code: 11000,
+  keyPattern: { [field]: 1 }
+});
+
+// Minimal Express request
+const mockRequest = ({ headers = {}, body = {}, params = {}, query: queryParams = {}, ...rest } = {}) => {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    headers: lowerHeaders,
+    body,
+    params,
+    query: queryParams,
+    get: (name) => lowerHeaders[name.toLowerCase()],
+    ...rest
+  };
+};
+
+module.exports = {
+  query,
+  duplicateKeyError,
+  mockRequest
+};
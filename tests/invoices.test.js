@@ -0,0 +1,197 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, duplicateKeyError } = require('./helpers');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const invoices = require('../services/invoices');
+const jobQueue = require('../services/jobQueue');
+
+const successfulPayment = (overrides = {}) => new Payment({
+  orderId: 'ORDER_1',
+  amount: 118,
+  currency: 'INR',
+  status: 'SUCCESS',
+  gatewayName: 'PAYTM',
+  clientId: 'CLIENT_1',
+  creditsPurchased: 100,
+  customerName: 'Asha',
+  customerPhone: '9999999999',
+  customerEmail: 'asha@example.com',
+  projectId: 'default',
+  // Confirmed long before the invoice is issued
+  verification: { verifiedAt: new Date('2026-03-31T10:00:00Z'), source: 'callback' },
+  ...overrides
+});
+
+describe('invoice numbering helpers', () => {
+  it('splits financial years at 1 April, Indian time', () => {
+    assert.equal(invoices.financialYearOf(new Date('2026-03-31T18:29:59Z')), '2025-26');
+    assert.equal(invoices.financialYearOf(new Date('2026-03-31T18:30:00Z')), '2026-27');
+    assert.equal(invoices.financialYearOf(new Date('2099-12-31T00:00:00Z')), '2099-00');
+  });
+
+  it('formats a number within the 16 characters GST allows', () => {
+    const number = invoices.formatInvoiceNumber('2026-27', 42);
+    assert.equal(number, 'INV/2627/000042');
+    assert.ok(number.length <= 16);
+  });
+
+  it('bounds statement months in Indian time', () => {
+    const range = invoices.monthRange('2026-09');
+    assert.equal(range.start.toISOString(), '2026-08-31T18:30:00.000Z');
+    assert.equal(range.end.toISOString(), '2026-09-30T18:30:00.000Z');
+    assert.equal(invoices.monthRange('2026-13'), null);
+    assert.equal(invoices.monthRange('September'), null);
+  });
+
+  it('splits GST within a state, across states and for unregistered sellers', () => {
+    assert.deepEqual(invoices.gstBreakup(118, { rate: 18, sellerStateCode: '27' }), {
+      gstRate: 18, taxableValue: 100, cgst: 9, sgst: 9, igst: 0, interState: false
+    });
+    assert.deepEqual(invoices.gstBreakup(118, { rate: 18, sellerStateCode: '27', buyerStateCode: '29' }), {
+      gstRate: 18, taxableValue: 100, cgst: 0, sgst: 0, igst: 18, interState: true
+    });
+    assert.deepEqual(invoices.gstBreakup(118, { rate: 18, sellerStateCode: null }), {
+      gstRate: 0, taxableValue: 118, cgst: 0, sgst: 0, igst: 0, interState: false
+    });
+  });
+});
+
+describe('invoices.issueInvoice', () => {
+  let nextNumber;
+
+  beforeEach(() => {
+    nextNumber = mock.method(InvoiceSequence, 'findOneAndUpdate', async () => ({ lastNumber: 42 }));
+    mock.method(User, 'findOne', () => query({ businessName: 'Acme Tutors', businessGSTNumber: '27AAAAA0000A1Z5' }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('takes the next number in the seller\'s series and dates the invoice when issued', async () => {
+    mock.method(Invoice, 'findOne', async () => null);
+    const create = mock.method(Invoice, 'create', async (data) => data);
+    const before = Date.now();
+
+    const invoice = await invoices.issueInvoice(successfulPayment());
+
+    const [filter, update] = nextNumber.mock.calls[0].arguments;
+    const financialYear = invoices.financialYearOf(invoice.issuedAt);
+    assert.deepEqual(filter, { clientId: 'CLIENT_1', financialYear });
+    assert.deepEqual(update, { $inc: { lastNumber: 1 } });
+    assert.equal(invoice.invoiceNumber, invoices.formatInvoiceNumber(financialYear, 42));
+    assert.equal(invoice.sequence, 42);
+    // Not the (much earlier) verification time: numbers stay in date order
+    assert.ok(invoice.issuedAt.getTime() >= before);
+    assert.equal(invoice.seller.stateCode, '27');
+    assert.equal(invoice.cgst + invoice.sgst, 18);
+    assert.equal(create.mock.callCount(), 1);
+  });
+
+  it('returns the invoice already issued without taking a number', async () => {
+    const existing = { invoiceNumber: 'INV/2526/000007' };
+    mock.method(Invoice, 'findOne', async () => existing);
+
+    assert.equal(await invoices.issueInvoice(successfulPayment()), existing);
+    assert.equal(nextNumber.mock.callCount(), 0);
+  });
+
+  it('returns the winner\'s invoice when issued concurrently', async () => {
+    const winner = { invoiceNumber: 'INV/2627/000041' };
+    const lookups = [null, winner];
+    mock.method(Invoice, 'findOne', async () => lookups.shift());
+    mock.method(Invoice, 'create', async () => {
+      throw duplicateKeyError('payment');
+    });
+
+    assert.equal(await invoices.issueInvoice(successfulPayment()), winner);
+  });
+
+  it('issues nothing for a payment that has not succeeded', async () => {
+    const lookup = mock.method(Invoice, 'findOne', async () => null);
+
+    assert.equal(await invoices.issueInvoice(successfulPayment({ status: 'PENDING' })), null);
+    assert.equal(lookup.mock.callCount(), 0);
+    assert.equal(nextNumber.mock.callCount(), 0);
+  });
+});
+
+describe('invoices.monthlyStatement', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('only reads invoices and totals them', async () => {
+    const paymentLookup = mock.method(Payment, 'find', () => assert.fail('a statement must not look for uninvoiced payments'));
+    const nextNumber = mock.method(InvoiceSequence, 'findOneAndUpdate', async () => assert.fail('a statement must not issue invoices'));
+    const rows = [
+      { taxableValue: 100, cgst: 9, sgst: 9, igst: 0, total: 118, items: [{ credits: 100 }], payment: { refundedAmount: 18 } },
+      { taxableValue: 50, cgst: 0, sgst: 0, igst: 9, total: 59, items: [{ credits: 40 }], payment: null }
+    ];
+    const invoiceQuery = query(rows);
+    const find = mock.method(Invoice, 'find', () => invoiceQuery);
+
+    const statement = await invoices.monthlyStatement('CLIENT_1', '2026-09');
+
+    assert.equal(paymentLookup.mock.callCount(), 0);
+    assert.equal(nextNumber.mock.callCount(), 0);
+    assert.deepEqual(find.mock.calls[0].arguments[0].issuedAt, { $gte: statement.from, $lt: statement.to });
+    assert.deepEqual(invoiceQuery.calls.find(([name]) => name === 'sort'), ['sort', { sequence: 1 }]);
+    assert.deepEqual(statement.totals, {
+      count: 2, taxableValue: 150, cgst: 9, sgst: 9, igst: 9, total: 177, refunded: 18, credits: 140
+    });
+  });
+
+  it('rejects a malformed month', async () => {
+    assert.equal(await invoices.monthlyStatement('CLIENT_1', '2026-9'), null);
+  });
+});
+
+describe('invoices.issueMissingInvoices', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('issues invoices only for recent payments without one', async () => {
+    const invoicedId = new mongoose.Types.ObjectId();
+    const missingId = new mongoose.Types.ObjectId();
+    mock.method(Payment, 'find', () => ({ distinct: async () => [invoicedId, missingId] }));
+    mock.method(Invoice, 'find', () => ({ distinct: async () => [invoicedId] }));
+    const findById = mock.method(Payment, 'findById', async () => null);
+
+    assert.equal(await invoices.issueMissingInvoices(), 0);
+    assert.deepEqual(findById.mock.calls.map((call) => call.arguments[0]), [missingId]);
+  });
+});
+
+describe('invoice generation job', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('issues the invoice for the payment in the job payload', async () => {
+    const payment = successfulPayment();
+    const findById = mock.method(Payment, 'findById', async () => payment);
+    mock.method(Invoice, 'findOne', async () => ({ invoiceNumber: 'INV/2627/000042' }));
+    const jobUpdate = mock.method(Job, 'updateOne', async () => ({}));
+    const job = {
+      _id: new mongoose.Types.ObjectId(),
+      type: invoices.JOB_TYPE,
+      payload: { paymentId: payment._id.toString() },
+      attempts: 1,
+      maxAttempts: 5
+    };
+
+    await jobQueue.runJob(job);
+
+    assert.deepEqual(findById.mock.calls[0].arguments, [payment._id.toString()]);
+    const [, update] = jobUpdate.mock.calls[0].arguments;
+    assert.equal(update.$set.status, 'completed');
+    assert.deepEqual(update.$set.result, { invoiceNumber: 'INV/2627/000042' });
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { duplicateKeyError } = require('./helpers');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+
+const TEST_JOB = 'job-queue-test';
+
+const claimedJob = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: TEST_JOB,
+  payload: { answerId: 'answer-1' },
+  attempts: 1,
+  maxAttempts: 3,
+  ...overrides
+});
+
+describe('jobQueue.runJob', () => {
+  let handler;
+  let onFailed;
+  let jobUpdate;
+
+  beforeEach(() => {
+    handler = mock.fn(async () => ({ done: true }));
+    onFailed = mock.fn(async () => {});
+    jobQueue.register(TEST_JOB, (...args) => handler(...args), { maxAttempts: 3, onFailed: (...args) => onFailed(...args) });
+    jobUpdate = mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    jobQueue.handlers.delete(TEST_JOB);
+    mock.restoreAll();
+  });
+
+  it('calls the handler with the payload and the job, and stores its result', async () => {
+    const job = claimedJob();
+
+    await jobQueue.runJob(job);
+
+    assert.deepEqual(handler.mock.calls[0].arguments, [{ answerId: 'answer-1' }, job]);
+    const [filter, update] = jobUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: job._id, lockedBy: jobQueue.workerId });
+    assert.equal(update.$set.status, 'completed');
+    assert.deepEqual(update.$set.result, { done: true });
+  });
+
+  it('queues a failed job again while it has attempts left', async () => {
+    handler = mock.fn(async () => {
+      throw new Error('OCR service unavailable');
+    });
+    const before = Date.now();
+
+    await jobQueue.runJob(claimedJob());
+
+    const [, update] = jobUpdate.mock.calls[0].arguments;
+    assert.equal(update.$set.status, 'queued');
+    assert.ok(update.$set.runAt.getTime() > before);
+    assert.equal(update.$push.errorHistory.message, 'OCR service unavailable');
+    assert.equal(onFailed.mock.callCount(), 0);
+  });
+
+  it('fails the job on its last attempt and reports it with the payload', async () => {
+    const error = new Error('OCR service unavailable');
+    handler = mock.fn(async () => {
+      throw error;
+    });
+    const job = claimedJob({ attempts: 3 });
+
+    await jobQueue.runJob(job);
+
+    const [, update] = jobUpdate.mock.calls[0].arguments;
+    assert.equal(update.$set.status, 'failed');
+    assert.equal(update.$set.uniqueKey, null);
+    assert.deepEqual(onFailed.mock.calls[0].arguments, [{ answerId: 'answer-1' }, error, job]);
+  });
+
+  it('does not retry an error marked as not retryable', async () => {
+    handler = mock.fn(async () => {
+      throw Object.assign(new Error('Question not found for answer'), { retryable: false });
+    });
+
+    await jobQueue.runJob(claimedJob());
+
+    assert.equal(jobUpdate.mock.calls[0].arguments[1].$set.status, 'failed');
+    assert.equal(onFailed.mock.callCount(), 1);
+  });
+
+  it('queues the next run of a recurring job once it has finished', async () => {
+    jobQueue.register(TEST_JOB, (...args) => handler(...args), { every: 60 * 1000 });
+    const create = mock.method(Job, 'create', async (doc) => doc);
+    const before = Date.now();
+
+    await jobQueue.runJob(claimedJob());
+
+    const [next] = create.mock.calls[0].arguments;
+    assert.equal(next.type, TEST_JOB);
+    assert.equal(next.uniqueKey, `recurring:${TEST_JOB}`);
+    assert.ok(next.runAt.getTime() >= before + 60 * 1000);
+  });
+});
+
+describe('jobQueue.enqueue', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the pending job with the same unique key instead of a second one', async () => {
+    const existing = claimedJob();
+    mock.method(Job, 'create', async () => {
+      throw duplicateKeyError('uniqueKey');
+    });
+    const lookup = mock.method(Job, 'findOne', async () => existing);
+
+    const job = await jobQueue.enqueue(TEST_JOB, { answerId: 'answer-1' }, { uniqueKey: `${TEST_JOB}:answer-1` });
+
+    assert.equal(job, existing);
+    assert.deepEqual(lookup.mock.calls[0].arguments, [{ uniqueKey: `${TEST_JOB}:answer-1` }]);
+  });
+});
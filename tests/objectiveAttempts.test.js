@@ -0,0 +1,221 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+const mongoose = require('mongoose');
+const ObjectiveTest = require('../models/ObjectiveTest');
+const ObjectiveTestQuestion = require('../models/ObjectiveTestQuestion');
+const TestResult = require('../models/TestResult');
+const objectiveAttempts = require('../services/objectiveAttempts');
+
+const MINUTE = 60 * 1000;
+const testId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+const question = (correctAnswer, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  test: testId,
+  options: ['A', 'B', 'C', 'D'],
+  correctAnswer,
+  difficulty: 'L1',
+  positiveMarks: 4,
+  negativeMarks: 1,
+  ...overrides
+});
+
+const attempt = (overrides = {}) => {
+  const startTime = new Date(Date.now() - 10 * MINUTE);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    testId,
+    attemptNumber: 1,
+    status: 'in_progress',
+    startTime,
+    deadline: new Date(startTime.getTime() + 30 * MINUTE),
+    answers: new Map(),
+    ...overrides
+  };
+};
+
+describe('objective test deadlines', () => {
+  it('derives the deadline from the test duration', () => {
+    const start = new Date('2026-10-01T10:00:00Z');
+    assert.equal(objectiveAttempts.deadlineFor({ durationMinutes: 45 }, start).toISOString(), '2026-10-01T10:45:00.000Z');
+    assert.equal(objectiveAttempts.deadlineFor({ durationMinutes: 0 }, start), null);
+    assert.equal(objectiveAttempts.deadlineFor({}, start), null);
+  });
+
+  it('counts down to the deadline and never below zero', () => {
+    const deadline = new Date('2026-10-01T10:45:00Z');
+    assert.equal(objectiveAttempts.remainingSeconds({ deadline }, new Date('2026-10-01T10:44:30.500Z')), 29);
+    assert.equal(objectiveAttempts.remainingSeconds({ deadline }, new Date('2026-10-01T11:00:00Z')), 0);
+    assert.equal(objectiveAttempts.remainingSeconds({ deadline: null }), null);
+  });
+
+  it('expires an attempt only after the grace period', () => {
+    const deadline = new Date('2026-10-01T10:45:00Z');
+    const justInside = new Date(deadline.getTime() + objectiveAttempts.GRACE_MS);
+    assert.equal(objectiveAttempts.isExpired({ deadline }, justInside), false);
+    assert.equal(objectiveAttempts.isExpired({ deadline }, new Date(justInside.getTime() + 1)), true);
+    assert.equal(objectiveAttempts.isExpired({ deadline: null }), false);
+  });
+});
+
+describe('objectiveAttempts.saveAnswer', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('autosaves the chosen option on the attempt in progress', async () => {
+    const current = attempt();
+    const q = question(2);
+    mock.method(TestResult, 'findOne', async () => current);
+    const save = mock.method(TestResult, 'findOneAndUpdate', async () => ({ ...current, saved: true }));
+
+    const { status, testResult } = await objectiveAttempts.saveAnswer({ userId, question: q, selectedAnswer: '3' });
+
+    assert.equal(status, 'saved');
+    assert.equal(testResult.saved, true);
+    const [filter, update] = save.mock.calls[0].arguments;
+    assert.equal(filter.status, 'in_progress');
+    assert.equal(filter.attemptNumber, 1);
+    // The write itself re-checks the deadline
+    assert.ok(filter.$or.some((condition) => condition.deadline?.$gte instanceof Date));
+    assert.equal(update.$set[`answers.${q._id}`], 3);
+  });
+
+  it('clears an answer sent as null', async () => {
+    const current = attempt();
+    const q = question(2);
+    mock.method(TestResult, 'findOne', async () => current);
+    const save = mock.method(TestResult, 'findOneAndUpdate', async () => current);
+
+    await objectiveAttempts.saveAnswer({ userId, question: q, selectedAnswer: null });
+
+    assert.deepEqual(save.mock.calls[0].arguments[1].$unset, { [`answers.${q._id}`]: '' });
+  });
+
+  it('reports when no attempt is in progress', async () => {
+    mock.method(TestResult, 'findOne', async () => null);
+
+    assert.deepEqual(await objectiveAttempts.saveAnswer({ userId, question: question(0), selectedAnswer: 1 }), {
+      status: 'none',
+      testResult: null
+    });
+  });
+
+  it('rejects an option the question does not have', async () => {
+    mock.method(TestResult, 'findOne', async () => attempt());
+    const save = mock.method(TestResult, 'findOneAndUpdate', async () => assert.fail('nothing should be saved'));
+
+    for (const selectedAnswer of [4, -1, 1.5, 'B']) {
+      const { status } = await objectiveAttempts.saveAnswer({ userId, question: question(0), selectedAnswer });
+      assert.equal(status, 'invalid');
+    }
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('auto-submits instead of saving once the deadline has passed', async () => {
+    const overdue = attempt({ deadline: new Date(Date.now() - objectiveAttempts.GRACE_MS - MINUTE) });
+    mock.method(TestResult, 'findOne', async () => overdue);
+    mock.method(ObjectiveTest, 'findById', async () => ({ _id: testId }));
+    mock.method(ObjectiveTestQuestion, 'find', () => query([]));
+    const complete = mock.method(TestResult, 'findOneAndUpdate', async (filter, update) => ({ ...overdue, ...update.$set }));
+
+    const { status, testResult } = await objectiveAttempts.saveAnswer({ userId, question: question(0), selectedAnswer: 1 });
+
+    assert.equal(status, 'expired');
+    assert.equal(testResult.autoSubmitted, true);
+    assert.equal(complete.mock.callCount(), 1);
+    assert.equal(complete.mock.calls[0].arguments[1].$set.status, 'completed');
+  });
+
+  it('reports expiry when the attempt was submitted while saving', async () => {
+    const current = attempt();
+    mock.method(TestResult, 'findOne', async () => current);
+    mock.method(TestResult, 'findOneAndUpdate', async () => null);
+    mock.method(TestResult, 'findById', async () => ({ ...current, status: 'completed' }));
+
+    const { status, testResult } = await objectiveAttempts.saveAnswer({ userId, question: question(0), selectedAnswer: 1 });
+
+    assert.equal(status, 'expired');
+    assert.equal(testResult.status, 'completed');
+  });
+});
+
+describe('objectiveAttempts.finalizeAttempt', () => {
+  let questions;
+
+  beforeEach(() => {
+    questions = [question(0), question(1), question(2)];
+    mock.method(ObjectiveTestQuestion, 'find', () => query(questions));
+    mock.method(ObjectiveTestQuestion, 'bulkWrite', async () => ({}));
+    mock.method(ObjectiveTest, 'findById', async () => ({ _id: testId, durationMinutes: 30 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('scores the autosaved answers with negative marking and times an auto-submit to the deadline', async () => {
+    const overdue = attempt({
+      startTime: new Date(Date.now() - 45 * MINUTE),
+      deadline: new Date(Date.now() - 15 * MINUTE),
+      // correct, wrong, unattempted
+      answers: new Map([[String(questions[0]._id), 0], [String(questions[1]._id), 3]])
+    });
+    const complete = mock.method(TestResult, 'findOneAndUpdate', async (filter, update) => ({ ...overdue, ...update.$set }));
+
+    const { testResult, scoring } = await objectiveAttempts.finalizeAttempt(overdue, { autoSubmitted: true });
+
+    assert.equal(scoring.marks, 3);
+    assert.equal(scoring.maxMarks, 12);
+    assert.equal(scoring.score, 25);
+    assert.equal(scoring.correctAnswers, 1);
+    assert.equal(scoring.wrongAnswers, 1);
+    assert.equal(scoring.unattempted, 1);
+
+    const [filter, update] = complete.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: overdue._id, status: 'in_progress', attemptNumber: 1 });
+    assert.equal(update.$set.status, 'completed');
+    assert.equal(update.$set.autoSubmitted, true);
+    assert.equal(update.$set.submittedAt, overdue.deadline);
+    assert.equal(update.$set.completionTime, '30m 0s');
+    assert.equal(update.$push.attemptHistory.marks, 3);
+    assert.equal(testResult.status, 'completed');
+  });
+
+  it('scores a racing submission only once', async () => {
+    const current = attempt();
+    mock.method(TestResult, 'findOneAndUpdate', async () => null);
+    mock.method(TestResult, 'findById', async () => ({ ...current, status: 'completed' }));
+    const statistics = ObjectiveTestQuestion.bulkWrite;
+
+    const { testResult, scoring } = await objectiveAttempts.finalizeAttempt(current, { answers: { [String(questions[0]._id)]: 0 } });
+
+    assert.equal(scoring, null);
+    assert.equal(testResult.status, 'completed');
+    assert.equal(statistics.mock.callCount(), 0);
+  });
+});
+
+describe('objectiveAttempts.autoSubmitExpired', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('submits overdue attempts past the grace period', async () => {
+    const overdue = attempt({ deadline: new Date(Date.now() - 5 * MINUTE) });
+    const find = mock.method(TestResult, 'find', () => query([overdue]));
+    mock.method(ObjectiveTestQuestion, 'find', () => query([]));
+    mock.method(ObjectiveTest, 'findById', async () => ({ _id: testId }));
+    mock.method(TestResult, 'findOneAndUpdate', async (filter, update) => ({ ...overdue, ...update.$set }));
+
+    const before = Date.now();
+    assert.deepEqual(await objectiveAttempts.autoSubmitExpired(), { checked: 1, submitted: 1 });
+
+    const { status, deadline } = find.mock.calls[0].arguments[0];
+    assert.equal(status, 'in_progress');
+    assert.ok(Math.abs(deadline.$lt.getTime() - (before - objectiveAttempts.GRACE_MS)) < 1000);
+  });
+});
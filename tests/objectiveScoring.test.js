@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreAttempt, normalizeSections } = require('../services/objectiveScoring');
+
+const question = (id, overrides = {}) => ({
+  _id: id,
+  options: ['A', 'B', 'C', 'D'],
+  correctAnswer: 0,
+  difficulty: 'L1',
+  positiveMarks: 1,
+  negativeMarks: 0,
+  section: null,
+  ...overrides
+});
+
+describe('objectiveScoring.scoreAttempt', () => {
+  it('deducts negative marks for wrong answers and nothing for unattempted ones', () => {
+    const questions = ['q1', 'q2', 'q3', 'q4'].map((id) => question(id, { positiveMarks: 4, negativeMarks: 1 }));
+
+    const result = scoreAttempt({}, questions, { q1: 0, q2: 2, q3: '0', q9: 0 });
+
+    assert.equal(result.marks, 7);
+    assert.equal(result.maxMarks, 16);
+    assert.equal(result.score, 43.75);
+    assert.equal(result.correctAnswers, 2);
+    assert.equal(result.wrongAnswers, 1);
+    assert.equal(result.unattempted, 1);
+    // Answers to questions outside the test are dropped
+    assert.deepEqual(result.answers, { q1: 0, q2: 2, q3: 0 });
+    assert.equal(result.qualified, null);
+  });
+
+  it('scores a negative total as 0%', () => {
+    const questions = [question('q1', { negativeMarks: 2 })];
+
+    const result = scoreAttempt({}, questions, { q1: 3 });
+
+    assert.equal(result.marks, -2);
+    assert.equal(result.score, 0);
+  });
+
+  it('applies section marking and requires every section cut-off to qualify', () => {
+    const test = {
+      cutoff: 4,
+      sections: [
+        { _id: 's1', name: 'Polity', order: 0, positiveMarks: 2, negativeMarks: 0.5, cutoff: 3 },
+        { _id: 's2', name: 'History', order: 1, positiveMarks: null, negativeMarks: null, cutoff: 1 }
+      ]
+    };
+    const questions = [
+      question('q1', { section: 's1' }),
+      question('q2', { section: 's1' }),
+      question('q3', { section: 's2', positiveMarks: 3 }),
+      question('q4', { section: 'deleted' })
+    ];
+
+    const result = scoreAttempt(test, questions, { q1: 0, q2: 1, q3: 1, q4: 0 });
+
+    const [polity, history, general] = result.sectionBreakdown;
+    assert.equal(polity.marks, 1.5);
+    assert.equal(polity.maxMarks, 4);
+    assert.equal(polity.cleared, false);
+    assert.equal(history.marks, 0);
+    assert.equal(history.cleared, false);
+    assert.equal(general.name, 'General');
+    assert.equal(general.marks, 1);
+    assert.equal(result.marks, 2.5);
+    assert.equal(result.qualified, false);
+
+    const passing = scoreAttempt(test, questions, { q1: 0, q2: 0, q3: 0 });
+    assert.equal(passing.sectionBreakdown[0].cleared, true);
+    assert.equal(passing.sectionBreakdown[1].cleared, true);
+    assert.equal(passing.qualified, true);
+  });
+});
+
+describe('objectiveScoring.normalizeSections', () => {
+  it('rejects unnamed sections and negative marks', () => {
+    assert.equal(normalizeSections([{ name: ' ' }]).error, 'Section 1 needs a name');
+    assert.equal(normalizeSections([{ name: 'Polity', negativeMarks: -1 }]).error, 'Section "Polity": negativeMarks must be 0 or more');
+    assert.deepEqual(normalizeSections([{ name: 'Polity', positiveMarks: '2', cutoff: '' }]).sections, [
+      { name: 'Polity', description: '', order: 0, positiveMarks: 2, negativeMarks: null, cutoff: null }
+    ]);
+  });
+});
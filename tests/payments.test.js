@@ -0,0 +1,235 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const CreditAccount = require('../models/CreditAccount');
+const MobileUser = require('../models/MobileUser');
+const creditLedger = require('../services/creditLedger');
+const paymentGateways = require('../services/paymentGateways');
+const invoices = require('../services/invoices');
+const payments = require('../services/payments');
+
+const userId = new mongoose.Types.ObjectId();
+
+const pendingPayment = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderId: 'ORDER_1',
+  amount: 499,
+  currency: 'INR',
+  status: 'PENDING',
+  gatewayName: 'PAYTM',
+  userId,
+  creditsPurchased: 100,
+  createdAt: new Date(),
+  ...overrides
+});
+
+const gatewayStatus = (overrides = {}) => ({
+  status: 'SUCCESS',
+  amount: 499,
+  txnId: 'TXN_1',
+  gatewayStatus: 'TXN_SUCCESS',
+  responseCode: '01',
+  responseMsg: 'Txn Success',
+  ...overrides
+});
+
+describe('payments.creditForPayment', () => {
+  beforeEach(() => {
+    mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('does not look the payer up by phone when the payment names a user', async () => {
+    const lookup = mock.method(CreditAccount, 'findOne', async () => null);
+    mock.method(MobileUser, 'findById', () => query(null));
+
+    const payment = pendingPayment({ status: 'SUCCESS', customerPhone: '9999999999', clientId: 'CLIENT_1' });
+    assert.equal(await payments.creditForPayment(payment), null);
+    assert.deepEqual(lookup.mock.calls.map((call) => call.arguments[0]), [{ userId }]);
+  });
+
+  it('looks a payer without a user up by phone within the payment\'s client', async () => {
+    const lookup = mock.method(CreditAccount, 'findOne', async () => null);
+
+    const payment = pendingPayment({ status: 'SUCCESS', userId: null, customerPhone: '9999999999', clientId: 'CLIENT_1' });
+    assert.equal(await payments.creditForPayment(payment), null);
+    assert.deepEqual(lookup.mock.calls.map((call) => call.arguments[0]), [
+      { mobile: '9999999999', clientId: 'CLIENT_1' }
+    ]);
+  });
+});
+
+describe('payments.applyGatewayStatus', () => {
+  let credit;
+  let queueInvoice;
+
+  beforeEach(() => {
+    credit = mock.method(creditLedger, 'credit', async () => ({
+      transaction: { _id: new mongoose.Types.ObjectId(), createdAt: new Date() },
+      account: { userId, balance: 100 },
+      replayed: false
+    }));
+    queueInvoice = mock.method(invoices, 'queueInvoice', async () => ({}));
+    mock.method(CreditAccount, 'findOne', async () => ({ userId }));
+    mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('confirms a pending payment, credits it once per order and queues its invoice', async () => {
+    const payment = pendingPayment();
+    const transition = mock.method(Payment, 'findOneAndUpdate', async (filter, update) => ({ ...payment, ...update.$set }));
+
+    const updated = await payments.applyGatewayStatus(payment, gatewayStatus(), { source: 'webhook', checksumValid: true });
+
+    assert.equal(updated.status, 'SUCCESS');
+    const [filter, update] = transition.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment._id, status: 'PENDING' });
+    assert.equal(update.$set.verification.source, 'webhook');
+    assert.ok(update.$set.lastStatusCheckAt instanceof Date);
+
+    assert.equal(credit.mock.callCount(), 1);
+    const [posting] = credit.mock.calls[0].arguments;
+    assert.equal(posting.amount, 100);
+    assert.equal(posting.category, 'purchase');
+    assert.equal(posting.idempotencyKey, 'paytm:ORDER_1');
+    assert.equal(queueInvoice.mock.callCount(), 1);
+  });
+
+  it('fails a success whose paid amount differs from the order', async () => {
+    const payment = pendingPayment();
+    const transition = mock.method(Payment, 'findOneAndUpdate', async (filter, update) => ({ ...payment, ...update.$set }));
+
+    const updated = await payments.applyGatewayStatus(payment, gatewayStatus({ amount: 1 }), { source: 'callback' });
+
+    assert.equal(updated.status, 'FAILED');
+    assert.match(transition.mock.calls[0].arguments[1].$set.verification.error, /does not match/);
+    assert.equal(credit.mock.callCount(), 0);
+    assert.equal(queueInvoice.mock.callCount(), 0);
+  });
+
+  it('keeps a pending payment pending without crediting it', async () => {
+    const payment = pendingPayment();
+    const transition = mock.method(Payment, 'findOneAndUpdate', async () => payment);
+
+    const updated = await payments.applyGatewayStatus(payment, gatewayStatus({ status: 'PENDING' }), { source: 'reconciliation' });
+
+    assert.equal(updated.status, 'PENDING');
+    assert.equal(transition.mock.calls[0].arguments[1].$set.status, undefined);
+    assert.equal(credit.mock.callCount(), 0);
+  });
+
+  it('does not let a late failure undo a confirmed payment', async () => {
+    const confirmed = pendingPayment({ status: 'SUCCESS', creditTransactionId: new mongoose.Types.ObjectId() });
+    mock.method(Payment, 'findOneAndUpdate', async () => null);
+    mock.method(Payment, 'findById', async () => confirmed);
+    credit.mock.mockImplementation(async () => ({
+      transaction: { _id: confirmed.creditTransactionId, createdAt: new Date() },
+      account: { userId, balance: 100 },
+      replayed: true
+    }));
+
+    const updated = await payments.applyGatewayStatus(confirmed, gatewayStatus({ status: 'FAILED' }), { source: 'callback' });
+
+    assert.equal(updated.status, 'SUCCESS');
+    // Crediting is retried, but under the same key the ledger replays it
+    assert.equal(credit.mock.calls[0].arguments[0].idempotencyKey, 'paytm:ORDER_1');
+    assert.equal(queueInvoice.mock.callCount(), 0);
+  });
+});
+
+describe('payments.processWebhook', () => {
+  beforeEach(() => {
+    mock.method(paymentGateways, 'referenceFor', () => ({ orderId: 'ORDER_1' }));
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects a webhook whose signature does not verify', async () => {
+    const payment = pendingPayment();
+    mock.method(Payment, 'findOne', async () => payment);
+    const queryStatus = mock.fn();
+    mock.method(paymentGateways, 'getGatewayForPayment', async () => ({
+      verifyWebhook: () => ({ valid: false, reason: 'Invalid signature' }),
+      queryStatus
+    }));
+    const transition = mock.method(Payment, 'findOneAndUpdate', async () => assert.fail('status must not change'));
+
+    const result = await payments.processWebhook('paytm', { rawBody: '{}', headers: {} });
+
+    assert.equal(result.rejected, true);
+    assert.equal(result.reason, 'Invalid signature');
+    assert.equal(queryStatus.mock.callCount(), 0);
+    assert.equal(transition.mock.callCount(), 0);
+  });
+
+  it('rejects a webhook for an unknown order', async () => {
+    mock.method(Payment, 'findOne', async () => null);
+
+    const result = await payments.processWebhook('paytm', { rawBody: '{}', headers: {} });
+
+    assert.deepEqual(result, { payment: null, status: 'FAILED', rejected: true, reason: 'Payment record not found' });
+  });
+
+  it('leaves the payment pending when the gateway cannot confirm it', async () => {
+    const payment = pendingPayment();
+    mock.method(Payment, 'findOne', async () => payment);
+    mock.method(paymentGateways, 'getGatewayForPayment', async () => ({
+      verifyWebhook: () => ({ valid: true, signed: true, params: { ORDERID: 'ORDER_1' } }),
+      queryStatus: async () => {
+        throw new Error('timeout');
+      }
+    }));
+    const recorded = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await payments.processWebhook('paytm', { rawBody: '{}', headers: {} });
+
+    assert.equal(result.rejected, false);
+    assert.equal(result.status, 'PENDING');
+    const [filter, update] = recorded.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: payment._id });
+    assert.equal(update.$set['verification.error'], 'timeout');
+    assert.ok(update.$set.lastStatusCheckAt instanceof Date);
+  });
+});
+
+describe('payments.reconcilePendingPayments', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('checks the least recently checked payments first and expires stale orders', async () => {
+    const stale = pendingPayment({ orderId: 'ORDER_OLD', createdAt: new Date(Date.now() - 100 * 60 * 60 * 1000) });
+    const pendingQuery = query([stale]);
+    mock.method(Payment, 'find', (filter) => (filter.status === 'PENDING' ? pendingQuery : query([])));
+    mock.method(paymentGateways, 'getGatewayForPayment', async () => ({
+      queryStatus: async () => gatewayStatus({ status: 'PENDING' })
+    }));
+    mock.method(Payment, 'findOneAndUpdate', async () => stale);
+    const updates = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(invoices, 'issueMissingInvoices', async () => 0);
+
+    const summary = await payments.reconcilePendingPayments();
+
+    assert.deepEqual(pendingQuery.calls.find(([name]) => name === 'sort'), ['sort', { lastStatusCheckAt: 1, createdAt: 1 }]);
+    assert.equal(summary.checked, 1);
+    assert.equal(summary.expired, 1);
+    const [filter, update] = updates.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: stale._id, status: 'PENDING' });
+    assert.equal(update.$set.status, 'FAILED');
+  });
+});
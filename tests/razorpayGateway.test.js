@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const RazorpayGateway = require('../services/paymentGateways/RazorpayGateway');
+
+const gateway = new RazorpayGateway({
+  gateway: 'razorpay',
+  credentials: { keyId: 'rzp_test_key', keySecret: 'key-secret', webhookSecret: 'webhook-secret' }
+});
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+describe('RazorpayGateway.verifyCallback', () => {
+  it('accepts a callback signed with the key secret over order and payment id', () => {
+    const result = gateway.verifyCallback({
+      razorpay_order_id: 'order_1',
+      razorpay_payment_id: 'pay_1',
+      razorpay_signature: hmac('key-secret', 'order_1|pay_1')
+    });
+
+    assert.deepEqual(result, { valid: true, signed: true, reason: null, gatewayOrderId: 'order_1' });
+  });
+
+  it('rejects a callback signed for another payment', () => {
+    const result = gateway.verifyCallback({
+      razorpay_order_id: 'order_1',
+      razorpay_payment_id: 'pay_2',
+      razorpay_signature: hmac('key-secret', 'order_1|pay_1')
+    });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Signature mismatch');
+  });
+
+  it('names the order of a failed checkout without trusting it', () => {
+    const result = gateway.verifyCallback({
+      'error[description]': 'Payment failed',
+      'error[metadata]': JSON.stringify({ order_id: 'order_1', payment_id: 'pay_1' })
+    });
+
+    assert.deepEqual(result, { valid: false, signed: false, reason: 'Payment failed', gatewayOrderId: 'order_1' });
+  });
+});
+
+describe('RazorpayGateway.verifyWebhook', () => {
+  const rawBody = Buffer.from(JSON.stringify({
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', notes: { orderId: 'ORDER_1' } } } }
+  }));
+
+  it('accepts a body signed with the webhook secret and names its order', () => {
+    const result = gateway.verifyWebhook({ rawBody, headers: { 'x-razorpay-signature': hmac('webhook-secret', rawBody) } });
+
+    assert.deepEqual(result, {
+      valid: true, signed: true, reason: null, event: 'payment.captured', orderId: 'ORDER_1', gatewayOrderId: 'order_1'
+    });
+  });
+
+  it('rejects a body whose signature does not match', () => {
+    const tampered = Buffer.from(rawBody.toString().replace('ORDER_1', 'ORDER_2'));
+
+    const result = gateway.verifyWebhook({ rawBody: tampered, headers: { 'x-razorpay-signature': hmac('webhook-secret', rawBody) } });
+
+    assert.deepEqual(result, { valid: false, signed: false, reason: 'Signature mismatch' });
+    assert.equal(gateway.verifyWebhook({ rawBody, headers: {} }).valid, false);
+  });
+
+  it('rejects every webhook when no webhook secret is configured', () => {
+    const unconfigured = new RazorpayGateway({ gateway: 'razorpay', credentials: { keyId: 'rzp_test_key', keySecret: 'key-secret' } });
+
+    const result = unconfigured.verifyWebhook({ rawBody, headers: { 'x-razorpay-signature': hmac('', rawBody) } });
+
+    assert.deepEqual(result, { valid: false, signed: false, reason: 'Webhook secret is not configured' });
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, duplicateKeyError } = require('./helpers');
+const mongoose = require('mongoose');
+const UserAnswer = require('../models/UserAnswer');
+
+const answerData = () => ({
+  userId: new mongoose.Types.ObjectId(),
+  questionId: new mongoose.Types.ObjectId(),
+  testType: 'aiswb',
+  answerImages: []
+});
+
+describe('UserAnswer attempt numbers', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('are unique per user and question among answers that count as attempts', () => {
+    const [, options] = UserAnswer.schema.indexes().find(
+      ([fields]) => JSON.stringify(fields) === JSON.stringify({ userId: 1, questionId: 1, attemptNumber: 1 })
+    );
+
+    assert.equal(options.unique, true);
+    const counted = options.partialFilterExpression.submissionStatus.$in;
+    assert.ok(!counted.includes('invalid'));
+    assert.deepEqual(
+      [...counted, 'invalid'].sort(),
+      [...UserAnswer.schema.path('submissionStatus').enumValues].sort()
+    );
+  });
+
+  it('takes the next free number when a concurrent submission claimed the same one', async () => {
+    const existing = [[{ attemptNumber: 1 }], [{ attemptNumber: 1 }, { attemptNumber: 2 }]];
+    mock.method(UserAnswer, 'countDocuments', async () => existing[0].length);
+    mock.method(UserAnswer, 'find', () => query(existing.shift()));
+    const saved = [];
+    mock.method(UserAnswer.prototype, 'save', async function () {
+      saved.push(this.attemptNumber);
+      if (saved.length === 1) throw duplicateKeyError('userId_1_questionId_1_attemptNumber');
+      return this;
+    });
+
+    const userAnswer = await UserAnswer.createNewAttemptSafe(answerData());
+
+    assert.deepEqual(saved, [2, 3]);
+    assert.equal(userAnswer.attemptNumber, 3);
+  });
+});
@@ -0,0 +1,69 @@
+// Server-sent events helpers for streaming endpoints
+
+// Whether the client asked for an event stream instead of a JSON payload
+// (Accept: text/event-stream, ?stream=true or { "stream": true })
+const wantsEventStream = (req) => {
+  return (req.get('accept') || '').includes('text/event-stream') ||
+    req.query.stream === 'true' ||
+    req.body?.stream === true;
+};
+
+// Switch the response to SSE and return a small writer. Writes after the
+// client disconnects are dropped, and its signal aborts so upstream work
+// (e.g. model generation) can stop.
+const openEventStream = (res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+  const abortController = new AbortController();
+  res.on('close', () => {
+    closed = true;
+    abortController.abort();
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    signal: abortController.signal,
+    send(event, data) {
+      if (closed) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    end() {
+      if (!closed) res.end();
+      closed = true;
+    }
+  };
+};
+
+// Forward { event, data } items from an async generator to the stream. The
+// "done" event is held back and its data returned, so the caller can add to
+// it before sending; resolves to null if the client left first.
+const pipeEvents = async (generator, events) => {
+  let doneData = null;
+  for await (const { event, data } of generator) {
+    if (events.closed) {
+      await generator.return();
+      return null;
+    }
+    if (event === 'done') {
+      doneData = data;
+    } else {
+      events.send(event, data);
+    }
+  }
+  return doneData;
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  pipeEvents
+};